@@ -20,6 +20,8 @@ import {
 } from 'lucide-react';
 import axios from 'axios';
 import { rescueNow as solanaRescue, closeAta as solanaCloseAta } from './solana/recovery';
+import { walletAddressFromKey, runClientSignedRescue, signPendingSessionPlans } from './evm/clientSigning';
+import { signInWithEthereum, restoreSession, signOut, onSessionRejected } from './evm/siweAuth';
 
 // API configuration using environment variables
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000';
@@ -172,6 +174,8 @@ function App() {
 
   // Multi-network auto-rescue controls (client app)
   const [recoveryMode, setRecoveryMode] = useState('single'); // 'single' | 'multi'
+  const [signingMode, setSigningMode] = useState('server'); // 'server' | 'client' (key stays in the browser)
+  const handledPlanIds = useRef(new Set()); // Session plans already signed and submitted
   const [multiConfig, setMultiConfig] = useState({
     runOnAllNetworks: false,
     targetNetworks: [],
@@ -197,6 +201,9 @@ function App() {
   const [showAutoRescueSummary, setShowAutoRescueSummary] = useState(true);
 
   const [connectedAddress, setConnectedAddress] = useState('');
+  // Sign-In With Ethereum session of the safe wallet; the API only serves its own recoveries
+  const [authSession, setAuthSession] = useState(() => restoreSession());
+  const [authLoading, setAuthLoading] = useState(false);
   const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'dark');
   useEffect(() => {
     document.documentElement.classList.remove('dark', 'light');
@@ -220,10 +227,20 @@ function App() {
     // eslint-disable-next-line
   }, [showApprove]);
 
-  // Fetch active recoveries on component mount
+  // Drop the session when the API no longer accepts it
+  useEffect(() => onSessionRejected(() => {
+    setAuthSession(null);
+    toast.error('Session expired, please sign in again');
+  }), []);
+
+  // Fetch active recoveries once signed in
   useEffect(() => {
-    fetchActiveRecoveries();
-  }, []);
+    if (authSession) {
+      fetchActiveRecoveries();
+    } else {
+      setRecoveries([]);
+    }
+  }, [authSession]);
 
   // Fetch recovery status for all recoveries
   useEffect(() => {
@@ -269,10 +286,11 @@ function App() {
           const controller = new AbortController();
           const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
           
-          const resp = await axios.post(`${API_BASE}/api/check-balance`, {
-            hackedWalletPrivateKey: autoRescueData.hackedWalletPrivateKey,
-            network: autoRescueData.network
-          }, { signal: controller.signal });
+          // When signing locally only the derived address is sent
+          const balanceRequest = signingMode === 'client'
+            ? { walletAddress: walletAddressFromKey(autoRescueData.hackedWalletPrivateKey), network: autoRescueData.network }
+            : { hackedWalletPrivateKey: autoRescueData.hackedWalletPrivateKey, network: autoRescueData.network };
+          const resp = await axios.post(`${API_BASE}/api/check-balance`, balanceRequest, { signal: controller.signal });
           
           clearTimeout(timeoutId);
           
@@ -305,7 +323,7 @@ function App() {
 
     return () => clearTimeout(timeoutId);
     // eslint-disable-next-line
-  }, [autoRescueData.hackedWalletPrivateKey, autoRescueData.network]);
+  }, [autoRescueData.hackedWalletPrivateKey, autoRescueData.network, signingMode]);
 
   // Reset showAutoRescueSummary to true whenever a new rescue is performed (i.e., when autoRescueSummary changes and is non-empty)
   useEffect(() => {
@@ -394,6 +412,57 @@ function App() {
     }
   }, [activeMultiSession, serverStatus.isOnline]);
 
+  // Client-signing sessions: sign and submit the plans the server prepared each round
+  useEffect(() => {
+    if (!activeMultiSession?.sessionId || activeMultiSession.signingMode !== 'client') return;
+
+    const signPendingPlans = async () => {
+      try {
+        const results = await signPendingSessionPlans({
+          apiBase: API_BASE,
+          sessionId: activeMultiSession.sessionId,
+          privateKey: autoRescueData.hackedWalletPrivateKey,
+          safeWallet: autoRescueData.safeWallet,
+          handledPlanIds: handledPlanIds.current,
+          onLog: line => setAutoRescueSummary(prev => [...prev, line])
+        });
+        results.filter(result => result.success).forEach(result => toast.success(result.message || 'Rescue submitted'));
+      } catch (error) {
+        console.error('Signing session plans failed:', getErrorMessage(error));
+      }
+    };
+
+    signPendingPlans();
+    const planInterval = setInterval(signPendingPlans, 15000);
+    return () => clearInterval(planInterval);
+    // eslint-disable-next-line
+  }, [activeMultiSession]);
+
+  /**
+   * Sign in to the API with the browser wallet (the safe wallet)
+   */
+  const handleSignIn = async () => {
+    setAuthLoading(true);
+    try {
+      const session = await signInWithEthereum(API_BASE);
+      setAuthSession(session);
+      toast.success(`Signed in as ${session.address.slice(0, 6)}...${session.address.slice(-4)}`);
+    } catch (error) {
+      console.error('Sign-in error:', error);
+      toast.error(error.response?.data?.error || error.message || 'Sign-in failed');
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  /**
+   * Sign out of the API
+   */
+  const handleSignOut = async () => {
+    await signOut(API_BASE);
+    setAuthSession(null);
+  };
+
   /**
    * Fetch all active recoveries from the backend
    */
@@ -1037,6 +1106,24 @@ function App() {
               >
                 {theme === 'dark' ? <Sun className="w-5 h-5 text-yellow-300" /> : <Moon className="w-5 h-5 text-blue-700" />}
               </button>
+              {authSession ? (
+                <button
+                  onClick={handleSignOut}
+                  className={`px-3 py-1.5 rounded-lg border text-sm font-mono ${theme === 'dark' ? 'border-dark-700 text-gray-300' : 'border-blue-300 text-blue-800'} hover:bg-blue-200 transition-colors`}
+                  title="Sign out"
+                >
+                  {authSession.address.slice(0, 6)}...{authSession.address.slice(-4)}{authSession.role === 'operator' ? ' (operator)' : ''}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSignIn}
+                  disabled={authLoading}
+                  className="btn-primary flex items-center space-x-2 text-sm"
+                >
+                  <Wallet className="w-4 h-4" />
+                  <span>{authLoading ? 'Signing in...' : 'Sign in with safe wallet'}</span>
+                </button>
+              )}
               <div className="flex items-center space-x-2 text-sm">
                 <span className="relative flex h-2.5 w-2.5">
                   <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
@@ -1389,7 +1476,9 @@ function App() {
                     }
 
                     const sessionPayload = {
-                      hackedWalletPrivateKey: autoRescueData.hackedWalletPrivateKey,
+                      ...(signingMode === 'client'
+                        ? { hackedWallet: walletAddressFromKey(autoRescueData.hackedWalletPrivateKey) }
+                        : { hackedWalletPrivateKey: autoRescueData.hackedWalletPrivateKey }),
                       safeWallet: autoRescueData.safeWallet,
                       primaryNetwork: autoRescueData.network,
                       runOnAllNetworks: multiConfig.runOnAllNetworks,
@@ -1400,7 +1489,7 @@ function App() {
 
                     const resp = await axios.post(`${API_BASE}/api/start-multi-recovery`, sessionPayload);
                     if (resp.data?.success) {
-                      setActiveMultiSession({ sessionId: resp.data.sessionId, networks: resp.data.networks });
+                      setActiveMultiSession({ sessionId: resp.data.sessionId, networks: resp.data.networks, signingMode: resp.data.signingMode });
                       setAutoRescueResult(resp.data.message || 'Multi-network recovery started');
                     } else {
                       setAutoRescueError(getErrorMessage(resp.data));
@@ -1425,6 +1514,20 @@ function App() {
                   // Single network auto rescue
                   setAutoRescueLoading(true);
                   try {
+                    if (signingMode === 'client') {
+                      const result = await runClientSignedRescue({
+                        apiBase: API_BASE,
+                        privateKey: autoRescueData.hackedWalletPrivateKey,
+                        safeWallet: autoRescueData.safeWallet,
+                        network: autoRescueData.network,
+                        priorityTokens: autoRescueData.priorityTokens || []
+                      });
+                      setAutoRescueResult(result.message || 'Rescue complete!');
+                      setAutoRescueSummary(result.summary || []);
+                      setAutoRescueData({ hackedWalletPrivateKey: '', safeWallet: '', network: 'mainnet', nonce: '', priorityTokens: [] });
+                      return;
+                    }
+
                     const payload = { ...autoRescueData };
                     if (payload.nonce === '' || payload.nonce === undefined) {
                       delete payload.nonce;
@@ -1458,7 +1561,26 @@ function App() {
                   className="input-field w-full"
                   required
                 />
-                <p className="text-xs text-dark-500 mt-1">Never share your private key unless you trust this rescue service.</p>
+                <p className="text-xs text-dark-500 mt-1">
+                  {signingMode === 'client'
+                    ? 'Your private key stays in this browser: the server only plans the rescue and receives signed transactions.'
+                    : 'Never share your private key unless you trust this rescue service.'}
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">Transaction Signing</label>
+                <select
+                  value={signingMode}
+                  onChange={(e) => setSigningMode(e.target.value)}
+                  className="input-field w-full"
+                  disabled={!!activeMultiSession}
+                >
+                  <option value="server">On the server</option>
+                  <option value="client">In this browser (key never leaves this device)</option>
+                </select>
+                {signingMode === 'client' && recoveryMode === 'multi' && (
+                  <p className="text-xs text-dark-500 mt-1">Keep this tab open: transactions are signed here as the server plans each round.</p>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-dark-300 mb-2">Safe Wallet Address</label>
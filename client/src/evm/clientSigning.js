@@ -0,0 +1,132 @@
+import axios from 'axios';
+import { Wallet, JsonRpcProvider } from 'ethers';
+
+/**
+ * Client-side signing for EVM rescues.
+ * The server plans a rescue as unsigned transactions (POST /api/rescue-plans),
+ * the hacked wallet's key signs them here, and only the signed transactions (or
+ * their hashes, when broadcast from the browser) go back to the server.
+ */
+
+/**
+ * Derive the wallet address for a private key without sending the key anywhere.
+ */
+export function walletAddressFromKey(privateKey) {
+  const trimmed = (privateKey || '').trim();
+  return new Wallet(trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`).address;
+}
+
+/**
+ * Turn a plan's JSON transaction request back into ethers transaction fields.
+ */
+function toTransactionRequest(request) {
+  const tx = {
+    to: request.to,
+    data: request.data,
+    value: BigInt(request.value),
+    nonce: Number(request.nonce),
+    gasLimit: BigInt(request.gasLimit),
+    chainId: BigInt(request.chainId),
+    type: Number(request.type)
+  };
+  if (tx.type === 2) {
+    tx.maxFeePerGas = BigInt(request.maxFeePerGas);
+    tx.maxPriorityFeePerGas = BigInt(request.maxPriorityFeePerGas);
+  } else {
+    tx.gasPrice = BigInt(request.gasPrice);
+  }
+  return tx;
+}
+
+/**
+ * Sign every transaction in a plan with the hacked wallet's key.
+ * Only signs plans for this wallet whose transfers all send to the expected safe
+ * wallet, so a tampered plan is never signed blindly.
+ */
+export async function signPlanTransactions(plan, privateKey, expectedSafeWallet) {
+  const trimmed = (privateKey || '').trim();
+  const wallet = new Wallet(trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`);
+  if (wallet.address.toLowerCase() !== plan.walletAddress.toLowerCase()) {
+    throw new Error(`Plan is for ${plan.walletAddress}, not ${wallet.address}`);
+  }
+  if (plan.safeWallet.toLowerCase() !== expectedSafeWallet.toLowerCase()) {
+    throw new Error(`Plan sends to ${plan.safeWallet}, not ${expectedSafeWallet}`);
+  }
+
+  const safeWallet = plan.safeWallet.toLowerCase().slice(2);
+  const signed = [];
+  for (const { label, request } of plan.transactions) {
+    if (BigInt(request.value) !== 0n || !request.data.toLowerCase().includes(safeWallet)) {
+      throw new Error(`Planned ${label} transfer does not go to the safe wallet`);
+    }
+    signed.push(await wallet.signTransaction(toTransactionRequest(request)));
+  }
+  return signed;
+}
+
+/**
+ * Submit a signed plan, either for the server to broadcast or after broadcasting
+ * it from the browser through rpcUrl.
+ */
+export async function submitSignedPlan({ apiBase, plan, signedTransactions, broadcast = 'server', rpcUrl }) {
+  if (broadcast === 'client') {
+    if (!rpcUrl) throw new Error('An RPC URL is required to broadcast from the browser');
+    const provider = new JsonRpcProvider(rpcUrl);
+    const transactionHashes = [];
+    for (const raw of signedTransactions) {
+      const response = await provider.broadcastTransaction(raw);
+      transactionHashes.push(response.hash);
+    }
+    const resp = await axios.post(`${apiBase}/api/rescue-plans/${plan.id}/submit`, { transactionHashes });
+    return resp.data;
+  }
+
+  const resp = await axios.post(`${apiBase}/api/rescue-plans/${plan.id}/submit`, { signedTransactions });
+  return resp.data;
+}
+
+/**
+ * One-shot rescue: plan on the server, sign locally, submit.
+ */
+export async function runClientSignedRescue({ apiBase, privateKey, safeWallet, network, priorityTokens = [], broadcast = 'server', rpcUrl, onLog = () => {} }) {
+  const hackedWallet = walletAddressFromKey(privateKey);
+  onLog(`Requesting rescue plan for ${hackedWallet} on ${network}`);
+
+  const planResp = await axios.post(`${apiBase}/api/rescue-plans`, { hackedWallet, safeWallet, network, priorityTokens });
+  const { plan, summary = [] } = planResp.data;
+  summary.forEach(onLog);
+
+  const signedTransactions = await signPlanTransactions(plan, privateKey, safeWallet);
+  onLog(`Signed ${signedTransactions.length} transactions locally`);
+
+  const result = await submitSignedPlan({ apiBase, plan, signedTransactions, broadcast, rpcUrl });
+  return { ...result, summary: [...summary, `Signed ${signedTransactions.length} transactions locally`, ...(result.summary || [])] };
+}
+
+/**
+ * Recurring sessions: sign and submit every plan a client-signing session is waiting on.
+ * handledPlanIds is kept by the caller across polls so each plan is submitted once.
+ */
+export async function signPendingSessionPlans({ apiBase, sessionId, privateKey, safeWallet, handledPlanIds, broadcast = 'server', rpcUrl, onLog = () => {} }) {
+  const resp = await axios.get(`${apiBase}/api/rescue-plans`, { params: { sessionId } });
+  const pendingPlans = resp.data?.plans || [];
+  const results = [];
+
+  for (const plan of pendingPlans) {
+    if (handledPlanIds.has(plan.id)) continue;
+    handledPlanIds.add(plan.id);
+
+    try {
+      const signedTransactions = await signPlanTransactions(plan, privateKey, safeWallet);
+      const result = await submitSignedPlan({ apiBase, plan, signedTransactions, broadcast, rpcUrl });
+      onLog(`${plan.network}: ${result.message || 'submitted'}`);
+      results.push(result);
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      onLog(`${plan.network}: ${message}`);
+      results.push({ success: false, planId: plan.id, error: message });
+    }
+  }
+
+  return results;
+}
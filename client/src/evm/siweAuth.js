@@ -0,0 +1,101 @@
+import axios from 'axios';
+import { BrowserProvider } from 'ethers';
+
+/**
+ * Sign-In With Ethereum (EIP-4361) for the API.
+ * The safe wallet signs a server-issued message in the browser wallet, and the
+ * bearer token the server returns is sent with every axios request so the API
+ * only shows the recoveries, sessions and saved tokens of that safe wallet.
+ */
+
+const STORAGE_KEY = 'siweSession';
+
+/**
+ * Send the token with every API request (or stop sending one).
+ */
+function applyToken(token) {
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
+
+/**
+ * Sign in with the browser wallet's current account.
+ * Returns { token, address, role, expiresAt }.
+ */
+export async function signInWithEthereum(apiBase) {
+  if (!window.ethereum) {
+    throw new Error('No browser wallet detected');
+  }
+
+  const provider = new BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  const address = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const challenge = await axios.post(`${apiBase}/api/auth/nonce`, {
+    address,
+    chainId: Number(chainId),
+    domain: window.location.host,
+    uri: window.location.origin
+  });
+  const signature = await signer.signMessage(challenge.data.message);
+  const { data } = await axios.post(`${apiBase}/api/auth/verify`, {
+    message: challenge.data.message,
+    signature
+  });
+
+  const session = { token: data.token, address: data.address, role: data.role, expiresAt: data.expiresAt };
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  applyToken(session.token);
+  return session;
+}
+
+/**
+ * Restore an unexpired session from this tab's storage, or null.
+ */
+export function restoreSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+    if (session && session.token && Date.parse(session.expiresAt) > Date.now()) {
+      applyToken(session.token);
+      return session;
+    }
+  } catch (error) {
+    // Fall through to a signed-out state
+  }
+  sessionStorage.removeItem(STORAGE_KEY);
+  return null;
+}
+
+/**
+ * Forget the session when the API stops accepting its token (it expired or the
+ * server restarted). Returns a function that removes the handler.
+ */
+export function onSessionRejected(callback) {
+  const interceptor = axios.interceptors.response.use(undefined, (error) => {
+    if (error.response?.status === 401 && axios.defaults.headers.common.Authorization) {
+      sessionStorage.removeItem(STORAGE_KEY);
+      applyToken(null);
+      callback();
+    }
+    return Promise.reject(error);
+  });
+  return () => axios.interceptors.response.eject(interceptor);
+}
+
+/**
+ * End the session on the server and forget the token.
+ */
+export async function signOut(apiBase) {
+  try {
+    await axios.post(`${apiBase}/api/auth/logout`);
+  } catch (error) {
+    // The token is dropped locally either way
+  } finally {
+    sessionStorage.removeItem(STORAGE_KEY);
+    applyToken(null);
+  }
+}
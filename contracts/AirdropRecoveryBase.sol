@@ -0,0 +1,870 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/introspection/ERC165Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./interfaces/ISignatureTransfer.sol";
+
+/**
+ * @title AirdropRecoveryBase
+ * @dev Recovery logic shared by the constructor-deployed AirdropRecovery and the
+ * UUPS-upgradeable AirdropRecoveryUpgradeable. State is only ever appended (see __gap)
+ * and every initial value is set in __AirdropRecovery_init, so it is safe behind a proxy.
+ * @author Senior Web3 Developer
+ */
+abstract contract AirdropRecoveryBase is
+    Initializable,
+    ReentrancyGuardUpgradeable,
+    OwnableUpgradeable,
+    EIP712Upgradeable,
+    ERC165Upgradeable,
+    IERC721Receiver,
+    IERC1155Receiver
+{
+    using SafeERC20 for IERC20;
+    
+    // Struct to store user recovery information
+    struct RecoveryInfo {
+        address hackedWallet;      // The hacked wallet address
+        address safeWallet;        // The safe wallet to transfer funds to
+        bool isActive;             // Whether this recovery is active
+        uint256 lastClaimTime;     // Timestamp of last claim
+    }
+
+    // Amount of one asset recovered for a wallet (token is NATIVE_TOKEN for ETH)
+    struct TokenRecovery {
+        address token;             // The ERC20 contract address, or NATIVE_TOKEN
+        uint256 amount;            // Total amount recovered from the hacked wallet
+    }
+
+    // Safe wallet change waiting out its timelock
+    struct PendingSafeWallet {
+        address newSafeWallet;     // The proposed safe wallet
+        uint256 effectiveAt;       // Timestamp from which the change can be executed
+    }
+
+    // Recovery registration together with its ledger, as returned by getRecoveryInfo
+    struct RecoveryDetails {
+        address hackedWallet;      // The hacked wallet address
+        address safeWallet;        // The safe wallet to transfer funds to
+        bool isActive;             // Whether this recovery is active
+        uint256 lastClaimTime;     // Timestamp of last claim
+        TokenRecovery[] recovered; // Per-asset recovered totals
+    }
+
+    // ERC721 item to pull in a batch claim
+    struct ERC721Item {
+        address token;             // The ERC721 contract address
+        uint256 tokenId;           // The token ID
+    }
+
+    // ERC1155 item to pull in a batch claim
+    struct ERC1155Item {
+        address token;             // The ERC1155 contract address
+        uint256 id;                // The token ID
+        uint256 amount;            // The amount to pull
+    }
+    
+    // Mapping from hacked wallet to recovery info
+    mapping(address => RecoveryInfo) public recoveryRegistry;
+
+    // Ledger key used for native ETH
+    address public constant NATIVE_TOKEN = address(0);
+
+    // Recovered totals per hacked wallet and token
+    mapping(address => mapping(address => uint256)) public recoveredAmounts;
+
+    // Assets each hacked wallet has recovered, in first-recovered order
+    mapping(address => address[]) private _recoveredTokens;
+
+    // Tokens held on behalf of each hacked wallet because forwarding to its safe wallet failed
+    mapping(address => mapping(address => uint256)) public escrowedBalances;
+
+    // Sum of escrowedBalances per token; the owner can never withdraw these
+    mapping(address => uint256) public totalEscrowed;
+
+    // Next registration signature nonce per hacked wallet
+    mapping(address => uint256) public nonces;
+
+    bytes32 public constant REGISTER_RECOVERY_TYPEHASH =
+        keccak256("RegisterRecovery(address hackedWallet,address safeWallet,uint256 nonce,uint256 deadline)");
+
+    // Next relayed claim signature nonce per hacked wallet
+    mapping(address => uint256) public claimNonces;
+
+    bytes32 public constant CLAIM_AIRDROP_TYPEHASH =
+        keccak256("ClaimAirdrop(address token,address hackedWallet,uint256 amount,uint256 nonce,uint256 deadline)");
+
+    // itemsHash is keccak256(abi.encode(erc20Tokens, erc20Amounts, erc721Items, erc1155Items))
+    bytes32 public constant CLAIM_BATCH_TYPEHASH =
+        keccak256("ClaimBatch(address hackedWallet,bytes32 itemsHash,uint256 nonce,uint256 deadline)");
+
+    // Pending safe wallet change per hacked wallet
+    mapping(address => PendingSafeWallet) public pendingSafeWalletChanges;
+
+    // Time a proposed safe wallet must wait before it can take effect
+    uint256 public safeWalletChangeDelay;
+
+    uint256 public constant MAX_SAFE_WALLET_CHANGE_DELAY = 30 days;
+
+    uint256 public constant DEFAULT_SAFE_WALLET_CHANGE_DELAY = 2 days;
+
+    // Permit2 used for signature transfers (canonical deployment by default)
+    address public permit2;
+
+    address public constant CANONICAL_PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+    
+    // Events for tracking important actions
+    event RecoveryRegistered(address indexed hackedWallet, address indexed safeWallet);
+    event AirdropClaimed(address indexed token, uint256 amount, address indexed hackedWallet);
+    event FundsTransferred(address indexed token, uint256 amount, address indexed safeWallet);
+    event RecoveryDeactivated(address indexed hackedWallet);
+    event NFTRecovered(address indexed token, uint256 indexed tokenId, address indexed hackedWallet, address safeWallet);
+    event MultiTokenRecovered(address indexed token, uint256 indexed id, uint256 amount, address indexed hackedWallet, address safeWallet);
+    event ClaimAuthorized(address indexed hackedWallet, address indexed signer, uint256 nonce, address relayer);
+    event BatchClaimed(address indexed hackedWallet, uint256 erc20Count, uint256 erc721Count, uint256 erc1155Count);
+    event Permit2BatchClaimed(address indexed hackedWallet, uint256 tokenCount);
+    event NativeRecovered(address indexed hackedWallet, address indexed safeWallet, uint256 amount);
+    event FundsEscrowed(address indexed token, uint256 amount, address indexed hackedWallet);
+    event EscrowReleased(address indexed token, uint256 amount, address indexed hackedWallet, address indexed safeWallet);
+    event SafeWalletChangeProposed(address indexed hackedWallet, address indexed currentSafeWallet, address indexed newSafeWallet, uint256 effectiveAt);
+    event SafeWalletChangeCancelled(address indexed hackedWallet, address indexed cancelledSafeWallet);
+    event SafeWalletChanged(address indexed hackedWallet, address indexed previousSafeWallet, address indexed newSafeWallet);
+    event SafeWalletChangeDelayUpdated(uint256 delay);
+    event Permit2Updated(address indexed permit2);
+
+    /**
+     * @dev Initialize ownership, the EIP-712 domain and default settings
+     * @param initialOwner The contract owner
+     */
+    function __AirdropRecovery_init(address initialOwner) internal onlyInitializing {
+        __ReentrancyGuard_init();
+        __Ownable_init(initialOwner);
+        __EIP712_init("AirdropRecovery", "1");
+        __ERC165_init();
+
+        safeWalletChangeDelay = DEFAULT_SAFE_WALLET_CHANGE_DELAY;
+        permit2 = CANONICAL_PERMIT2;
+    }
+
+    // Modifier to ensure only registered recoveries can perform actions
+    modifier onlyRegisteredRecovery(address hackedWallet) {
+        require(recoveryRegistry[hackedWallet].isActive, "Recovery not registered");
+        _;
+    }
+    
+    /**
+     * @dev Register a new recovery for a hacked wallet
+     * @param hackedWallet The address of the hacked wallet
+     * @param safeWallet The address of the safe wallet to transfer funds to
+     */
+    function registerRecovery(address hackedWallet, address safeWallet) external {
+        _validateRegistration(hackedWallet, safeWallet);
+        // Only the hacked wallet can register its own recovery to prevent hijacking
+        require(msg.sender == hackedWallet, "Only hacked wallet can register");
+
+        _storeRecovery(hackedWallet, safeWallet);
+    }
+
+    /**
+     * @dev Register a recovery authorized by an EIP-712 signature from the hacked wallet
+     * Lets the safe wallet or a relayer pay the gas, so the hacked wallet never needs ETH.
+     * @param hackedWallet The address of the hacked wallet
+     * @param safeWallet The address of the safe wallet to transfer funds to
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 RegisterRecovery signature by the hacked wallet
+     */
+    function registerRecoveryWithSig(
+        address hackedWallet,
+        address safeWallet,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _validateRegistration(hackedWallet, safeWallet);
+        require(block.timestamp <= deadline, "Signature expired");
+
+        uint256 currentNonce = nonces[hackedWallet];
+        bytes32 structHash = keccak256(abi.encode(
+            REGISTER_RECOVERY_TYPEHASH,
+            hackedWallet,
+            safeWallet,
+            currentNonce,
+            deadline
+        ));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == hackedWallet, "Invalid signature");
+
+        nonces[hackedWallet] = currentNonce + 1;
+        _storeRecovery(hackedWallet, safeWallet);
+    }
+
+    /**
+     * @dev Check that a recovery can be registered for these wallets
+     * @param hackedWallet The address of the hacked wallet
+     * @param safeWallet The address of the safe wallet to transfer funds to
+     */
+    function _validateRegistration(address hackedWallet, address safeWallet) internal view {
+        require(hackedWallet != address(0), "Invalid hacked wallet address");
+        require(safeWallet != address(0), "Invalid safe wallet address");
+        require(hackedWallet != safeWallet, "Wallets must be different");
+        require(!recoveryRegistry[hackedWallet].isActive, "Recovery already registered");
+    }
+
+    /**
+     * @dev Store a validated recovery registration
+     * A wallet registered before is reactivated with its previous safe wallet; a different
+     * safe wallet only takes effect through the same timelock as proposeSafeWallet, so
+     * whoever holds the hacked key cannot redirect recoveries or escrow by re-registering.
+     * @param hackedWallet The address of the hacked wallet
+     * @param safeWallet The address of the safe wallet to transfer funds to
+     */
+    function _storeRecovery(address hackedWallet, address safeWallet) internal {
+        delete pendingSafeWalletChanges[hackedWallet];
+
+        address previousSafeWallet = recoveryRegistry[hackedWallet].safeWallet;
+        address activeSafeWallet = previousSafeWallet == address(0) ? safeWallet : previousSafeWallet;
+
+        recoveryRegistry[hackedWallet] = RecoveryInfo({
+            hackedWallet: hackedWallet,
+            safeWallet: activeSafeWallet,
+            isActive: true,
+            lastClaimTime: 0
+        });
+        
+        emit RecoveryRegistered(hackedWallet, activeSafeWallet);
+
+        if (safeWallet != activeSafeWallet) {
+            _proposeSafeWallet(hackedWallet, safeWallet);
+        }
+    }
+    
+    /**
+     * @dev Propose a new safe wallet; it takes effect after safeWalletChangeDelay
+     * Only the current safe wallet can propose, so whoever controls the hacked key cannot
+     * redirect recoveries. A new proposal replaces any pending one.
+     * @param hackedWallet The hacked wallet address
+     * @param newSafeWallet The proposed safe wallet
+     */
+    function proposeSafeWallet(address hackedWallet, address newSafeWallet) external onlyRegisteredRecovery(hackedWallet) {
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        require(msg.sender == recovery.safeWallet, "Only safe wallet can propose");
+        require(newSafeWallet != address(0), "Invalid safe wallet address");
+        require(newSafeWallet != hackedWallet, "Wallets must be different");
+        require(newSafeWallet != recovery.safeWallet, "Already the safe wallet");
+
+        _proposeSafeWallet(hackedWallet, newSafeWallet);
+    }
+
+    /**
+     * @dev Start the timelock for a new safe wallet, replacing any pending change
+     * @param hackedWallet The hacked wallet address
+     * @param newSafeWallet The proposed safe wallet
+     */
+    function _proposeSafeWallet(address hackedWallet, address newSafeWallet) internal {
+        uint256 effectiveAt = block.timestamp + safeWalletChangeDelay;
+        pendingSafeWalletChanges[hackedWallet] = PendingSafeWallet({
+            newSafeWallet: newSafeWallet,
+            effectiveAt: effectiveAt
+        });
+
+        emit SafeWalletChangeProposed(hackedWallet, recoveryRegistry[hackedWallet].safeWallet, newSafeWallet, effectiveAt);
+    }
+
+    /**
+     * @dev Cancel a pending safe wallet change
+     * @param hackedWallet The hacked wallet address
+     */
+    function cancelSafeWalletChange(address hackedWallet) external {
+        require(msg.sender == recoveryRegistry[hackedWallet].safeWallet, "Only safe wallet can cancel");
+        require(pendingSafeWalletChanges[hackedWallet].newSafeWallet != address(0), "No pending change");
+
+        _cancelSafeWalletChange(hackedWallet);
+    }
+
+    /**
+     * @dev Apply a pending safe wallet change once its delay has passed
+     * Anyone may execute it; the destination was fixed when it was proposed.
+     * @param hackedWallet The hacked wallet address
+     */
+    function executeSafeWalletChange(address hackedWallet) external onlyRegisteredRecovery(hackedWallet) {
+        PendingSafeWallet memory pending = pendingSafeWalletChanges[hackedWallet];
+        require(pending.newSafeWallet != address(0), "No pending change");
+        require(block.timestamp >= pending.effectiveAt, "Change still timelocked");
+
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        address previousSafeWallet = recovery.safeWallet;
+        recovery.safeWallet = pending.newSafeWallet;
+        delete pendingSafeWalletChanges[hackedWallet];
+
+        emit SafeWalletChanged(hackedWallet, previousSafeWallet, pending.newSafeWallet);
+    }
+
+    /**
+     * @dev Set the delay applied to future safe wallet proposals
+     * @param delay The delay in seconds
+     */
+    function setSafeWalletChangeDelay(uint256 delay) external onlyOwner {
+        require(delay <= MAX_SAFE_WALLET_CHANGE_DELAY, "Delay too long");
+        safeWalletChangeDelay = delay;
+
+        emit SafeWalletChangeDelayUpdated(delay);
+    }
+
+    /**
+     * @dev Drop a pending safe wallet change
+     * @param hackedWallet The hacked wallet address
+     */
+    function _cancelSafeWalletChange(address hackedWallet) internal {
+        address cancelled = pendingSafeWalletChanges[hackedWallet].newSafeWallet;
+        delete pendingSafeWalletChanges[hackedWallet];
+
+        emit SafeWalletChangeCancelled(hackedWallet, cancelled);
+    }
+
+    /**
+     * @dev Claim airdrop tokens from a hacked wallet
+     * The hacked wallet or its safe wallet can call this directly; anyone else (a relayer)
+     * must submit an EIP-712 ClaimAirdrop signature from one of them.
+     * @param tokenAddress The ERC20 token contract address
+     * @param hackedWallet The hacked wallet address
+     * @param amount The amount to claim
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 ClaimAirdrop signature by the hacked or safe wallet (empty for direct calls)
+     */
+    function claimAirdrop(
+        address tokenAddress,
+        address hackedWallet,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRegisteredRecovery(hackedWallet) nonReentrant {
+        require(tokenAddress != address(0), "Invalid token address");
+        require(amount > 0, "Amount must be greater than 0");
+
+        _authorizeClaim(hackedWallet, deadline, signature, _claimAirdropHash(tokenAddress, hackedWallet, amount, deadline));
+        
+        IERC20 token = IERC20(tokenAddress);
+        
+        // Check if the hacked wallet has enough tokens
+        uint256 balance = token.balanceOf(hackedWallet);
+        require(balance >= amount, "Insufficient token balance");
+        
+        // Check if this contract is approved to spend tokens from hacked wallet
+        uint256 allowance = token.allowance(hackedWallet, address(this));
+        require(allowance >= amount, "Insufficient allowance");
+        
+        // Transfer tokens from hacked wallet to this contract
+        uint256 received = _pullERC20(token, hackedWallet, amount);
+        
+        // Update recovery info
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        recovery.lastClaimTime = block.timestamp;
+        _recordRecovery(hackedWallet, tokenAddress, received);
+        
+        emit AirdropClaimed(tokenAddress, received, hackedWallet);
+        
+        // Automatically transfer to safe wallet
+        _transferToSafeWallet(hackedWallet, tokenAddress, received, recovery.safeWallet);
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a ClaimAirdrop at the hacked wallet's current claim nonce
+     * @param tokenAddress The ERC20 token contract address
+     * @param hackedWallet The hacked wallet address
+     * @param amount The amount to claim
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @return bytes32 The struct hash
+     */
+    function _claimAirdropHash(
+        address tokenAddress,
+        address hackedWallet,
+        uint256 amount,
+        uint256 deadline
+    ) internal view returns (bytes32) {
+        return keccak256(abi.encode(
+            CLAIM_AIRDROP_TYPEHASH,
+            tokenAddress,
+            hackedWallet,
+            amount,
+            claimNonces[hackedWallet],
+            deadline
+        ));
+    }
+
+    /**
+     * @dev EIP-712 struct hash of a ClaimBatch at the hacked wallet's current claim nonce
+     * @param hackedWallet The hacked wallet address
+     * @param itemsHash Hash of the batch's items (see CLAIM_BATCH_TYPEHASH)
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @return bytes32 The struct hash
+     */
+    function _claimBatchHash(address hackedWallet, bytes32 itemsHash, uint256 deadline) internal view returns (bytes32) {
+        return keccak256(abi.encode(
+            CLAIM_BATCH_TYPEHASH,
+            hackedWallet,
+            itemsHash,
+            claimNonces[hackedWallet],
+            deadline
+        ));
+    }
+
+    /**
+     * @dev Check that a claim comes from, or is signed by, the hacked or safe wallet
+     * Signed claims consume the hacked wallet's claim nonce so they cannot be replayed.
+     * @param hackedWallet The hacked wallet address
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 ClaimAirdrop or ClaimBatch signature
+     * @param structHash EIP-712 struct hash of the claim, built with the current claim nonce
+     */
+    function _authorizeClaim(
+        address hackedWallet,
+        uint256 deadline,
+        bytes calldata signature,
+        bytes32 structHash
+    ) internal {
+        address safeWallet = recoveryRegistry[hackedWallet].safeWallet;
+        if (msg.sender == hackedWallet || msg.sender == safeWallet) {
+            return;
+        }
+
+        require(signature.length > 0, "Not authorized");
+        require(block.timestamp <= deadline, "Signature expired");
+
+        uint256 currentNonce = claimNonces[hackedWallet];
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == hackedWallet || signer == safeWallet, "Invalid signature");
+
+        claimNonces[hackedWallet] = currentNonce + 1;
+        emit ClaimAuthorized(hackedWallet, signer, currentNonce, msg.sender);
+    }
+
+    /**
+     * @dev Claim several assets from a hacked wallet in one transaction
+     * Each asset is pulled into this contract and forwarded to the safe wallet, so the
+     * drainer cannot interleave transactions between them. The hacked wallet must have
+     * approved this contract (ERC20 allowance, or setApprovalForAll for ERC721/ERC1155).
+     * Like claimAirdrop, only the hacked or safe wallet may call it directly; anyone else
+     * must submit their EIP-712 ClaimBatch signature.
+     * @param hackedWallet The hacked wallet address
+     * @param erc20Tokens The ERC20 token contract addresses
+     * @param erc20Amounts The amount to claim for each ERC20 token
+     * @param erc721Items The ERC721 tokens to claim
+     * @param erc1155Items The ERC1155 tokens and amounts to claim
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 ClaimBatch signature by the hacked or safe wallet (empty for direct calls)
+     */
+    function claimBatch(
+        address hackedWallet,
+        address[] calldata erc20Tokens,
+        uint256[] calldata erc20Amounts,
+        ERC721Item[] calldata erc721Items,
+        ERC1155Item[] calldata erc1155Items,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRegisteredRecovery(hackedWallet) nonReentrant {
+        require(erc20Tokens.length == erc20Amounts.length, "Array length mismatch");
+        require(
+            erc20Tokens.length + erc721Items.length + erc1155Items.length > 0,
+            "Nothing to claim"
+        );
+
+        bytes32 structHash = _claimBatchHash(
+            hackedWallet,
+            keccak256(abi.encode(erc20Tokens, erc20Amounts, erc721Items, erc1155Items)),
+            deadline
+        );
+        _authorizeClaim(hackedWallet, deadline, signature, structHash);
+
+        _claimBatchItems(hackedWallet, erc20Tokens, erc20Amounts, erc721Items, erc1155Items);
+    }
+
+    /**
+     * @dev Pull and forward every item of an authorized batch claim
+     * @param hackedWallet The hacked wallet address
+     * @param erc20Tokens The ERC20 token contract addresses
+     * @param erc20Amounts The amount to claim for each ERC20 token
+     * @param erc721Items The ERC721 tokens to claim
+     * @param erc1155Items The ERC1155 tokens and amounts to claim
+     */
+    function _claimBatchItems(
+        address hackedWallet,
+        address[] calldata erc20Tokens,
+        uint256[] calldata erc20Amounts,
+        ERC721Item[] calldata erc721Items,
+        ERC1155Item[] calldata erc1155Items
+    ) internal {
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        address safeWallet = recovery.safeWallet;
+
+        for (uint256 i = 0; i < erc20Tokens.length; i++) {
+            require(erc20Tokens[i] != address(0), "Invalid token address");
+            require(erc20Amounts[i] > 0, "Amount must be greater than 0");
+
+            uint256 received = _pullERC20(IERC20(erc20Tokens[i]), hackedWallet, erc20Amounts[i]);
+            _recordRecovery(hackedWallet, erc20Tokens[i], received);
+
+            emit AirdropClaimed(erc20Tokens[i], received, hackedWallet);
+            _transferToSafeWallet(hackedWallet, erc20Tokens[i], received, safeWallet);
+        }
+
+        for (uint256 i = 0; i < erc721Items.length; i++) {
+            require(erc721Items[i].token != address(0), "Invalid token address");
+
+            IERC721 collection = IERC721(erc721Items[i].token);
+            collection.safeTransferFrom(hackedWallet, address(this), erc721Items[i].tokenId);
+            collection.safeTransferFrom(address(this), safeWallet, erc721Items[i].tokenId);
+
+            emit NFTRecovered(erc721Items[i].token, erc721Items[i].tokenId, hackedWallet, safeWallet);
+        }
+
+        for (uint256 i = 0; i < erc1155Items.length; i++) {
+            require(erc1155Items[i].token != address(0), "Invalid token address");
+            require(erc1155Items[i].amount > 0, "Amount must be greater than 0");
+
+            IERC1155 collection = IERC1155(erc1155Items[i].token);
+            collection.safeTransferFrom(hackedWallet, address(this), erc1155Items[i].id, erc1155Items[i].amount, "");
+            collection.safeTransferFrom(address(this), safeWallet, erc1155Items[i].id, erc1155Items[i].amount, "");
+
+            emit MultiTokenRecovered(erc1155Items[i].token, erc1155Items[i].id, erc1155Items[i].amount, hackedWallet, safeWallet);
+        }
+
+        recovery.lastClaimTime = block.timestamp;
+
+        emit BatchClaimed(hackedWallet, erc20Tokens.length, erc721Items.length, erc1155Items.length);
+    }
+
+    /**
+     * @dev Claim ERC20 tokens with a Permit2 batch signature from the hacked wallet
+     * Permit2 moves every permitted token straight to the safe wallet, so the hacked
+     * wallet needs no transaction of its own as long as it already has Permit2 allowances.
+     * The permit must name this contract as spender; anyone may submit it.
+     * @param hackedWallet The hacked wallet address (the permit signer)
+     * @param permit The signed PermitBatchTransferFrom
+     * @param signature EIP-712 Permit2 signature by the hacked wallet
+     */
+    function claimWithPermit2Batch(
+        address hackedWallet,
+        ISignatureTransfer.PermitBatchTransferFrom calldata permit,
+        bytes calldata signature
+    ) external onlyRegisteredRecovery(hackedWallet) nonReentrant {
+        uint256 count = permit.permitted.length;
+        require(count > 0, "Nothing to claim");
+
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        address safeWallet = recovery.safeWallet;
+
+        ISignatureTransfer.SignatureTransferDetails[] memory transferDetails =
+            new ISignatureTransfer.SignatureTransferDetails[](count);
+        for (uint256 i = 0; i < count; i++) {
+            require(permit.permitted[i].token != address(0), "Invalid token address");
+            require(permit.permitted[i].amount > 0, "Amount must be greater than 0");
+            transferDetails[i] = ISignatureTransfer.SignatureTransferDetails({
+                to: safeWallet,
+                requestedAmount: permit.permitted[i].amount
+            });
+        }
+
+        ISignatureTransfer(permit2).permitTransferFrom(permit, transferDetails, hackedWallet, signature);
+
+        for (uint256 i = 0; i < count; i++) {
+            _recordRecovery(hackedWallet, permit.permitted[i].token, permit.permitted[i].amount);
+            emit AirdropClaimed(permit.permitted[i].token, permit.permitted[i].amount, hackedWallet);
+            emit FundsTransferred(permit.permitted[i].token, permit.permitted[i].amount, safeWallet);
+        }
+        recovery.lastClaimTime = block.timestamp;
+
+        emit Permit2BatchClaimed(hackedWallet, count);
+    }
+
+    /**
+     * @dev Forward native ETH to a hacked wallet's safe wallet
+     * Anyone may send ETH on the wallet's behalf; it only ever goes to the safe wallet.
+     * @param hackedWallet The hacked wallet the ETH is recovered for
+     */
+    function recoverNative(address hackedWallet) external payable nonReentrant {
+        _recoverNative(hackedWallet, msg.value);
+    }
+
+    /**
+     * @dev Record native ETH against a wallet's ledger and forward it to the safe wallet
+     * @param hackedWallet The hacked wallet the ETH is recovered for
+     * @param amount The amount of ETH received
+     */
+    function _recoverNative(address hackedWallet, uint256 amount) internal {
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        require(recovery.isActive, "Recovery not registered");
+        require(amount > 0, "Amount must be greater than 0");
+
+        recovery.lastClaimTime = block.timestamp;
+        _recordRecovery(hackedWallet, NATIVE_TOKEN, amount);
+
+        (bool sent, ) = recovery.safeWallet.call{value: amount}("");
+        require(sent, "ETH transfer to safe wallet failed");
+
+        emit NativeRecovered(hackedWallet, recovery.safeWallet, amount);
+    }
+
+    /**
+     * @dev Add a recovered amount to a wallet's per-token ledger
+     * @param hackedWallet The hacked wallet address
+     * @param token The ERC20 contract address, or NATIVE_TOKEN
+     * @param amount The amount recovered
+     */
+    function _recordRecovery(address hackedWallet, address token, uint256 amount) internal {
+        if (recoveredAmounts[hackedWallet][token] == 0) {
+            _recoveredTokens[hackedWallet].push(token);
+        }
+        recoveredAmounts[hackedWallet][token] += amount;
+    }
+
+    /**
+     * @dev Point signature transfers at a different Permit2 deployment
+     * @param newPermit2 The Permit2 contract address
+     */
+    function setPermit2(address newPermit2) external onlyOwner {
+        require(newPermit2 != address(0), "Invalid Permit2 address");
+        permit2 = newPermit2;
+
+        emit Permit2Updated(newPermit2);
+    }
+
+    /**
+     * @dev Pull claimed tokens from the hacked wallet into this contract
+     * Returns what actually arrived, which is less than the amount for fee-on-transfer
+     * tokens; forwarding or escrowing the full amount would spend other claims' tokens.
+     * @param token The ERC20 token contract
+     * @param hackedWallet The hacked wallet the tokens are claimed from
+     * @param amount The amount to pull
+     * @return received The amount this contract received
+     */
+    function _pullERC20(IERC20 token, address hackedWallet, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = token.balanceOf(address(this));
+        require(token.transferFrom(hackedWallet, address(this), amount), "Transfer failed");
+        received = token.balanceOf(address(this)) - balanceBefore;
+        require(received > 0, "Nothing received");
+    }
+
+    /**
+     * @dev Transfer claimed tokens to the safe wallet
+     * If the transfer fails (e.g. the token blocks the safe wallet), the tokens stay in
+     * escrow for the hacked wallet instead of reverting the claim.
+     * @param hackedWallet The hacked wallet the tokens were claimed from
+     * @param tokenAddress The ERC20 token contract address
+     * @param amount The amount to transfer
+     * @param safeWallet The safe wallet address
+     */
+    function _transferToSafeWallet(
+        address hackedWallet,
+        address tokenAddress,
+        uint256 amount,
+        address safeWallet
+    ) internal {
+        (bool success, bytes memory data) = tokenAddress.call(
+            abi.encodeCall(IERC20.transfer, (safeWallet, amount))
+        );
+
+        if (success && (data.length == 0 || abi.decode(data, (bool)))) {
+            emit FundsTransferred(tokenAddress, amount, safeWallet);
+            return;
+        }
+
+        escrowedBalances[hackedWallet][tokenAddress] += amount;
+        totalEscrowed[tokenAddress] += amount;
+
+        emit FundsEscrowed(tokenAddress, amount, hackedWallet);
+    }
+
+    /**
+     * @dev Send a hacked wallet's escrowed tokens to its current safe wallet
+     * Only the safe wallet can withdraw, and it only changes through the rotation
+     * timelock (see _storeRecovery), so escrow cannot be redirected by the hacked key.
+     * @param hackedWallet The hacked wallet address
+     * @param tokenAddress The ERC20 token contract address
+     */
+    function withdrawEscrow(address hackedWallet, address tokenAddress) external nonReentrant {
+        address safeWallet = recoveryRegistry[hackedWallet].safeWallet;
+        require(msg.sender == safeWallet, "Not authorized");
+
+        uint256 amount = escrowedBalances[hackedWallet][tokenAddress];
+        require(amount > 0, "Nothing escrowed");
+
+        escrowedBalances[hackedWallet][tokenAddress] = 0;
+        totalEscrowed[tokenAddress] -= amount;
+        IERC20(tokenAddress).safeTransfer(safeWallet, amount);
+
+        emit EscrowReleased(tokenAddress, amount, hackedWallet, safeWallet);
+    }
+
+    /**
+     * @dev Get the part of this contract's token balance that no user has a claim on
+     * @param tokenAddress The ERC20 token contract address
+     * @return uint256 Balance the owner may withdraw
+     */
+    function unclaimedBalance(address tokenAddress) public view returns (uint256) {
+        uint256 balance = IERC20(tokenAddress).balanceOf(address(this));
+        uint256 escrowed = totalEscrowed[tokenAddress];
+        return balance > escrowed ? balance - escrowed : 0;
+    }
+    
+    /**
+     * @dev Emergency function to transfer tokens nobody has a claim on (e.g. sent by mistake)
+     * Escrowed balances are excluded; only their owners can withdraw them.
+     * @param tokenAddress The ERC20 token contract address
+     * @param amount The amount to transfer
+     * @param recipient The recipient address
+     */
+    function emergencyWithdraw(
+        address tokenAddress,
+        uint256 amount,
+        address recipient
+    ) external onlyOwner nonReentrant {
+        require(recipient != address(0), "Invalid recipient address");
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= unclaimedBalance(tokenAddress), "Amount exceeds unclaimed balance");
+        
+        IERC20 token = IERC20(tokenAddress);
+        require(token.transfer(recipient, amount), "Emergency withdrawal failed");
+    }
+    
+    /**
+     * @dev Deactivate a recovery
+     * Only the safe wallet can deactivate: the hacked key may be held by the attacker.
+     * @param hackedWallet The hacked wallet address
+     */
+    function deactivateRecovery(address hackedWallet) external {
+        require(recoveryRegistry[hackedWallet].isActive, "Recovery not active");
+
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        require(msg.sender == recovery.safeWallet, "Not authorized");
+
+        recovery.isActive = false;
+        if (pendingSafeWalletChanges[hackedWallet].newSafeWallet != address(0)) {
+            _cancelSafeWalletChange(hackedWallet);
+        }
+        
+        emit RecoveryDeactivated(hackedWallet);
+    }
+    
+    /**
+     * @dev Get recovery information for a hacked wallet
+     * @param hackedWallet The hacked wallet address
+     * @return RecoveryDetails struct containing the registration and its ledger
+     */
+    function getRecoveryInfo(address hackedWallet) external view returns (RecoveryDetails memory) {
+        RecoveryInfo storage recovery = recoveryRegistry[hackedWallet];
+        return RecoveryDetails({
+            hackedWallet: recovery.hackedWallet,
+            safeWallet: recovery.safeWallet,
+            isActive: recovery.isActive,
+            lastClaimTime: recovery.lastClaimTime,
+            recovered: getRecoveryLedger(hackedWallet)
+        });
+    }
+
+    /**
+     * @dev Get every asset recovered for a hacked wallet with its total
+     * ERC20 tokens and native ETH (NATIVE_TOKEN); NFTs are tracked by their events.
+     * @param hackedWallet The hacked wallet address
+     * @return TokenRecovery array in first-recovered order
+     */
+    function getRecoveryLedger(address hackedWallet) public view returns (TokenRecovery[] memory) {
+        address[] storage tokens = _recoveredTokens[hackedWallet];
+        TokenRecovery[] memory ledger = new TokenRecovery[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            ledger[i] = TokenRecovery({ token: tokens[i], amount: recoveredAmounts[hackedWallet][tokens[i]] });
+        }
+        return ledger;
+    }
+    
+    /**
+     * @dev Check if a recovery is active for a given wallet
+     * @param hackedWallet The hacked wallet address
+     * @return bool True if recovery is active
+     */
+    function isRecoveryActive(address hackedWallet) external view returns (bool) {
+        return recoveryRegistry[hackedWallet].isActive;
+    }
+    
+    /**
+     * @dev Accept ERC721 tokens only while this contract is pulling them in claimBatch
+     * @param operator The address that initiated the transfer
+     * @return bytes4 The ERC721 receiver selector
+     */
+    function onERC721Received(
+        address operator,
+        address,
+        uint256,
+        bytes calldata
+    ) external view override returns (bytes4) {
+        require(operator == address(this), "Direct transfers not accepted");
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Accept ERC1155 tokens only while this contract is pulling them in claimBatch
+     * @param operator The address that initiated the transfer
+     * @return bytes4 The ERC1155 single receiver selector
+     */
+    function onERC1155Received(
+        address operator,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external view override returns (bytes4) {
+        require(operator == address(this), "Direct transfers not accepted");
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev Accept ERC1155 batches only while this contract is pulling them
+     * @param operator The address that initiated the transfer
+     * @return bytes4 The ERC1155 batch receiver selector
+     */
+    function onERC1155BatchReceived(
+        address operator,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external view override returns (bytes4) {
+        require(operator == address(this), "Direct transfers not accepted");
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}
+     * @param interfaceId The interface identifier
+     * @return bool True if the interface is supported
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC165Upgradeable, IERC165) returns (bool) {
+        return
+            interfaceId == type(IERC721Receiver).interfaceId ||
+            interfaceId == type(IERC1155Receiver).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Receive ETH sent by a registered hacked wallet and forward it to its safe wallet
+     */
+    receive() external payable nonReentrant {
+        _recoverNative(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Reserved storage so later versions can add state without shifting
+     * the layout of contracts that inherit this one
+     */
+    uint256[40] private __gap;
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title AirdropRecoveryProxy
+ * @dev ERC-1967 proxy for AirdropRecoveryUpgradeable. Holds all recovery state and
+ * delegates every call to the implementation, which carries the upgrade logic (UUPS).
+ * @author Senior Web3 Developer
+ */
+contract AirdropRecoveryProxy is ERC1967Proxy {
+    /**
+     * @dev Constructor
+     * @param implementation_ The initial AirdropRecoveryUpgradeable implementation
+     * @param data Initializer calldata, e.g. initialize(owner)
+     */
+    constructor(address implementation_, bytes memory data) payable ERC1967Proxy(implementation_, data) {}
+}
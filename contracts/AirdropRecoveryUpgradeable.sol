@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./AirdropRecoveryBase.sol";
+
+/**
+ * @title AirdropRecoveryUpgradeable
+ * @dev UUPS-upgradeable AirdropRecovery, deployed behind an AirdropRecoveryProxy.
+ * The implementation keeps its upgrade logic (ERC-1822) and only the owner can upgrade.
+ * @author Senior Web3 Developer
+ */
+contract AirdropRecoveryUpgradeable is AirdropRecoveryBase, UUPSUpgradeable {
+    /**
+     * @dev Locks the implementation so it can only be initialized through a proxy
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy's storage
+     * @param initialOwner The contract owner
+     */
+    function initialize(address initialOwner) external initializer {
+        __AirdropRecovery_init(initialOwner);
+        __UUPSUpgradeable_init();
+    }
+
+    /**
+     * @dev Implementation version, bumped by every upgrade
+     */
+    function version() external pure virtual returns (string memory) {
+        return "1.0.0";
+    }
+
+    /**
+     * @dev Current implementation behind the proxy
+     */
+    function implementation() external view returns (address) {
+        return ERC1967Utils.getImplementation();
+    }
+
+    /**
+     * @dev Only the owner can upgrade (upgradeToAndCall)
+     * @param newImplementation The new implementation address
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+}
@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+
+/**
+ * @title BatchExecutor
+ * @dev EIP-7702 delegation target for compromised EOAs. Once a hacked wallet delegates
+ * to this contract, a sponsor can submit one transaction that executes a batch of
+ * calls (token transfers) as the hacked wallet, authorized by an EIP-712 signature
+ * from the hacked wallet's own key.
+ *
+ * The contract runs in the context of the delegating EOA, so state lives in the EOA's
+ * storage under an ERC-7201 namespace to avoid clashing with any other delegate.
+ * @author Senior Web3 Developer
+ */
+contract BatchExecutor is EIP712, IERC721Receiver, IERC1155Receiver {
+
+    // A single call to execute as the delegating wallet
+    struct Call {
+        address target;            // Contract or account to call
+        uint256 value;             // Native value to send
+        bytes data;                // Calldata
+    }
+
+    /// @custom:storage-location erc7201:tokenrecovery.storage.BatchExecutor
+    struct ExecutorStorage {
+        uint256 nonce;             // Replay protection for signed batches
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("tokenrecovery.storage.BatchExecutor")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant EXECUTOR_STORAGE_LOCATION =
+        0x11f76bea2901a397d8f01f5a294c1133561c9d1de215f2787128a96c30dacb00;
+
+    bytes32 public constant CALL_TYPEHASH =
+        keccak256("Call(address target,uint256 value,bytes data)");
+
+    bytes32 public constant EXECUTE_TYPEHASH =
+        keccak256("Execute(Call[] calls,uint256 nonce,uint256 deadline)Call(address target,uint256 value,bytes data)");
+
+    // Events for tracking batch execution
+    event BatchExecuted(uint256 indexed nonce, uint256 callCount, uint256 failedCount);
+    event CallFailed(uint256 indexed index, address indexed target, bytes reason);
+
+    constructor() EIP712("BatchExecutor", "1") {}
+
+    /**
+     * @dev Execute a batch of calls sent directly by the delegating wallet itself
+     * @param calls The calls to execute
+     */
+    function execute(Call[] calldata calls) external payable {
+        require(msg.sender == address(this), "Only self can execute");
+        _executeBatch(calls, _getExecutorStorage().nonce++);
+    }
+
+    /**
+     * @dev Execute a batch of calls submitted by anyone (e.g. a gas sponsor)
+     * @param calls The calls to execute
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 signature of the batch by the delegating wallet
+     */
+    function executeWithSig(
+        Call[] calldata calls,
+        uint256 deadline,
+        bytes calldata signature
+    ) external payable {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        ExecutorStorage storage $ = _getExecutorStorage();
+        uint256 currentNonce = $.nonce;
+
+        bytes32 structHash = keccak256(abi.encode(
+            EXECUTE_TYPEHASH,
+            _hashCalls(calls),
+            currentNonce,
+            deadline
+        ));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == address(this), "Invalid signature");
+
+        $.nonce = currentNonce + 1;
+        _executeBatch(calls, currentNonce);
+    }
+
+    /**
+     * @dev Get the next batch nonce for the delegating wallet
+     * @return The current nonce
+     */
+    function nonce() external view returns (uint256) {
+        return _getExecutorStorage().nonce;
+    }
+
+    /**
+     * @dev Accept ERC721 tokens so airdrops to a delegated wallet do not revert
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Accept ERC1155 tokens so airdrops to a delegated wallet do not revert
+     */
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure returns (bytes4) {
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev Accept ERC1155 batch transfers
+     */
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @dev ERC165 support for the receiver interfaces
+     */
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == type(IERC721Receiver).interfaceId ||
+            interfaceId == type(IERC1155Receiver).interfaceId ||
+            interfaceId == 0x01ffc9a7; // ERC165
+    }
+
+    // Accept native tokens
+    receive() external payable {}
+
+    /**
+     * @dev Run every call; a failing call is reported but does not stop the rest of the
+     * rescue, so one broken or malicious token cannot block the other assets
+     */
+    function _executeBatch(Call[] calldata calls, uint256 batchNonce) internal {
+        uint256 failedCount = 0;
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory result) = calls[i].target.call{value: calls[i].value}(calls[i].data);
+            if (!success) {
+                failedCount++;
+                emit CallFailed(i, calls[i].target, result);
+            }
+        }
+        emit BatchExecuted(batchNonce, calls.length, failedCount);
+    }
+
+    function _hashCalls(Call[] calldata calls) internal pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            hashes[i] = keccak256(abi.encode(
+                CALL_TYPEHASH,
+                calls[i].target,
+                calls[i].value,
+                keccak256(calls[i].data)
+            ));
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+
+    function _getExecutorStorage() private pure returns (ExecutorStorage storage $) {
+        assembly {
+            $.slot := EXECUTOR_STORAGE_LOCATION
+        }
+    }
+}
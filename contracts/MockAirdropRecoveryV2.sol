@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./AirdropRecoveryUpgradeable.sol";
+
+/**
+ * @title MockAirdropRecoveryV2
+ * @dev Second AirdropRecoveryUpgradeable implementation used to test upgrades.
+ * Appends one state variable after the inherited layout and sets it in a reinitializer.
+ */
+contract MockAirdropRecoveryV2 is AirdropRecoveryUpgradeable {
+    uint256 public upgradeMarker;
+
+    /**
+     * @dev Run once by upgradeToAndCall
+     * @param marker Value stored in the new slot
+     */
+    function initializeV2(uint256 marker) external reinitializer(2) {
+        upgradeMarker = marker;
+    }
+
+    function version() external pure override returns (string memory) {
+        return "2.0.0";
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockBlocklistERC20
+ * @dev Mock ERC20 with a USDC-style blocklist, for testing transfers that fail
+ * @author Senior Web3 Developer
+ */
+contract MockBlocklistERC20 is MockERC20 {
+    mapping(address => bool) public isBlocked;
+
+    /**
+     * @dev Constructor
+     * @param name The name of the token
+     * @param symbol The symbol of the token
+     */
+    constructor(string memory name, string memory symbol) MockERC20(name, symbol) {}
+
+    /**
+     * @dev Block or unblock an address from sending and receiving (only owner)
+     * @param account The address to update
+     * @param blocked Whether the address is blocked
+     */
+    function setBlocked(address account, bool blocked) external onlyOwner {
+        isBlocked[account] = blocked;
+    }
+
+    /**
+     * @dev Reject transfers from or to blocked addresses
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        require(!isBlocked[from] && !isBlocked[to], "Blocked");
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title MockERC1155
+ * @dev Mock ERC1155 token for testing purposes
+ * @author Senior Web3 Developer
+ */
+contract MockERC1155 is ERC1155, Ownable {
+    
+    /**
+     * @dev Constructor
+     * @param uri The metadata URI
+     */
+    constructor(string memory uri) ERC1155(uri) Ownable(msg.sender) {}
+    
+    /**
+     * @dev Mint tokens (only owner)
+     * @param to The address to mint tokens to
+     * @param id The token ID to mint
+     * @param amount The amount to mint
+     */
+    function mint(address to, uint256 id, uint256 amount) external onlyOwner {
+        _mint(to, id, amount, "");
+    }
+}
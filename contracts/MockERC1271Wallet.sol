@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @dev Contract wallet that accepts signatures from a single owner key through
+ * EIP-1271, for testing sign-in with smart contract safe wallets
+ * @author Senior Web3 Developer
+ */
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    /**
+     * @dev Constructor
+     * @param owner_ The key whose signatures the wallet accepts
+     */
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    /**
+     * @dev Check a signature over a hash
+     * @param hash The signed hash
+     * @param signature The owner's signature
+     * @return magicValue The EIP-1271 magic value if the owner signed, 0xffffffff otherwise
+     */
+    function isValidSignature(bytes32 hash, bytes memory signature) external view override returns (bytes4 magicValue) {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == owner) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title MockERC721
+ * @dev Mock ERC721 token for testing purposes
+ * @author Senior Web3 Developer
+ */
+contract MockERC721 is ERC721, Ownable {
+    
+    /**
+     * @dev Constructor
+     * @param name The name of the collection
+     * @param symbol The symbol of the collection
+     */
+    constructor(string memory name, string memory symbol) ERC721(name, symbol) Ownable(msg.sender) {}
+    
+    /**
+     * @dev Mint a token (only owner)
+     * @param to The address to mint the token to
+     * @param tokenId The token ID to mint
+     */
+    function mint(address to, uint256 tokenId) external onlyOwner {
+        _mint(to, tokenId);
+    }
+    
+    /**
+     * @dev Safely mint a token, calling onERC721Received on contract recipients (only owner)
+     * @param to The address to mint the token to
+     * @param tokenId The token ID to mint
+     */
+    function safeMint(address to, uint256 tokenId) external onlyOwner {
+        _safeMint(to, tokenId);
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockFeeOnTransferERC20
+ * @dev Mock ERC20 that burns a fee from every transfer, for testing claims that receive less than requested
+ * @author Senior Web3 Developer
+ */
+contract MockFeeOnTransferERC20 is MockERC20 {
+    uint256 public immutable feeBasisPoints;
+
+    /**
+     * @dev Constructor
+     * @param name The name of the token
+     * @param symbol The symbol of the token
+     * @param feeBps Fee burned from each transfer, in basis points
+     */
+    constructor(string memory name, string memory symbol, uint256 feeBps) MockERC20(name, symbol) {
+        feeBasisPoints = feeBps;
+    }
+
+    /**
+     * @dev Burn the fee from transfers between accounts (mints and burns are not charged)
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * feeBasisPoints) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
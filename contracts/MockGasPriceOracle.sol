@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockGasPriceOracle
+ * @dev Stand-in for the OP-stack GasPriceOracle predeploy, for testing L1 data fee
+ * pricing on a local chain. Installed at 0x42...0F with hardhat_setCode.
+ * @author Senior Web3 Developer
+ */
+contract MockGasPriceOracle {
+    uint256 public constant FEE_PER_BYTE = 1e12;
+
+    /**
+     * @dev Price the L1 data of an unsigned serialized transaction
+     * @param _data The serialized transaction
+     * @return The L1 fee in wei: a flat price per byte, including a signature
+     */
+    function getL1Fee(bytes memory _data) external pure returns (uint256) {
+        return (_data.length + 68) * FEE_PER_BYTE;
+    }
+}
@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title MockMerkleDistributor
+ * @dev Uniswap-style MerkleDistributor for testing airdrop claim adapters.
+ * Leaves are keccak256(abi.encodePacked(index, account, amount)) and anyone may
+ * submit a claim, but tokens always go to the listed account.
+ * @author Senior Web3 Developer
+ */
+contract MockMerkleDistributor {
+    address public immutable token;
+    bytes32 public immutable merkleRoot;
+
+    // Packed array of booleans
+    mapping(uint256 => uint256) private claimedBitMap;
+
+    event Claimed(uint256 index, address account, uint256 amount);
+
+    /**
+     * @dev Constructor
+     * @param token_ The token being distributed
+     * @param merkleRoot_ Root of the distribution tree
+     */
+    constructor(address token_, bytes32 merkleRoot_) {
+        token = token_;
+        merkleRoot = merkleRoot_;
+    }
+
+    /**
+     * @dev Check whether an index has been claimed
+     * @param index The index in the distribution
+     * @return True if claimed
+     */
+    function isClaimed(uint256 index) public view returns (bool) {
+        uint256 claimedWordIndex = index / 256;
+        uint256 claimedBitIndex = index % 256;
+        uint256 claimedWord = claimedBitMap[claimedWordIndex];
+        uint256 mask = (1 << claimedBitIndex);
+        return claimedWord & mask == mask;
+    }
+
+    function _setClaimed(uint256 index) private {
+        uint256 claimedWordIndex = index / 256;
+        uint256 claimedBitIndex = index % 256;
+        claimedBitMap[claimedWordIndex] = claimedBitMap[claimedWordIndex] | (1 << claimedBitIndex);
+    }
+
+    /**
+     * @dev Claim tokens for an account
+     * @param index The index in the distribution
+     * @param account The account receiving the tokens
+     * @param amount The amount allocated to the account
+     * @param merkleProof Proof of inclusion in the tree
+     */
+    function claim(uint256 index, address account, uint256 amount, bytes32[] calldata merkleProof) external {
+        require(!isClaimed(index), "MerkleDistributor: Drop already claimed.");
+
+        bytes32 node = keccak256(abi.encodePacked(index, account, amount));
+        require(MerkleProof.verify(merkleProof, merkleRoot, node), "MerkleDistributor: Invalid proof.");
+
+        _setClaimed(index);
+        require(IERC20(token).transfer(account, amount), "MerkleDistributor: Transfer failed.");
+
+        emit Claimed(index, account, amount);
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockNodeInterface
+ * @dev Stand-in for Arbitrum's NodeInterface, for testing gas estimates that include
+ * the L1 component on a local chain. Installed at 0x...C8 with hardhat_setCode.
+ * @author Senior Web3 Developer
+ */
+contract MockNodeInterface {
+    uint64 public constant EXECUTION_GAS = 21000;
+    uint64 public constant GAS_FOR_L1 = 4000;
+
+    /**
+     * @dev Estimate the gas of a transaction, split into its L1 component
+     * @return gasEstimate Total gas, L1 component included
+     * @return gasEstimateForL1 Gas paying for the L1 data
+     * @return baseFee The L2 base fee
+     * @return l1BaseFeeEstimate The L1 base fee estimate
+     */
+    function gasEstimateComponents(address, bool, bytes calldata)
+        external
+        payable
+        returns (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)
+    {
+        return (EXECUTION_GAS + GAS_FOR_L1, GAS_FOR_L1, block.basefee, block.basefee);
+    }
+}
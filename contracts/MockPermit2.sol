@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./interfaces/ISignatureTransfer.sol";
+
+/**
+ * @title MockPermit2
+ * @dev Local stand-in for Uniswap's Permit2 batch signature transfers, for testing.
+ * Uses the same EIP-712 domain, type hashes, unordered nonce bitmap and errors as the
+ * canonical deployment, so signatures built for one verify against the other.
+ * @author Senior Web3 Developer
+ */
+contract MockPermit2 is ISignatureTransfer {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant _TYPE_HASH =
+        keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _HASHED_NAME = keccak256("Permit2");
+
+    bytes32 public constant TOKEN_PERMISSIONS_TYPEHASH =
+        keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 public constant PERMIT_BATCH_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitBatchTransferFrom(TokenPermissions[] permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+    );
+
+    // Used nonces per owner: word position => bitmap
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    error SignatureExpired(uint256 signatureDeadline);
+    error InvalidNonce();
+    error InvalidSigner();
+    error LengthMismatch();
+    error InvalidAmount(uint256 maxAmount);
+
+    /**
+     * @dev See {ISignatureTransfer-DOMAIN_SEPARATOR}
+     */
+    function DOMAIN_SEPARATOR() public view override returns (bytes32) {
+        return keccak256(abi.encode(_TYPE_HASH, _HASHED_NAME, block.chainid, address(this)));
+    }
+
+    /**
+     * @dev See {ISignatureTransfer-permitTransferFrom}
+     */
+    function permitTransferFrom(
+        PermitBatchTransferFrom memory permit,
+        SignatureTransferDetails[] calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external override {
+        uint256 count = permit.permitted.length;
+        if (block.timestamp > permit.deadline) revert SignatureExpired(permit.deadline);
+        if (count != transferDetails.length) revert LengthMismatch();
+
+        _useUnorderedNonce(owner, permit.nonce);
+
+        bytes32[] memory tokenPermissionHashes = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenPermissionHashes[i] = keccak256(abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted[i]));
+        }
+        bytes32 structHash = keccak256(abi.encode(
+            PERMIT_BATCH_TRANSFER_FROM_TYPEHASH,
+            keccak256(abi.encodePacked(tokenPermissionHashes)),
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        if (ECDSA.recover(digest, signature) != owner) revert InvalidSigner();
+
+        for (uint256 i = 0; i < count; i++) {
+            uint256 requestedAmount = transferDetails[i].requestedAmount;
+            if (requestedAmount > permit.permitted[i].amount) revert InvalidAmount(permit.permitted[i].amount);
+            if (requestedAmount != 0) {
+                IERC20(permit.permitted[i].token).safeTransferFrom(owner, transferDetails[i].to, requestedAmount);
+            }
+        }
+    }
+
+    /**
+     * @dev Mark a nonce as used, reverting if it already was
+     * @param owner The token owner
+     * @param nonce The nonce (word position in the high 248 bits, bit in the low 8)
+     */
+    function _useUnorderedNonce(address owner, uint256 nonce) internal {
+        uint256 bit = 1 << uint8(nonce);
+        uint256 flipped = nonceBitmap[owner][nonce >> 8] ^= bit;
+        if (flipped & bit == 0) revert InvalidNonce();
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title MockSignatureClaim
+ * @dev Signature-gated airdrop that lets the claimer pick the recipient, for testing
+ * the ABI-driven claim adapter. The airdrop's backend signs
+ * (contract, chainId, claimer, amount, deadline) for each eligible wallet.
+ * @author Senior Web3 Developer
+ */
+contract MockSignatureClaim {
+    using MessageHashUtils for bytes32;
+
+    address public immutable token;
+    address public immutable signer;
+
+    mapping(address => bool) public hasClaimed;
+
+    event Claimed(address indexed claimer, address indexed recipient, uint256 amount);
+
+    /**
+     * @dev Constructor
+     * @param token_ The token being distributed
+     * @param signer_ The address whose signatures authorize claims
+     */
+    constructor(address token_, address signer_) {
+        token = token_;
+        signer = signer_;
+    }
+
+    /**
+     * @dev Claim the caller's allocation to any recipient
+     * @param recipient The address receiving the tokens
+     * @param amount The amount allocated to the caller
+     * @param deadline Timestamp after which the signature is invalid
+     * @param signature Signature from the airdrop signer
+     */
+    function claim(address recipient, uint256 amount, uint256 deadline, bytes calldata signature) external {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(!hasClaimed[msg.sender], "Already claimed");
+
+        bytes32 digest = keccak256(abi.encode(address(this), block.chainid, msg.sender, amount, deadline))
+            .toEthSignedMessageHash();
+        require(ECDSA.recover(digest, signature) == signer, "Invalid signature");
+
+        hasClaimed[msg.sender] = true;
+        require(IERC20(token).transfer(recipient, amount), "Transfer failed");
+
+        emit Claimed(msg.sender, recipient, amount);
+    }
+}
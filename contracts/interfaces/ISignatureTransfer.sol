@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ISignatureTransfer
+ * @dev The batch signature-transfer subset of Uniswap's Permit2
+ * (canonical deployment 0x000000000022D473030F116dDEE9F6B43aC78BA3)
+ * @author Senior Web3 Developer
+ */
+interface ISignatureTransfer {
+    // Token and maximum amount the signer lets the spender move
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    // Signed batch permit; spender is the contract calling permitTransferFrom
+    struct PermitBatchTransferFrom {
+        TokenPermissions[] permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Where each permitted token goes and how much of it
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @dev Transfer several tokens from owner using a signed batch permit
+     * @param permit The signed permit
+     * @param transferDetails Recipient and amount for each permitted token
+     * @param owner The token owner who signed the permit
+     * @param signature The owner's EIP-712 signature
+     */
+    function permitTransferFrom(
+        PermitBatchTransferFrom memory permit,
+        SignatureTransferDetails[] calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+
+    /**
+     * @dev EIP-712 domain separator for permit signatures
+     * @return bytes32 The domain separator
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
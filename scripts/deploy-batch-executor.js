@@ -0,0 +1,35 @@
+const { ethers, network } = require("hardhat");
+
+/**
+ * Deploy the BatchExecutor contract (EIP-7702 delegation target)
+ * Set <NETWORK>_BATCH_EXECUTOR_ADDRESS to the printed address and
+ * <NETWORK>_RESCUE_MODE=eip7702 to use it for auto rescue
+ */
+async function main() {
+  console.log("🚀 Starting BatchExecutor contract deployment...");
+
+  // Get the deployer account
+  const [deployer] = await ethers.getSigners();
+  console.log("📝 Deploying contracts with account:", deployer.address);
+
+  // Deploy the contract
+  console.log("🔨 Deploying BatchExecutor...");
+  const BatchExecutor = await ethers.getContractFactory("BatchExecutor", deployer);
+  const batchExecutor = await BatchExecutor.deploy();
+  await batchExecutor.waitForDeployment();
+
+  const address = await batchExecutor.getAddress();
+  console.log("✅ BatchExecutor deployed to:", address);
+  console.log(`📝 Set ${network.name.toUpperCase()}_BATCH_EXECUTOR_ADDRESS=${address}`);
+  console.log("🎉 Deployment completed successfully!");
+
+  return batchExecutor;
+}
+
+// Handle errors
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Deployment failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+const { ethers, network } = require("hardhat");
+const { saveDeployment } = require("../server/config/deployments");
+
+/**
+ * Deploy AirdropRecoveryUpgradeable behind an AirdropRecoveryProxy and record
+ * both addresses in the deployments registry (server/config/deployments.json)
+ * Set INITIAL_OWNER to hand ownership to another account than the deployer
+ */
+async function main() {
+  console.log("🚀 Starting upgradeable AirdropRecovery deployment...");
+
+  // Get the deployer account
+  const [deployer] = await ethers.getSigners();
+  const initialOwner = process.env.INITIAL_OWNER || deployer.address;
+  console.log("📝 Deploying contracts with account:", deployer.address);
+
+  // Deploy the implementation
+  console.log("🔨 Deploying AirdropRecoveryUpgradeable implementation...");
+  const Implementation = await ethers.getContractFactory("AirdropRecoveryUpgradeable", deployer);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("✅ Implementation deployed to:", implementationAddress);
+
+  // Deploy the proxy, initializing its storage in the same transaction
+  console.log("🔨 Deploying AirdropRecoveryProxy...");
+  const initData = Implementation.interface.encodeFunctionData("initialize", [initialOwner]);
+  const Proxy = await ethers.getContractFactory("AirdropRecoveryProxy", deployer);
+  const proxy = await Proxy.deploy(implementationAddress, initData);
+  await proxy.waitForDeployment();
+  const proxyAddress = await proxy.getAddress();
+  console.log("✅ Proxy deployed to:", proxyAddress);
+
+  // Verify the deployment
+  console.log("🔍 Verifying deployment...");
+  const airdropRecovery = Implementation.attach(proxyAddress);
+  console.log("👑 Contract owner:", await airdropRecovery.owner());
+  const version = await airdropRecovery.version();
+  console.log("🏷️  Version:", version);
+
+  // Record in the deployments registry
+  const receipt = await proxy.deploymentTransaction().wait();
+  const deployment = saveDeployment(network.name, {
+    proxy: proxyAddress,
+    implementation: implementationAddress,
+    version,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    blockNumber: receipt.blockNumber
+  });
+
+  console.log("📊 Deployment Summary:");
+  console.log(JSON.stringify(deployment, null, 2));
+  console.log("🎉 Deployment completed successfully!");
+
+  return airdropRecovery;
+}
+
+// Handle errors
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Deployment failed:", error);
+    process.exit(1);
+  });
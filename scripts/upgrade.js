@@ -0,0 +1,68 @@
+const { ethers, network } = require("hardhat");
+const { getDeployment, saveDeployment } = require("../server/config/deployments");
+
+/**
+ * Upgrade the AirdropRecovery proxy registered for the network
+ * Deploys UPGRADE_CONTRACT (default AirdropRecoveryUpgradeable), points the proxy at it
+ * and records the new implementation in the deployments registry.
+ * Set UPGRADE_CALL to an encoded reinitializer call to run it as part of the upgrade.
+ */
+async function main() {
+  console.log("🚀 Starting AirdropRecovery upgrade...");
+
+  const deployment = getDeployment(network.name);
+  if (!deployment) {
+    throw new Error(`No AirdropRecovery deployment registered for ${network.name}`);
+  }
+
+  // Get the owner account
+  const [owner] = await ethers.getSigners();
+  console.log("📝 Upgrading with account:", owner.address);
+  console.log("📍 Proxy:", deployment.proxy);
+
+  // Deploy the new implementation
+  const contractName = process.env.UPGRADE_CONTRACT || "AirdropRecoveryUpgradeable";
+  console.log(`🔨 Deploying ${contractName} implementation...`);
+  const Implementation = await ethers.getContractFactory(contractName, owner);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("✅ Implementation deployed to:", implementationAddress);
+
+  // Point the proxy at it
+  const airdropRecovery = Implementation.attach(deployment.proxy);
+  const tx = await airdropRecovery.upgradeToAndCall(implementationAddress, process.env.UPGRADE_CALL || "0x");
+  const receipt = await tx.wait();
+  console.log("🔁 Upgrade transaction:", tx.hash);
+
+  // Verify the upgrade
+  console.log("🔍 Verifying upgrade...");
+  const current = await airdropRecovery.implementation();
+  if (current.toLowerCase() !== implementationAddress.toLowerCase()) {
+    throw new Error(`Proxy still points at ${current}`);
+  }
+  const version = await airdropRecovery.version();
+  console.log("🏷️  Version:", version);
+
+  // Record in the deployments registry
+  const updated = saveDeployment(network.name, {
+    implementation: implementationAddress,
+    version,
+    upgradedAt: new Date().toISOString(),
+    blockNumber: receipt.blockNumber
+  });
+
+  console.log("📊 Deployment Summary:");
+  console.log(JSON.stringify(updated, null, 2));
+  console.log("🎉 Upgrade completed successfully!");
+
+  return airdropRecovery;
+}
+
+// Handle errors
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error);
+    process.exit(1);
+  });
@@ -132,11 +132,18 @@ app.use((error, req, res, next) => {
 // One-iteration monitor function (used by scheduler/cron)
 const monitorOnce = async () => {
   console.log('Running scheduled recovery monitoring...');
-  const activeRecoveries = recoveryService.getActiveRecoveries();
+  const activeRecoveries = await recoveryService.getActiveRecoveries();
   if (activeRecoveries.length === 0) {
     console.log('No active recoveries found to monitor');
     return { processed: 0 };
   }
+  // Pick up safe wallet rotations from the recovery contract before moving anything
+  for (const network of new Set(activeRecoveries.map(recovery => recovery.network).filter(Boolean))) {
+    const sync = await recoveryService.syncSafeWalletChanges(network);
+    if (!sync.success) {
+      console.warn(`Safe wallet sync for ${network}: ${sync.error}`);
+    }
+  }
   let processed = 0;
   for (const recovery of activeRecoveries) {
     try {
@@ -199,6 +206,8 @@ const startServer = async () => {
         const AutoRecoveryService = require('./server/services/autoRecoveryService.js');
         const autoRecoveryService = new AutoRecoveryService();
         autoRecoveryService.cleanupOldSessions();
+        require('./server/services/clientSigningService.js').cleanupOldPlans();
+        require('./server/services/authService.js').cleanupExpired();
         console.log('Auto recovery sessions cleanup completed');
       } catch (error) {
         console.error('Auto recovery cleanup error:', error);
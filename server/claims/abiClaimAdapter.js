@@ -0,0 +1,163 @@
+/**
+ * Generic ABI-driven claim adapter
+ * Describes a distributor entirely in JSON: its ABI, the claim method and how each
+ * argument is filled. Covers claim-with-recipient contracts (pay the safe wallet
+ * directly) and signature-gated claims (signature supplied with the claim entry).
+ *
+ * Argument templates: "$account", "$safeWallet" and "$recipient" resolve to addresses,
+ * any other "$name" to the matching field of the claim entry; other values are literal.
+ */
+
+const { ethers } = require('ethers');
+const { getChecksumAddress } = require('../utils/ethers.js');
+const { buildTransferCalls } = require('../utils/transfers.js');
+
+/**
+ * ABI claim adapter class
+ */
+class AbiClaimAdapter {
+  /**
+   * @param {Object} config - Airdrop config
+   * @param {string} config.id - Airdrop identifier
+   * @param {string} config.network - Network identifier
+   * @param {string} config.contract - Claim contract address
+   * @param {string} config.token - Distributed token
+   * @param {string} config.symbol - Token symbol for labels
+   * @param {Array<string>} config.abi - Human-readable ABI fragments
+   * @param {Object} config.claim - { method, args } for the claim call
+   * @param {Object} config.isClaimed - Optional { method, args } view returning bool
+   * @param {string} config.recipient - 'account' (default) or 'safeWallet' for claim-with-recipient contracts
+   * @param {Object} config.claims - Optional entries keyed by lowercase account
+   */
+  constructor(config) {
+    if (!config.abi || !config.claim || !config.claim.method) {
+      throw new Error(`Airdrop ${config.id} needs an abi and a claim method`);
+    }
+
+    this.type = 'abi';
+    this.id = config.id;
+    this.network = config.network;
+    this.contract = getChecksumAddress(config.contract);
+    this.token = getChecksumAddress(config.token);
+    this.symbol = config.symbol || 'AIRDROP';
+    this.interface = new ethers.Interface(config.abi);
+    this.claimSpec = config.claim;
+    this.isClaimedSpec = config.isClaimed || null;
+    this.recipient = config.recipient === 'safeWallet' ? 'safeWallet' : 'account';
+    this.claims = config.claims || {};
+  }
+
+  /**
+   * Get the claim entry for an account, preferring one supplied by the caller
+   * @param {string} account - Claiming account
+   * @param {Object} claim - Optional caller-supplied entry
+   * @returns {Object} Claim entry (empty if none)
+   */
+  resolveClaim(account, claim) {
+    return claim || this.claims[account.toLowerCase()] || {};
+  }
+
+  /**
+   * Fill an argument template
+   * @param {Array} args - Argument templates
+   * @param {Object} context - { account, safeWallet, claim }
+   * @returns {Array} Call arguments
+   */
+  resolveArgs(args = [], { account, safeWallet, claim }) {
+    const addresses = {
+      account,
+      safeWallet,
+      recipient: this.recipient === 'safeWallet' ? safeWallet : account
+    };
+
+    return args.map(arg => {
+      if (typeof arg !== 'string' || !arg.startsWith('$')) return arg;
+      const name = arg.slice(1);
+      if (addresses[name] !== undefined) return addresses[name];
+      if (claim[name] === undefined) {
+        throw new Error(`Missing claim field: ${name}`);
+      }
+      return claim[name];
+    });
+  }
+
+  /**
+   * Check whether an account can claim
+   * Runs isClaimed (if configured), then simulates the claim from the account.
+   * @param {Object} params - Check parameters
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.account - Hacked wallet address
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {Object} params.claim - Optional claim entry
+   * @returns {Promise<Object>} { eligible, claimed, amount, token, claim, reason }
+   */
+  async checkEligibility({ provider, account, safeWallet, claim }) {
+    const entry = this.resolveClaim(account, claim);
+    const result = {
+      claimed: false,
+      amount: entry.amount !== undefined ? String(entry.amount) : null,
+      token: this.token,
+      claim: entry
+    };
+
+    try {
+      if (this.isClaimedSpec) {
+        const data = this.interface.encodeFunctionData(
+          this.isClaimedSpec.method,
+          this.resolveArgs(this.isClaimedSpec.args, { account, safeWallet, claim: entry })
+        );
+        const [claimed] = this.interface.decodeFunctionResult(
+          this.isClaimedSpec.method,
+          await provider.call({ to: this.contract, data })
+        );
+        if (claimed) {
+          return { ...result, claimed: true, eligible: false, reason: 'Already claimed' };
+        }
+      }
+
+      const call = this.buildClaimCall({ account, safeWallet, claim: entry });
+      await provider.call({ from: account, to: call.to, data: call.data, value: call.value });
+      return { ...result, eligible: true };
+    } catch (error) {
+      return { ...result, eligible: false, reason: error.shortMessage || error.reason || error.message };
+    }
+  }
+
+  /**
+   * Build the claim call
+   * @param {Object} params - Build parameters
+   * @param {string} params.account - Hacked wallet address
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {Object} params.claim - Claim entry
+   * @returns {Object} Call ({ to, data, value, txType, label })
+   */
+  buildClaimCall({ account, safeWallet, claim }) {
+    return {
+      to: this.contract,
+      data: this.interface.encodeFunctionData(
+        this.claimSpec.method,
+        this.resolveArgs(this.claimSpec.args, { account, safeWallet, claim })
+      ),
+      value: 0n,
+      txType: 'default',
+      label: `Claim ${this.symbol}`
+    };
+  }
+
+  /**
+   * Build the calls that move claimed tokens to the safe wallet
+   * Nothing is needed when the contract pays the safe wallet directly.
+   * @param {Object} params - Build parameters
+   * @param {string} params.account - Hacked wallet address
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {string} params.amount - Claimed amount, if known
+   * @returns {Array<Object>} Transfer calls
+   */
+  buildProceedsCalls({ account, safeWallet, amount }) {
+    if (this.recipient === 'safeWallet') return [];
+    // The amount only sizes gas planning; forwarding reads the real balance
+    return buildTransferCalls({ address: this.token, symbol: this.symbol, type: 'ERC20', balance: amount || '1' }, account, safeWallet);
+  }
+}
+
+module.exports = AbiClaimAdapter;
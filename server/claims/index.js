@@ -0,0 +1,101 @@
+/**
+ * Airdrop claim adapters
+ * Each distributor type is an adapter that can check eligibility, build the claim
+ * call and the calls routing proceeds to the safe wallet. Airdrops are configured in
+ * server/config/airdrops.json (or AIRDROP_CONFIG_PATH) and matched by id, claim
+ * contract or token address.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MerkleDistributorAdapter = require('./merkleDistributorAdapter.js');
+const AbiClaimAdapter = require('./abiClaimAdapter.js');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/airdrops.json');
+
+const ADAPTER_TYPES = {
+  'merkle-distributor': MerkleDistributorAdapter,
+  abi: AbiClaimAdapter
+};
+
+let airdropConfigs = null;
+
+/**
+ * Create an adapter from an airdrop config
+ * @param {Object} config - Airdrop config (see the adapter classes)
+ * @returns {Object} Claim adapter
+ */
+const createClaimAdapter = (config) => {
+  const Adapter = ADAPTER_TYPES[config.type];
+  if (!Adapter) {
+    throw new Error(`Unsupported airdrop adapter: ${config.type}`);
+  }
+  return new Adapter(config);
+};
+
+/**
+ * Load airdrop configs from disk (cached)
+ * @param {string} configPath - Config file path
+ * @returns {Array<Object>} Airdrop configs
+ */
+const loadAirdropConfigs = (configPath = process.env.AIRDROP_CONFIG_PATH || DEFAULT_CONFIG_PATH) => {
+  if (airdropConfigs) return airdropConfigs;
+
+  try {
+    const { airdrops } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    airdropConfigs = airdrops || [];
+  } catch (error) {
+    console.error(`Failed to load airdrop configs: ${error.message}`);
+    airdropConfigs = [];
+  }
+  return airdropConfigs;
+};
+
+/**
+ * Register an airdrop config at runtime
+ * @param {Object} config - Airdrop config
+ * @returns {Object} Claim adapter
+ */
+const registerAirdrop = (config) => {
+  const adapter = createClaimAdapter(config);
+  const configs = loadAirdropConfigs().filter(existing => existing.id !== config.id);
+  airdropConfigs = [...configs, config];
+  return adapter;
+};
+
+/**
+ * Get adapters for every configured airdrop on a network
+ * @param {string} network - Network identifier
+ * @returns {Array<Object>} Claim adapters
+ */
+const getClaimAdapters = (network) => loadAirdropConfigs()
+  .filter(config => !network || config.network === network)
+  .map(createClaimAdapter);
+
+/**
+ * Find the adapter for an airdrop
+ * @param {Object} query - Lookup
+ * @param {string} query.network - Network identifier
+ * @param {string} query.airdropId - Airdrop ID
+ * @param {string} query.address - Claim contract or token address
+ * @returns {Object|null} Claim adapter
+ */
+const findClaimAdapter = ({ network, airdropId, address }) => {
+  const target = address ? address.toLowerCase() : null;
+  const config = loadAirdropConfigs().find(candidate => {
+    if (network && candidate.network !== network) return false;
+    if (airdropId) return candidate.id === airdropId;
+    return !!target && [candidate.distributor, candidate.contract, candidate.token]
+      .some(value => value && value.toLowerCase() === target);
+  });
+  return config ? createClaimAdapter(config) : null;
+};
+
+module.exports = {
+  ADAPTER_TYPES,
+  createClaimAdapter,
+  loadAirdropConfigs,
+  registerAirdrop,
+  getClaimAdapters,
+  findClaimAdapter
+};
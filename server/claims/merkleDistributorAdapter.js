@@ -0,0 +1,161 @@
+/**
+ * Uniswap-style MerkleDistributor claim adapter
+ * claim(index, account, amount, proof) always pays the listed account, so claimed
+ * tokens land in the hacked wallet and are forwarded to the safe wallet afterwards
+ */
+
+const { ethers } = require('ethers');
+const { createContract, getChecksumAddress } = require('../utils/ethers.js');
+const { buildTransferCalls } = require('../utils/transfers.js');
+const { hashMerkleLeaf, verifyMerkleProof } = require('../utils/merkle.js');
+
+const MERKLE_DISTRIBUTOR_ABI = [
+  'function token() view returns (address)',
+  'function merkleRoot() view returns (bytes32)',
+  'function isClaimed(uint256 index) view returns (bool)',
+  'function claim(uint256 index, address account, uint256 amount, bytes32[] merkleProof)'
+];
+
+const MERKLE_DISTRIBUTOR_INTERFACE = new ethers.Interface(MERKLE_DISTRIBUTOR_ABI);
+
+/**
+ * Merkle distributor adapter class
+ */
+class MerkleDistributorAdapter {
+  /**
+   * @param {Object} config - Airdrop config
+   * @param {string} config.id - Airdrop identifier
+   * @param {string} config.network - Network identifier
+   * @param {string} config.distributor - Distributor contract address
+   * @param {string} config.token - Distributed token (read from the distributor if omitted)
+   * @param {string} config.symbol - Token symbol for labels
+   * @param {Object} config.claims - Optional entries keyed by lowercase account ({ index, amount, proof })
+   */
+  constructor(config) {
+    this.type = 'merkle-distributor';
+    this.id = config.id;
+    this.network = config.network;
+    this.distributor = getChecksumAddress(config.distributor);
+    this.token = config.token ? getChecksumAddress(config.token) : null;
+    this.symbol = config.symbol || 'AIRDROP';
+    this.claims = config.claims || {};
+  }
+
+  /**
+   * Get the claim entry for an account, preferring one supplied by the caller
+   * @param {string} account - Claiming account
+   * @param {Object} claim - Optional caller-supplied entry
+   * @returns {Object|null} { index, amount, proof }
+   */
+  resolveClaim(account, claim) {
+    return claim || this.claims[account.toLowerCase()] || null;
+  }
+
+  /**
+   * Check whether an account can claim
+   * @param {Object} params - Check parameters
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.account - Hacked wallet address
+   * @param {Object} params.claim - Optional claim entry ({ index, amount, proof })
+   * @returns {Promise<Object>} { eligible, claimed, amount, token, claim, reason }
+   */
+  async checkEligibility({ provider, account, claim }) {
+    const entry = this.resolveClaim(account, claim);
+    if (!entry) {
+      return { eligible: false, claimed: false, reason: 'No distribution entry for this account' };
+    }
+
+    const distributor = createContract(this.distributor, MERKLE_DISTRIBUTOR_ABI, provider);
+    const [merkleRoot, claimed, token] = await Promise.all([
+      distributor.merkleRoot(),
+      distributor.isClaimed(entry.index),
+      this.token ? Promise.resolve(this.token) : distributor.token()
+    ]);
+    this.token = getChecksumAddress(token);
+
+    const result = { claimed, amount: String(entry.amount), token: this.token, claim: entry };
+    if (claimed) {
+      return { ...result, eligible: false, reason: 'Already claimed' };
+    }
+    if (!verifyMerkleProof(entry.proof, merkleRoot, hashMerkleLeaf(entry.index, account, entry.amount))) {
+      return { ...result, eligible: false, reason: 'Invalid Merkle proof' };
+    }
+    return { ...result, eligible: true };
+  }
+
+  /**
+   * Verify distribution entries against the on-chain Merkle root and claimed bitmap
+   * Proofs are checked locally; isClaimed is only queried for entries with valid proofs.
+   * @param {Object} provider - Ethers provider
+   * @param {Array<Object>} entries - Entries ({ account, index, amount, proof })
+   * @param {number} concurrency - Parallel isClaimed calls
+   * @returns {Promise<Object>} { merkleRoot, token, results } with a status per entry
+   */
+  async verifyEntries(provider, entries, concurrency = 20) {
+    const distributor = createContract(this.distributor, MERKLE_DISTRIBUTOR_ABI, provider);
+    const [merkleRoot, token] = await Promise.all([
+      distributor.merkleRoot(),
+      this.token ? Promise.resolve(this.token) : distributor.token()
+    ]);
+    this.token = getChecksumAddress(token);
+
+    const results = entries.map(entry => (
+      verifyMerkleProof(entry.proof, merkleRoot, hashMerkleLeaf(entry.index, entry.account, entry.amount))
+        ? { ...entry, status: 'valid' }
+        : { ...entry, status: 'invalid_proof', reason: 'Proof does not match the on-chain Merkle root' }
+    ));
+
+    const valid = results.filter(result => result.status === 'valid');
+    for (let i = 0; i < valid.length; i += concurrency) {
+      await Promise.all(valid.slice(i, i + concurrency).map(async (result) => {
+        try {
+          if (await distributor.isClaimed(result.index)) {
+            result.status = 'already_claimed';
+            result.reason = `Index ${result.index} already claimed`;
+          }
+        } catch (error) {
+          result.status = 'error';
+          result.reason = `isClaimed failed: ${error.message}`;
+        }
+      }));
+    }
+
+    return { merkleRoot, token: this.token, results };
+  }
+
+  /**
+   * Build the claim call
+   * @param {Object} params - Build parameters
+   * @param {string} params.account - Hacked wallet address
+   * @param {Object} params.claim - Claim entry ({ index, amount, proof })
+   * @returns {Object} Call ({ to, data, value, txType, label })
+   */
+  buildClaimCall({ account, claim }) {
+    return {
+      to: this.distributor,
+      data: MERKLE_DISTRIBUTOR_INTERFACE.encodeFunctionData('claim', [
+        BigInt(claim.index),
+        getChecksumAddress(account),
+        BigInt(claim.amount),
+        claim.proof
+      ]),
+      value: 0n,
+      txType: 'default',
+      label: `Claim ${this.symbol}`
+    };
+  }
+
+  /**
+   * Build the calls that move claimed tokens to the safe wallet
+   * @param {Object} params - Build parameters
+   * @param {string} params.account - Hacked wallet address
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {string} params.amount - Claimed amount
+   * @returns {Array<Object>} Transfer calls
+   */
+  buildProceedsCalls({ account, safeWallet, amount }) {
+    return buildTransferCalls({ address: this.token, symbol: this.symbol, type: 'ERC20', balance: amount }, account, safeWallet);
+  }
+}
+
+module.exports = MerkleDistributorAdapter;
@@ -0,0 +1,99 @@
+/**
+ * Deployments registry
+ * Records the AirdropRecovery proxy and implementation deployed on each network in
+ * server/config/deployments.json (or DEPLOYMENTS_PATH). The deploy and upgrade scripts
+ * write it; getContractAddress falls back to it when no contract address is configured.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEPLOYMENTS_PATH = path.join(__dirname, 'deployments.json');
+
+let registry = null;
+
+/**
+ * Resolve the registry file path
+ * @returns {string} Registry path
+ */
+const getDeploymentsPath = () => process.env.DEPLOYMENTS_PATH || DEFAULT_DEPLOYMENTS_PATH;
+
+/**
+ * Load the deployments registry from disk (cached per path)
+ * @param {string} registryPath - Registry file path
+ * @returns {Object} Deployments keyed by network, then contract name
+ */
+const loadDeployments = (registryPath = getDeploymentsPath()) => {
+  if (registry && registry.path === registryPath) return registry.deployments;
+
+  let deployments = {};
+  try {
+    if (fs.existsSync(registryPath)) {
+      deployments = JSON.parse(fs.readFileSync(registryPath, 'utf8')) || {};
+    }
+  } catch (error) {
+    console.error(`Failed to load deployments registry: ${error.message}`);
+  }
+
+  registry = { path: registryPath, deployments };
+  return deployments;
+};
+
+/**
+ * Get a registered deployment
+ * @param {string} networkId - The network identifier
+ * @param {string} contractName - Contract name
+ * @returns {Object|null} { proxy, implementation, version, deployer, deployedAt, blockNumber, upgrades } or null
+ */
+const getDeployment = (networkId, contractName = 'AirdropRecovery') => {
+  const network = loadDeployments()[networkId];
+  return network && network[contractName] ? network[contractName] : null;
+};
+
+/**
+ * Record a deployment or upgrade in the registry
+ * An existing entry keeps its proxy address and upgrade history; when the
+ * implementation changes the previous one is appended to upgrades.
+ * @param {string} networkId - The network identifier
+ * @param {Object} deployment - Deployment fields to record
+ * @param {string} contractName - Contract name
+ * @param {string} registryPath - Registry file path
+ * @returns {Object} The stored deployment
+ */
+const saveDeployment = (networkId, deployment, contractName = 'AirdropRecovery', registryPath = getDeploymentsPath()) => {
+  const deployments = { ...loadDeployments(registryPath) };
+  const existing = (deployments[networkId] || {})[contractName];
+
+  const upgrades = existing ? [...(existing.upgrades || [])] : [];
+  if (existing && deployment.implementation && existing.implementation !== deployment.implementation) {
+    upgrades.push({
+      implementation: existing.implementation,
+      version: existing.version,
+      replacedAt: new Date().toISOString()
+    });
+  }
+
+  const stored = { ...existing, ...deployment, upgrades };
+  deployments[networkId] = { ...deployments[networkId], [contractName]: stored };
+
+  fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+  fs.writeFileSync(registryPath, JSON.stringify(deployments, null, 2) + '\n');
+  registry = { path: registryPath, deployments };
+
+  return stored;
+};
+
+/**
+ * Drop the cached registry so the next lookup reads the file again
+ */
+const reloadDeployments = () => {
+  registry = null;
+};
+
+module.exports = {
+  getDeploymentsPath,
+  loadDeployments,
+  getDeployment,
+  saveDeployment,
+  reloadDeployments
+};
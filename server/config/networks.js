@@ -3,6 +3,9 @@
  * Centralized network configuration for consistent handling across the server
  */
 
+const { ethers } = require('ethers');
+const { getDeployment } = require('./deployments.js');
+
 const NETWORKS = {
   mainnet: {
     id: 'mainnet',
@@ -11,12 +14,17 @@ const NETWORKS = {
     rpcUrl: process.env.MAINNET_RPC_URL || 'https://eth-mainnet.g.alchemy.com/v2/YOUR_API_KEY',
     rpcUrl2: process.env.MAINNET_RPC_URL2 || 'https://eth-mainnet.public.blastapi.io',
     contractAddress: process.env.MAINNET_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.MAINNET_BUNDLE_RELAY_URL || 'https://relay.flashbots.net',
+    batchExecutorAddress: process.env.MAINNET_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.MAINNET_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://etherscan.io',
     nativeCurrency: {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
     },
+    feeStrategy: process.env.MAINNET_FEE_STRATEGY || 'normal', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.MAINNET_MAX_FEE_GWEI || '300', // cap on maxFeePerGas / gasPrice
     gasPrice: 20000000000, // 20 gwei
     isTestnet: false
   },
@@ -27,12 +35,18 @@ const NETWORKS = {
     rpcUrl: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
     rpcUrl2: process.env.BASE_RPC_URL2 || 'https://base.blockpi.network/v1/rpc/public',
     contractAddress: process.env.BASE_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.BASE_BUNDLE_RELAY_URL,
+    batchExecutorAddress: process.env.BASE_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.BASE_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://basescan.org',
     nativeCurrency: {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
     },
+    feeStrategy: process.env.BASE_FEE_STRATEGY || 'normal', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.BASE_MAX_FEE_GWEI || '10', // cap on maxFeePerGas / gasPrice
+    l1FeeModel: 'op-stack', // how L1 data is charged, see server/utils/l1Fees.js
     gasPrice: 1000000, // 0.001 gwei
     isTestnet: false
   },
@@ -43,12 +57,17 @@ const NETWORKS = {
     rpcUrl: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
     rpcUrl2: process.env.POLYGON_RPC_URL2 || 'https://polygon.llamarpc.com',
     contractAddress: process.env.POLYGON_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.POLYGON_BUNDLE_RELAY_URL,
+    batchExecutorAddress: process.env.POLYGON_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.POLYGON_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://polygonscan.com',
     nativeCurrency: {
       name: 'MATIC',
       symbol: 'MATIC',
       decimals: 18
     },
+    feeStrategy: process.env.POLYGON_FEE_STRATEGY || 'normal', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.POLYGON_MAX_FEE_GWEI || '3000', // cap on maxFeePerGas / gasPrice
     gasPrice: 30000000000, // 30 gwei
     isTestnet: false
   },
@@ -59,12 +78,17 @@ const NETWORKS = {
     rpcUrl: process.env.LINEA_RPC_URL || 'https://rpc.linea.build',
     rpcUrl2: process.env.LINEA_RPC_URL2 || 'https://linea.drpc.org',
     contractAddress: process.env.LINEA_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.LINEA_BUNDLE_RELAY_URL,
+    batchExecutorAddress: process.env.LINEA_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.LINEA_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://lineascan.build',
     nativeCurrency: {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
     },
+    feeStrategy: process.env.LINEA_FEE_STRATEGY || 'urgent', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.LINEA_MAX_FEE_GWEI || '10', // cap on maxFeePerGas / gasPrice
     gasPrice: 5000000, // 0.005 gwei
     isTestnet: false
   },
@@ -75,12 +99,18 @@ const NETWORKS = {
     rpcUrl: process.env.ARBITRUM_RPC_URL || 'https://arb1.arbitrum.io/rpc',
     rpcUrl2: process.env.ARBITRUM_RPC_URL2 || 'https://arbitrum-one.public.blastapi.io',
     contractAddress: process.env.ARBITRUM_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.ARBITRUM_BUNDLE_RELAY_URL,
+    batchExecutorAddress: process.env.ARBITRUM_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.ARBITRUM_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://arbiscan.io',
     nativeCurrency: {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
     },
+    feeStrategy: process.env.ARBITRUM_FEE_STRATEGY || 'normal', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.ARBITRUM_MAX_FEE_GWEI || '10', // cap on maxFeePerGas / gasPrice
+    l1FeeModel: 'arbitrum', // how L1 data is charged, see server/utils/l1Fees.js
     gasPrice: 100000000, // 0.1 gwei
     isTestnet: false
   },
@@ -91,12 +121,18 @@ const NETWORKS = {
     rpcUrl: process.env.OPTIMISM_RPC_URL || 'https://mainnet.optimism.io',
     rpcUrl2: process.env.OPTIMISM_RPC_URL2 || 'https://optimism.public.blastapi.io',
     contractAddress: process.env.OPTIMISM_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.OPTIMISM_BUNDLE_RELAY_URL,
+    batchExecutorAddress: process.env.OPTIMISM_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.OPTIMISM_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://optimistic.etherscan.io',
     nativeCurrency: {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
     },
+    feeStrategy: process.env.OPTIMISM_FEE_STRATEGY || 'normal', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.OPTIMISM_MAX_FEE_GWEI || '10', // cap on maxFeePerGas / gasPrice
+    l1FeeModel: 'op-stack', // how L1 data is charged, see server/utils/l1Fees.js
     gasPrice: 1000000, // 0.001 gwei
     isTestnet: false
   },
@@ -107,12 +143,17 @@ const NETWORKS = {
     rpcUrl: process.env.GOERLI_RPC_URL || 'https://eth-goerli.g.alchemy.com/v2/YOUR_API_KEY',
     rpcUrl2: process.env.GOERLI_RPC_URL2 || 'https://eth-goerli.public.blastapi.io',
     contractAddress: process.env.GOERLI_CONTRACT_ADDRESS,
+    bundleRelayUrl: process.env.GOERLI_BUNDLE_RELAY_URL || 'https://relay-goerli.flashbots.net',
+    batchExecutorAddress: process.env.GOERLI_BATCH_EXECUTOR_ADDRESS,
+    rescueMode: process.env.GOERLI_RESCUE_MODE || 'direct', // 'direct', 'bundle' or 'eip7702'
     blockExplorer: 'https://goerli.etherscan.io',
     nativeCurrency: {
       name: 'Goerli Ether',
       symbol: 'ETH',
       decimals: 18
     },
+    feeStrategy: process.env.GOERLI_FEE_STRATEGY || 'normal', // 'urgent', 'normal' or 'economy'
+    maxFeeGwei: process.env.GOERLI_MAX_FEE_GWEI || '300', // cap on maxFeePerGas / gasPrice
     gasPrice: 20000000000, // 20 gwei
     isTestnet: true
   }
@@ -186,12 +227,51 @@ const getChainId = (networkId) => {
 
 /**
  * Get contract address for a network
+ * <NETWORK>_CONTRACT_ADDRESS wins; when it is unset or the zero address the
+ * AirdropRecovery proxy from the deployments registry is used.
  * @param {string} networkId - The network identifier
  * @returns {string|null} Contract address or null if not found
  */
 const getContractAddress = (networkId) => {
   const network = getNetworkConfig(networkId);
-  return network ? network.contractAddress : null;
+  if (!network) return null;
+
+  if (network.contractAddress && network.contractAddress !== ethers.ZeroAddress) {
+    return network.contractAddress;
+  }
+
+  const deployment = getDeployment(networkId);
+  return deployment ? deployment.proxy : null;
+};
+
+/**
+ * Get private bundle relay URL for a network
+ * @param {string} networkId - The network identifier
+ * @returns {string|null} Relay URL or null if bundles are not supported
+ */
+const getBundleRelayUrl = (networkId) => {
+  const network = getNetworkConfig(networkId);
+  return network && network.bundleRelayUrl ? network.bundleRelayUrl : null;
+};
+
+/**
+ * Get default rescue submission mode for a network
+ * @param {string} networkId - The network identifier
+ * @returns {string} 'direct', 'bundle' or 'eip7702'
+ */
+const getRescueMode = (networkId) => {
+  const network = getNetworkConfig(networkId);
+  return network && network.rescueMode ? network.rescueMode : 'direct';
+};
+
+/**
+ * Get deployed BatchExecutor (EIP-7702 delegate) address for a network
+ * @param {string} networkId - The network identifier
+ * @returns {string|null} Executor address or null if not deployed
+ */
+const getBatchExecutorAddress = (networkId) => {
+  const network = getNetworkConfig(networkId);
+  return network && network.batchExecutorAddress ? network.batchExecutorAddress : null;
 };
 
 /**
@@ -228,5 +308,8 @@ module.exports = {
   getChainId,
   getContractAddress,
   getRpcUrl,
+  getBundleRelayUrl,
+  getRescueMode,
+  getBatchExecutorAddress,
   getGasPrice
 }; 
\ No newline at end of file
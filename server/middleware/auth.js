@@ -0,0 +1,99 @@
+/**
+ * Authentication middleware for the API
+ * Resolves the caller from a Sign-In With Ethereum bearer token (or the internal API token)
+ * and guards routes by sign-in, role and safe wallet ownership.
+ */
+
+const authService = require('../services/authService.js');
+const { ROLES } = authService;
+
+/**
+ * Get the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+/**
+ * Attach the caller to req.auth ({ address, role }), or null for anonymous requests
+ * The internal API token used by schedulers acts as an operator without an address.
+ */
+const authenticate = (req, res, next) => {
+  const internalToken = req.headers['x-internal-token'];
+  if (process.env.INTERNAL_API_TOKEN && internalToken === process.env.INTERNAL_API_TOKEN) {
+    req.auth = { address: null, role: ROLES.OPERATOR, internal: true };
+    return next();
+  }
+
+  const session = authService.getSession(getBearerToken(req));
+  req.auth = session ? { ...session } : null;
+  next();
+};
+
+/**
+ * Reject anonymous requests
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.auth) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+  next();
+};
+
+/**
+ * Reject requests from callers without the operator role
+ */
+const requireOperator = (req, res, next) => {
+  if (!req.auth) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+  if (req.auth.role !== ROLES.OPERATOR) {
+    return res.status(403).json({
+      error: 'Operator role required'
+    });
+  }
+  next();
+};
+
+/**
+ * Check whether the caller is an operator
+ * @param {Object} req - Express request
+ * @returns {boolean} True for operators
+ */
+const isOperator = (req) => !!req.auth && req.auth.role === ROLES.OPERATOR;
+
+/**
+ * Check whether the caller may act for a safe wallet (operators may act for any)
+ * @param {Object} req - Express request
+ * @param {string} address - Safe wallet that owns the resource
+ * @returns {boolean} True if the caller signed in as this address or is an operator
+ */
+const ownsAddress = (req, address) => {
+  if (isOperator(req)) return true;
+  return !!req.auth && !!req.auth.address && !!address &&
+    req.auth.address.toLowerCase() === String(address).toLowerCase();
+};
+
+/**
+ * Get the owner to scope listings to
+ * @param {Object} req - Express request
+ * @returns {string|null} Caller's address, or null when operators see everything
+ */
+const getOwnerScope = (req) => (isOperator(req) ? null : req.auth.address);
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  requireAuth,
+  requireOperator,
+  isOperator,
+  ownsAddress,
+  getOwnerScope
+};
@@ -0,0 +1,148 @@
+/**
+ * Recovery data model
+ * Shared by the Express server stores and the Cloudflare Worker KV registry so both
+ * deployments read and write the same recovery, status and history records
+ */
+
+// Events recorded in a recovery's status history
+const RECOVERY_EVENTS = {
+  REGISTERED: 'registered',
+  DEACTIVATED: 'deactivated',
+  CHECKED: 'checked',
+  TOKENS_DETECTED: 'tokens_detected',
+  TOKENS_RECOVERED: 'tokens_recovered',
+  TRANSFER_FAILED: 'transfer_failed',
+  AIRDROP_ATTACHED: 'airdrop_attached',
+  AIRDROP_CLAIMED: 'airdrop_claimed',
+  SAFE_WALLET_CHANGE_PROPOSED: 'safe_wallet_change_proposed',
+  SAFE_WALLET_CHANGE_CANCELLED: 'safe_wallet_change_cancelled',
+  SAFE_WALLET_CHANGED: 'safe_wallet_changed',
+  STATUS_UPDATED: 'status_updated'
+};
+
+/**
+ * Build the registry key for a recovery
+ * @param {string} hackedWallet - Hacked wallet address
+ * @param {string} network - Network identifier
+ * @returns {string} Recovery ID
+ */
+const getRecoveryId = (hackedWallet, network) => `${hackedWallet.toLowerCase()}-${network}`;
+
+/**
+ * Create a new recovery record
+ * @param {Object} data - Recovery data
+ * @param {string} data.hackedWallet - Hacked wallet address (checksummed)
+ * @param {string} data.safeWallet - Safe wallet address (checksummed)
+ * @param {string} data.network - Network identifier
+ * @param {number} data.nonce - Optional nonce override
+ * @param {Object} data.credential - Optional encrypted signing credential
+ * @param {Object} data.profitPolicy - Optional { enabled, minNetValueUSD, maxGasToValueRatio } for rescues
+ * @param {Object} data.ownershipProof - Optional { method, provenAt } when the registrant proved control of the hacked wallet
+ * @returns {Object} Recovery record
+ */
+const createRecoveryRecord = ({ hackedWallet, safeWallet, network, nonce, credential, profitPolicy, ownershipProof }) => {
+  const now = new Date().toISOString();
+  return {
+    id: getRecoveryId(hackedWallet, network),
+    hackedWallet,
+    safeWallet,
+    network,
+    nonce: nonce !== undefined && nonce !== null && nonce !== '' ? Number(nonce) : undefined,
+    isActive: true,
+    createdAt: now,
+    lastCheck: now,
+    deactivatedAt: undefined,
+    recoveredTokens: [],
+    credential: credential || undefined,
+    profitPolicy: profitPolicy || undefined,
+    ownershipProof: ownershipProof || undefined
+  };
+};
+
+/**
+ * Check whether whoever registered a recovery proved control of the hacked wallet
+ * (with its key or a signed ownership proof). Only such recoveries get signed for.
+ * @param {Object} recovery - Recovery record
+ * @returns {boolean} True if ownership was proven
+ */
+const isOwnershipProven = (recovery) => !!(recovery && (recovery.ownershipProof || recovery.credential));
+
+/**
+ * Check whether a recovery is active and sends to a safe wallet
+ * @param {Object} recovery - Recovery record
+ * @param {string} safeWallet - Safe wallet address
+ * @returns {boolean} True if the recovery is active and registered for the safe wallet
+ */
+const isActiveRecoveryFor = (recovery, safeWallet) => !!(recovery && recovery.isActive &&
+  recovery.safeWallet.toLowerCase() === String(safeWallet).toLowerCase());
+
+/**
+ * Strip secrets from a recovery record before it leaves the server
+ * @param {Object} recovery - Recovery record
+ * @returns {Object} Recovery without its credential, plus a hasCredential flag
+ */
+const toPublicRecovery = (recovery) => {
+  if (!recovery) return recovery;
+  const { credential, ...rest } = recovery;
+  return { ...rest, hasCredential: !!credential };
+};
+
+/**
+ * Create the initial status record for a recovery
+ * @returns {Object} Status record
+ */
+const createStatusRecord = () => ({
+  isActive: true,
+  lastCheck: new Date().toISOString(),
+  lastUpdated: new Date().toISOString(),
+  recoveredTokens: [],
+  pendingTokens: []
+});
+
+/**
+ * Create a history entry for a status change
+ * @param {string} recoveryId - Recovery ID
+ * @param {string} event - One of RECOVERY_EVENTS
+ * @param {Object} details - Event details
+ * @returns {Object} History entry
+ */
+const createHistoryEntry = (recoveryId, event, details = {}) => ({
+  recoveryId,
+  event,
+  details,
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Serialize a record for key/value stores (JSON, undefined fields dropped)
+ * @param {Object} record - Recovery, status or history record
+ * @returns {string} JSON string
+ */
+const serializeRecord = (record) => JSON.stringify(record);
+
+/**
+ * Parse a record read from a key/value store
+ * @param {string|null} value - JSON string
+ * @returns {Object|null} Record or null
+ */
+const deserializeRecord = (value) => {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (_) {
+    return null;
+  }
+};
+
+module.exports = {
+  RECOVERY_EVENTS,
+  getRecoveryId,
+  createRecoveryRecord,
+  isOwnershipProven,
+  isActiveRecoveryFor,
+  toPublicRecovery,
+  createStatusRecord,
+  createHistoryEntry,
+  serializeRecord,
+  deserializeRecord
+};
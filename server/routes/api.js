@@ -6,7 +6,17 @@
 const express = require('express');
 const RecoveryService = require('../services/recoveryService.js');
 const AutoRecoveryService = require('../services/autoRecoveryService.js');
-const { validateRecoveryForm, validateAutoRescueForm } = require('../utils/validation.js');
+const clientSigningService = require('../services/clientSigningService.js');
+const authService = require('../services/authService.js');
+const {
+  getBearerToken,
+  authenticate,
+  requireAuth,
+  requireOperator,
+  ownsAddress,
+  getOwnerScope
+} = require('../middleware/auth.js');
+const { validateRecoveryForm, validateAutoRescueForm, validateRescuePlanForm, getFirstError } = require('../utils/validation.js');
 
 const router = express.Router();
 const recoveryService = new RecoveryService();
@@ -14,13 +24,31 @@ const autoRecoveryService = new AutoRecoveryService();
 const fetch = require('node-fetch');
 const { withLock } = require('../utils/redis');
 
+// Resolve the signed-in caller (if any) for every route; routes opt into requireAuth/requireOperator
+router.use(authenticate);
+
+/**
+ * Reject callers that are not signed in as the safe wallet
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} safeWallet - Safe wallet that owns the resource
+ * @returns {boolean} True if a 403 was sent
+ */
+const rejectUnlessOwner = (req, res, safeWallet) => {
+  if (ownsAddress(req, safeWallet)) return false;
+  res.status(403).json({
+    error: 'Not authorized for this safe wallet'
+  });
+  return true;
+};
+
 /**
  * Health check endpoint
  * GET /api/health
  */
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
   try {
-    const stats = recoveryService.getStats();
+    const stats = await recoveryService.getStats();
     res.json({
       status: 'ok',
       timestamp: new Date().toISOString(),
@@ -99,11 +127,96 @@ router.get('/solana/token-price', async (req, res) => {
   }
 });
 
+/**
+ * Issue a Sign-In With Ethereum (EIP-4361) message for the safe wallet to sign
+ * POST /api/auth/nonce
+ */
+router.post('/auth/nonce', (req, res) => {
+  try {
+    const { address, chainId, domain, uri } = req.body;
+
+    // Validate request body
+    if (!address) {
+      return res.status(400).json({
+        error: 'Missing required field: address'
+      });
+    }
+
+    const result = authService.createChallenge({
+      address,
+      chainId,
+      domain,
+      uri
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.tooManyRequests ? 429 : 400).json(result);
+    }
+  } catch (error) {
+    console.error('Auth nonce error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Verify a signed sign-in message and issue a bearer token
+ * POST /api/auth/verify
+ */
+router.post('/auth/verify', async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    // Validate request body
+    if (!message || !signature) {
+      return res.status(400).json({
+        error: 'Missing required fields: message, signature'
+      });
+    }
+
+    const result = await authService.verifyLogin({
+      message,
+      signature
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.tooManyRequests ? 429 : 401).json(result);
+    }
+  } catch (error) {
+    console.error('Auth verify error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get the signed-in caller
+ * GET /api/auth/session
+ */
+router.get('/auth/session', requireAuth, (req, res) => {
+  res.json({ success: true, ...req.auth });
+});
+
+/**
+ * End the caller's session
+ * POST /api/auth/logout
+ */
+router.post('/auth/logout', requireAuth, (req, res) => {
+  const token = getBearerToken(req);
+  res.json({ success: true, loggedOut: token ? authService.revokeSession(token) : false });
+});
+
 /**
  * Multi-recovery status endpoint
  * GET /api/multi-recovery-status/:sessionId
  */
-router.get('/multi-recovery-status/:sessionId', (req, res) => {
+router.get('/multi-recovery-status/:sessionId', requireAuth, (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -114,6 +227,7 @@ router.get('/multi-recovery-status/:sessionId', (req, res) => {
     }
 
     const session = autoRecoveryService.getActiveRecoverySessions().get(sessionId);
+    if (session && rejectUnlessOwner(req, res, session.safeWallet)) return;
     
     res.json({
       active: !!session && session.isActive,
@@ -132,9 +246,19 @@ router.get('/multi-recovery-status/:sessionId', (req, res) => {
  * Register a new recovery
  * POST /api/register-recovery
  */
-router.post('/register-recovery', async (req, res) => {
+router.post('/register-recovery', requireAuth, async (req, res) => {
   try {
-    const { hackedWallet, safeWallet, network, nonce } = req.body;
+    const {
+      hackedWallet,
+      safeWallet,
+      network,
+      nonce,
+      hackedWalletPrivateKey,
+      ownershipSignature,
+      ownershipDeadline,
+      registerOnChain,
+      profitPolicy
+    } = req.body;
 
     // Validate request body
     if (!hackedWallet || !safeWallet || !network) {
@@ -142,12 +266,18 @@ router.post('/register-recovery', async (req, res) => {
         error: 'Missing required fields: hackedWallet, safeWallet, network'
       });
     }
+    if (rejectUnlessOwner(req, res, safeWallet)) return;
 
     const result = await recoveryService.registerRecovery({
       hackedWallet,
       safeWallet,
       network,
-      nonce
+      nonce,
+      hackedWalletPrivateKey,
+      ownershipSignature,
+      ownershipDeadline,
+      registerOnChain,
+      profitPolicy
     });
 
     if (result.success) {
@@ -163,14 +293,45 @@ router.post('/register-recovery', async (req, res) => {
   }
 });
 
+/**
+ * Build the typed data a hacked wallet signs to prove a registration without its key
+ * POST /api/register-recovery/ownership-request
+ */
+router.post('/register-recovery/ownership-request', requireAuth, async (req, res) => {
+  try {
+    const { hackedWallet, safeWallet, network } = req.body;
+
+    // Validate request body
+    if (!hackedWallet || !safeWallet || !network) {
+      return res.status(400).json({
+        error: 'Missing required fields: hackedWallet, safeWallet, network'
+      });
+    }
+    if (rejectUnlessOwner(req, res, safeWallet)) return;
+
+    const result = recoveryService.buildOwnershipRequest({ hackedWallet, safeWallet, network });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Ownership request error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 /**
  * Get all active recoveries
  * GET /api/active-recoveries
  */
-router.get('/active-recoveries', (req, res) => {
+router.get('/active-recoveries', requireAuth, async (req, res) => {
   try {
-    const recoveries = recoveryService.getActiveRecoveries();
-    res.json(recoveries);
+    const recoveries = await recoveryService.getActiveRecoveries();
+    res.json(recoveries.filter(recovery => ownsAddress(req, recovery.safeWallet)));
   } catch (error) {
     console.error('Get active recoveries error:', error);
     res.status(500).json({
@@ -183,7 +344,7 @@ router.get('/active-recoveries', (req, res) => {
  * Deactivate a recovery
  * POST /api/deactivate-recovery
  */
-router.post('/deactivate-recovery', async (req, res) => {
+router.post('/deactivate-recovery', requireAuth, async (req, res) => {
   try {
     const { hackedWallet, network } = req.body;
 
@@ -194,6 +355,9 @@ router.post('/deactivate-recovery', async (req, res) => {
       });
     }
 
+    const recovery = await recoveryService.resolveRecovery(hackedWallet, network);
+    if (recovery && rejectUnlessOwner(req, res, recovery.safeWallet)) return;
+
     const result = await recoveryService.deactivateRecovery(hackedWallet, network);
 
     if (result.success) {
@@ -213,7 +377,7 @@ router.post('/deactivate-recovery', async (req, res) => {
  * Get recovery status
  * GET /api/recovery-status/:hackedWallet
  */
-router.get('/recovery-status/:hackedWallet', (req, res) => {
+router.get('/recovery-status/:hackedWallet', requireAuth, async (req, res) => {
   try {
     const { hackedWallet } = req.params;
     
@@ -223,7 +387,10 @@ router.get('/recovery-status/:hackedWallet', (req, res) => {
       });
     }
 
-    const status = recoveryService.getRecoveryStatus(hackedWallet);
+    const found = await recoveryService.findRecoveryByWallet(hackedWallet);
+    if (found && rejectUnlessOwner(req, res, found.recovery.safeWallet)) return;
+
+    const status = await recoveryService.getRecoveryStatus(hackedWallet);
     
     if (status) {
       res.json(status);
@@ -244,23 +411,28 @@ router.get('/recovery-status/:hackedWallet', (req, res) => {
  * Perform auto rescue operation
  * POST /api/auto-rescue
  */
-router.post('/auto-rescue', async (req, res) => {
+router.post('/auto-rescue', requireAuth, async (req, res) => {
   try {
-    const { hackedWalletPrivateKey, safeWallet, network, nonce, priorityTokens } = req.body;
+    const { hackedWalletPrivateKey, signerAddress, safeWallet, network, nonce, priorityTokens, submissionMode, profitPolicy, feeStrategy } = req.body;
 
-    // Validate request body
-    if (!hackedWalletPrivateKey || !safeWallet || !network) {
+    // Validate request body (signerAddress signs through the configured remote signer instead of a key)
+    if ((!hackedWalletPrivateKey && !signerAddress) || !safeWallet || !network) {
       return res.status(400).json({
-        error: 'Missing required fields: hackedWalletPrivateKey, safeWallet, network'
+        error: 'Missing required fields: hackedWalletPrivateKey or signerAddress, safeWallet, network'
       });
     }
+    if (rejectUnlessOwner(req, res, safeWallet)) return;
 
     const result = await recoveryService.performAutoRescue({
       hackedWalletPrivateKey,
+      signerAddress,
       safeWallet,
       network,
       nonce,
-      priorityTokens: priorityTokens || []
+      priorityTokens: priorityTokens || [],
+      submissionMode,
+      profitPolicy,
+      feeStrategy
     });
 
     if (result.success) {
@@ -280,19 +452,20 @@ router.post('/auto-rescue', async (req, res) => {
  * Check wallet balance
  * POST /api/check-balance
  */
-router.post('/check-balance', async (req, res) => {
+router.post('/check-balance', requireAuth, async (req, res) => {
   try {
-    const { hackedWalletPrivateKey, network } = req.body;
+    const { hackedWalletPrivateKey, walletAddress, network } = req.body;
 
-    // Validate request body
-    if (!hackedWalletPrivateKey || !network) {
+    // Validate request body (clients that sign locally send the address instead of the key)
+    if ((!hackedWalletPrivateKey && !walletAddress) || !network) {
       return res.status(400).json({
-        error: 'Missing required fields: hackedWalletPrivateKey, network'
+        error: 'Missing required fields: hackedWalletPrivateKey or walletAddress, network'
       });
     }
 
     const result = await recoveryService.checkBalance({
       hackedWalletPrivateKey,
+      walletAddress,
       network
     });
 
@@ -309,11 +482,181 @@ router.post('/check-balance', async (req, res) => {
   }
 });
 
+/**
+ * Plan a rescue: the ordered transfers a rescue would send, with gas, fees, asset values
+ * and the native balance needed. Nothing is signed or sent. Until it expires the plan can
+ * be signed by the client (POST /api/rescue-plans/:planId/submit) or executed by the
+ * server (POST /api/rescue-plan/:planId/execute), which sends exactly what was planned.
+ * POST /api/rescue-plans
+ * POST /api/rescue-plan
+ */
+router.post(['/rescue-plans', '/rescue-plan'], requireAuth, async (req, res) => {
+  try {
+    const { hackedWallet, safeWallet, network, priorityTokens, feeStrategy, profitPolicy } = req.body;
+
+    // Validate request body
+    const validation = validateRescuePlanForm(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: getFirstError(validation.errors),
+        errors: validation.errors
+      });
+    }
+    if (rejectUnlessOwner(req, res, safeWallet)) return;
+
+    const result = await clientSigningService.planRescue({
+      network,
+      walletAddress: hackedWallet,
+      safeWallet,
+      priorityTokens: priorityTokens || [],
+      feeStrategy,
+      profitPolicy
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Rescue plan error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get the plans a client-signing multi-network session is waiting to have signed
+ * GET /api/rescue-plans?sessionId=...
+ */
+router.get('/rescue-plans', requireAuth, (req, res) => {
+  try {
+    const { sessionId } = req.query;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        error: 'Missing required query parameter: sessionId'
+      });
+    }
+
+    const plans = clientSigningService.getPendingPlans(sessionId)
+      .filter(plan => ownsAddress(req, plan.safeWallet));
+    res.json({ success: true, sessionId, plans, count: plans.length });
+  } catch (error) {
+    console.error('Get rescue plans error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get a rescue plan and its submission results
+ * GET /api/rescue-plans/:planId
+ */
+router.get('/rescue-plans/:planId', requireAuth, (req, res) => {
+  try {
+    const plan = clientSigningService.getPlan(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan not found'
+      });
+    }
+    if (rejectUnlessOwner(req, res, plan.safeWallet)) return;
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Get rescue plan error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Submit a plan's transactions after the client signed them
+ * Send signedTransactions for the server to broadcast, or transactionHashes when the
+ * client broadcast them itself
+ * POST /api/rescue-plans/:planId/submit
+ */
+router.post('/rescue-plans/:planId/submit', requireAuth, async (req, res) => {
+  try {
+    const { planId } = req.params;
+    const { signedTransactions, transactionHashes } = req.body;
+
+    // Validate request body
+    if (!signedTransactions && !transactionHashes) {
+      return res.status(400).json({
+        error: 'Missing required fields: signedTransactions or transactionHashes'
+      });
+    }
+
+    const plan = clientSigningService.getPlan(planId);
+    if (plan && rejectUnlessOwner(req, res, plan.safeWallet)) return;
+
+    const result = signedTransactions
+      ? await clientSigningService.submitSignedTransactions({ planId, signedTransactions })
+      : await clientSigningService.recordBroadcast({ planId, transactionHashes });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Submit rescue plan error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Execute a reviewed plan, signing exactly its transactions with the hacked wallet's key
+ * POST /api/rescue-plan/:planId/execute
+ */
+router.post('/rescue-plan/:planId/execute', requireAuth, async (req, res) => {
+  try {
+    const { planId } = req.params;
+    const { hackedWalletPrivateKey, signerAddress } = req.body;
+
+    // Validate request body (signerAddress signs through the configured remote signer instead of a key)
+    if (!hackedWalletPrivateKey && !signerAddress) {
+      return res.status(400).json({
+        error: 'Missing required fields: hackedWalletPrivateKey or signerAddress'
+      });
+    }
+
+    const plan = clientSigningService.getPlan(planId);
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan not found'
+      });
+    }
+    if (rejectUnlessOwner(req, res, plan.safeWallet)) return;
+
+    const result = await clientSigningService.executePlan({ planId, hackedWalletPrivateKey, signerAddress });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Execute rescue plan error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 /**
  * Get token balances for a wallet
  * GET /api/token-balances/:walletAddress
  */
-router.get('/token-balances/:walletAddress', async (req, res) => {
+router.get('/token-balances/:walletAddress', requireAuth, async (req, res) => {
   try {
     const { walletAddress } = req.params;
     const { network } = req.query;
@@ -345,7 +688,7 @@ router.get('/token-balances/:walletAddress', async (req, res) => {
  * Monitor and claim airdrops
  * POST /api/monitor-claim
  */
-router.post('/monitor-claim', async (req, res) => {
+router.post('/monitor-claim', requireAuth, async (req, res) => {
   try {
     const { hackedWallet, network } = req.body;
 
@@ -356,6 +699,9 @@ router.post('/monitor-claim', async (req, res) => {
       });
     }
 
+    const recovery = await recoveryService.resolveRecovery(hackedWallet, network);
+    if (recovery && rejectUnlessOwner(req, res, recovery.safeWallet)) return;
+
     const result = await recoveryService.monitorAndClaimAirdrops(hackedWallet, network);
 
     if (result.success) {
@@ -375,22 +721,26 @@ router.post('/monitor-claim', async (req, res) => {
  * Claim and transfer tokens
  * POST /api/claim-transfer
  */
-router.post('/claim-transfer', async (req, res) => {
+router.post('/claim-transfer', requireAuth, async (req, res) => {
   try {
-    const { hackedWallet, tokenAddress, amount, network } = req.body;
+    const { hackedWallet, airdropId, tokenAddress, network, claim } = req.body;
 
     // Validate request body
-    if (!hackedWallet || !tokenAddress || !amount || !network) {
+    if (!hackedWallet || (!airdropId && !tokenAddress) || !network) {
       return res.status(400).json({
-        error: 'Missing required fields: hackedWallet, tokenAddress, amount, network'
+        error: 'Missing required fields: hackedWallet, network and airdropId or tokenAddress'
       });
     }
 
+    const recovery = await recoveryService.resolveRecovery(hackedWallet, network);
+    if (recovery && rejectUnlessOwner(req, res, recovery.safeWallet)) return;
+
     const result = await recoveryService.claimAndTransfer({
       hackedWallet,
+      airdropId,
       tokenAddress,
-      amount,
-      network
+      network,
+      claim
     });
 
     if (result.success) {
@@ -406,11 +756,183 @@ router.post('/claim-transfer', async (req, res) => {
   }
 });
 
+/**
+ * Import a Merkle distribution file and attach verified entries to registered recoveries
+ * POST /api/import-distribution
+ */
+router.post('/import-distribution', requireOperator, async (req, res) => {
+  try {
+    const { network, distributor, token, symbol, airdropId, format, content } = req.body;
+
+    // Validate request body
+    if (!network || !distributor || !content) {
+      return res.status(400).json({
+        error: 'Missing required fields: network, distributor, content'
+      });
+    }
+
+    const airdropClaimService = require('../services/airdropClaimService.js');
+    const result = await airdropClaimService.importDistribution({
+      network,
+      distributor,
+      token,
+      symbol,
+      airdropId,
+      format,
+      content
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Import distribution error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * List imported airdrop distributions
+ * GET /api/airdrop-distributions
+ */
+router.get('/airdrop-distributions', requireOperator, async (req, res) => {
+  try {
+    const airdropClaimService = require('../services/airdropClaimService.js');
+    const distributions = await airdropClaimService.getDistributions();
+
+    res.json({
+      success: true,
+      distributions,
+      count: distributions.length
+    });
+  } catch (error) {
+    console.error('Get airdrop distributions error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Build the typed data a hacked or safe wallet signs to authorize a relayed claim
+ * POST /api/relayer/claim-request
+ */
+router.post('/relayer/claim-request', requireAuth, async (req, res) => {
+  try {
+    const { network, hackedWallet, tokenAddress, amount, deadlineSeconds } = req.body;
+
+    // Validate request body
+    if (!network || !hackedWallet || !tokenAddress || !amount) {
+      return res.status(400).json({
+        error: 'Missing required fields: network, hackedWallet, tokenAddress, amount'
+      });
+    }
+
+    const relayerService = require('../services/relayerService.js');
+    const { createProvider } = require('../utils/ethers.js');
+    const result = await relayerService.buildClaimRequest({
+      network,
+      provider: createProvider(network),
+      hackedWallet,
+      tokenAddress,
+      amount,
+      deadlineSeconds
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Relayer claim request error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Submit a signed claim through the network's relayer
+ * POST /api/relayer/claims
+ */
+router.post('/relayer/claims', requireAuth, async (req, res) => {
+  try {
+    const { network, message, signature } = req.body;
+
+    // Validate request body
+    if (!network || !message || !signature) {
+      return res.status(400).json({
+        error: 'Missing required fields: network, message, signature'
+      });
+    }
+
+    const relayerService = require('../services/relayerService.js');
+    const { createProvider } = require('../utils/ethers.js');
+    const result = await relayerService.submitClaim({
+      network,
+      provider: createProvider(network),
+      message,
+      signature
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Relayer claim error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get a relayed claim
+ * GET /api/relayer/claims/:claimId
+ */
+router.get('/relayer/claims/:claimId', requireAuth, (req, res) => {
+  const relayerService = require('../services/relayerService.js');
+  const claim = relayerService.getClaim(req.params.claimId);
+
+  if (!claim) {
+    return res.status(404).json({ error: 'Claim not found' });
+  }
+  if (rejectUnlessOwner(req, res, claim.safeWallet)) return;
+  res.json({ success: true, claim });
+});
+
+/**
+ * Get the relayer account for a network
+ * GET /api/relayer/status/:network
+ */
+router.get('/relayer/status/:network', requireOperator, async (req, res) => {
+  try {
+    const { network } = req.params;
+    const relayerService = require('../services/relayerService.js');
+    const { createProvider } = require('../utils/ethers.js');
+    const status = await relayerService.getStatus(network, createProvider(network));
+
+    res.json({ success: true, network, ...status });
+  } catch (error) {
+    console.error('Relayer status error:', error);
+    res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 /**
  * Get network statistics
  * GET /api/network-stats/:network
  */
-router.get('/network-stats/:network', (req, res) => {
+router.get('/network-stats/:network', requireOperator, async (req, res) => {
   try {
     const { network } = req.params;
     
@@ -420,7 +942,7 @@ router.get('/network-stats/:network', (req, res) => {
       });
     }
 
-    const stats = recoveryService.getStats();
+    const stats = await recoveryService.getStats();
     const networkStats = stats.byNetwork[network] || {
       total: 0,
       active: 0,
@@ -444,7 +966,7 @@ router.get('/network-stats/:network', (req, res) => {
  * Test multicall functionality
  * POST /api/test-multicall
  */
-router.post('/test-multicall', async (req, res) => {
+router.post('/test-multicall', requireOperator, async (req, res) => {
   try {
     const { walletAddress, network, tokenAddresses } = req.body;
 
@@ -474,9 +996,9 @@ router.post('/test-multicall', async (req, res) => {
  * Get system status
  * GET /api/system-status
  */
-router.get('/system-status', (req, res) => {
+router.get('/system-status', requireOperator, async (req, res) => {
   try {
-    const stats = recoveryService.getStats();
+    const stats = await recoveryService.getStats();
     
     res.json({
       status: 'operational',
@@ -514,7 +1036,7 @@ router.post('/internal/monitor-once', async (req, res) => {
         return await serverMain.monitorOnce();
       }
       // Fallback: access service directly
-      const active = recoveryService.getActiveRecoveries();
+      const active = await recoveryService.getActiveRecoveries();
       let processed = 0;
       for (const r of active) {
         await recoveryService.monitorAndClaimAirdrops(r.hackedWallet, r.network);
@@ -537,9 +1059,9 @@ router.post('/internal/monitor-once', async (req, res) => {
  * Get recovery statistics
  * GET /api/recovery-stats
  */
-router.get('/recovery-stats', (req, res) => {
+router.get('/recovery-stats', requireOperator, async (req, res) => {
   try {
-    const stats = recoveryService.getStats();
+    const stats = await recoveryService.getStats();
     res.json(stats);
   } catch (error) {
     console.error('Get recovery stats error:', error);
@@ -553,33 +1075,41 @@ router.get('/recovery-stats', (req, res) => {
  * Start multi-network auto recovery session
  * POST /api/start-multi-recovery
  */
-router.post('/start-multi-recovery', async (req, res) => {
+router.post('/start-multi-recovery', requireAuth, async (req, res) => {
   try {
     const {
       hackedWalletPrivateKey,
+      hackedWallet,
+      signerAddress,
       safeWallet,
       primaryNetwork,
       runOnAllNetworks = false,
       targetNetworks = [],
       intervalSeconds = 30,
-      priorityTokens = []
+      priorityTokens = [],
+      feeStrategy
     } = req.body;
 
-    // Validate request body
-    if (!hackedWalletPrivateKey || !safeWallet || !primaryNetwork) {
+    // Validate request body (a hackedWallet address without a key runs the session in client-signing mode,
+    // a signerAddress signs through the configured remote signer)
+    if ((!hackedWalletPrivateKey && !hackedWallet && !signerAddress) || !safeWallet || !primaryNetwork) {
       return res.status(400).json({
-        error: 'Missing required fields: hackedWalletPrivateKey, safeWallet, primaryNetwork'
+        error: 'Missing required fields: hackedWalletPrivateKey, hackedWallet or signerAddress, safeWallet, primaryNetwork'
       });
     }
+    if (rejectUnlessOwner(req, res, safeWallet)) return;
 
     const result = await autoRecoveryService.startMultiNetworkRecovery({
       hackedWalletPrivateKey,
+      hackedWallet,
+      signerAddress,
       safeWallet,
       primaryNetwork,
       runOnAllNetworks,
       targetNetworks,
       intervalSeconds,
-      priorityTokens
+      priorityTokens,
+      feeStrategy
     });
 
     if (result.success) {
@@ -599,7 +1129,7 @@ router.post('/start-multi-recovery', async (req, res) => {
  * Stop multi-network auto recovery session
  * POST /api/stop-multi-recovery
  */
-router.post('/stop-multi-recovery', async (req, res) => {
+router.post('/stop-multi-recovery', requireAuth, async (req, res) => {
   try {
     const { sessionId } = req.body;
 
@@ -610,6 +1140,9 @@ router.post('/stop-multi-recovery', async (req, res) => {
       });
     }
 
+    const session = autoRecoveryService.getActiveRecoverySessions().get(sessionId);
+    if (session && rejectUnlessOwner(req, res, session.safeWallet)) return;
+
     const result = autoRecoveryService.stopRecoverySession(sessionId);
 
     if (result.success) {
@@ -629,7 +1162,7 @@ router.post('/stop-multi-recovery', async (req, res) => {
  * Get multi-network recovery session status
  * GET /api/multi-recovery-status/:sessionId
  */
-router.get('/multi-recovery-status/:sessionId', (req, res) => {
+router.get('/multi-recovery-status/:sessionId', requireAuth, (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -639,6 +1172,9 @@ router.get('/multi-recovery-status/:sessionId', (req, res) => {
       });
     }
 
+    const session = autoRecoveryService.getActiveRecoverySessions().get(sessionId);
+    if (session && rejectUnlessOwner(req, res, session.safeWallet)) return;
+
     const result = autoRecoveryService.getSessionStatus(sessionId);
 
     if (result.success) {
@@ -658,9 +1194,9 @@ router.get('/multi-recovery-status/:sessionId', (req, res) => {
  * Get all active multi-network recovery sessions
  * GET /api/active-multi-recovery-sessions
  */
-router.get('/active-multi-recovery-sessions', (req, res) => {
+router.get('/active-multi-recovery-sessions', requireAuth, (req, res) => {
   try {
-    const result = autoRecoveryService.getAllActiveSessions();
+    const result = autoRecoveryService.getAllActiveSessions(getOwnerScope(req));
     res.json(result);
   } catch (error) {
     console.error('Get active multi-recovery sessions error:', error);
@@ -674,7 +1210,7 @@ router.get('/active-multi-recovery-sessions', (req, res) => {
  * Get auto recovery service statistics
  * GET /api/auto-recovery-stats
  */
-router.get('/auto-recovery-stats', (req, res) => {
+router.get('/auto-recovery-stats', requireOperator, (req, res) => {
   try {
     const result = autoRecoveryService.getStats();
     res.json(result);
@@ -690,9 +1226,9 @@ router.get('/auto-recovery-stats', (req, res) => {
  * Cancel ongoing auto rescue operation
  * POST /api/cancel-auto-rescue
  */
-router.post('/cancel-auto-rescue', async (req, res) => {
+router.post('/cancel-auto-rescue', requireAuth, async (req, res) => {
   try {
-    const result = await recoveryService.cancelAutoRescue();
+    const result = await recoveryService.cancelAutoRescue(getOwnerScope(req));
     
     if (result.success) {
       res.json(result);
@@ -711,7 +1247,7 @@ router.post('/cancel-auto-rescue', async (req, res) => {
  * Test scanner-based token discovery
  * POST /api/test-scanner
  */
-router.post('/test-scanner', async (req, res) => {
+router.post('/test-scanner', requireOperator, async (req, res) => {
   try {
     const { walletAddress, network, options = {} } = req.body;
 
@@ -764,7 +1300,7 @@ router.post('/test-scanner', async (req, res) => {
  * Save tokens to server for future recovery operations
  * POST /api/save-tokens
  */
-router.post('/save-tokens', async (req, res) => {
+router.post('/save-tokens', requireAuth, async (req, res) => {
   try {
     const { tokens, network } = req.body;
 
@@ -792,7 +1328,7 @@ router.post('/save-tokens', async (req, res) => {
 
     // Save tokens to server storage (in production, use a database)
     const savedTokens = require('../services/tokenStorageService.js');
-    const result = await savedTokens.saveTokens(tokens, network);
+    const result = await savedTokens.saveTokens(tokens, network, req.auth.address);
 
     if (result.success) {
       res.json({
@@ -818,13 +1354,13 @@ router.post('/save-tokens', async (req, res) => {
  * Get saved tokens from server
  * GET /api/saved-tokens
  */
-router.get('/saved-tokens', async (req, res) => {
+router.get('/saved-tokens', requireAuth, async (req, res) => {
   try {
     const { network } = req.query;
 
     // Get saved tokens from server storage
     const savedTokens = require('../services/tokenStorageService.js');
-    const result = await savedTokens.getSavedTokens(network);
+    const result = await savedTokens.getSavedTokens(network, getOwnerScope(req));
 
     if (result.success) {
       res.json({
@@ -850,7 +1386,7 @@ router.get('/saved-tokens', async (req, res) => {
  * Delete saved tokens
  * DELETE /api/saved-tokens
  */
-router.delete('/saved-tokens', async (req, res) => {
+router.delete('/saved-tokens', requireAuth, async (req, res) => {
   try {
     const { network, tokenAddress } = req.body;
 
@@ -862,7 +1398,7 @@ router.delete('/saved-tokens', async (req, res) => {
 
     // Delete saved tokens from server storage
     const savedTokens = require('../services/tokenStorageService.js');
-    const result = await savedTokens.deleteSavedTokens(network, tokenAddress);
+    const result = await savedTokens.deleteSavedTokens(network, tokenAddress, getOwnerScope(req));
 
     if (result.success) {
       res.json({
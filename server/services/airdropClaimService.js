@@ -0,0 +1,261 @@
+/**
+ * Airdrop Claim Service
+ * Imports published Merkle distributions, verifies them against the distributor on-chain
+ * and attaches claimable entries to registered recoveries for the monitor to claim
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createProvider } = require('../utils/ethers.js');
+const { parseDistribution } = require('../utils/distribution.js');
+const { createClaimAdapter, registerAirdrop } = require('../claims/index.js');
+const { getRecoveryStore } = require('../storage/index.js');
+const { RECOVERY_EVENTS, createHistoryEntry } = require('../models/recovery.js');
+
+// File path for persistent storage
+const DISTRIBUTIONS_FILE_PATH = path.join(__dirname, '../data/airdrop-distributions.json');
+
+/**
+ * Airdrop Claim Service class
+ */
+class AirdropClaimService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.filePath - Distribution storage file
+   * @param {Object} options.store - Recovery store (defaults to the process-wide store)
+   */
+  constructor({ filePath, store } = {}) {
+    this.filePath = filePath || process.env.AIRDROP_DISTRIBUTIONS_PATH || DISTRIBUTIONS_FILE_PATH;
+    this.store = store || null;
+    this.distributions = new Map();
+    this.initPromise = null;
+  }
+
+  /**
+   * Load imported distributions and register their adapters
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const distributions = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+          distributions.forEach(distribution => this.register(distribution));
+          console.log(`Loaded ${distributions.length} airdrop distributions from storage`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error('Error loading airdrop distributions:', error);
+          }
+        }
+      })();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Get the recovery store
+   * @returns {Object} Recovery store
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = getRecoveryStore();
+    }
+    return this.store;
+  }
+
+  /**
+   * Keep a distribution in memory and make its adapter available for claims
+   * @param {Object} distribution - Stored distribution
+   */
+  register(distribution) {
+    this.distributions.set(distribution.id, distribution);
+    registerAirdrop({
+      id: distribution.id,
+      type: 'merkle-distributor',
+      network: distribution.network,
+      distributor: distribution.distributor,
+      token: distribution.token,
+      symbol: distribution.symbol,
+      claims: distribution.entries
+    });
+  }
+
+  /**
+   * Import a distribution file
+   * @param {Object} params - Import parameters
+   * @param {string} params.network - Network identifier
+   * @param {string} params.distributor - MerkleDistributor contract address
+   * @param {string} params.token - Optional token address (read from the distributor otherwise)
+   * @param {string} params.symbol - Optional token symbol
+   * @param {string} params.airdropId - Optional ID (defaults to network-distributor)
+   * @param {string|Object|Array} params.content - File content
+   * @param {string} params.format - 'json' or 'csv' (detected when omitted)
+   * @param {Object} params.provider - Optional provider (defaults to the network's)
+   * @returns {Promise<Object>} Import report with a status for every problem entry and every match
+   */
+  async importDistribution({ network, distributor, token, symbol, airdropId, content, format, provider }) {
+    try {
+      await this.initialize();
+
+      const parsed = parseDistribution(content, format);
+      const id = airdropId || `${network}-${distributor.toLowerCase()}`;
+      const adapter = createClaimAdapter({ id, type: 'merkle-distributor', network, distributor, token, symbol });
+      const { merkleRoot, results } = await adapter.verifyEntries(provider || createProvider(network), parsed.entries);
+
+      if (parsed.merkleRoot && parsed.merkleRoot.toLowerCase() !== merkleRoot.toLowerCase()) {
+        throw new Error(`File Merkle root ${parsed.merkleRoot} does not match the distributor's ${merkleRoot}`);
+      }
+
+      // Only entries that can still be claimed are worth keeping
+      const entries = {};
+      for (const result of results) {
+        if (result.status === 'valid') {
+          entries[result.account.toLowerCase()] = { index: result.index, amount: result.amount, proof: result.proof };
+        }
+      }
+
+      const distribution = {
+        id,
+        network,
+        distributor: adapter.distributor,
+        token: adapter.token,
+        symbol: adapter.symbol,
+        merkleRoot,
+        importedAt: new Date().toISOString(),
+        entries
+      };
+      this.register(distribution);
+      await this.persistToFile();
+
+      const matched = await this.attachToRecoveries(distribution);
+      const matchedAccounts = new Set(matched.map(match => match.account.toLowerCase()));
+
+      const count = (status) => results.filter(result => result.status === status).length;
+      return {
+        success: true,
+        airdropId: id,
+        merkleRoot,
+        token: adapter.token,
+        summary: {
+          total: results.length + parsed.errors.length,
+          valid: count('valid'),
+          invalidProof: count('invalid_proof'),
+          alreadyClaimed: count('already_claimed'),
+          errors: count('error') + parsed.errors.length,
+          matched: matched.length
+        },
+        entries: results
+          .filter(result => result.status !== 'valid' || matchedAccounts.has(result.account.toLowerCase()))
+          .map(({ account, index, amount, status, reason }) => ({
+            account,
+            index,
+            amount,
+            status,
+            reason,
+            recoveryId: matched.find(match => match.account.toLowerCase() === account.toLowerCase())?.recoveryId
+          })),
+        parseErrors: parsed.errors
+      };
+    } catch (error) {
+      console.error('Error importing airdrop distribution:', error);
+      return {
+        success: false,
+        error: `Failed to import distribution: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Attach a distribution's claimable entries to matching active recoveries
+   * @param {Object} distribution - Stored distribution
+   * @returns {Promise<Array>} Matches ({ account, recoveryId })
+   */
+  async attachToRecoveries(distribution) {
+    const store = this.getStore();
+    const recoveries = await store.listRecoveries({ activeOnly: true });
+    const matches = [];
+
+    for (const recovery of recoveries) {
+      if (recovery.network !== distribution.network) continue;
+      const entry = distribution.entries[recovery.hackedWallet.toLowerCase()];
+      if (!entry) continue;
+
+      recovery.airdropClaims = mergeAirdropClaims(recovery.airdropClaims, [{ airdropId: distribution.id, ...entry }]);
+      await store.saveRecovery(recovery);
+      await store.addHistory(createHistoryEntry(recovery.id, RECOVERY_EVENTS.AIRDROP_ATTACHED, {
+        airdropId: distribution.id,
+        index: entry.index,
+        amount: entry.amount
+      }));
+      matches.push({ account: recovery.hackedWallet, recoveryId: recovery.id });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Get claimable entries for an account across imported distributions
+   * @param {string} network - Network identifier
+   * @param {string} account - Hacked wallet address
+   * @returns {Promise<Array>} Claims ({ airdropId, index, amount, proof })
+   */
+  async getClaimsForAccount(network, account) {
+    await this.initialize();
+    const claims = [];
+    for (const distribution of this.distributions.values()) {
+      const entry = distribution.network === network && distribution.entries[account.toLowerCase()];
+      if (entry) {
+        claims.push({ airdropId: distribution.id, ...entry });
+      }
+    }
+    return claims;
+  }
+
+  /**
+   * List imported distributions without their entries
+   * @returns {Promise<Array>} Distributions
+   */
+  async getDistributions() {
+    await this.initialize();
+    return Array.from(this.distributions.values()).map(({ entries, ...distribution }) => ({
+      ...distribution,
+      entryCount: Object.keys(entries).length
+    }));
+  }
+
+  /**
+   * Persist distributions to file
+   */
+  async persistToFile() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(Array.from(this.distributions.values()), null, 2));
+    } catch (error) {
+      console.error('Error persisting airdrop distributions to file:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Merge airdrop claims into a recovery's list, keeping the state of ones already known
+ * @param {Array} existing - Current airdropClaims
+ * @param {Array} claims - Claims to add ({ airdropId, index, amount, proof })
+ * @returns {Array} Merged claims
+ */
+const mergeAirdropClaims = (existing = [], claims = []) => {
+  const merged = [...existing];
+  for (const claim of claims) {
+    const known = merged.some(item => item.airdropId === claim.airdropId && item.index === claim.index);
+    if (!known) {
+      merged.push({ ...claim, status: 'pending', attachedAt: new Date().toISOString() });
+    }
+  }
+  return merged;
+};
+
+// Create singleton instance
+const airdropClaimService = new AirdropClaimService();
+
+module.exports = airdropClaimService;
+module.exports.AirdropClaimService = AirdropClaimService;
+module.exports.mergeAirdropClaims = mergeAirdropClaims;
@@ -0,0 +1,357 @@
+/**
+ * Auth Service
+ * Sign-In With Ethereum (EIP-4361) login for the API. The safe wallet signs a
+ * server-issued nonce and gets a bearer token; routes scope recoveries, rescue
+ * sessions, plans and saved tokens to the safe wallet the token belongs to.
+ * Addresses in OPERATOR_ADDRESSES get the operator role, which sees everything
+ * and can use the admin endpoints.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getAllNetworks } = require('../config/networks.js');
+const { createProvider, hasContractCode } = require('../utils/ethers.js');
+const { formatSiweMessage, parseSiweMessage } = require('../utils/siwe.js');
+
+const DEFAULT_NONCE_TTL_SECONDS = 300;
+const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60;
+const DEFAULT_MAX_NONCES = 10000;
+const DEFAULT_MAX_SESSIONS = 10000;
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const EIP1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+const ROLES = {
+  USER: 'user',
+  OPERATOR: 'operator'
+};
+
+/**
+ * Read a positive number of seconds from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} Seconds
+ */
+const getSeconds = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Hash a bearer token for use as a map key, so a dump of the sessions holds no usable tokens
+ * @param {string} token - Bearer token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Get the host of a URL
+ * @param {string} url - URL
+ * @param {string} name - Setting the URL came from, for the warning
+ * @returns {string|null} Host, or null if malformed
+ */
+const getHost = (url, name) => {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    console.warn(`Ignoring malformed ${name} for sign-in domains`);
+    return null;
+  }
+};
+
+/**
+ * Auth Service class
+ */
+class AuthService {
+  constructor() {
+    // Issued, unused nonces keyed by nonce
+    this.nonces = new Map();
+    // Sessions keyed by token hash
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get the addresses with the operator role
+   * @returns {Array<string>} Lowercase addresses from OPERATOR_ADDRESSES
+   */
+  getOperatorAddresses() {
+    return (process.env.OPERATOR_ADDRESSES || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(address => ethers.isAddress(address))
+      .map(address => address.toLowerCase());
+  }
+
+  /**
+   * Get the domains sign-in messages may be issued for
+   * Never the Host header a request came in on, since anyone fronting the API
+   * under their own domain could then have users sign in to it.
+   * @returns {Array<string>} SIWE_DOMAINS, or the hosts of CLIENT_URL and SERVER_URL
+   * (localhost on PORT when SERVER_URL is unset)
+   */
+  getAllowedDomains() {
+    if (process.env.SIWE_DOMAINS) {
+      return process.env.SIWE_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean);
+    }
+
+    const domains = [];
+    if (process.env.CLIENT_URL) {
+      domains.push(getHost(process.env.CLIENT_URL, 'CLIENT_URL'));
+    }
+    const serverUrls = (process.env.SERVER_URL || '').split(',').map(url => url.trim()).filter(Boolean);
+    if (serverUrls.length === 0) {
+      serverUrls.push(`http://localhost:${process.env.PORT || 5000}`);
+    }
+    for (const url of serverUrls) {
+      domains.push(getHost(url, 'SERVER_URL'));
+    }
+    return [...new Set(domains.filter(Boolean))];
+  }
+
+  /**
+   * Check whether a nonce or session store can take another entry, dropping expired
+   * ones once it is full. Live entries are never evicted: anyone can request nonces,
+   * and evicting would cancel other users' sign-ins and end their sessions.
+   * @param {Map} store - this.nonces or this.sessions
+   * @param {number} limit - Most entries the store may hold
+   * @returns {boolean} True if there is room
+   */
+  hasRoom(store, limit) {
+    if (store.size < limit) return true;
+
+    const now = Date.now();
+    for (const [key, entry] of store) {
+      if (new Date(entry.expiresAt).getTime() <= now) store.delete(key);
+    }
+    return store.size < limit;
+  }
+
+  /**
+   * Issue a nonce and the sign-in message for an address
+   * @param {Object} params - Parameters
+   * @param {string} params.address - Safe wallet signing in
+   * @param {number} params.chainId - Chain the wallet is connected to (default 1)
+   * @param {string} params.domain - Domain the message is for (must be allowed)
+   * @param {string} params.uri - URI the sign-in is for
+   * @returns {Object} { success, nonce, message, expiresAt, error, tooManyRequests }
+   */
+  createChallenge({ address, chainId = 1, domain, uri }) {
+    try {
+      if (!ethers.isAddress(address)) {
+        throw new Error('Invalid address');
+      }
+
+      const allowedDomains = this.getAllowedDomains();
+      const messageDomain = domain || allowedDomains[0];
+      if (!messageDomain || !allowedDomains.includes(messageDomain)) {
+        throw new Error(`Sign-in is not allowed for domain ${messageDomain}`);
+      }
+
+      if (!this.hasRoom(this.nonces, getSeconds('SIWE_MAX_NONCES', DEFAULT_MAX_NONCES))) {
+        return {
+          success: false,
+          tooManyRequests: true,
+          error: 'Failed to create sign-in challenge: too many pending sign-ins, try again later'
+        };
+      }
+
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expiresAt = new Date(issuedAt.getTime() + getSeconds('SIWE_NONCE_TTL_SECONDS', DEFAULT_NONCE_TTL_SECONDS) * 1000);
+
+      this.nonces.set(nonce, {
+        address: ethers.getAddress(address),
+        expiresAt: expiresAt.toISOString()
+      });
+
+      const message = formatSiweMessage({
+        domain: messageDomain,
+        address,
+        statement: 'Sign in to the Token Recovery System with your safe wallet.',
+        uri: uri || `https://${messageDomain}`,
+        chainId: Number(chainId),
+        nonce,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: expiresAt.toISOString()
+      });
+
+      return { success: true, nonce, message, expiresAt: expiresAt.toISOString() };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create sign-in challenge: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Check a signature over a message, falling back to EIP-1271 for contract wallets (e.g. a Safe)
+   * @param {string} message - Signed message
+   * @param {string} signature - Signature
+   * @param {string} address - Expected signer
+   * @param {number} chainId - Chain the signer may be a contract on
+   * @param {Object} provider - Provider for that chain (defaults to the configured network's)
+   * @returns {Promise<boolean>} True if the address signed the message
+   */
+  async isValidSignature(message, signature, address, chainId, provider = null) {
+    try {
+      if (ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase()) {
+        return true;
+      }
+    } catch (_) {
+      // Not an ECDSA signature, a contract wallet may still accept it
+    }
+
+    const chainProvider = provider || this.getProviderForChain(chainId);
+    if (!chainProvider || !(await hasContractCode(address, chainProvider))) {
+      return false;
+    }
+
+    try {
+      const wallet = new ethers.Contract(address, EIP1271_ABI, chainProvider);
+      return (await wallet.isValidSignature(ethers.hashMessage(message), signature)) === EIP1271_MAGIC_VALUE;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a provider for a chain ID from the configured networks
+   * @param {number} chainId - Chain ID
+   * @returns {Object|null} Provider or null for unknown chains
+   */
+  getProviderForChain(chainId) {
+    const entry = Object.entries(getAllNetworks())
+      .find(([, config]) => Number(config.chainId) === Number(chainId));
+    return entry ? createProvider(entry[0]) : null;
+  }
+
+  /**
+   * Verify a signed sign-in message and open a session
+   * @param {Object} params - Parameters
+   * @param {string} params.message - EIP-4361 message
+   * @param {string} params.signature - Signature over the message
+   * @param {Object} params.provider - Optional provider for contract wallet signatures
+   * @returns {Promise<Object>} { success, token, address, role, expiresAt, error, tooManyRequests }
+   */
+  async verifyLogin({ message, signature, provider }) {
+    try {
+      if (!message || !signature) {
+        throw new Error('Message and signature are required');
+      }
+
+      const fields = parseSiweMessage(message);
+      if (!this.getAllowedDomains().includes(fields.domain)) {
+        throw new Error(`Sign-in is not allowed for domain ${fields.domain}`);
+      }
+
+      // Checked before the nonce is used up, so the same message can be sent again later
+      if (!this.hasRoom(this.sessions, getSeconds('AUTH_MAX_SESSIONS', DEFAULT_MAX_SESSIONS))) {
+        return {
+          success: false,
+          tooManyRequests: true,
+          error: 'Failed to sign in: too many active sessions, try again later'
+        };
+      }
+
+      // Nonces are single-use, so a replayed message fails here
+      const issued = this.nonces.get(fields.nonce);
+      if (!issued) {
+        throw new Error('Unknown or already used nonce');
+      }
+      this.nonces.delete(fields.nonce);
+
+      const now = Date.now();
+      if (new Date(issued.expiresAt).getTime() <= now) {
+        throw new Error('Nonce expired, request a new one');
+      }
+      if (issued.address.toLowerCase() !== fields.address.toLowerCase()) {
+        throw new Error('Nonce was issued for another address');
+      }
+      if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+        throw new Error('Sign-in message expired');
+      }
+      if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+        throw new Error('Sign-in message is not valid yet');
+      }
+
+      if (!(await this.isValidSignature(message, signature, fields.address, fields.chainId, provider))) {
+        throw new Error(`Signature is not from ${fields.address}`);
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(now + getSeconds('AUTH_SESSION_TTL_SECONDS', DEFAULT_SESSION_TTL_SECONDS) * 1000);
+      const session = {
+        address: fields.address,
+        role: this.getOperatorAddresses().includes(fields.address.toLowerCase()) ? ROLES.OPERATOR : ROLES.USER,
+        chainId: fields.chainId,
+        issuedAt: new Date(now).toISOString(),
+        expiresAt: expiresAt.toISOString()
+      };
+      this.sessions.set(hashToken(token), session);
+
+      console.log(`Signed in ${session.address} (${session.role})`);
+
+      return { success: true, token, ...session };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to sign in: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Get the session for a bearer token
+   * @param {string} token - Bearer token
+   * @returns {Object|null} { address, role, chainId, issuedAt, expiresAt } or null if unknown or expired
+   */
+  getSession(token) {
+    if (!token) return null;
+
+    const key = hashToken(token);
+    const session = this.sessions.get(key);
+    if (!session) return null;
+
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * End the session for a bearer token
+   * @param {string} token - Bearer token
+   * @returns {boolean} True if a session was ended
+   */
+  revokeSession(token) {
+    return this.sessions.delete(hashToken(token));
+  }
+
+  /**
+   * Drop expired nonces and sessions
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const store of [this.nonces, this.sessions]) {
+      for (const [key, entry] of store) {
+        if (new Date(entry.expiresAt).getTime() <= now) {
+          store.delete(key);
+          cleanedCount++;
+        }
+      }
+    }
+
+    if (cleanedCount > 0) {
+      console.log(`Cleaned up ${cleanedCount} expired sign-in nonces and sessions`);
+    }
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.ROLES = ROLES;
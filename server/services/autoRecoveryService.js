@@ -5,13 +5,39 @@
  */
 
 const RecoveryService = require('./recoveryService.js');
+const clientSigningService = require('./clientSigningService.js');
 const { getAllNetworks } = require('../config/networks.js');
+const { isRemoteSignerAddress } = require('../utils/ethers.js');
+const { sealSessionKey, withSessionKey, destroySessionKey } = require('../utils/sessionKeys.js');
+const { isFeeStrategy } = require('../utils/feeStrategy.js');
 const { ethers } = require('ethers');
 
+/**
+ * Get how long a session may keep its signing key
+ * @returns {number} TTL in seconds (SESSION_KEY_TTL_SECONDS, default 24 hours)
+ */
+const getSessionKeyTtl = () => {
+  const ttl = Number(process.env.SESSION_KEY_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 24 * 60 * 60;
+};
+
+/**
+ * Pick how a session signs: 'server' with the given key, 'remote' through the
+ * remote signer, or 'client' when only plans are made for the browser to sign
+ * @param {Object} sessionData - Session configuration
+ * @returns {string} Signing mode
+ */
+const getSigningMode = ({ hackedWalletPrivateKey, signerAddress }) => {
+  if (hackedWalletPrivateKey) return 'server';
+  return signerAddress ? 'remote' : 'client';
+};
+
 class AutoRecoveryService {
   constructor() {
     this.recoveryService = new RecoveryService();
     this.activeRecoverySessions = new Map(); // Track active recovery sessions
+    this.sessionKeys = new Map(); // Sealed signing keys by session ID, never stored on the sessions
+    this.sessionKeyTimers = new Map(); // TTL timers destroying those keys
     // Normalize networks: keep both map and id list for robust validation
     this.networkMap = getAllNetworks(); // { id -> config }
     this.networkIds = Object.keys(this.networkMap); // ['mainnet', 'optimism', ...]
@@ -20,31 +46,60 @@ class AutoRecoveryService {
   /**
    * Start a multi-network auto recovery session
    * @param {Object} sessionData - Session configuration
-   * @param {string} sessionData.hackedWalletPrivateKey - Private key of hacked wallet
+   * @param {string} sessionData.hackedWalletPrivateKey - Private key of hacked wallet; sealed right away and
+   *   destroyed when the session stops or after SESSION_KEY_TTL_SECONDS
+   * @param {string} sessionData.hackedWallet - Hacked wallet address; without a key the session only plans
+   *   rescues for the client to sign (see clientSigningService)
+   * @param {string} sessionData.signerAddress - Sign through the configured remote signer for this address
    * @param {string} sessionData.safeWallet - Safe wallet address
    * @param {string} sessionData.primaryNetwork - Primary network to start with
    * @param {boolean} sessionData.runOnAllNetworks - Whether to run on all networks
    * @param {Array} sessionData.targetNetworks - Specific networks to target (if not all)
    * @param {number} sessionData.intervalSeconds - Interval between recovery attempts (default: 30)
+   * @param {string} sessionData.feeStrategy - 'urgent', 'normal' or 'economy' for every rescue (defaults to each network's)
    * @returns {Object} Session result
    */
   async startMultiNetworkRecovery(sessionData) {
     try {
       const {
         hackedWalletPrivateKey,
+        hackedWallet,
+        signerAddress,
         safeWallet,
         primaryNetwork,
         runOnAllNetworks = false,
         targetNetworks = [],
         intervalSeconds = 30,
-        priorityTokens = []
+        priorityTokens = [],
+        feeStrategy
       } = sessionData;
 
       // Validate inputs
-      if (!hackedWalletPrivateKey || !safeWallet || !primaryNetwork) {
+      if ((!hackedWalletPrivateKey && !hackedWallet && !signerAddress) || !safeWallet || !primaryNetwork) {
+        return {
+          success: false,
+          error: 'Missing required fields: hackedWalletPrivateKey, hackedWallet or signerAddress, safeWallet, primaryNetwork'
+        };
+      }
+      if (signerAddress && !isRemoteSignerAddress(signerAddress)) {
+        return {
+          success: false,
+          error: 'No remote signer is configured for this address'
+        };
+      }
+      if (signerAddress) {
+        await this.recoveryService.assertRemoteSigningAllowed(signerAddress, safeWallet);
+      }
+      if (!hackedWalletPrivateKey && !signerAddress && !ethers.isAddress(hackedWallet)) {
         return {
           success: false,
-          error: 'Missing required fields: hackedWalletPrivateKey, safeWallet, primaryNetwork'
+          error: 'Invalid hacked wallet address'
+        };
+      }
+      if (feeStrategy !== undefined && !isFeeStrategy(feeStrategy)) {
+        return {
+          success: false,
+          error: 'Fee strategy must be "urgent", "normal" or "economy"'
         };
       }
 
@@ -73,15 +128,22 @@ class AutoRecoveryService {
         };
       }
 
+      // Seal the key before anything else keeps a reference to the session
+      const keyEnvelope = hackedWalletPrivateKey ? sealSessionKey(hackedWalletPrivateKey) : null;
+      const keyTtlSeconds = getSessionKeyTtl();
+
       // Create session object
       const session = {
         id: sessionId,
-        hackedWalletPrivateKey,
+        hackedWallet: keyEnvelope ? keyEnvelope.address : ethers.getAddress(signerAddress || hackedWallet),
+        signingMode: getSigningMode(sessionData),
+        keyExpiresAt: keyEnvelope ? new Date(Date.now() + keyTtlSeconds * 1000) : null,
         safeWallet,
         networks: networksToProcess,
         primaryNetwork,
         intervalSeconds,
         priorityTokens,
+        feeStrategy,
         isActive: true,
         startTime: new Date(),
         lastRun: null,
@@ -94,6 +156,12 @@ class AutoRecoveryService {
 
       // Store session
       this.activeRecoverySessions.set(sessionId, session);
+      if (keyEnvelope) {
+        this.sessionKeys.set(sessionId, keyEnvelope);
+        const timer = setTimeout(() => this.expireSessionKey(sessionId), keyTtlSeconds * 1000);
+        timer.unref();
+        this.sessionKeyTimers.set(sessionId, timer);
+      }
 
       // Start the recovery process
       this.startRecoveryLoop(sessionId);
@@ -103,7 +171,8 @@ class AutoRecoveryService {
         sessionId,
         message: `Multi-network auto recovery started on ${networksToProcess.length} networks`,
         networks: networksToProcess,
-        intervalSeconds
+        intervalSeconds,
+        signingMode: session.signingMode
       };
 
     } catch (error) {
@@ -136,16 +205,27 @@ class AutoRecoveryService {
         console.log(`Processing network ${network} (${i + 1}/${session.networks.length}) for session ${sessionId}`);
 
         try {
-          // Perform auto rescue on this network
+          // Perform auto rescue on this network, or plan it for the client to sign
           let result;
           try {
-            result = await this.recoveryService.performAutoRescue({
-              hackedWalletPrivateKey: session.hackedWalletPrivateKey,
+            const rescue = (hackedWalletPrivateKey) => this.recoveryService.performAutoRescue({
+              hackedWalletPrivateKey,
+              signerAddress: session.signingMode === 'remote' ? session.hackedWallet : undefined,
               safeWallet: session.safeWallet,
               network,
               nonce: '', // Let the service determine nonce
-              priorityTokens: session.priorityTokens || []
+              priorityTokens: session.priorityTokens || [],
+              feeStrategy: session.feeStrategy
             });
+
+            if (session.signingMode === 'client') {
+              result = await this.planClientRescue(session, network);
+            } else if (session.signingMode === 'server') {
+              // The key is only decrypted while this rescue runs
+              result = await withSessionKey(this.sessionKeys.get(sessionId), rescue);
+            } else {
+              result = await rescue();
+            }
           } catch (autoRescueError) {
             console.error(`Auto rescue error: ${autoRescueError.message}`);
             result = {
@@ -163,6 +243,7 @@ class AutoRecoveryService {
             message: result.message || result.error || 'Unknown result',
             tokensFound: result.data?.tokensFound || 0,
             tokensTransferred: result.data?.tokensTransferred || 0,
+            planId: result.plan?.id || null,
             error: result.error || null
           };
 
@@ -218,6 +299,7 @@ class AutoRecoveryService {
       // Mark session as failed
       if (session) {
         session.isActive = false;
+        this.releaseSessionKey(sessionId);
         session.results.push({
           network: 'ALL',
           timestamp: new Date(),
@@ -231,6 +313,75 @@ class AutoRecoveryService {
     }
   }
 
+  /**
+   * Plan one network's rescue for a client-signing session
+   * Skips the network while an earlier plan there is still waiting for its signatures,
+   * so the client is never handed two plans with the same nonces.
+   * @param {Object} session - Recovery session
+   * @param {string} network - Network identifier
+   * @returns {Promise<Object>} Plan result
+   */
+  async planClientRescue(session, network) {
+    if (clientSigningService.hasPendingPlan(session.id, network)) {
+      return {
+        success: true,
+        message: `Rescue plan on ${network} is still waiting for client signatures`
+      };
+    }
+
+    const result = await clientSigningService.planRescue({
+      network,
+      walletAddress: session.hackedWallet,
+      safeWallet: session.safeWallet,
+      priorityTokens: session.priorityTokens || [],
+      sessionId: session.id,
+      feeStrategy: session.feeStrategy
+    });
+
+    if (result.success) {
+      return {
+        ...result,
+        message: `Rescue plan with ${result.plan.transactions.length} transactions ready for client signing`
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Destroy a session's sealed key and its TTL timer
+   * @param {string} sessionId - Session ID
+   */
+  releaseSessionKey(sessionId) {
+    clearTimeout(this.sessionKeyTimers.get(sessionId));
+    this.sessionKeyTimers.delete(sessionId);
+    destroySessionKey(this.sessionKeys.get(sessionId));
+    this.sessionKeys.delete(sessionId);
+  }
+
+  /**
+   * Destroy a session's key once its TTL is reached; the session cannot sign anymore, so it stops
+   * @param {string} sessionId - Session ID
+   */
+  expireSessionKey(sessionId) {
+    this.releaseSessionKey(sessionId);
+
+    const session = this.activeRecoverySessions.get(sessionId);
+    if (!session || !session.isActive) return;
+
+    session.isActive = false;
+    session.endTime = new Date();
+    session.results.push({
+      network: 'ALL',
+      timestamp: new Date(),
+      success: false,
+      message: 'Session key expired',
+      tokensFound: 0,
+      tokensTransferred: 0,
+      error: 'Session key TTL reached, start a new session to continue'
+    });
+    console.log(`Session key expired, stopped recovery session ${sessionId}`);
+  }
+
   /**
    * Stop an active recovery session
    * @param {string} sessionId - Session ID to stop
@@ -257,6 +408,7 @@ class AutoRecoveryService {
       // Stop the session
       session.isActive = false;
       session.endTime = new Date();
+      this.releaseSessionKey(sessionId);
 
       console.log(`Stopped recovery session ${sessionId}`);
 
@@ -307,8 +459,13 @@ class AutoRecoveryService {
           lastRun: session.lastRun,
           networks: session.networks,
           primaryNetwork: session.primaryNetwork,
+          hackedWallet: session.hackedWallet,
+          signingMode: session.signingMode,
+          keyExpiresAt: session.keyExpiresAt,
+          pendingPlans: session.signingMode === 'client' ? clientSigningService.getPendingPlans(session.id) : [],
           currentNetworkIndex: session.currentNetworkIndex,
           intervalSeconds: session.intervalSeconds,
+          feeStrategy: session.feeStrategy || null,
           totalRecoveries: session.totalRecoveries,
           successfulRecoveries: session.successfulRecoveries,
           failedRecoveries: session.failedRecoveries,
@@ -327,13 +484,17 @@ class AutoRecoveryService {
 
   /**
    * Get all active sessions
+   * @param {string} safeWallet - Only list sessions rescuing to this safe wallet (default: all)
    * @returns {Object} All active sessions
    */
-  getAllActiveSessions() {
+  getAllActiveSessions(safeWallet = null) {
     try {
       const activeSessions = [];
       
       for (const [sessionId, session] of this.activeRecoverySessions) {
+        if (safeWallet && String(session.safeWallet).toLowerCase() !== safeWallet.toLowerCase()) {
+          continue;
+        }
         if (session.isActive) {
           activeSessions.push({
             id: sessionId,
@@ -372,6 +533,7 @@ class AutoRecoveryService {
 
       for (const [sessionId, session] of this.activeRecoverySessions) {
         if (!session.isActive && session.endTime && session.endTime < cutoffTime) {
+          this.releaseSessionKey(sessionId);
           this.activeRecoverySessions.delete(sessionId);
           cleanedCount++;
         }
@@ -0,0 +1,704 @@
+/**
+ * Client Signing Service
+ * Plans rescues as unsigned transactions (nonces, gas and fees filled in) that the
+ * client signs locally, then broadcasts or tracks the signed result. The hacked
+ * wallet's private key never reaches the server in this mode.
+ * Plans double as dry runs: they carry fee and value estimates, and the server can
+ * execute a reviewed plan with the hacked wallet's key, sending exactly its transactions.
+ */
+
+const { ethers } = require('ethers');
+const {
+  createProvider,
+  createSigner,
+  getBalance,
+  getFeeData,
+  formatBalance,
+  getChecksumAddress
+} = require('../utils/ethers.js');
+const { estimateTransferCalls } = require('../utils/transfers.js');
+const { resolveFeeStrategy } = require('../utils/feeStrategy.js');
+const { getL1DataFee } = require('../utils/l1Fees.js');
+const RecoveryService = require('./recoveryService.js');
+const sponsorService = require('./sponsorService.js');
+const pricingService = require('./pricingService.js');
+const { getRecoveryId, isOwnershipProven, isActiveRecoveryFor } = require('../models/recovery.js');
+
+const DEFAULT_PLAN_TTL_SECONDS = 300; // fees go stale quickly, so plans expire
+const RECEIPT_TIMEOUT_MS = 120000;
+
+// Contract method each planned transfer type calls
+const TRANSFER_METHODS = {
+  erc20Transfer: 'transfer',
+  erc721Transfer: 'transferFrom',
+  erc1155Transfer: 'safeTransferFrom'
+};
+
+/**
+ * Round a USD amount to cents
+ * @param {number|null} value - USD amount
+ * @returns {number|null} Rounded amount
+ */
+const toCents = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Get the most a transaction can pay per gas
+ * @param {Object} tx - Transaction request or signed transaction
+ * @returns {bigint} maxFeePerGas, or gasPrice for legacy transactions
+ */
+const getFeeCap = (tx) => BigInt(tx.maxFeePerGas || tx.gasPrice || 0n);
+
+/**
+ * Check whether the sponsor may fund a plan for a wallet's recovery
+ * Only an active registration the hacked wallet proved, for the plan's safe wallet, qualifies;
+ * anyone could otherwise have gas sent to wallets they hold the keys for.
+ * @param {Object|null} recovery - Recovery record
+ * @param {string} safeWallet - Safe wallet the plan sends to
+ * @returns {boolean} True if the plan can be sponsored
+ */
+const isSponsorable = (recovery, safeWallet) => isActiveRecoveryFor(recovery, safeWallet) && isOwnershipProven(recovery);
+
+/**
+ * Client Signing Service class
+ */
+class ClientSigningService {
+  constructor() {
+    // Rescue plans keyed by plan ID
+    this.plans = new Map();
+    this.recoveryService = null;
+  }
+
+  /**
+   * Get the recovery service used for token discovery and fee overrides
+   * Created on first use so loading this module does not open the recovery store.
+   * @returns {RecoveryService} Recovery service
+   */
+  getRecoveryService() {
+    if (!this.recoveryService) {
+      this.recoveryService = new RecoveryService();
+    }
+    return this.recoveryService;
+  }
+
+  /**
+   * Get how long a plan stays valid
+   * Uses CLIENT_PLAN_TTL_SECONDS, falling back to 5 minutes
+   * @returns {number} Lifetime in milliseconds
+   */
+  getPlanTtl() {
+    const seconds = parseInt(process.env.CLIENT_PLAN_TTL_SECONDS, 10);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_PLAN_TTL_SECONDS) * 1000;
+  }
+
+  /**
+   * Plan a rescue as unsigned transactions for the client to sign
+   * Transactions use consecutive nonces from the wallet's pending nonce and carry the
+   * same fee fields the server would use when signing itself. Each one is priced with
+   * its fee cap, its L1 data fee and the value it moves, so the plan can be reviewed
+   * before anything is sent.
+   * @param {Object} params - Plan parameters
+   * @param {string} params.network - Network identifier
+   * @param {string} params.walletAddress - Hacked wallet address
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {Array} params.priorityTokens - User-specified priority tokens
+   * @param {string} params.sessionId - Multi-network session the plan belongs to
+   * @param {string} params.feeStrategy - 'urgent', 'normal' or 'economy' (defaults to the network's)
+   * @param {Object} params.profitPolicy - Profitability policy (defaults to the registered recovery's, when
+   *   it is active and sends to this safe wallet)
+   * @param {ethers.Provider} params.provider - Provider for the network
+   * @returns {Promise<Object>} { success, plan, summary, error }
+   */
+  async planRescue({ network, walletAddress, safeWallet, priorityTokens = [], sessionId = null, feeStrategy, profitPolicy, provider = createProvider(network) }) {
+    const summary = [];
+
+    try {
+      if (!ethers.isAddress(walletAddress) || !ethers.isAddress(safeWallet)) {
+        throw new Error('Invalid hacked wallet or safe wallet address');
+      }
+      if (walletAddress.toLowerCase() === safeWallet.toLowerCase()) {
+        throw new Error('Hacked wallet and safe wallet must be different');
+      }
+
+      const hackedWallet = getChecksumAddress(walletAddress);
+      summary.push(`Planning client-signed rescue for ${hackedWallet} on ${network}`);
+
+      const recoveryService = this.getRecoveryService();
+      const recovery = await recoveryService.resolveRecovery(hackedWallet, network);
+      const { tokens, calls, skippedAssets } = await recoveryService.planTokenTransfers(hackedWallet, network, safeWallet, priorityTokens, summary, {
+        provider,
+        feeStrategy,
+        profitPolicy: profitPolicy || recoveryService.getRegisteredProfitPolicy(recovery, safeWallet)
+      });
+      if (calls.length === 0) {
+        return { success: false, error: 'No transferable tokens found', summary };
+      }
+
+      const estimatedCalls = await estimateTransferCalls(provider, calls, hackedWallet, network);
+      const fees = await this.getFeeFields(network, provider, feeStrategy);
+      const { chainId } = await provider.getNetwork();
+      const startNonce = await provider.getTransactionCount(hackedWallet, 'pending');
+
+      const transactions = [];
+      for (const [index, call] of estimatedCalls.entries()) {
+        const request = {
+          to: call.to,
+          data: call.data,
+          value: BigInt(call.value || 0),
+          nonce: startNonce + index,
+          gasLimit: BigInt(call.gasLimit),
+          chainId,
+          ...fees
+        };
+        transactions.push({
+          index,
+          label: call.label,
+          txType: call.txType,
+          method: TRANSFER_METHODS[call.txType],
+          token: call.token,
+          request,
+          l1Fee: await getL1DataFee(provider, network, request)
+        });
+      }
+
+      const requiredWei = transactions.reduce((sum, tx) =>
+        sum + tx.request.gasLimit * (tx.request.maxFeePerGas || tx.request.gasPrice) + tx.l1Fee + tx.request.value, 0n);
+      const balanceWei = BigInt(await getBalance(hackedWallet, provider));
+      const shortfallWei = balanceWei < requiredWei ? requiredWei - balanceWei : 0n;
+      const estimate = await this.estimatePlan(network, transactions, tokens);
+      estimate.requiredBalance = formatBalance(requiredWei.toString(), 18, 6);
+
+      const createdAt = Date.now();
+      const plan = {
+        id: `plan_${createdAt}_${Math.random().toString(36).slice(2, 10)}`,
+        network,
+        chainId,
+        walletAddress: hackedWallet,
+        safeWallet: getChecksumAddress(safeWallet),
+        sessionId,
+        feeStrategy: resolveFeeStrategy(network, feeStrategy),
+        status: 'planned',
+        transactions,
+        skippedAssets,
+        gas: {
+          requiredWei,
+          balanceWei,
+          shortfallWei,
+          sponsored: shortfallWei > 0n && sponsorService.hasSponsor(network) && isSponsorable(recovery, safeWallet)
+        },
+        estimate,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: new Date(createdAt + this.getPlanTtl()).toISOString()
+      };
+      this.plans.set(plan.id, plan);
+
+      summary.push(`Planned ${transactions.length} transactions from nonce ${startNonce} with ${plan.feeStrategy} fees`);
+      summary.push(`Estimated fees up to ${estimate.fee} ETH${estimate.feeUSD !== null ? ` (~$${estimate.feeUSD})` : ''} for ~$${estimate.valueUSD} of priced assets`);
+      if (shortfallWei > 0n) {
+        summary.push(plan.gas.sponsored
+          ? `Sponsor will fund ${formatBalance(shortfallWei.toString(), 18, 6)} ETH when the signed transactions are submitted`
+          : `Wallet needs ${formatBalance(shortfallWei.toString(), 18, 6)} more ETH for gas`);
+        if (!plan.gas.sponsored && sponsorService.hasSponsor(network)) {
+          summary.push('The sponsor only funds wallets with an active registration for this safe wallet, proven by the hacked wallet');
+        }
+      }
+
+      return { success: true, plan: this.serializePlan(plan), summary };
+    } catch (error) {
+      console.error(`Rescue planning failed on ${network}: ${error.message}`);
+      return { success: false, error: `Failed to plan rescue: ${error.message}`, summary };
+    }
+  }
+
+  /**
+   * Price a plan's transactions
+   * Fees are the most each transaction can cost (gas limit times the fee cap, plus its
+   * L1 data fee). Values
+   * come from discovery's usdValue or the token price; NFTs and unpriced tokens have a
+   * null value, and are left out of the totals.
+   * @param {string} network - Network identifier
+   * @param {Array<Object>} transactions - Planned transactions (each gets an estimate field)
+   * @param {Array<Object>} tokens - Discovered tokens the transactions move
+   * @returns {Promise<Object>} Plan totals { nativePriceUSD, feeWei, fee, feeUSD, valueUSD, netUSD, unpricedTransfers }
+   */
+  async estimatePlan(network, transactions, tokens) {
+    const nativePriceUSD = await pricingService.getNativePriceUSD(network);
+    const totals = { nativePriceUSD: nativePriceUSD || null, feeWei: 0n, feeUSD: null, valueUSD: 0, netUSD: null, unpricedTransfers: 0 };
+
+    for (const tx of transactions) {
+      const feeWei = tx.request.gasLimit * (tx.request.maxFeePerGas || tx.request.gasPrice) + tx.l1Fee;
+      const feeUSD = nativePriceUSD ? Number(ethers.formatEther(feeWei)) * nativePriceUSD : null;
+      const discovered = tokens.find(t => t.address && t.address.toLowerCase() === tx.token.address.toLowerCase());
+      const valueUSD = await pricingService.getTokenValueUSD(network, {
+        ...tx.token,
+        decimals: tx.token.decimals ?? discovered?.decimals,
+        usdValue: discovered?.usdValue
+      });
+
+      tx.estimate = {
+        gasLimit: tx.request.gasLimit,
+        feeWei,
+        fee: formatBalance(feeWei.toString(), 18, 6),
+        feeUSD: toCents(feeUSD),
+        valueUSD: toCents(valueUSD),
+        netUSD: valueUSD !== null && feeUSD !== null ? toCents(valueUSD - feeUSD) : null
+      };
+
+      totals.feeWei += feeWei;
+      if (valueUSD === null) {
+        totals.unpricedTransfers++;
+      } else {
+        totals.valueUSD += valueUSD;
+      }
+    }
+
+    totals.fee = formatBalance(totals.feeWei.toString(), 18, 6);
+    if (nativePriceUSD) {
+      const feeUSD = Number(ethers.formatEther(totals.feeWei)) * nativePriceUSD;
+      totals.feeUSD = toCents(feeUSD);
+      totals.netUSD = toCents(totals.valueUSD - feeUSD);
+    }
+    totals.valueUSD = toCents(totals.valueUSD);
+    return totals;
+  }
+
+  /**
+   * Get the fee fields planned transactions are signed with
+   * EIP-1559 networks get maxFeePerGas/maxPriorityFeePerGas, others a legacy gasPrice.
+   * @param {string} network - Network identifier
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {string} feeStrategy - Fee strategy (defaults to the network's)
+   * @returns {Promise<Object>} Fee fields including the transaction type
+   */
+  async getFeeFields(network, provider, feeStrategy) {
+    const overrides = await this.getRecoveryService().generateTransactionOverrides(network, provider, feeStrategy);
+    if (overrides.maxFeePerGas) {
+      return {
+        type: 2,
+        maxFeePerGas: overrides.maxFeePerGas,
+        maxPriorityFeePerGas: overrides.maxPriorityFeePerGas || 0n
+      };
+    }
+    if (overrides.gasPrice) {
+      return { type: 0, gasPrice: overrides.gasPrice };
+    }
+
+    const fee = await getFeeData(provider);
+    if (!fee.gasPrice) {
+      throw new Error(`No fee data available on ${network}`);
+    }
+    return { type: 0, gasPrice: fee.gasPrice };
+  }
+
+  /**
+   * Broadcast transactions the client signed for a plan and wait for them to confirm
+   * Each signed transaction must come from the planned wallet and match a planned
+   * transaction's target, calldata, value, nonce and chain. The client may lower fees
+   * and gas limits (never raise them above the plan's) and may drop trailing
+   * transactions, but nonces must stay consecutive.
+   * @param {Object} params - Submission parameters
+   * @param {string} params.planId - Plan ID
+   * @param {Array<string>} params.signedTransactions - Serialized signed transactions
+   * @param {ethers.Provider} params.provider - Provider for the plan's network
+   * @param {string} params.submissionMode - 'client', or 'server' when the server signed the plan
+   * @param {Array<string>} params.summary - Summary lines collected so far
+   * @param {ethers.Signer} params.signer - Signer the server signed the plan with, used to return unused sponsor funding
+   * @returns {Promise<Object>} { success, planId, transactionHashes, results, rescuedTokens, summary, sponsor, error }
+   */
+  async submitSignedTransactions({ planId, signedTransactions, provider, submissionMode = 'client', summary = [], signer }) {
+    let claimed = false;
+
+    try {
+      const plan = this.getActivePlan(planId);
+      provider = provider || createProvider(plan.network);
+
+      if (!Array.isArray(signedTransactions) || signedTransactions.length === 0) {
+        throw new Error('Signed transactions are required');
+      }
+
+      const parsed = signedTransactions.map(raw => {
+        try {
+          return ethers.Transaction.from(raw);
+        } catch (error) {
+          throw new Error(`Invalid signed transaction: ${error.message}`);
+        }
+      });
+      const matched = this.matchPlannedTransactions(plan, parsed);
+
+      plan.status = 'submitting';
+      claimed = true;
+
+      const sponsorship = plan.gas.sponsored ? await this.fundPlan(plan, matched, provider, signer) : null;
+      if (sponsorship?.funded) summary.push(sponsorship.funded);
+
+      const broadcast = [];
+      for (const entry of matched) {
+        const response = await provider.broadcastTransaction(entry.signed.serialized);
+        broadcast.push({ ...entry, response });
+      }
+      summary.push(`Broadcast ${broadcast.length} signed transactions`);
+
+      const result = await this.trackPlanTransactions(plan, broadcast, summary, submissionMode);
+      if (sponsorship?.funded) {
+        // A sweep queued behind pending transfers could take the gas they still need
+        if (result.results.some(entry => entry.status === 'pending')) {
+          summary.push('Unused sponsor funding stays in the wallet until the pending transfers confirm');
+        } else {
+          result.sponsor = await this.getRecoveryService().settleSponsorship(sponsorship.rescueId, {
+            network: plan.network,
+            wallet: sponsorship.wallet
+          }, summary);
+        }
+      }
+      return result;
+    } catch (error) {
+      if (claimed) this.updatePlan(planId, { status: 'failed', error: error.message });
+      console.error(`${submissionMode === 'client' ? 'Client-signed' : 'Planned'} rescue ${planId} failed: ${error.message}`);
+      return { success: false, planId, error: `Failed to submit signed transactions: ${error.message}`, summary };
+    }
+  }
+
+  /**
+   * Execute a reviewed plan with the hacked wallet's key
+   * The server signs the planned transactions unchanged (nonces, gas limits and fees
+   * included) and submits them like client-signed ones, so what was reviewed is what
+   * gets sent. A plan whose nonces were used meanwhile has to be planned again.
+   * @param {Object} params - Execution parameters
+   * @param {string} params.planId - Plan ID
+   * @param {string} params.hackedWalletPrivateKey - Hacked wallet private key
+   * @param {string} params.signerAddress - Sign with the configured remote signer instead
+   * @param {ethers.Provider} params.provider - Provider for the plan's network
+   * @returns {Promise<Object>} { success, planId, transactionHashes, results, rescuedTokens, summary, error }
+   */
+  async executePlan({ planId, hackedWalletPrivateKey, signerAddress, provider }) {
+    const summary = [];
+
+    try {
+      const plan = this.getActivePlan(planId);
+      provider = provider || createProvider(plan.network);
+
+      const signer = createSigner({ privateKey: hackedWalletPrivateKey, signerAddress }, provider);
+      const address = await signer.getAddress();
+      if (address.toLowerCase() !== plan.walletAddress.toLowerCase()) {
+        throw new Error(`Key does not belong to the planned wallet ${plan.walletAddress}`);
+      }
+
+      // Same rule as auto rescue: remote keys only ever send to the safe wallet of a proven registration
+      if (signerAddress) {
+        await this.getRecoveryService().assertRemoteSigningAllowed(address, plan.safeWallet);
+      }
+
+      const startNonce = plan.transactions[0].request.nonce;
+      const pendingNonce = await provider.getTransactionCount(address, 'pending');
+      if (pendingNonce !== startNonce) {
+        throw new Error(`Wallet nonce moved from ${startNonce} to ${pendingNonce} since the plan was made, request a new one`);
+      }
+
+      const signedTransactions = [];
+      for (const { request } of plan.transactions) {
+        signedTransactions.push(await signer.signTransaction(request));
+      }
+      summary.push(`Signed ${signedTransactions.length} planned transactions for ${address}`);
+
+      return await this.submitSignedTransactions({ planId, signedTransactions, provider, submissionMode: 'server', summary, signer });
+    } catch (error) {
+      console.error(`Planned rescue ${planId} failed: ${error.message}`);
+      return { success: false, planId, error: `Failed to execute plan: ${error.message}`, summary };
+    }
+  }
+
+  /**
+   * Track transactions the client signed and broadcast itself
+   * @param {Object} params - Tracking parameters
+   * @param {string} params.planId - Plan ID
+   * @param {Array<string>} params.transactionHashes - Hashes of the broadcast transactions
+   * @param {ethers.Provider} params.provider - Provider for the plan's network
+   * @returns {Promise<Object>} { success, planId, transactionHashes, results, rescuedTokens, summary, error }
+   */
+  async recordBroadcast({ planId, transactionHashes, provider }) {
+    const summary = [];
+    let claimed = false;
+
+    try {
+      const plan = this.getActivePlan(planId);
+      provider = provider || createProvider(plan.network);
+
+      if (!Array.isArray(transactionHashes) || transactionHashes.length === 0) {
+        throw new Error('Transaction hashes are required');
+      }
+
+      const parsed = [];
+      for (const hash of transactionHashes) {
+        const tx = await provider.getTransaction(hash);
+        if (!tx) {
+          throw new Error(`Transaction ${hash} not found`);
+        }
+        parsed.push(tx);
+      }
+      const matched = this.matchPlannedTransactions(plan, parsed);
+
+      plan.status = 'submitting';
+      claimed = true;
+      summary.push(`Tracking ${matched.length} client-broadcast transactions`);
+
+      return await this.trackPlanTransactions(plan, matched.map(entry => ({ ...entry, response: entry.signed })), summary);
+    } catch (error) {
+      if (claimed) this.updatePlan(planId, { status: 'failed', error: error.message });
+      console.error(`Client-broadcast rescue ${planId} failed: ${error.message}`);
+      return { success: false, planId, error: `Failed to record broadcast: ${error.message}`, summary };
+    }
+  }
+
+  /**
+   * Pair signed transactions with the planned ones they execute
+   * @param {Object} plan - Stored plan
+   * @param {Array<Object>} transactions - Parsed signed transactions (ethers Transaction or TransactionResponse)
+   * @returns {Array<Object>} [{ planned, signed }] ordered by nonce
+   */
+  matchPlannedTransactions(plan, transactions) {
+    const byNonce = new Map(plan.transactions.map(tx => [tx.request.nonce, tx]));
+    const startNonce = plan.transactions[0].request.nonce;
+
+    const matched = [...transactions]
+      .sort((a, b) => a.nonce - b.nonce)
+      .map((signed, index) => {
+        const planned = byNonce.get(signed.nonce);
+        if (!planned) {
+          throw new Error(`Transaction with nonce ${signed.nonce} is not part of plan ${plan.id}`);
+        }
+        if (signed.nonce !== startNonce + index) {
+          throw new Error(`Nonces must be consecutive from ${startNonce}`);
+        }
+        if (!signed.from || signed.from.toLowerCase() !== plan.walletAddress.toLowerCase()) {
+          throw new Error(`Transaction with nonce ${signed.nonce} is not signed by ${plan.walletAddress}`);
+        }
+
+        const { request } = planned;
+        const matches = signed.to && signed.to.toLowerCase() === request.to.toLowerCase() &&
+          signed.data === request.data &&
+          BigInt(signed.value) === request.value &&
+          BigInt(signed.chainId) === BigInt(request.chainId);
+        if (!matches) {
+          throw new Error(`Transaction with nonce ${signed.nonce} does not match the planned ${planned.label} transfer`);
+        }
+        // The sponsor funds the planned gas at the planned fee cap, never more
+        if (BigInt(signed.gasLimit) > request.gasLimit) {
+          throw new Error(`Transaction with nonce ${signed.nonce} exceeds the planned gas limit of ${request.gasLimit}`);
+        }
+        if (getFeeCap(signed) > getFeeCap(request)) {
+          throw new Error(`Transaction with nonce ${signed.nonce} exceeds the planned fee cap of ${getFeeCap(request)} wei per gas`);
+        }
+
+        return { planned, signed };
+      });
+
+    return matched;
+  }
+
+  /**
+   * Have the network's sponsor cover the gas the matched transactions can spend
+   * Signed gas limits and fee caps never exceed the plan's (see matchPlannedTransactions),
+   * L1 fees are the planned ones, and funding is charged to the wallet's recovery so
+   * repeated plans share one budget. What the transactions leave unused has to go back,
+   * so the sponsor only funds wallets the server can sign a sweep for.
+   * @param {Object} plan - Stored plan
+   * @param {Array<Object>} matched - Matched transactions
+   * @param {ethers.Provider} provider - Provider for the plan's network
+   * @param {ethers.Signer} signer - Signer the server signed the plan with, if it did
+   * @returns {Promise<Object>} { rescueId, wallet, funded } with funded the summary line, or null if nothing was sent
+   */
+  async fundPlan(plan, matched, provider, signer) {
+    const recoveryService = this.getRecoveryService();
+    const recovery = await recoveryService.resolveRecovery(plan.walletAddress, plan.network);
+    if (!isSponsorable(recovery, plan.safeWallet)) {
+      throw new Error('The sponsor only funds wallets with an active registration for this safe wallet, proven by the hacked wallet');
+    }
+
+    const wallet = signer || recoveryService.getRecoverySigner(recovery, provider)?.wallet;
+    if (!wallet) {
+      throw new Error('The sponsor needs a stored, configured or remote key for the wallet to take back unused gas; execute the plan with the key instead');
+    }
+
+    const requiredWei = matched.reduce((sum, { planned, signed }) =>
+      sum + BigInt(signed.gasLimit) * getFeeCap(signed) + planned.l1Fee + planned.request.value, 0n);
+
+    const rescueId = getRecoveryId(plan.walletAddress, plan.network);
+    const funding = await sponsorService.fundWallet({
+      rescueId,
+      network: plan.network,
+      provider,
+      targetAddress: plan.walletAddress,
+      requiredWei
+    });
+    if (!funding.success) {
+      throw new Error(funding.error);
+    }
+
+    return {
+      rescueId,
+      wallet,
+      funded: funding.funded
+        ? `Sponsor funded ${formatBalance(funding.amountWei.toString(), 18, 6)} ETH for ${matched.length} signed transactions`
+        : null
+    };
+  }
+
+  /**
+   * Wait for a plan's broadcast transactions and record the outcome
+   * @param {Object} plan - Stored plan
+   * @param {Array<Object>} entries - [{ planned, response }] with the broadcast TransactionResponse
+   * @param {Array<string>} summary - Summary lines to append to
+   * @param {string} submissionMode - Who signed the transactions ('client' or 'server')
+   * @returns {Promise<Object>} Submission result
+   */
+  async trackPlanTransactions(plan, entries, summary, submissionMode = 'client') {
+    const results = [];
+    for (const { planned, response } of entries) {
+      let receipt = null;
+      try {
+        receipt = await response.wait(1, RECEIPT_TIMEOUT_MS);
+      } catch (error) {
+        // Reverted transactions reject with their receipt attached
+        receipt = error.receipt || null;
+        if (!receipt) console.warn(`Waiting for ${response.hash} failed: ${error.message}`);
+      }
+
+      const status = !receipt ? 'pending' : (receipt.status === 1 ? 'confirmed' : 'failed');
+      results.push({ index: planned.index, label: planned.label, token: planned.token, transactionHash: response.hash, status });
+      summary.push(status === 'confirmed'
+        ? `Transferred ${planned.label} to safe wallet`
+        : `Transfer of ${planned.label} ${status === 'pending' ? 'not yet confirmed' : 'failed'}`);
+    }
+
+    const rescuedTokens = results.filter(result => result.status === 'confirmed').length;
+    const transactionHashes = results.map(result => result.transactionHash);
+    this.updatePlan(plan.id, {
+      status: rescuedTokens === results.length ? 'confirmed' : (results.some(r => r.status === 'pending') ? 'submitted' : 'failed'),
+      results,
+      transactionHashes
+    });
+
+    return {
+      success: rescuedTokens > 0,
+      planId: plan.id,
+      message: `${submissionMode === 'client' ? 'Client-signed' : 'Planned'} rescue completed. Rescued ${rescuedTokens} of ${plan.transactions.length} tokens`,
+      transactionHashes,
+      results,
+      rescuedTokens,
+      summary,
+      submissionMode
+    };
+  }
+
+  /**
+   * Get a plan that can still be submitted
+   * @param {string} planId - Plan ID
+   * @returns {Object} Stored plan
+   */
+  getActivePlan(planId) {
+    const plan = this.plans.get(planId);
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+    if (plan.status !== 'planned') {
+      throw new Error(`Plan is already ${plan.status}`);
+    }
+    if (Date.parse(plan.expiresAt) < Date.now()) {
+      plan.status = 'expired';
+      throw new Error('Plan expired, request a new one');
+    }
+    return plan;
+  }
+
+  /**
+   * Update a stored plan
+   * @param {string} planId - Plan ID
+   * @param {Object} updates - Fields to merge
+   */
+  updatePlan(planId, updates) {
+    const plan = this.plans.get(planId);
+    if (!plan) return;
+    this.plans.set(planId, { ...plan, ...updates, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Get a plan in its JSON form
+   * @param {string} planId - Plan ID
+   * @returns {Object|null} Serialized plan
+   */
+  getPlan(planId) {
+    const plan = this.plans.get(planId);
+    return plan ? this.serializePlan(plan) : null;
+  }
+
+  /**
+   * Get the plans created for a multi-network session
+   * @param {string} sessionId - Session ID
+   * @param {string} status - Only return plans in this status
+   * @returns {Array<Object>} Serialized plans
+   */
+  getSessionPlans(sessionId, status = null) {
+    return [...this.plans.values()]
+      .filter(plan => plan.sessionId === sessionId && (!status || plan.status === status))
+      .map(plan => this.serializePlan(plan));
+  }
+
+  /**
+   * Get the unexpired plans a multi-network session is waiting to have signed
+   * @param {string} sessionId - Session ID
+   * @returns {Array<Object>} Serialized plans
+   */
+  getPendingPlans(sessionId) {
+    const now = Date.now();
+    return this.getSessionPlans(sessionId, 'planned')
+      .filter(plan => Date.parse(plan.expiresAt) >= now);
+  }
+
+  /**
+   * Check whether a session already has a plan waiting to be signed on a network
+   * @param {string} sessionId - Session ID
+   * @param {string} network - Network identifier
+   * @returns {boolean} True if an unexpired plan is waiting
+   */
+  hasPendingPlan(sessionId, network) {
+    const now = Date.now();
+    return [...this.plans.values()].some(plan =>
+      plan.sessionId === sessionId &&
+      plan.network === network &&
+      (plan.status === 'submitting' || (plan.status === 'planned' && Date.parse(plan.expiresAt) >= now))
+    );
+  }
+
+  /**
+   * Drop plans that finished or expired more than a day ago
+   */
+  cleanupOldPlans() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [planId, plan] of this.plans) {
+      if (Date.parse(plan.expiresAt) < cutoff) {
+        this.plans.delete(planId);
+      }
+    }
+  }
+
+  /**
+   * Convert a plan to JSON-safe values (bigints become decimal strings)
+   * @param {Object} plan - Stored plan
+   * @returns {Object} Serialized plan
+   */
+  serializePlan(plan) {
+    const toJson = (value) => {
+      if (typeof value === 'bigint') return value.toString();
+      if (Array.isArray(value)) return value.map(toJson);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toJson(inner)]));
+      }
+      return value;
+    };
+    return toJson(plan);
+  }
+}
+
+// Create singleton instance
+const clientSigningService = new ClientSigningService();
+
+module.exports = clientSigningService;
@@ -0,0 +1,543 @@
+/**
+ * Nonce Manager
+ * Assigns nonces per wallet and network, tracks the transactions sent with them and
+ * replaces stuck ones with higher fees. The next nonce is shared across processes
+ * through Redis (under a lock) when REDIS_URL is set, so two workers rescuing the
+ * same wallet never send with the same nonce.
+ */
+
+const { ethers } = require('ethers');
+const { getRedisClient, acquireLock, releaseLock } = require('../utils/redis');
+const { getMaxFeeCap } = require('../utils/feeStrategy.js');
+
+const DEFAULT_STUCK_TIMEOUT_SECONDS = 60;
+const DEFAULT_MAX_REPLACEMENTS = 3;
+const MIN_FEE_BUMP_PERCENT = 10; // Nodes only accept replacements at least 10% pricier
+const DEFAULT_FEE_BUMP_PERCENT = 15;
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+const LOCK_TTL_MS = 10000;
+const LOCK_WAIT_MS = 15000;
+
+const TRANSACTION_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  REPLACED: 'replaced',
+  REVERTED: 'reverted',
+  DROPPED: 'dropped'
+};
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+const getNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Raise a fee by a percentage, never below the network's current fee
+ * @param {bigint|null} fee - Fee the stuck transaction paid
+ * @param {bigint|null} current - Current network fee
+ * @param {number} bumpPercent - Percentage to add
+ * @returns {bigint|null} Replacement fee
+ */
+const bumpFee = (fee, current, bumpPercent) => {
+  if (fee === null || fee === undefined) return current ?? null;
+  const bumped = (BigInt(fee) * BigInt(100 + bumpPercent) + 99n) / 100n;
+  return current && current > bumped ? current : bumped;
+};
+
+/**
+ * Signer wrapper that sends every transaction through the nonce manager
+ * Contract calls and sendTransaction get managed nonces, and the responses they return
+ * replace themselves with higher fees while waiting if they get stuck.
+ */
+class ManagedSigner extends ethers.AbstractSigner {
+  /**
+   * @param {ethers.Signer} signer - Wallet or remote signer to sign with
+   * @param {string} network - Network identifier
+   * @param {NonceManager} manager - Nonce manager
+   * @param {Object} options - { nonce: use this nonce for the first transaction }
+   */
+  constructor(signer, network, manager, options = {}) {
+    super(signer.provider);
+    this.signer = signer;
+    this.address = signer.address;
+    this.network = network;
+    this.manager = manager;
+    this.nextNonceOverride = options.nonce;
+    this.transactions = [];
+  }
+
+  async getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect() {
+    throw new Error('Managed signers cannot be reconnected, manage the new signer instead');
+  }
+
+  async signTransaction(tx) {
+    return this.signer.signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+
+  async sendTransaction(tx) {
+    const nonce = this.takeNonceOverride();
+    const tracked = await this.manager.sendTransaction(this.signer, tx, { network: this.network, nonce });
+    this.transactions.push(tracked);
+    return new ManagedTransactionResponse(tracked.response, this.manager, tracked);
+  }
+
+  /**
+   * Use up the nonce requested for the first transaction
+   * @returns {number|undefined} Requested nonce, if it was not used yet
+   */
+  takeNonceOverride() {
+    const nonce = this.nextNonceOverride;
+    this.nextNonceOverride = undefined;
+    return nonce;
+  }
+
+  /**
+   * Get the outcome of every transaction sent through this signer
+   * @returns {Array<Object>} { nonce, to, hash, finalHash, hashes, status, replacements, error }
+   */
+  getTransactionResults() {
+    return this.transactions.map(tracked => this.manager.toResult(tracked));
+  }
+}
+
+/**
+ * Transaction response whose wait() replaces the transaction while it is stuck
+ * Contracts wrap responses in their own class, so waits on contract calls go through
+ * nonceManager.waitForTransaction instead.
+ */
+class ManagedTransactionResponse extends ethers.TransactionResponse {
+  constructor(response, manager, tracked) {
+    super(response, response.provider);
+    this.manager = manager;
+    this.tracked = tracked;
+  }
+
+  async wait() {
+    return this.manager.confirm(this.tracked);
+  }
+}
+
+/**
+ * Nonce Manager class
+ */
+class NonceManager {
+  constructor() {
+    // Next nonce per wallet and network when Redis is not configured
+    this.nextNonces = new Map();
+    // Transactions waiting for confirmation keyed by network, address and nonce
+    this.pending = new Map();
+    // Tail of the in-process queue for each nonce lock
+    this.lockChains = new Map();
+  }
+
+  /**
+   * Get the replacement settings
+   * @returns {Object} { stuckTimeoutMs, maxReplacements, feeBumpPercent, pollIntervalMs }
+   */
+  getSettings() {
+    return {
+      stuckTimeoutMs: getNumber('NONCE_STUCK_TIMEOUT_SECONDS', DEFAULT_STUCK_TIMEOUT_SECONDS) * 1000,
+      maxReplacements: Math.floor(getNumber('NONCE_MAX_REPLACEMENTS', DEFAULT_MAX_REPLACEMENTS)),
+      feeBumpPercent: Math.max(MIN_FEE_BUMP_PERCENT, getNumber('NONCE_FEE_BUMP_PERCENT', DEFAULT_FEE_BUMP_PERCENT)),
+      pollIntervalMs: getNumber('NONCE_POLL_INTERVAL_MS', DEFAULT_POLL_INTERVAL_MS)
+    };
+  }
+
+  /**
+   * Wrap a signer so its transactions get managed nonces and stuck-transaction replacement
+   * @param {ethers.Signer} signer - Wallet or remote signer
+   * @param {string} network - Network identifier
+   * @param {Object} options - { nonce: use this nonce for the first transaction }
+   * @returns {ManagedSigner} Managed signer
+   */
+  manage(signer, network, options = {}) {
+    if (signer instanceof ManagedSigner) return signer;
+    return new ManagedSigner(signer, network, this, options);
+  }
+
+  /**
+   * Get the key nonces are stored under
+   * @param {string} address - Wallet address
+   * @param {string} network - Network identifier
+   * @returns {string} Key
+   */
+  getKey(address, network) {
+    return `nonces:${network}:${address.toLowerCase()}`;
+  }
+
+  /**
+   * Run a function while holding the wallet's nonce lock
+   * Without Redis the lock is always acquired, so in-process callers are serialized
+   * with a promise chain instead.
+   * @param {string} key - Nonce key
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Function result
+   */
+  async withNonceLock(key, fn) {
+    const previous = this.lockChains.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.lockChains.set(key, tail);
+    await previous;
+
+    const lockKey = `locks:${key}`;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    try {
+      let lock = await acquireLock(lockKey, LOCK_TTL_MS);
+      while (!lock.acquired) {
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the nonce lock of ${key}`);
+        }
+        await sleep(100);
+        lock = await acquireLock(lockKey, LOCK_TTL_MS);
+      }
+      try {
+        return await fn();
+      } finally {
+        await releaseLock(lockKey, lock.token);
+      }
+    } finally {
+      release();
+      if (this.lockChains.get(key) === tail) this.lockChains.delete(key);
+    }
+  }
+
+  /**
+   * Read the stored next nonce
+   * @param {string} key - Nonce key
+   * @returns {Promise<number|null>} Next nonce or null if none is stored
+   */
+  async getStoredNonce(key) {
+    const redis = await getRedisClient();
+    if (redis) {
+      const value = await redis.get(key);
+      return value === null ? null : Number(value);
+    }
+
+    const entry = this.nextNonces.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.nonce;
+  }
+
+  /**
+   * Store the next nonce
+   * It expires once every transaction using it would have been replaced, so a nonce
+   * that was never broadcast cannot leave a gap forever.
+   * @param {string} key - Nonce key
+   * @param {number} nonce - Next nonce
+   */
+  async setStoredNonce(key, nonce) {
+    const { stuckTimeoutMs, maxReplacements } = this.getSettings();
+    const ttlMs = stuckTimeoutMs * (maxReplacements + 2);
+
+    const redis = await getRedisClient();
+    if (redis) {
+      await redis.set(key, String(nonce), { PX: ttlMs });
+      return;
+    }
+    this.nextNonces.set(key, { nonce, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Reserve the next nonce for a wallet, or a run of consecutive nonces
+   * @param {string} address - Wallet address
+   * @param {string} network - Network identifier
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {number} requested - Use this nonce instead (e.g. to replace a transaction by hand)
+   * @param {number} count - How many consecutive nonces to reserve
+   * @returns {Promise<number>} First reserved nonce
+   */
+  async reserveNonce(address, network, provider, requested, count = 1) {
+    const key = this.getKey(address, network);
+    return this.withNonceLock(key, async () => {
+      const chainNonce = await provider.getTransactionCount(address, 'pending');
+      const stored = await this.getStoredNonce(key);
+      const nonce = requested !== undefined && requested !== null
+        ? Number(requested)
+        : Math.max(chainNonce, stored ?? 0);
+
+      await this.setStoredNonce(key, Math.max(nonce + count, stored ?? 0));
+      return nonce;
+    });
+  }
+
+  /**
+   * Give back nonces whose transactions were never broadcast
+   * Only the end of the reserved run can be given back, so later reservations keep theirs.
+   * @param {string} address - Wallet address
+   * @param {string} network - Network identifier
+   * @param {number} nonce - First unused nonce
+   * @param {number} count - How many nonces from it were reserved and not used
+   */
+  async releaseNonce(address, network, nonce, count = 1) {
+    const key = this.getKey(address, network);
+    await this.withNonceLock(key, async () => {
+      if (await this.getStoredNonce(key) === nonce + count) {
+        await this.setStoredNonce(key, nonce);
+      }
+    });
+  }
+
+  /**
+   * Send a transaction with a managed nonce and track it
+   * @param {ethers.Signer} signer - Wallet or remote signer (connected to a provider)
+   * @param {Object} tx - Transaction request
+   * @param {Object} options - { network, nonce }
+   * @returns {Promise<Object>} Tracked transaction
+   */
+  async sendTransaction(signer, tx, { network, nonce: requested } = {}) {
+    const address = await signer.getAddress();
+    const nonce = await this.reserveNonce(address, network, signer.provider, requested ?? tx.nonce);
+
+    let response;
+    try {
+      response = await signer.sendTransaction({ ...tx, nonce });
+    } catch (error) {
+      await this.releaseNonce(address, network, nonce);
+      throw error;
+    }
+
+    return this.track(signer, network, response);
+  }
+
+  /**
+   * Track a transaction broadcast with a reserved nonce
+   * @param {ethers.Signer} signer - Signer that signed it, used to send replacements
+   * @param {string} network - Network identifier
+   * @param {ethers.TransactionResponse} response - Broadcast transaction
+   * @returns {Object} Tracked transaction
+   */
+  track(signer, network, response) {
+    const tracked = {
+      signer,
+      network,
+      from: response.from,
+      to: response.to,
+      nonce: response.nonce,
+      response,
+      hashes: [response.hash],
+      status: TRANSACTION_STATUS.PENDING,
+      replacements: 0,
+      sentAt: Date.now()
+    };
+    this.pending.set(`${this.getKey(response.from, network)}:${response.nonce}`, tracked);
+    return tracked;
+  }
+
+  /**
+   * Get the highest fee per gas a replacement may pay
+   * That is the network's max-fee cap, and no more than the wallet can pay for the
+   * transaction's gas limit next to its value.
+   * @param {Object} tracked - Tracked transaction
+   * @param {ethers.Provider} provider - Provider for the network
+   * @returns {Promise<bigint|null>} Cap in wei, or null when neither is known
+   */
+  async getReplacementFeeCap(tracked, provider) {
+    const { response } = tracked;
+    let cap = getMaxFeeCap(tracked.network);
+
+    const balance = await provider.getBalance(tracked.from).catch(() => null);
+    if (balance !== null && response.gasLimit > 0n) {
+      const value = BigInt(response.value || 0n);
+      const affordable = balance > value ? (balance - value) / BigInt(response.gasLimit) : 0n;
+      if (cap === null || affordable < cap) cap = affordable;
+    }
+    return cap;
+  }
+
+  /**
+   * Build a replacement for a stuck transaction with bumped fees
+   * @param {Object} tracked - Tracked transaction
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {number} feeBumpPercent - Percentage to raise fees by
+   * @param {bigint|null} feeCap - Highest fee per gas to pay (see getReplacementFeeCap)
+   * @returns {Promise<Object|null>} Replacement transaction request, or null when the cap
+   *   leaves no room for a bump the node would accept
+   */
+  async buildReplacement(tracked, provider, feeBumpPercent, feeCap = null) {
+    const { response } = tracked;
+    const applyCap = (fee) => (feeCap !== null && fee > feeCap ? feeCap : fee);
+    const isBumped = (fee, previous) => previous === null || previous === undefined ||
+      fee >= bumpFee(previous, null, MIN_FEE_BUMP_PERCENT);
+    const feeData = await provider.getFeeData().catch(() => ({}));
+    const replacement = {
+      to: response.to,
+      data: response.data,
+      value: response.value,
+      gasLimit: response.gasLimit,
+      chainId: response.chainId,
+      nonce: tracked.nonce,
+      type: response.type
+    };
+
+    if (response.maxFeePerGas !== null && response.maxFeePerGas !== undefined) {
+      replacement.maxPriorityFeePerGas = bumpFee(response.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas, feeBumpPercent);
+      replacement.maxFeePerGas = bumpFee(response.maxFeePerGas, feeData.maxFeePerGas, feeBumpPercent);
+      if (replacement.maxFeePerGas < replacement.maxPriorityFeePerGas) {
+        replacement.maxFeePerGas = replacement.maxPriorityFeePerGas;
+      }
+      replacement.maxFeePerGas = applyCap(replacement.maxFeePerGas);
+      replacement.maxPriorityFeePerGas = applyCap(replacement.maxPriorityFeePerGas);
+      if (!isBumped(replacement.maxFeePerGas, response.maxFeePerGas) ||
+          !isBumped(replacement.maxPriorityFeePerGas, response.maxPriorityFeePerGas)) {
+        return null;
+      }
+    } else {
+      replacement.gasPrice = applyCap(bumpFee(response.gasPrice, feeData.gasPrice, feeBumpPercent));
+      if (!isBumped(replacement.gasPrice, response.gasPrice)) return null;
+    }
+    return replacement;
+  }
+
+  /**
+   * Look for a receipt of any transaction sent for a tracked nonce
+   * @param {Object} tracked - Tracked transaction
+   * @param {ethers.Provider} provider - Provider for the network
+   * @returns {Promise<Object|null>} Receipt or null
+   */
+  async findReceipt(tracked, provider) {
+    for (const hash of [...tracked.hashes].reverse()) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Wait for a transaction, replacing it with higher fees while it is stuck
+   * Transactions not sent through a managed signer are simply waited for.
+   * @param {ethers.TransactionResponse} transaction - Transaction response
+   * @param {number} confirmations - Confirmations for unmanaged transactions
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async waitForTransaction(transaction, confirmations = 1) {
+    if (!transaction) {
+      throw new Error('Transaction is required');
+    }
+
+    const tracked = transaction.tracked ||
+      [...this.pending.values()].find(entry => entry.hashes.includes(transaction.hash));
+    return tracked ? this.confirm(tracked) : transaction.wait(confirmations);
+  }
+
+  /**
+   * Wait for a tracked transaction, replacing it with higher fees while it is stuck
+   * Resolves with the receipt of whichever version was mined; rejects if that version
+   * reverted, if another transaction used the nonce (dropped) or if it is still pending
+   * after the last replacement or once fees reach the cap (see getReplacementFeeCap).
+   * @param {Object} tracked - Tracked transaction
+   * @param {Object} options - Overrides for getSettings()
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async confirm(tracked, options = {}) {
+    if (tracked.receipt) return tracked.receipt;
+
+    const { stuckTimeoutMs, maxReplacements, feeBumpPercent, pollIntervalMs } = { ...this.getSettings(), ...options };
+    const { signer } = tracked;
+    const provider = signer.provider;
+    let deadline = Date.now() + stuckTimeoutMs;
+
+    try {
+      for (;;) {
+        const receipt = await this.findReceipt(tracked, provider);
+        if (receipt) {
+          tracked.finalHash = receipt.hash;
+          if (receipt.status === 0) {
+            tracked.status = TRANSACTION_STATUS.REVERTED;
+            tracked.error = 'Transaction reverted';
+            throw new Error(`Transaction ${receipt.hash} reverted`);
+          }
+          tracked.status = receipt.hash === tracked.hashes[0] ? TRANSACTION_STATUS.CONFIRMED : TRANSACTION_STATUS.REPLACED;
+          tracked.receipt = receipt;
+          return receipt;
+        }
+
+        // The nonce was used, but not by any of our transactions
+        if (await provider.getTransactionCount(tracked.from, 'latest') > tracked.nonce) {
+          // A receipt may land between the two reads
+          if (await this.findReceipt(tracked, provider)) continue;
+          tracked.status = TRANSACTION_STATUS.DROPPED;
+          tracked.error = `Nonce ${tracked.nonce} was used by another transaction`;
+          throw new Error(`Transaction ${tracked.hashes[0]} dropped: ${tracked.error}`);
+        }
+
+        if (Date.now() >= deadline) {
+          if (tracked.replacements >= maxReplacements) {
+            tracked.error = `Still pending after ${tracked.replacements} fee bumps`;
+            throw new Error(`Transaction ${tracked.hashes[tracked.hashes.length - 1]} is ${tracked.error.toLowerCase()}`);
+          }
+
+          const feeCap = await this.getReplacementFeeCap(tracked, provider);
+          const replacement = await this.buildReplacement(tracked, provider, feeBumpPercent, feeCap);
+          if (!replacement) {
+            tracked.error = `Still pending after ${tracked.replacements} fee bumps, at the fee cap of ${ethers.formatUnits(feeCap, 'gwei')} gwei`;
+            throw new Error(`Transaction ${tracked.hashes[tracked.hashes.length - 1]} is ${tracked.error.toLowerCase()}`);
+          }
+
+          try {
+            const response = await signer.sendTransaction(replacement);
+            tracked.response = response;
+            tracked.hashes.push(response.hash);
+            tracked.replacements++;
+            console.warn(`Replaced stuck transaction ${tracked.hashes[tracked.hashes.length - 2]} (nonce ${tracked.nonce}) with ${response.hash}`);
+          } catch (error) {
+            // Usually the original was mined meanwhile; the next poll finds out
+            console.warn(`Failed to replace transaction with nonce ${tracked.nonce}: ${error.message}`);
+            tracked.replacements++;
+          }
+          deadline = Date.now() + stuckTimeoutMs;
+        }
+
+        await sleep(pollIntervalMs);
+      }
+    } finally {
+      this.pending.delete(`${this.getKey(tracked.from, tracked.network)}:${tracked.nonce}`);
+    }
+  }
+
+  /**
+   * Convert a tracked transaction to its JSON result
+   * @param {Object} tracked - Tracked transaction
+   * @returns {Object} { nonce, to, hash, finalHash, hashes, status, replacements, error }
+   */
+  toResult(tracked) {
+    return {
+      nonce: tracked.nonce,
+      to: tracked.to,
+      hash: tracked.hashes[0],
+      finalHash: tracked.finalHash || null,
+      hashes: [...tracked.hashes],
+      status: tracked.status,
+      replacements: tracked.hashes.length - 1,
+      ...(tracked.error ? { error: tracked.error } : {})
+    };
+  }
+}
+
+// Create singleton instance
+const nonceManager = new NonceManager();
+
+module.exports = nonceManager;
+module.exports.ManagedSigner = ManagedSigner;
+module.exports.TRANSACTION_STATUS = TRANSACTION_STATUS;
@@ -0,0 +1,341 @@
+/**
+ * Pipeline Executor
+ * Sends an ordered batch of transfer calls without waiting between them: the whole batch
+ * is signed up front with consecutive nonces and capped fees, broadcast back-to-back and
+ * confirmed concurrently, so a sweeper bot sees every transfer at once instead of one a
+ * minute. Calls that revert, lose their nonce or never reach the network are re-planned
+ * against the new state and sent again as a smaller batch. A native sweep call is sized
+ * right before signing, to everything the rest of the batch leaves behind.
+ */
+
+const { ethers } = require('ethers');
+const { getFeeOverrides } = require('../utils/feeStrategy.js');
+const { getL1DataFee, estimateNativeTransferGas } = require('../utils/l1Fees.js');
+const { estimateTransferCalls } = require('../utils/transfers.js');
+const nonceManager = require('./nonceManager.js');
+
+const { ManagedSigner, TRANSACTION_STATUS } = nonceManager;
+
+const DEFAULT_MAX_REPLANS = 2;
+// Kept back for the whole batch when a rollup's L1 data fee cannot be priced
+const UNPRICED_L1_FEE_RESERVE = ethers.parseEther('0.001');
+
+const CALL_STATUS = {
+  CONFIRMED: 'confirmed',
+  REVERTED: 'reverted',
+  DROPPED: 'dropped',
+  PENDING: 'pending',
+  UNSENT: 'unsent',
+  FAILED: 'failed'
+};
+
+// Outcomes worth re-planning; pending transactions may still be mined with their nonce
+const REPLANNABLE = [CALL_STATUS.REVERTED, CALL_STATUS.DROPPED, CALL_STATUS.UNSENT];
+
+/**
+ * Pipeline Executor class
+ */
+class PipelineExecutor {
+  /**
+   * Get how many times failed calls are re-planned
+   * Uses PIPELINE_MAX_REPLANS, falling back to 2
+   * @returns {number} Re-plan rounds after the first batch
+   */
+  getMaxReplans() {
+    const value = parseInt(process.env.PIPELINE_MAX_REPLANS, 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_REPLANS;
+  }
+
+  /**
+   * Get the fee fields every transaction of a batch is signed with
+   * The max fee is a cap: transactions pay the base fee plus tip and never more than it.
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {string} network - Network identifier
+   * @param {string} feeStrategy - Fee strategy (defaults to the network's)
+   * @returns {Promise<Object>} EIP-1559 or legacy fee fields
+   */
+  async getFeeFields(provider, network, feeStrategy) {
+    const overrides = await getFeeOverrides(provider, network, feeStrategy);
+    if (overrides.maxFeePerGas) {
+      return { type: 2, ...overrides };
+    }
+    if (overrides.gasPrice) {
+      return { type: 0, gasPrice: overrides.gasPrice };
+    }
+    throw new Error(`Could not determine fees for the transfer batch on ${network}`);
+  }
+
+  /**
+   * Sign a batch of calls with consecutive nonces
+   * @param {ethers.Signer} signer - Wallet or remote signer
+   * @param {Array<Object>} calls - Transfer calls with gasLimit set
+   * @param {Object} options - { nonce: first nonce, chainId, feeFields }
+   * @returns {Promise<Array<string>>} Signed raw transactions, in nonce order
+   */
+  async signBatch(signer, calls, { nonce, chainId, feeFields }) {
+    const signedTransactions = [];
+    for (let i = 0; i < calls.length; i++) {
+      const call = calls[i];
+      signedTransactions.push(await signer.signTransaction({
+        ...feeFields,
+        chainId,
+        to: call.to,
+        data: call.data || '0x',
+        value: BigInt(call.value || 0),
+        gasLimit: BigInt(call.gasLimit),
+        nonce: nonce + i
+      }));
+    }
+    return signedTransactions;
+  }
+
+  /**
+   * Re-plan calls after a failed batch
+   * Each call is simulated against the current state and re-estimated, since the
+   * transfers before it may have changed what it needs. Calls that would revert now
+   * are given up on.
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {Array<Object>} calls - Calls to send again
+   * @param {string} fromAddress - Sending wallet
+   * @param {string} network - Network identifier
+   * @returns {Promise<Object>} { viable, calls: viable calls re-estimated, failed: [{ call, error }] }
+   */
+  async replan(provider, calls, fromAddress, network) {
+    const viable = [];
+    const failed = [];
+
+    for (const call of calls) {
+      try {
+        await provider.call({ from: fromAddress, to: call.to, data: call.data || '0x', value: BigInt(call.value || 0) });
+        viable.push(call);
+      } catch (error) {
+        failed.push({ call, error: `Would revert: ${error.shortMessage || error.message}` });
+      }
+    }
+
+    return {
+      viable,
+      calls: await estimateTransferCalls(provider, viable, fromAddress, network),
+      failed
+    };
+  }
+
+  /**
+   * Set the amount of the batch's native sweep call ({ sweep: true })
+   * The sweep sends the balance less the worst-case cost of every call in the batch:
+   * gas limit times max fee, plus the L1 data fee on rollups that charge it. Its own
+   * gas limit is re-estimated without the network's default floor.
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {Array<Object>} calls - Calls with gasLimit set
+   * @param {Object} options - { fromAddress, network, feeFields, chainId }
+   * @returns {Promise<Object>} { calls: calls with l1Fee set, error when the balance cannot cover the batch }
+   */
+  async sizeSweep(provider, calls, { fromAddress, network, feeFields, chainId }) {
+    const sweepIndex = calls.findIndex(call => call.sweep);
+    if (sweepIndex === -1) return { calls, error: null };
+
+    const balance = BigInt(await provider.getBalance(fromAddress));
+    const nonce = await provider.getTransactionCount(fromAddress, 'pending');
+    const maxFee = BigInt(feeFields.maxFeePerGas || feeFields.gasPrice);
+
+    let spent = 0n;
+    let unpriced = false;
+    const sized = [];
+    for (let i = 0; i < calls.length; i++) {
+      const call = calls[i];
+      // The full balance stands in for the sweep amount, which can only be smaller
+      const tx = {
+        ...feeFields,
+        chainId,
+        nonce: nonce + i,
+        from: fromAddress,
+        to: call.to,
+        data: call.data || '0x',
+        value: i === sweepIndex ? balance : BigInt(call.value || 0),
+        gasLimit: BigInt(call.gasLimit)
+      };
+
+      if (i === sweepIndex) {
+        try {
+          tx.gasLimit = await estimateNativeTransferGas(provider, network, tx);
+        } catch (error) {
+          console.warn(`Could not estimate the native sweep on ${network}, keeping gas limit ${tx.gasLimit}: ${error.message}`);
+        }
+      }
+
+      let l1Fee = 0n;
+      try {
+        l1Fee = await getL1DataFee(provider, network, tx);
+      } catch (error) {
+        console.warn(`Could not price the L1 data fee of ${call.label} on ${network}: ${error.message}`);
+        unpriced = true;
+      }
+
+      spent += tx.gasLimit * maxFee + l1Fee + (i === sweepIndex ? 0n : tx.value);
+      sized.push({ ...call, gasLimit: tx.gasLimit, l1Fee });
+    }
+    if (unpriced) spent += UNPRICED_L1_FEE_RESERVE;
+
+    if (balance <= spent) {
+      return { calls: sized, error: 'Balance does not cover the gas of the transfer batch' };
+    }
+    sized[sweepIndex].value = balance - spent;
+    return { calls: sized, error: null };
+  }
+
+  /**
+   * Sign, broadcast and confirm one batch
+   * A broadcast that fails stops the batch, since every later nonce would be stuck
+   * behind the gap; the nonces of the unsent calls are given back.
+   * @param {Object} params - Batch parameters
+   * @returns {Promise<Array<Object>>} One outcome per call: { call, status, tracked, error }
+   */
+  async sendBatch({ signer, managed, network, provider, calls, feeFields, chainId }) {
+    const address = await signer.getAddress();
+    const requested = managed ? managed.takeNonceOverride() : undefined;
+    const nonce = await nonceManager.reserveNonce(address, network, provider, requested, calls.length);
+
+    let signedTransactions;
+    try {
+      signedTransactions = await this.signBatch(signer, calls, { nonce, chainId, feeFields });
+    } catch (error) {
+      await nonceManager.releaseNonce(address, network, nonce, calls.length);
+      throw new Error(`Failed to sign transfer batch: ${error.message}`);
+    }
+
+    const outcomes = calls.map(call => ({ call, status: CALL_STATUS.UNSENT, tracked: null, error: null }));
+    for (let i = 0; i < signedTransactions.length; i++) {
+      try {
+        const response = await provider.broadcastTransaction(signedTransactions[i]);
+        const tracked = nonceManager.track(signer, network, response);
+        if (managed) managed.transactions.push(tracked);
+        outcomes[i].tracked = tracked;
+        outcomes[i].status = CALL_STATUS.PENDING;
+      } catch (error) {
+        outcomes[i].error = `Broadcast failed: ${error.shortMessage || error.message}`;
+        for (let j = i + 1; j < outcomes.length; j++) {
+          outcomes[j].error = `Not sent after transfer ${i + 1} of ${calls.length} failed to broadcast`;
+        }
+        await nonceManager.releaseNonce(address, network, nonce + i, calls.length - i);
+        break;
+      }
+    }
+
+    const sent = outcomes.filter(outcome => outcome.tracked);
+    const settled = await Promise.allSettled(sent.map(outcome => nonceManager.confirm(outcome.tracked)));
+
+    settled.forEach((result, i) => {
+      const outcome = sent[i];
+      if (result.status === 'fulfilled') {
+        outcome.status = CALL_STATUS.CONFIRMED;
+        return;
+      }
+      outcome.error = result.reason.message;
+      if (outcome.tracked.status === TRANSACTION_STATUS.DROPPED) {
+        outcome.status = CALL_STATUS.DROPPED;
+      } else if (outcome.tracked.status === TRANSACTION_STATUS.REVERTED) {
+        outcome.status = CALL_STATUS.REVERTED;
+      }
+    });
+
+    return outcomes;
+  }
+
+  /**
+   * Send an ordered batch of calls as a pipeline
+   * @param {Object} params - Execution parameters
+   * @param {ethers.Signer} params.signer - Wallet, remote signer or managed signer (its
+   *   requested nonce is used and its transactions list is filled in)
+   * @param {string} params.network - Network identifier
+   * @param {Array<Object>} params.calls - Transfer calls in send order, with gasLimit set; at
+   *   most one may be a native sweep ({ sweep: true }), whose value is set when it is sent
+   * @param {string} params.feeStrategy - Fee strategy; its max fee caps every transaction (optional)
+   * @param {Function} params.shouldCancel - Returns true to stop before the next round (optional)
+   * @returns {Promise<Object>} { results: [{ label, to, txType, token, value, l1Fee, status, nonce, hash, round, error }], rounds }
+   */
+  async execute({ signer, network, calls, feeStrategy, shouldCancel = () => false }) {
+    const managed = signer instanceof ManagedSigner ? signer : null;
+    const rawSigner = managed ? managed.signer : signer;
+    const provider = rawSigner.provider;
+    const fromAddress = await rawSigner.getAddress();
+    const maxReplans = this.getMaxReplans();
+    const { chainId } = await provider.getNetwork();
+
+    const results = new Map();
+    const record = (call, round, status, { sent = call, tracked = null, error = null } = {}) => {
+      results.set(call, {
+        label: call.label,
+        to: call.to,
+        txType: call.txType,
+        token: call.token,
+        value: BigInt(sent.value || 0),
+        l1Fee: sent.l1Fee || 0n,
+        status,
+        nonce: tracked ? tracked.nonce : null,
+        hash: tracked ? (tracked.finalHash || tracked.hashes[0]) : null,
+        round,
+        ...(error ? { error } : {})
+      });
+    };
+
+    let remaining = calls;
+    let round = 0;
+    for (; remaining.length > 0; round++) {
+      if (shouldCancel()) {
+        throw new Error('Operation cancelled by user');
+      }
+
+      // Each round is priced again, since the previous one may have waited through a fee spike
+      const feeFields = await this.getFeeFields(provider, network, feeStrategy);
+      // Re-planned calls are re-estimated copies; results stay keyed by the caller's calls
+      let sources = remaining;
+      let batch = remaining;
+      if (round > 0) {
+        const replanned = await this.replan(provider, remaining, fromAddress, network);
+        replanned.failed.forEach(({ call, error }) => record(call, round, CALL_STATUS.FAILED, { error }));
+        sources = replanned.viable;
+        batch = replanned.calls;
+        if (batch.length === 0) break;
+      }
+
+      const sized = await this.sizeSweep(provider, batch, { fromAddress, network, feeFields, chainId });
+      batch = sized.calls;
+      if (sized.error) {
+        const index = batch.findIndex(call => call.sweep);
+        record(sources[index], round, CALL_STATUS.FAILED, { error: sized.error });
+        sources = sources.filter((_, i) => i !== index);
+        batch = batch.filter((_, i) => i !== index);
+        if (batch.length === 0) break;
+      }
+
+      const outcomes = await this.sendBatch({ signer: rawSigner, managed, network, provider, calls: batch, feeFields, chainId });
+
+      const retry = [];
+      outcomes.forEach((outcome, i) => {
+        record(sources[i], round, outcome.status, { ...outcome, sent: outcome.call });
+        if (REPLANNABLE.includes(outcome.status)) retry.push(sources[i]);
+      });
+
+      if (retry.length > 0 && round >= maxReplans) {
+        console.warn(`Giving up on ${retry.length} transfer(s) on ${network} after ${round + 1} batch(es)`);
+        round++;
+        break;
+      }
+      if (retry.length > 0) {
+        console.log(`Re-planning ${retry.length} of ${batch.length} transfer(s) on ${network} after a failed batch`);
+      }
+      remaining = retry;
+    }
+
+    return {
+      results: calls.map(call => results.get(call)),
+      rounds: round
+    };
+  }
+}
+
+// Create singleton instance
+const pipelineExecutor = new PipelineExecutor();
+
+module.exports = pipelineExecutor;
+module.exports.CALL_STATUS = CALL_STATUS;
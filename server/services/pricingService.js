@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { ethers } = require('ethers');
 
 // Simple in-memory cache with TTL
 const cache = new Map(); // key -> { value, expiresAt }
@@ -73,7 +74,21 @@ async function getNativePriceUSD(network) {
   }
 }
 
+// USD value of a token amount: discovery's usdValue when it has one, otherwise the
+// token price times the amount. Null for NFTs and tokens that cannot be priced.
+async function getTokenValueUSD(network, token) {
+  if (!token || (token.type && token.type !== 'ERC20')) return null;
+
+  const usdValue = Number(token.usdValue);
+  if (token.usdValue !== undefined && token.usdValue !== null && Number.isFinite(usdValue)) return usdValue;
+
+  if (token.decimals === undefined || token.decimals === null) return null;
+  const price = await getTokenPriceUSD(network, token.address);
+  return price ? Number(ethers.formatUnits(token.amount ?? token.balance ?? 0, Number(token.decimals))) * price : null;
+}
+
 module.exports = {
   getTokenPriceUSD,
-  getNativePriceUSD
+  getNativePriceUSD,
+  getTokenValueUSD
 }; 
\ No newline at end of file
@@ -7,6 +7,9 @@ const { ethers } = require('ethers');
 const { 
   createProvider, 
   createWallet, 
+  createSigner,
+  createRemoteSigner,
+  isRemoteSignerAddress,
   createContract, 
   getBalance, 
   getTransactionCount,
@@ -16,7 +19,6 @@ const {
   parseBalance,
   isValidAddress,
   getChecksumAddress,
-  createTransactionRequest,
   estimateGas,
   sendTransaction,
   ERC20_ABI,
@@ -35,30 +37,128 @@ const {
   getNetworkConfig, 
   getContractAddress, 
   getRpcUrl,
+  getBundleRelayUrl,
+  getRescueMode,
+  getBatchExecutorAddress,
   getGasPrice 
 } = require('../config/networks.js');
-const { getTokenPriceUSD, getNativePriceUSD } = require('./pricingService.js');
+const { buildTransferCalls, buildTransferCallsForTokens, estimateTransferCalls } = require('../utils/transfers.js');
+const { PROFIT_ACTIONS, getProfitPolicy, evaluateProfitability } = require('../utils/profitability.js');
+const { getFeeOverrides, resolveFeeStrategy } = require('../utils/feeStrategy.js');
+const { getL1DataFee } = require('../utils/l1Fees.js');
+const {
+  createAuthSigner,
+  estimateBundleCalls,
+  getBundleMaxFee,
+  signBundleTransactions,
+  submitBundle,
+  DEFAULT_TARGET_BLOCKS
+} = require('../utils/bundle.js');
+const { buildDelegatedRescueTransaction, parseBatchResult } = require('../utils/delegation.js');
+const {
+  getRecoveryContractAddress,
+  getOnChainRecovery,
+  getSafeWalletEvents,
+  getEscrowedTokens,
+  buildApprovalCalls,
+  getPermit2Address,
+  selectPermit2Calls,
+  buildPermit2BatchCall,
+  buildClaimBatchCall,
+  signClaimBatch,
+  buildRegisterRecoveryCall
+} = require('../utils/recoveryContract.js');
+const pricingService = require('./pricingService.js');
+
+const DEFAULT_SAFE_WALLET_SYNC_LOOKBACK = 50000; // blocks scanned on the first sync after start
+const SAFE_WALLET_SYNC_CHUNK = 5000; // blocks per eth_getLogs request
+
+// Store state key for the last block scanned for a contract's safe wallet rotation events
+const safeWalletSyncKey = (network, contractAddress) => `safeWalletSync:${network}:${contractAddress.toLowerCase()}`;
+const sponsorService = require('./sponsorService.js');
+const nonceManager = require('./nonceManager.js');
+const pipelineExecutor = require('./pipelineExecutor.js');
+const tokenStorageService = require('./tokenStorageService.js');
+const { TRANSACTION_STATUS } = nonceManager;
+const { CALL_STATUS } = pipelineExecutor;
+const { getRecoveryStore } = require('../storage/index.js');
+const {
+  RECOVERY_EVENTS,
+  getRecoveryId,
+  createRecoveryRecord,
+  isOwnershipProven,
+  isActiveRecoveryFor,
+  toPublicRecovery,
+  createStatusRecord,
+  createHistoryEntry
+} = require('../models/recovery.js');
+const { encryptCredential, decryptCredential, getConfiguredSignerKey } = require('../utils/credentials.js');
+const { buildOwnershipTypedData, verifyOwnershipProof } = require('../utils/ownershipProof.js');
+const { findClaimAdapter } = require('../claims/index.js');
+const airdropClaimService = require('./airdropClaimService.js');
+const { mergeAirdropClaims } = airdropClaimService;
 const { 
   validateRecoveryForm, 
   validateAutoRescueForm,
   getFirstError 
 } = require('../utils/validation.js');
 
-// In-memory storage for recoveries (in production, use a database)
-const recoveries = new Map();
-const recoveryStatuses = new Map();
+/**
+ * Summarize a token for recovery status records (JSON-safe)
+ * @param {Object} token - Token from getTokenBalances
+ * @returns {Object} { address, symbol, type, balance, tokenIds }
+ */
+const toTokenEntry = (token) => ({
+  address: token.address,
+  symbol: token.symbol,
+  type: token.type,
+  balance: String(token.balance ?? '0'),
+  tokenIds: token.tokenIds ? token.tokenIds.map(String) : undefined
+});
 
 /**
  * Recovery service class
  */
 class RecoveryService {
-  constructor() {
-    this.recoveries = recoveries;
-    this.recoveryStatuses = recoveryStatuses;
+  /**
+   * @param {Object} store - Recovery store (defaults to the process-wide store from RECOVERY_STORE)
+   */
+  constructor(store = getRecoveryStore()) {
+    this.store = store;
     this.activeAutoRescueOperations = new Map(); // Track active auto rescue operations
     this.operationCancellationFlags = new Map(); // Track cancellation flags
   }
 
+  /**
+   * Build the typed data a hacked wallet signs to register without handing over its key
+   * @param {Object} params - Registration to prove
+   * @param {string} params.hackedWallet - Hacked wallet address
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {string} params.network - Blockchain network
+   * @returns {Object} { success, typedData, error }
+   */
+  buildOwnershipRequest({ hackedWallet, safeWallet, network }) {
+    try {
+      if (!isValidAddress(hackedWallet) || !isValidAddress(safeWallet)) {
+        throw new Error('Invalid hacked or safe wallet address');
+      }
+
+      const typedData = buildOwnershipTypedData({ hackedWallet, safeWallet, network });
+
+      // Numeric fields as strings so the request can be sent as JSON to the signer
+      return {
+        success: true,
+        typedData: {
+          ...typedData,
+          domain: { ...typedData.domain, chainId: typedData.domain.chainId.toString() },
+          message: { ...typedData.message, deadline: typedData.message.deadline.toString() }
+        }
+      };
+    } catch (error) {
+      return { success: false, error: `Failed to build ownership request: ${error.message}` };
+    }
+  }
+
   /**
    * Register a new recovery
    * @param {Object} recoveryData - Recovery data
@@ -66,6 +166,11 @@ class RecoveryService {
    * @param {string} recoveryData.safeWallet - Safe wallet address
    * @param {string} recoveryData.network - Blockchain network
    * @param {number} recoveryData.nonce - Optional nonce override
+   * @param {string} recoveryData.hackedWalletPrivateKey - Optional key, stored encrypted so monitoring can move new assets
+   * @param {boolean} recoveryData.registerOnChain - Also register with the network's recovery contract (default true when a key is given)
+   * @param {string} recoveryData.ownershipSignature - Without a key: the hacked wallet's RecoveryOwnership signature
+   *   (see utils/ownershipProof.js); registrations without either are never signed for
+   * @param {string|number} recoveryData.ownershipDeadline - Deadline the ownership signature was made with
    * @returns {Promise<Object>} Registration result
    */
   async registerRecovery(recoveryData) {
@@ -77,20 +182,7 @@ class RecoveryService {
         throw new Error(firstError || 'Validation failed');
       }
 
-      const { hackedWallet, safeWallet, network, nonce } = recoveryData;
-
-      // Check if recovery already exists and is active
-      const recoveryKey = `${hackedWallet}-${network}`;
-      if (this.recoveries.has(recoveryKey)) {
-        const existingRecovery = this.recoveries.get(recoveryKey);
-        if (existingRecovery.isActive) {
-        throw new Error('Recovery already exists for this wallet and network');
-        } else {
-          // If recovery exists but is inactive, delete it to allow re-registration
-          console.log(`Found inactive recovery for ${recoveryKey}, removing to allow re-registration`);
-          this.recoveries.delete(recoveryKey);
-        }
-      }
+      const { hackedWallet, safeWallet, network, nonce, hackedWalletPrivateKey, profitPolicy, ownershipSignature } = recoveryData;
 
       // Validate network
       const networkConfig = getNetworkConfig(network);
@@ -98,36 +190,96 @@ class RecoveryService {
         throw new Error('Unsupported network');
       }
 
+      const recoveryKey = getRecoveryId(hackedWallet, network);
+      const existingRecovery = await this.store.getRecovery(recoveryKey);
+
+      // Encrypt the signing key, if one was given, and make sure it controls the hacked wallet
+      let credential;
+      if (hackedWalletPrivateKey) {
+        credential = encryptCredential(hackedWalletPrivateKey);
+        if (credential.address.toLowerCase() !== hackedWallet.toLowerCase()) {
+          throw new Error('Private key does not match the hacked wallet address');
+        }
+      }
+
+      // The key proves control of the hacked wallet; without it, only a signature from the wallet does
+      let ownershipProof;
+      if (credential) {
+        ownershipProof = { method: 'privateKey', provenAt: new Date().toISOString() };
+      } else if (ownershipSignature) {
+        verifyOwnershipProof({
+          hackedWallet,
+          safeWallet,
+          network,
+          deadline: recoveryData.ownershipDeadline,
+          signature: ownershipSignature
+        });
+        ownershipProof = { method: 'signature', provenAt: new Date().toISOString() };
+      }
+
+      // Inactive recoveries are replaced, and so are unproven ones once the owner proves
+      // control: anyone can register a wallet without proof, which must not lock its owner out
+      const replacesUnproven = !!existingRecovery?.isActive && !isOwnershipProven(existingRecovery) && !!ownershipProof;
+      if (existingRecovery?.isActive && !replacesUnproven) {
+        throw new Error('Recovery already exists for this wallet and network');
+      }
+
       // Create recovery object
-      const recovery = {
-        id: recoveryKey,
+      const recovery = createRecoveryRecord({
         hackedWallet: getChecksumAddress(hackedWallet),
         safeWallet: getChecksumAddress(safeWallet),
         network,
-        nonce: nonce !== undefined ? Number(nonce) : undefined,
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        lastCheck: new Date().toISOString(),
-        recoveredTokens: []
-      };
+        nonce,
+        credential,
+        profitPolicy,
+        ownershipProof
+      });
 
-      // Store recovery
-      this.recoveries.set(recoveryKey, recovery);
-      
-      // Initialize recovery status
-      if (!this.recoveryStatuses.has(recoveryKey)) {
-        this.recoveryStatuses.set(recoveryKey, {
-          isActive: true,
-          lastCheck: new Date().toISOString(),
-          recoveredTokens: []
+      // Pick up entries from distributions imported before the wallet was registered
+      const airdropClaims = mergeAirdropClaims(
+        existingRecovery?.airdropClaims,
+        await airdropClaimService.getClaimsForAccount(network, hackedWallet)
+      );
+      if (airdropClaims.length > 0) {
+        recovery.airdropClaims = airdropClaims;
+      }
+
+      // Store recovery, keeping tokens already recorded by an earlier registration
+      await this.store.saveRecovery(recovery);
+
+      const existingStatus = await this.store.getStatus(recoveryKey);
+      await this.store.saveStatus(recoveryKey, existingStatus
+        ? { ...existingStatus, isActive: true, lastUpdated: new Date().toISOString() }
+        : createStatusRecord());
+
+      // With the hacked key at hand, the contract registration can be signed here and
+      // paid for by the sponsor, since the hacked wallet cannot keep ETH for gas
+      let onChainRegistration;
+      if (hackedWalletPrivateKey && recoveryData.registerOnChain !== false && getRecoveryContractAddress(network)) {
+        const provider = createProvider(network);
+        onChainRegistration = await this.registerRecoveryOnChain({
+          wallet: createWallet(hackedWalletPrivateKey, provider),
+          safeWallet: recovery.safeWallet,
+          network,
+          provider
         });
       }
 
+      await this.store.addHistory(createHistoryEntry(recoveryKey, RECOVERY_EVENTS.REGISTERED, {
+        safeWallet: recovery.safeWallet,
+        reregistered: !!existingRecovery,
+        replacedUnproven: replacesUnproven,
+        hasCredential: !!credential,
+        ownershipProven: !!ownershipProof,
+        onChainTransactionHash: onChainRegistration?.transactionHash
+      }));
+
       console.log(`Recovery registered: ${recoveryKey}`);
 
       return {
         success: true,
-        recovery,
+        recovery: toPublicRecovery(recovery),
+        onChainRegistration,
         message: 'Recovery registered successfully'
       };
     } catch (error) {
@@ -139,6 +291,71 @@ class RecoveryService {
     }
   }
 
+  /**
+   * Register a hacked wallet with the AirdropRecovery contract without it paying gas
+   * The hacked key signs an EIP-712 registration and the sponsor submits it.
+   * @param {Object} params - Registration parameters
+   * @param {ethers.Wallet} params.wallet - Hacked wallet (connected to the provider)
+   * @param {string} params.safeWallet - Safe wallet address
+   * @param {string} params.network - Network identifier
+   * @param {ethers.Provider} params.provider - Provider for the network
+   * @param {string} params.contractAddress - Contract address (defaults to the network's)
+   * @returns {Promise<Object>} { success, transactionHash, alreadyRegistered, contractAddress, error }
+   */
+  async registerRecoveryOnChain({ wallet, safeWallet, network, provider, contractAddress = getRecoveryContractAddress(network) }) {
+    try {
+      if (!contractAddress) {
+        throw new Error(`No recovery contract configured on ${network}`);
+      }
+      if (!sponsorService.hasSponsor(network)) {
+        throw new Error(`Gasless registration requires a sponsor wallet on ${network}`);
+      }
+
+      const registration = await getOnChainRecovery(provider, contractAddress, wallet.address);
+      if (registration.isActive) {
+        if (registration.safeWallet.toLowerCase() !== safeWallet.toLowerCase()) {
+          throw new Error('Wallet is already registered on-chain with a different safe wallet');
+        }
+        return { success: true, alreadyRegistered: true, contractAddress };
+      }
+
+      const operationId = this.generateOperationId();
+      const call = await buildRegisterRecoveryCall({ wallet, contractAddress, safeWallet });
+      const sponsorWallet = sponsorService.getSponsorWallet(network, provider);
+      const txOverrides = await this.generateTransactionOverrides(network, provider);
+      const gasLimit = await estimateGas(provider, { from: sponsorWallet.address, to: call.to, data: call.data }, network, call.txType);
+
+      const maxFeePerGas = txOverrides.maxFeePerGas || (await getFeeData(provider)).maxFeePerGas || 0n;
+      const budgetCheck = await sponsorService.checkBudget(operationId, network, gasLimit * BigInt(maxFeePerGas), wallet.address);
+      if (!budgetCheck.allowed) {
+        throw new Error(budgetCheck.error);
+      }
+
+      const tx = await sendTransaction(sponsorWallet, { to: call.to, data: call.data, value: 0n, gasLimit, ...txOverrides });
+      console.log(`On-chain recovery registration sent: ${tx.hash}`);
+      const receipt = await waitForTransaction(tx, 1);
+
+      await sponsorService.recordSpend(operationId, {
+        network,
+        sponsor: sponsorWallet.address,
+        wallet: wallet.address,
+        gasWei: receipt.gasUsed * (receipt.gasPrice || 0n)
+      });
+
+      if (receipt.status !== 1) {
+        throw new Error(`Registration ${tx.hash} reverted`);
+      }
+
+      return { success: true, transactionHash: tx.hash, contractAddress, sponsor: sponsorWallet.address };
+    } catch (error) {
+      console.error('On-chain recovery registration error:', error);
+      return {
+        success: false,
+        error: `Failed to register recovery on-chain: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Deactivate a recovery
    * @param {string} hackedWallet - Hacked wallet address
@@ -149,59 +366,28 @@ class RecoveryService {
     try {
       console.log(`Attempting to deactivate recovery for wallet: ${hackedWallet}, network: ${network}`);
       
-      // First try the exact key match
-      const recoveryKey = `${hackedWallet}-${network}`;
-      console.log(`Looking for recovery key: "${recoveryKey}"`);
-      
-      if (this.recoveries.has(recoveryKey)) {
-        const recovery = this.recoveries.get(recoveryKey);
-        recovery.isActive = false;
-        recovery.deactivatedAt = new Date().toISOString();
+      const recovery = await this.resolveRecovery(hackedWallet, network);
+      if (!recovery) {
+        throw new Error('Recovery not found');
+      }
 
-        // Update status
-        const status = this.recoveryStatuses.get(recoveryKey);
-        if (status) {
-          status.isActive = false;
-        }
+      recovery.isActive = false;
+      recovery.deactivatedAt = new Date().toISOString();
+      await this.store.saveRecovery(recovery);
 
-        console.log(`Recovery deactivated: ${recoveryKey}`);
-        return {
-          success: true,
-          message: 'Recovery deactivated successfully'
-        };
+      // Update status
+      const status = await this.store.getStatus(recovery.id);
+      if (status) {
+        await this.store.saveStatus(recovery.id, { ...status, isActive: false, lastUpdated: recovery.deactivatedAt });
       }
-      
-      // If exact match fails, try to find by wallet address only
-      console.log('Exact key match failed, searching by wallet address...');
-      const found = this.findRecoveryByWallet(hackedWallet);
-      
-      if (found) {
-        console.log(`Found recovery with key: "${found.key}", network: "${found.recovery.network}"`);
-        
-        const recovery = this.recoveries.get(found.key);
-        recovery.isActive = false;
-        recovery.deactivatedAt = new Date().toISOString();
 
-        // Update status
-        const status = this.recoveryStatuses.get(found.key);
-        if (status) {
-          status.isActive = false;
-        }
+      await this.store.addHistory(createHistoryEntry(recovery.id, RECOVERY_EVENTS.DEACTIVATED));
 
-        console.log(`Recovery deactivated: ${found.key}`);
-        return {
-          success: true,
-          message: 'Recovery deactivated successfully'
-        };
-      }
-      
-      // If still not found, log all recoveries for debugging
-      console.log('Recovery not found. All existing recoveries:');
-      for (const [key, recovery] of this.recoveries.entries()) {
-        console.log(`  Key: "${key}", HackedWallet: "${recovery.hackedWallet}", Network: "${recovery.network}"`);
-      }
-      
-      throw new Error('Recovery not found');
+      console.log(`Recovery deactivated: ${recovery.id}`);
+      return {
+        success: true,
+        message: 'Recovery deactivated successfully'
+      };
     } catch (error) {
       console.error('Recovery deactivation error:', error);
       return {
@@ -211,53 +397,234 @@ class RecoveryService {
     }
   }
 
+  /**
+   * Sync pending and active safe wallets from the recovery contract's rotation events
+   * Each recovery remembers the last event it applied, so rescanning a range is harmless.
+   * @param {string} network - Network identifier
+   * @param {Object} options - Sync options
+   * @param {ethers.Provider} options.provider - Provider (defaults to the network's)
+   * @param {string} options.contractAddress - AirdropRecovery address (defaults to the network's deployment)
+   * @param {number} options.fromBlock - First block to scan (defaults to just after the last sync,
+   * which the store keeps across restarts)
+   * @returns {Promise<Object>} { success, synced, toBlock, error }
+   */
+  async syncSafeWalletChanges(network, { provider, contractAddress = getRecoveryContractAddress(network), fromBlock } = {}) {
+    if (!contractAddress) {
+      return { success: true, synced: 0 };
+    }
+
+    try {
+      provider = provider || createProvider(network);
+      const latestBlock = await provider.getBlockNumber();
+      const lookback = Number(process.env.SAFE_WALLET_SYNC_LOOKBACK_BLOCKS || DEFAULT_SAFE_WALLET_SYNC_LOOKBACK);
+      const lastSync = await this.store.getState(safeWalletSyncKey(network, contractAddress));
+      const startBlock = fromBlock ?? (lastSync
+        ? lastSync.blockNumber + 1
+        : Math.max(0, latestBlock - lookback));
+
+      const events = [];
+      for (let from = startBlock; from <= latestBlock; from += SAFE_WALLET_SYNC_CHUNK) {
+        const to = Math.min(from + SAFE_WALLET_SYNC_CHUNK - 1, latestBlock);
+        events.push(...await getSafeWalletEvents(provider, contractAddress, from, to));
+      }
+
+      let synced = 0;
+      for (const event of events) {
+        const recovery = await this.store.getRecovery(getRecoveryId(event.hackedWallet, network));
+        const applied = recovery?.safeWalletSyncedTo;
+        if (!recovery || (applied && (event.blockNumber < applied.blockNumber ||
+          (event.blockNumber === applied.blockNumber && event.logIndex <= applied.logIndex)))) {
+          continue;
+        }
+
+        let historyEvent;
+        const details = { safeWallet: event.safeWallet, transactionHash: event.transactionHash };
+        if (event.name === 'SafeWalletChangeProposed') {
+          historyEvent = RECOVERY_EVENTS.SAFE_WALLET_CHANGE_PROPOSED;
+          recovery.pendingSafeWallet = {
+            address: event.safeWallet,
+            effectiveAt: new Date(event.effectiveAt * 1000).toISOString(),
+            transactionHash: event.transactionHash
+          };
+          details.effectiveAt = recovery.pendingSafeWallet.effectiveAt;
+        } else if (event.name === 'SafeWalletChangeCancelled') {
+          historyEvent = RECOVERY_EVENTS.SAFE_WALLET_CHANGE_CANCELLED;
+          recovery.pendingSafeWallet = undefined;
+        } else {
+          historyEvent = RECOVERY_EVENTS.SAFE_WALLET_CHANGED;
+          details.previousSafeWallet = recovery.safeWallet;
+          recovery.safeWallet = event.safeWallet;
+          recovery.pendingSafeWallet = undefined;
+        }
+
+        recovery.safeWalletSyncedTo = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+        await this.store.saveRecovery(recovery);
+        await this.store.addHistory(createHistoryEntry(recovery.id, historyEvent, details));
+        console.log(`Synced ${event.name} for ${recovery.id}: ${event.safeWallet}`);
+        synced++;
+      }
+
+      await this.store.saveState(safeWalletSyncKey(network, contractAddress), { blockNumber: latestBlock });
+      return { success: true, synced, toBlock: latestBlock };
+    } catch (error) {
+      console.error(`Safe wallet sync failed on ${network}: ${error.message}`);
+      return { success: false, synced: 0, error: `Failed to sync safe wallet changes: ${error.message}` };
+    }
+  }
+
   /**
    * Get all active recoveries
-   * @returns {Array} List of active recoveries
+   * @returns {Promise<Array>} List of active recoveries
    */
-  getActiveRecoveries() {
-    return Array.from(this.recoveries.values()).filter(recovery => recovery.isActive);
+  async getActiveRecoveries() {
+    const recoveries = await this.store.listRecoveries({ activeOnly: true });
+    return recoveries.map(toPublicRecovery);
   }
 
   /**
-   * Find recovery by hacked wallet address
-   * @param {string} hackedWallet - Hacked wallet address
-   * @returns {Object|null} Recovery object or null if not found
+   * Resolve the signer monitoring uses to move a recovery's assets
+   * Prefers the recovery's encrypted credential, then RECOVERY_SIGNER_PRIVATE_KEYS, then the
+   * remote signer for addresses in REMOTE_SIGNER_ADDRESSES; the latter two only for
+   * registrations with an ownership proof.
+   * @param {Object} recovery - Recovery record
+   * @param {Object} provider - Ethers provider
+   * @returns {Object|null} { wallet, source } or null if no signer is available
    */
-  findRecoveryByWallet(hackedWallet) {
-    for (const [key, recovery] of this.recoveries.entries()) {
-      if (recovery.hackedWallet.toLowerCase() === hackedWallet.toLowerCase()) {
-        return { recovery, key };
+  getRecoverySigner(recovery, provider) {
+    let privateKey = null;
+    let source = null;
+
+    if (recovery.credential) {
+      try {
+        privateKey = decryptCredential(recovery.credential);
+        source = 'credential';
+      } catch (error) {
+        console.warn(`Cannot use stored credential for ${recovery.id}: ${error.message}`);
       }
     }
-    return null;
+
+    // Configured and remote keys sign for whoever registered the wallet, so they only
+    // ever do so for registrations the wallet itself proved
+    if (!privateKey && !isOwnershipProven(recovery)) {
+      return null;
+    }
+
+    if (!privateKey) {
+      privateKey = getConfiguredSignerKey(recovery.hackedWallet);
+      source = 'configured';
+    }
+
+    // Keys held by the remote signer never reach this process
+    if (!privateKey && isRemoteSignerAddress(recovery.hackedWallet)) {
+      return { wallet: createRemoteSigner(recovery.hackedWallet, provider), source: 'remote' };
+    }
+
+    if (!privateKey) return null;
+
+    const wallet = createWallet(privateKey, provider);
+    if (wallet.address.toLowerCase() !== recovery.hackedWallet.toLowerCase()) {
+      console.warn(`Signer for ${recovery.id} does not control ${recovery.hackedWallet}`);
+      return null;
+    }
+
+    return { wallet, source };
+  }
+
+  /**
+   * Check that the remote signer may sign for a wallet towards a safe wallet
+   * Calling the API proves nothing about who holds a remote signer's keys, so it only
+   * signs for wallets whose registration the wallet itself signed (or gave its key for),
+   * and only towards that registration's safe wallet.
+   * @param {string} hackedWallet - Wallet the remote signer would sign for
+   * @param {string} safeWallet - Safe wallet the assets would go to
+   * @returns {Promise<Object>} The recovery allowing it
+   */
+  async assertRemoteSigningAllowed(hackedWallet, safeWallet) {
+    const found = await this.findRecoveryByWallet(hackedWallet);
+    if (!isActiveRecoveryFor(found?.recovery, safeWallet)) {
+      throw new Error('Remote signing is only allowed to the safe wallet registered for this wallet');
+    }
+    if (!isOwnershipProven(found.recovery)) {
+      throw new Error('Remote signing requires a registration signed by the hacked wallet');
+    }
+    return found.recovery;
+  }
+
+  /**
+   * Get the profit policy a registered recovery sets for a rescue
+   * Anyone can register a wallet, so a stored policy only applies to rescues towards the
+   * active recovery's own safe wallet; other rescues use the defaults.
+   * @param {Object|null} recovery - Recovery record
+   * @param {string} safeWallet - Safe wallet the rescue sends to
+   * @returns {Object|undefined} Stored profit policy, if it applies
+   */
+  getRegisteredProfitPolicy(recovery, safeWallet) {
+    return isActiveRecoveryFor(recovery, safeWallet) ? recovery.profitPolicy : undefined;
+  }
+
+  /**
+   * Get the recovery for a hacked wallet on a network
+   * Tries the exact key first, then falls back to the wallet address only.
+   * @param {string} hackedWallet - Hacked wallet address
+   * @param {string} network - Blockchain network
+   * @returns {Promise<Object|null>} Recovery record or null if not found
+   */
+  async resolveRecovery(hackedWallet, network) {
+    const recovery = network ? await this.store.getRecovery(getRecoveryId(hackedWallet, network)) : null;
+    if (recovery) return recovery;
+
+    const found = await this.findRecoveryByWallet(hackedWallet);
+    return found ? found.recovery : null;
+  }
+
+  /**
+   * Find recovery by hacked wallet address
+   * @param {string} hackedWallet - Hacked wallet address
+   * @returns {Promise<Object|null>} { recovery, key } or null if not found
+   */
+  async findRecoveryByWallet(hackedWallet) {
+    const recovery = await this.store.findRecoveryByWallet(hackedWallet);
+    return recovery ? { recovery, key: recovery.id } : null;
   }
 
   /**
    * Get recovery status
    * @param {string} hackedWallet - Hacked wallet address
-   * @returns {Object|null} Recovery status
+   * @returns {Promise<Object|null>} Recovery status with recent history
    */
-  getRecoveryStatus(hackedWallet) {
-    const found = this.findRecoveryByWallet(hackedWallet);
-    if (found) {
-      return this.recoveryStatuses.get(found.key) || null;
-    }
-    return null;
+  async getRecoveryStatus(hackedWallet) {
+    const found = await this.findRecoveryByWallet(hackedWallet);
+    if (!found) return null;
+
+    const status = await this.store.getStatus(found.key);
+    if (!status) return null;
+
+    return {
+      ...status,
+      history: await this.store.getHistory(found.key, 20)
+    };
   }
 
   /**
    * Perform auto rescue operation
    * @param {Object} rescueData - Auto rescue data
    * @param {string} rescueData.hackedWalletPrivateKey - Private key of hacked wallet
+   * @param {string} rescueData.signerAddress - Sign through the remote signer for this address instead of a key;
+   *   only allowed towards the safe wallet registered for it
    * @param {string} rescueData.safeWallet - Safe wallet address
    * @param {string} rescueData.network - Blockchain network
    * @param {number} rescueData.nonce - Optional nonce override
+   * @param {Object} rescueData.profitPolicy - Optional profitability policy, overriding the recovery's
+   * @param {string} rescueData.submissionMode - 'direct', 'bundle' or 'eip7702' (defaults to the network's rescueMode)
+   * @param {string} rescueData.feeStrategy - 'urgent', 'normal' or 'economy' (defaults to the network's feeStrategy)
    * @returns {Promise<Object>} Rescue result
    */
   async performAutoRescue(rescueData) {
     const summary = [];
     const operationId = this.generateOperationId();
+    let sponsorship = null;
+    // Signers whose transfers get managed nonces, for reporting each transfer's outcome
+    const managedSigners = [];
     
     try {
       // Track this operation
@@ -273,7 +640,8 @@ class RecoveryService {
         throw new Error(firstError || 'Validation failed');
       }
 
-      const { hackedWalletPrivateKey, safeWallet, network, nonce } = rescueData;
+      const { hackedWalletPrivateKey, signerAddress, safeWallet, network, nonce, feeStrategy } = rescueData;
+      const signerOptions = { privateKey: hackedWalletPrivateKey, signerAddress };
 
       summary.push('Starting auto rescue operation...');
 
@@ -284,13 +652,18 @@ class RecoveryService {
 
       // Create provider and wallet
       let provider = createProvider(network);
-      let wallet = createWallet(hackedWalletPrivateKey, provider);
+      let wallet = createSigner(signerOptions, provider);
       const walletAddress = await wallet.getAddress();
 
-      summary.push(`Connected to wallet: ${walletAddress}`);
+      summary.push(`Connected to wallet: ${walletAddress}${signerAddress ? ' (remote signer)' : ''}`);
 
       // Check if there's an active recovery for this wallet and use its network if different
-      const foundRecovery = this.findRecoveryByWallet(walletAddress);
+      const foundRecovery = await this.findRecoveryByWallet(walletAddress);
+
+      // Remote keys only ever move assets to the safe wallet of a proven registration
+      if (signerAddress) {
+        await this.assertRemoteSigningAllowed(walletAddress, safeWallet);
+      }
       let effectiveNetwork = network;
       if (foundRecovery && foundRecovery.recovery.network !== network) {
         console.log(`Found active recovery on network: ${foundRecovery.recovery.network}, switching from: ${network}`);
@@ -299,7 +672,7 @@ class RecoveryService {
         
         // Recreate provider with correct network
         const recoveryProvider = createProvider(effectiveNetwork);
-        const recoveryWallet = createWallet(hackedWalletPrivateKey, recoveryProvider);
+        const recoveryWallet = createSigner(signerOptions, recoveryProvider);
         
         // In Ethers.js v6, we need to create new instances instead of assigning
         // Update references to use the new wallet and provider
@@ -307,28 +680,110 @@ class RecoveryService {
         provider = recoveryProvider;
       }
 
+      // Bundle and EIP-7702 modes have the sponsor pay for gas without ever leaving ETH
+      // in the hacked wallet, so its own balance is irrelevant to them
+      const submissionMode = rescueData.submissionMode || getRescueMode(effectiveNetwork);
+      // Web3Signer and Clef have no RPC for EIP-7702 authorizations, so stop before the sponsor is involved
+      if (signerAddress && submissionMode === 'eip7702') {
+        throw new Error('EIP-7702 rescues cannot use the remote signer, which cannot sign authorizations; use direct or bundle submission');
+      }
+      const profitPolicy = getProfitPolicy(rescueData.profitPolicy || this.getRegisteredProfitPolicy(foundRecovery?.recovery, safeWallet));
+      const rescueContext = {
+        wallet,
+        provider,
+        network: effectiveNetwork,
+        safeWallet,
+        priorityTokens: rescueData.priorityTokens || [],
+        feeStrategy,
+        profitPolicy,
+        operationId
+      };
+      if (submissionMode === 'bundle') {
+        return await this.performBundleRescue(rescueContext, summary);
+      }
+      if (submissionMode === 'eip7702') {
+        return await this.performDelegatedRescue(rescueContext, summary);
+      }
+      if (submissionMode === 'direct' && getRecoveryContractAddress(effectiveNetwork)) {
+        // Falls through to per-token transfers when the contract cannot be used for this wallet
+        const contractResult = await this.performContractRescue(rescueContext, summary);
+        if (contractResult) {
+          return contractResult;
+        }
+      }
+
+      // From here on transfers get their nonces from the nonce manager, which replaces
+      // the ones stuck behind a low fee instead of leaving the wallet blocked
+      wallet = nonceManager.manage(wallet, effectiveNetwork, { nonce });
+      managedSigners.push(wallet);
+
+      // Assets not worth their gas are deferred or skipped; priority tokens are always moved
+      const profitContext = {
+        network: effectiveNetwork,
+        provider,
+        walletAddress,
+        safeWallet,
+        policy: profitPolicy,
+        priorityTokens: rescueData.priorityTokens || [],
+        feeStrategy,
+        skippedAssets: []
+      };
+
       // Get wallet balance
       const balance = await getBalance(walletAddress, provider);
       const balanceEth = formatBalance(balance, 18, 6);
       
       summary.push(`Wallet balance: ${balanceEth} ETH`);
 
-      // Prepare gas fee overrides (slightly bumped on Linea for faster inclusion)
-      let txOverrides = {};
-      try {
-        const fee = await getFeeData(provider);
-        const base = fee.maxFeePerGas || fee.gasPrice || 0n;
-        const tip = fee.maxPriorityFeePerGas || 0n;
-        const bumpPercent = effectiveNetwork === 'linea' ? 150n : 120n; // 1.5x on Linea, 1.2x elsewhere
-        const bumpedMax = base ? (base * bumpPercent) / 100n : 0n;
-        const bumpedTip = tip ? (tip * bumpPercent) / 100n : 0n;
-        if (bumpedMax > 0n) txOverrides.maxFeePerGas = bumpedMax;
-        if (bumpedTip > 0n) txOverrides.maxPriorityFeePerGas = bumpedTip;
-      } catch (_) {
-        // ignore, fall back to defaults
-      }
-
-      if (parseFloat(balanceEth) === 0) {
+      // Fees follow the rescue's strategy, or the network's default one
+      const txOverrides = await this.generateTransactionOverrides(effectiveNetwork, provider, feeStrategy);
+      summary.push(`Fee strategy: ${resolveFeeStrategy(effectiveNetwork, feeStrategy)}`);
+
+      // A drained wallet is the normal case: plan the transfers up front and have the
+      // network's sponsor top the wallet up with exactly the gas they need
+      let plannedTokenBalances = null;
+      if (sponsorService.hasSponsor(effectiveNetwork)) {
+        plannedTokenBalances = await this.filterProfitableTokens(await this.getTokenBalances(walletAddress, effectiveNetwork), profitContext, summary);
+        const plannedCalls = buildTransferCallsForTokens(
+          plannedTokenBalances.filter(token => token.balance !== '0' && token.balance !== 0),
+          walletAddress,
+          safeWallet
+        );
+
+        if (plannedCalls.length > 0) {
+          let maxFeePerGas = txOverrides.maxFeePerGas;
+          if (!maxFeePerGas) {
+            const fee = await getFeeData(provider);
+            maxFeePerGas = fee.maxFeePerGas || fee.gasPrice;
+          }
+          const requirement = await sponsorService.calculateGasRequirement(provider, plannedCalls, walletAddress, effectiveNetwork, maxFeePerGas);
+
+          if (BigInt(balance) < requirement.requiredWei) {
+            const funding = await sponsorService.fundWallet({
+              rescueId: operationId,
+              network: effectiveNetwork,
+              provider,
+              targetAddress: walletAddress,
+              requiredWei: requirement.requiredWei,
+              txOverrides
+            });
+
+            if (!funding.success) {
+              summary.push(`Sponsor funding failed: ${funding.error}`);
+              return {
+                success: false,
+                error: funding.error,
+                summary
+              };
+            }
+
+            sponsorship = { network: effectiveNetwork, wallet, txOverrides };
+            summary.push(`Sponsor funded ${formatBalance(funding.amountWei.toString(), 18, 6)} ETH for ${plannedCalls.length} planned transfers`);
+          }
+        }
+      }
+
+      if (parseFloat(balanceEth) === 0 && !sponsorship) {
         summary.push('Warning: Wallet has no ETH balance for gas fees');
         summary.push('Auto rescue cannot proceed without ETH for gas');
         return {
@@ -366,14 +821,15 @@ class RecoveryService {
             try {
               // Create provider and wallet for the specific network
               const networkProvider = createProvider(priorityToken.network);
-              const networkWallet = new ethers.Wallet(hackedWalletPrivateKey, networkProvider);
+              const networkWallet = nonceManager.manage(createSigner(signerOptions, networkProvider), priorityToken.network);
+              managedSigners.push(networkWallet);
               
               // Get transaction overrides for the specific network
-              const networkTxOverrides = await this.generateTransactionOverrides(priorityToken.network, networkProvider);
+              const networkTxOverrides = await this.generateTransactionOverrides(priorityToken.network, networkProvider, feeStrategy);
               
               // Directly check for the priority token on the specific network
               const priorityTokenInfo = await this.checkPriorityTokenDirectly(
-                hackedWalletPrivateKey,
+                walletAddress,
                 priorityToken.contractAddress,
                 priorityToken.network,
                 operationId
@@ -427,58 +883,87 @@ class RecoveryService {
       summary.push(`Current nonce: ${currentNonce}, Target nonce: ${targetNonce}`);
 
       // Get token balances using the effective network (after any auto-correction)
-      const tokenBalances = await this.getTokenBalances(walletAddress, effectiveNetwork);
+      const tokenBalances = plannedTokenBalances ||
+        await this.filterProfitableTokens(await this.getTokenBalances(walletAddress, effectiveNetwork), profitContext, summary);
       summary.push(`Found ${tokenBalances.length} tokens`);
 
       let rescuedTokens = 0;
       let rescuedEth = false;
 
-      // Transfer ETH if balance is sufficient
-      const minEthForGas = parseBalance('0.001', 18); // Keep 0.001 ETH for gas
-      const transferableEth = BigInt(balance) - minEthForGas;
+      // A sponsored wallet only holds gas money, which goes back to the sponsor
+      const sweepEth = !sponsorship && BigInt(balance) > 0n;
 
-      if (transferableEth > 0) {
-        try {
-          // Create ETH transfer transaction request
-          const ethTx = createTransactionRequest({
-            to: safeWallet,
-            value: transferableEth.toString(),
-            ...txOverrides
-          });
+      // Process remaining tokens (normal priority + discovered tokens sorted by value)
+      // Exclude maximum priority tokens from remaining tokens since they're already processed
+      const remainingTokens = this.sortTokensByPriority(tokenBalances, priorityTokens.filter(t => t.priority !== 'maximum'));
 
-          // Estimate gas with fallback to network defaults
-          try {
-            ethTx.gasLimit = await estimateGas(provider, ethTx, effectiveNetwork, 'ethTransfer');
-            console.log(`ETH transfer gas estimated: ${ethTx.gasLimit}`);
-          } catch (gasError) {
-            console.warn(`ETH transfer gas estimation failed: ${gasError.message}`);
-            // Use default gas limit for this network
-            ethTx.gasLimit = getDefaultGasLimit(effectiveNetwork, 'ethTransfer');
-            console.log(`Using default ETH transfer gas limit for ${effectiveNetwork}: ${ethTx.gasLimit}`);
-          }
+      // ETH and every token that encodes as a plain call go out as one pipelined batch:
+      // signed up front with consecutive nonces, broadcast back-to-back, confirmed together
+      const batchCalls = [];
+      if (sweepEth) {
+        // Sized when sent: whatever the batch's gas and L1 data fees leave behind
+        batchCalls.push({
+          to: safeWallet,
+          data: '0x',
+          value: 0n,
+          sweep: true,
+          txType: 'ethTransfer',
+          label: 'ETH'
+        });
+      }
 
-          // Send transaction
-          const ethTransaction = await sendTransaction(wallet, ethTx);
-          console.log(`ETH transfer transaction sent: ${ethTransaction.hash}`);
-          
-          // Wait for confirmation
-          await waitForTransaction(ethTransaction, 1);
+      // NFTs without known token IDs cannot be encoded and are still sent one by one below
+      const sequentialTokens = [];
+      for (const token of remainingTokens) {
+        if (token.balance === '0' || token.balance === 0) continue;
 
-          const transferredEth = formatBalance(transferableEth.toString(), 18, 6);
-          summary.push(`Transferred ${transferredEth} ETH to safe wallet`);
-          rescuedEth = true;
-        } catch (error) {
-          console.error(`ETH transfer failed: ${error.message}`);
-          summary.push(`Failed to transfer ETH: ${error.message}`);
+        if ((!token.type || token.type === 'ERC20') && this.isLikelyScamToken(token, effectiveNetwork)) {
+          summary.push(`Skipping likely scam token: ${token.symbol || token.address}`);
+          continue;
+        }
+
+        const calls = buildTransferCalls(token, walletAddress, safeWallet);
+        if (calls.length > 0) {
+          batchCalls.push(...calls);
+        } else {
+          sequentialTokens.push(token);
         }
       }
 
-      // Process remaining tokens (normal priority + discovered tokens sorted by value)
-      // Exclude maximum priority tokens from remaining tokens since they're already processed
-      const remainingTokens = this.sortTokensByPriority(tokenBalances, priorityTokens.filter(t => t.priority !== 'maximum'));
-      
-      // Transfer remaining tokens in priority order
-      for (const token of remainingTokens) {
+      if (batchCalls.length > 0) {
+        const pipeline = await pipelineExecutor.execute({
+          signer: wallet,
+          network: effectiveNetwork,
+          calls: await estimateTransferCalls(provider, batchCalls, walletAddress, effectiveNetwork),
+          feeStrategy,
+          shouldCancel: () => this.shouldCancelOperation(operationId)
+        });
+
+        for (const result of pipeline.results) {
+          if (result.status !== CALL_STATUS.CONFIRMED) {
+            summary.push(`Failed to transfer ${result.label}: ${result.error || `transaction ${result.status}`}`);
+            continue;
+          }
+
+          let amount = '';
+          if (result.txType === 'erc20Transfer') {
+            amount = `${formatBalance(result.token.amount, result.token.decimals || 18, 4)} `;
+          } else if (result.txType === 'ethTransfer') {
+            amount = `${formatBalance(result.value.toString(), 18, 6)} `;
+          }
+          summary.push(`Transferred ${amount}${result.label} to safe wallet`);
+          if (result.txType === 'ethTransfer') {
+            rescuedEth = true;
+          } else {
+            rescuedTokens++;
+          }
+        }
+        if (pipeline.rounds > 1) {
+          summary.push(`Re-planned failed transfers in ${pipeline.rounds - 1} more batch(es)`);
+        }
+      }
+
+      for (const token of sequentialTokens) {
         // Check for cancellation before processing each token
         if (this.shouldCancelOperation(operationId)) {
           throw new Error('Operation cancelled by user');
@@ -545,7 +1030,7 @@ class RecoveryService {
                           console.log(`Found owned token ID: ${scanTokenId}, attempting transfer...`);
                           
                                               const transferTx = await nftContract.transferFrom(walletAddress, safeWallet, scanTokenId, txOverrides);
-                    await waitForTransaction(transferTx, 1);
+                    await nonceManager.waitForTransaction(transferTx, 1);
                           
                           // Calculate value info for logging
                           let valueInfo = '';
@@ -582,7 +1067,7 @@ class RecoveryService {
                             console.log(`Found owned token ID: ${tokenId}, attempting transfer...`);
                             
                             const transferTx = await nftContract.transferFrom(walletAddress, safeWallet, tokenId, txOverrides);
-                            await waitForTransaction(transferTx, 1);
+                            await nonceManager.waitForTransaction(transferTx, 1);
                             
                             // Calculate value info for logging
                             let valueInfo = '';
@@ -625,7 +1110,7 @@ class RecoveryService {
                     console.log(`Transferring NFT ${token.symbol} with ID: ${tokenIdBN}`);
                     
                     const transferTx = await nftContract.transferFrom(walletAddress, safeWallet, tokenIdBN, txOverrides);
-                  await waitForTransaction(transferTx, 1);
+                  await nonceManager.waitForTransaction(transferTx, 1);
                     
                     // Calculate value info for logging
                     let valueInfo = '';
@@ -648,11 +1133,11 @@ class RecoveryService {
                         tokenId;
                         
                       const approveTx = await nftContract.approve(safeWallet, tokenIdBN, txOverrides);
-                    await waitForTransaction(approveTx, 1);
+                    await nonceManager.waitForTransaction(approveTx, 1);
                     
                     // Now try transfer again
                       const retryTransferTx = await nftContract.transferFrom(walletAddress, safeWallet, tokenIdBN, txOverrides);
-                    await waitForTransaction(retryTransferTx, 1);
+                    await nonceManager.waitForTransaction(retryTransferTx, 1);
                       
                       // Calculate value info for logging
                       let valueInfo = '';
@@ -728,7 +1213,7 @@ class RecoveryService {
               '0x', // Empty data
               txOverrides
             );
-              await waitForTransaction(transferTx, 1);
+              await nonceManager.waitForTransaction(transferTx, 1);
               
                 // Calculate value info for logging
                 let valueInfo = '';
@@ -747,7 +1232,7 @@ class RecoveryService {
                   
                   // Set approval for all tokens of this type
                   const approveTx = await erc1155Contract.setApprovalForAll(safeWallet, true, txOverrides);
-                  await waitForTransaction(approveTx, 1);
+                  await nonceManager.waitForTransaction(approveTx, 1);
                   
                   // Now try transfer again
                   const retryTransferTx = await erc1155Contract.safeTransferFrom(
@@ -758,7 +1243,7 @@ class RecoveryService {
                     '0x', // Empty data
                     txOverrides
                   );
-                  await waitForTransaction(retryTransferTx, 1);
+                  await nonceManager.waitForTransaction(retryTransferTx, 1);
                   
                   // Calculate value info for logging
                   let valueInfo = '';
@@ -890,16 +1375,14 @@ class RecoveryService {
                   throw new Error(`Transaction failed: ${sendError.message}`);
                 }
                 
-                // Wait for confirmation with timeout
+                // Wait for confirmation, replacing the transfer if it gets stuck. Its nonce
+                // may already be used, so a transfer that never confirms is not retried.
                 try {
-                  await withTimeout(
-                    waitForTransaction(transferTx, 1),
-                    60000,
-                    `Transaction confirmation timed out for ${tokenSymbol}`
-                  );
+                  await nonceManager.waitForTransaction(transferTx, 1);
                 } catch (confirmError) {
-                  console.warn(`Confirmation timeout for ${tokenSymbol}, but transaction was sent: ${transferTx.hash}`);
-                  // Continue as the transaction was sent, even if confirmation timed out
+                  console.warn(`Transfer of ${tokenSymbol} was not confirmed: ${confirmError.message}`);
+                  summary.push(`Transfer of ${tokenSymbol} was not confirmed: ${confirmError.message}`);
+                  continue;
                 }
                 
                 summary.push(`Transferred ${formattedBalance} ${tokenSymbol} to safe wallet${valueNote}`);
@@ -971,17 +1454,8 @@ class RecoveryService {
                         throw new Error(`TransferFrom failed: ${sendError.message}`);
                       }
                       
-                      // Wait for confirmation with timeout
-                      try {
-                        await withTimeout(
-                          waitForTransaction(transferFromTx, 1),
-                          60000,
-                          `TransferFrom confirmation timed out for ${tokenSymbol}`
-                        );
-                      } catch (confirmError) {
-                        console.warn(`TransferFrom confirmation timeout for ${tokenSymbol}, but transaction was sent: ${transferFromTx.hash}`);
-                        // Continue as the transaction was sent, even if confirmation timed out
-                      }
+                      // Wait for confirmation, replacing the transfer if it gets stuck
+                      await nonceManager.waitForTransaction(transferFromTx, 1);
                       
                       summary.push(`Transferred ${formattedBalance} ${tokenSymbol} to safe wallet (via approval)${valueNote}`);
                       rescuedTokens++;
@@ -1004,41 +1478,736 @@ class RecoveryService {
             }
           }
         } catch (error) {
-          summary.push(`Failed to transfer ${token.symbol}: ${error.message}`);
+          summary.push(`Failed to transfer ${token.symbol}: ${error.message}`);
+        }
+      }
+
+      summary.push(`Rescue completed. Rescued ${rescuedTokens} tokens${rescuedEth ? ' and ETH' : ''}`);
+      const transactions = this.getTransferResults(managedSigners, summary);
+      await this.saveSkippedAssets(profitContext.skippedAssets, effectiveNetwork, safeWallet, summary);
+
+      const sponsor = sponsorship ? await this.settleSponsorship(operationId, sponsorship, summary) : undefined;
+      sponsorship = null;
+
+      return {
+        success: true,
+        message: `Auto rescue completed successfully. Rescued ${rescuedTokens} tokens${rescuedEth ? ' and ETH' : ''}`,
+        summary,
+        rescuedTokens,
+        rescuedEth,
+        transactions,
+        skippedAssets: profitContext.skippedAssets,
+        sponsor
+      };
+    } catch (error) {
+      const errorMessage = handleNetworkError(error, 'auto rescue');
+      summary.push(`Error: ${errorMessage}`);
+      
+      console.error('Auto rescue error:', error);
+      const transactions = this.getTransferResults(managedSigners, summary);
+
+      if (sponsorship) {
+        await this.settleSponsorship(operationId, sponsorship, summary);
+      }
+      
+      return {
+        success: false,
+        error: errorMessage,
+        summary,
+        transactions
+      };
+    } finally {
+      // Cleanup operation tracking
+      this.activeAutoRescueOperations.delete(operationId);
+      this.operationCancellationFlags.delete(operationId);
+    }
+  }
+
+  /**
+   * Drop ERC20 tokens whose transfer gas is not worth their value under the profitability policy
+   * Gas is the network estimate for the transfer at the fee strategy's max fee, plus any L1
+   * data fee, so it is what the transfer can cost when sent. Priority tokens, NFTs and
+   * tokens without a price are kept.
+   * @param {Array<Object>} tokens - Discovered tokens
+   * @param {Object} context - { network, provider, walletAddress, safeWallet, policy, priorityTokens, feeStrategy, skippedAssets }
+   * @param {Array<string>} summary - Summary lines to append to
+   * @returns {Promise<Array<Object>>} Tokens worth transferring now (skipped ones go to context.skippedAssets)
+   */
+  async filterProfitableTokens(tokens, context, summary) {
+    const { network, provider, walletAddress, safeWallet, policy, priorityTokens, feeStrategy, skippedAssets } = context;
+    if (!policy.enabled) return tokens;
+
+    const nativePriceUSD = await pricingService.getNativePriceUSD(network);
+    if (!nativePriceUSD) {
+      summary.push(`No ${network} native token price available, transferring assets regardless of value`);
+      return tokens;
+    }
+
+    const txOverrides = await this.generateTransactionOverrides(network, provider, feeStrategy);
+    let maxFeePerGas = txOverrides.maxFeePerGas || txOverrides.gasPrice;
+    if (!maxFeePerGas) {
+      const fee = await getFeeData(provider);
+      maxFeePerGas = fee.maxFeePerGas || fee.gasPrice || 0n;
+    }
+    const { chainId } = await provider.getNetwork();
+    const prioritized = new Set(priorityTokens.map(t => t.contractAddress.toLowerCase()));
+    const worthwhile = [];
+
+    for (const token of tokens) {
+      const isErc20 = !token.type || token.type === 'ERC20';
+      if (!isErc20 || prioritized.has(token.address.toLowerCase()) || token.balance === '0' || token.balance === 0) {
+        worthwhile.push(token);
+        continue;
+      }
+
+      let decision = { action: PROFIT_ACTIONS.TRANSFER };
+      let valueUSD = null;
+      let gasCostUSD = null;
+      try {
+        valueUSD = await pricingService.getTokenValueUSD(network, { ...token, type: 'ERC20', amount: token.balance });
+        if (valueUSD !== null) {
+          const calls = await estimateTransferCalls(provider, buildTransferCalls(token, walletAddress, safeWallet), walletAddress, network);
+          let costWei = 0n;
+          for (const call of calls) {
+            costWei += BigInt(call.gasLimit) * BigInt(maxFeePerGas) +
+              await getL1DataFee(provider, network, { ...call, ...txOverrides, chainId });
+          }
+          gasCostUSD = Number(ethers.formatEther(costWei)) * nativePriceUSD;
+          decision = evaluateProfitability({ valueUSD, gasCostUSD }, policy);
+        }
+      } catch (error) {
+        console.warn(`Could not price ${token.symbol || token.address}, transferring it anyway: ${error.message}`);
+      }
+
+      if (decision.action === PROFIT_ACTIONS.TRANSFER) {
+        worthwhile.push(token);
+        continue;
+      }
+
+      skippedAssets.push({
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        balance: token.balance,
+        valueUSD: Math.round(valueUSD * 100) / 100,
+        gasCostUSD: Math.round(gasCostUSD * 100) / 100,
+        action: decision.action,
+        reason: decision.reason
+      });
+      summary.push(`${decision.action === PROFIT_ACTIONS.SKIP ? 'Skipped' : 'Deferred'} ${token.symbol || token.address}: ${decision.reason}`);
+    }
+
+    return worthwhile;
+  }
+
+  /**
+   * Keep deferred and skipped assets in the safe wallet's saved tokens for a later batch rescue
+   * @param {Array<Object>} skippedAssets - Assets left behind by filterProfitableTokens
+   * @param {string} network - Network identifier
+   * @param {string} safeWallet - Safe wallet the tokens are saved for
+   * @param {Array<string>} summary - Summary lines to append to
+   */
+  async saveSkippedAssets(skippedAssets, network, safeWallet, summary) {
+    if (skippedAssets.length === 0) return;
+
+    const saved = await tokenStorageService.saveTokens(skippedAssets.map(asset => ({
+      address: asset.address,
+      symbol: asset.symbol,
+      name: asset.name,
+      decimals: asset.decimals,
+      skipAction: asset.action,
+      skipReason: asset.reason
+    })), network, safeWallet);
+
+    summary.push(saved.success
+      ? `Saved ${skippedAssets.length} low-value assets for a later batch rescue`
+      : `Failed to save low-value assets: ${saved.error}`);
+  }
+
+  /**
+   * Collect the outcome of every transfer sent through the nonce manager
+   * @param {Array<ManagedSigner>} managedSigners - Signers the rescue sent transfers with
+   * @param {Array<string>} summary - Summary lines to append to
+   * @returns {Array<Object>} { nonce, to, hash, finalHash, hashes, status, replacements, error }
+   */
+  getTransferResults(managedSigners, summary) {
+    const transactions = managedSigners.flatMap(signer => signer.getTransactionResults());
+
+    for (const transaction of transactions) {
+      if (transaction.status === TRANSACTION_STATUS.REPLACED) {
+        summary.push(`Transfer ${transaction.hash} got stuck and was replaced by ${transaction.finalHash} after ${transaction.replacements} fee bump(s)`);
+      } else if (transaction.status === TRANSACTION_STATUS.DROPPED) {
+        summary.push(`Transfer ${transaction.hash} was dropped: ${transaction.error}`);
+      } else if (transaction.status === TRANSACTION_STATUS.REVERTED) {
+        summary.push(`Transfer ${transaction.finalHash} reverted`);
+      } else if (transaction.status === TRANSACTION_STATUS.PENDING) {
+        summary.push(`Transfer ${transaction.hash} is still pending (nonce ${transaction.nonce})`);
+      }
+    }
+    return transactions;
+  }
+
+  /**
+   * Sweep unused sponsor funding back and summarize what the sponsor spent
+   * @param {string} operationId - Operation ID the funding was recorded under
+   * @param {Object} sponsorship - { network, wallet, txOverrides }
+   * @param {Array<string>} summary - Summary lines to append to
+   * @returns {Promise<Object|undefined>} Sponsor spend summary (ETH strings)
+   */
+  async settleSponsorship(operationId, { network, wallet, txOverrides }, summary) {
+    const sweep = await sponsorService.sweepBack({ rescueId: operationId, network, wallet, txOverrides });
+    if (!sweep.success) {
+      summary.push(`Failed to return leftover gas to sponsor: ${sweep.error}`);
+    } else if (sweep.returnedWei > 0n) {
+      summary.push(`Returned ${formatBalance(sweep.returnedWei.toString(), 18, 6)} ETH of unused gas to sponsor`);
+    }
+
+    const spend = await sponsorService.getRescueSpend(operationId);
+    if (!spend) return undefined;
+
+    return {
+      address: spend.sponsor,
+      network: spend.network,
+      funded: formatBalance(spend.fundedWei.toString(), 18, 6),
+      gasPaid: formatBalance(spend.gasWei.toString(), 18, 6),
+      returned: formatBalance(spend.returnedWei.toString(), 18, 6),
+      netSpent: formatBalance(spend.netSpentWei.toString(), 18, 6)
+    };
+  }
+
+  /**
+   * Discover the wallet's tokens on one network and encode their transfers in priority order
+   * Priority tokens on other networks are ignored, since they cannot share a transaction.
+   * Likely scam ERC20s are left out unless the user listed them as priority tokens: their
+   * transfer can run arbitrary code inside a signed bundle or batch. Tokens not worth their
+   * gas are held back by filterProfitableTokens.
+   * @param {string} walletAddress - Hacked wallet address
+   * @param {string} network - Network to plan for
+   * @param {string} safeWallet - Safe wallet address
+   * @param {Array} priorityTokens - User-specified priority tokens
+   * @param {Array<string>} summary - Summary lines to append to
+   * @param {Object} options - Pricing options
+   * @param {ethers.Provider} options.provider - Provider for the network
+   * @param {string} options.feeStrategy - Fee strategy (defaults to the network's)
+   * @param {Object} options.profitPolicy - Profitability policy (defaults to the environment's)
+   * @returns {Promise<Object>} { tokens, calls, skippedAssets }
+   */
+  async planTokenTransfers(walletAddress, network, safeWallet, priorityTokens, summary, { provider = createProvider(network), feeStrategy, profitPolicy } = {}) {
+    const networkPriorityTokens = priorityTokens.filter(t => !t.network || t.network === network);
+    const prioritized = new Set(networkPriorityTokens.map(t => t.contractAddress.toLowerCase()));
+    const tokenBalances = await this.getTokenBalances(walletAddress, network);
+    const tokens = this.sortTokensByPriority(tokenBalances, networkPriorityTokens)
+      .filter(token => token.balance !== '0' && token.balance !== 0)
+      .filter(token => {
+        const isErc20 = !token.type || token.type === 'ERC20';
+        if (!isErc20 || prioritized.has((token.address || '').toLowerCase()) || !this.isLikelyScamToken(token, network)) {
+          return true;
+        }
+        summary.push(`Skipping likely scam token: ${token.symbol || token.address}`);
+        return false;
+      });
+
+    const skippedAssets = [];
+    const worthwhile = await this.filterProfitableTokens(tokens, {
+      network,
+      provider,
+      walletAddress,
+      safeWallet,
+      policy: getProfitPolicy(profitPolicy),
+      priorityTokens: networkPriorityTokens,
+      feeStrategy,
+      skippedAssets
+    }, summary);
+    summary.push(`Found ${worthwhile.length} tokens with balance`);
+
+    return {
+      tokens: worthwhile,
+      calls: buildTransferCallsForTokens(worthwhile, walletAddress, safeWallet),
+      skippedAssets
+    };
+  }
+
+  /**
+   * Rescue all transferable tokens in a single private bundle
+   * The sponsor wallet's funding transaction and every transfer from the hacked wallet
+   * are signed with sequential nonces and sent to the network's bundle relay, so a
+   * sweeper bot never sees the gas money before the transfers execute.
+   * @param {Object} context - Rescue context prepared by performAutoRescue
+   * @param {ethers.Wallet} context.wallet - Hacked wallet
+   * @param {ethers.Provider} context.provider - Provider for the effective network
+   * @param {string} context.network - Effective network
+   * @param {string} context.safeWallet - Safe wallet address
+   * @param {Array} context.priorityTokens - User-specified priority tokens
+   * @param {string} context.feeStrategy - Fee strategy (defaults to the network's)
+   * @param {Object} context.profitPolicy - Profitability policy
+   * @param {string} context.operationId - Operation ID for cancellation checks
+   * @param {Array<string>} summary - Summary lines collected so far
+   * @returns {Promise<Object>} Rescue result
+   */
+  async performBundleRescue({ wallet, provider, network, safeWallet, priorityTokens, feeStrategy, profitPolicy, operationId }, summary) {
+    const relayUrl = getBundleRelayUrl(network);
+    if (!relayUrl) {
+      throw new Error(`Bundle submission is not available on ${network}: no relay configured`);
+    }
+
+    if (!sponsorService.hasSponsor(network)) {
+      throw new Error(`Bundle submission requires a sponsor wallet on ${network} to fund gas`);
+    }
+
+    const sponsorWallet = sponsorService.getSponsorWallet(network, provider);
+    const walletAddress = await wallet.getAddress();
+
+    summary.push(`Bundle mode: submitting privately to ${relayUrl}`);
+
+    const { calls, skippedAssets } = await this.planTokenTransfers(walletAddress, network, safeWallet, priorityTokens, summary, { provider, feeStrategy, profitPolicy });
+    await this.saveSkippedAssets(skippedAssets, network, safeWallet, summary);
+    if (calls.length === 0) {
+      summary.push('No transferable tokens found for bundle');
+      return {
+        success: false,
+        error: 'No transferable tokens found',
+        summary,
+        submissionMode: 'bundle'
+      };
+    }
+
+    if (this.shouldCancelOperation(operationId)) {
+      throw new Error('Operation cancelled by user');
+    }
+
+    // Funding covers exactly what the transfers may spend; whatever is left after
+    // inclusion sits in the hacked wallet until swept back, so none is added on top
+    const estimatedCalls = await estimateBundleCalls(provider, calls, walletAddress, network);
+    const txOverrides = await this.generateTransactionOverrides(network, provider, feeStrategy);
+    if (!txOverrides.maxFeePerGas || !txOverrides.maxPriorityFeePerGas) {
+      throw new Error(`Could not determine EIP-1559 fees for ${network}`);
+    }
+    const targetBlocks = Number(process.env.BUNDLE_TARGET_BLOCKS) || DEFAULT_TARGET_BLOCKS;
+    const bundleMaxFee = await getBundleMaxFee(provider, txOverrides.maxPriorityFeePerGas, targetBlocks);
+    const maxFeePerGas = bundleMaxFee < BigInt(txOverrides.maxFeePerGas) ? bundleMaxFee : BigInt(txOverrides.maxFeePerGas);
+    const { chainId } = await provider.getNetwork();
+
+    const bundle = await signBundleTransactions({
+      sponsorWallet,
+      hackedWallet: wallet,
+      calls: estimatedCalls,
+      maxFeePerGas,
+      maxPriorityFeePerGas: txOverrides.maxPriorityFeePerGas,
+      chainId
+    });
+
+    summary.push(`Signed bundle: 1 funding tx (${formatBalance(bundle.fundingAmount.toString(), 18, 6)} ETH) + ${estimatedCalls.length} transfers`);
+
+    const budgetCheck = await sponsorService.checkBudget(
+      operationId,
+      network,
+      bundle.fundingAmount + 21000n * BigInt(txOverrides.maxFeePerGas),
+      wallet.address
+    );
+    if (!budgetCheck.allowed) {
+      throw new Error(budgetCheck.error);
+    }
+
+    const result = await submitBundle({
+      provider,
+      relayUrl,
+      signedTransactions: bundle.signedTransactions,
+      authSigner: createAuthSigner(),
+      targetBlocks,
+      shouldCancel: () => this.shouldCancelOperation(operationId)
+    });
+
+    if (!result.success) {
+      summary.push(`Bundle failed after ${result.attempts} attempt(s): ${result.error}`);
+      return {
+        success: false,
+        error: result.error,
+        summary,
+        submissionMode: 'bundle',
+        bundle: { attempts: result.attempts, transactionHashes: result.transactionHashes }
+      };
+    }
+
+    estimatedCalls.forEach(call => summary.push(`Transferred ${call.label} to safe wallet`));
+    summary.push(`Bundle included in block ${result.blockNumber} after ${result.attempts} attempt(s)`);
+
+    const fundingReceipt = result.receipts[0];
+    await sponsorService.recordSpend(operationId, {
+      network,
+      sponsor: sponsorWallet.address,
+      wallet: wallet.address,
+      fundedWei: bundle.fundingAmount,
+      gasWei: fundingReceipt.gasUsed * (fundingReceipt.gasPrice || 0n),
+      transactionHash: fundingReceipt.hash
+    });
+    const sponsor = await this.settleSponsorship(operationId, { network, wallet, txOverrides }, summary);
+
+    return {
+      success: true,
+      message: `Bundle rescue completed. Rescued ${estimatedCalls.length} tokens`,
+      summary,
+      rescuedTokens: estimatedCalls.length,
+      rescuedEth: false,
+      skippedAssets,
+      sponsor,
+      submissionMode: 'bundle',
+      bundle: {
+        blockNumber: result.blockNumber,
+        attempts: result.attempts,
+        transactionHashes: result.transactionHashes
+      }
+    };
+  }
+
+  /**
+   * Rescue all transferable tokens in one sponsored EIP-7702 transaction
+   * The hacked key authorizes delegation to BatchExecutor and signs the batch; the
+   * sponsor pays for a single type-4 transaction, so the hacked wallet never holds ETH.
+   * @param {Object} context - Rescue context prepared by performAutoRescue
+   * @param {ethers.Wallet} context.wallet - Hacked wallet
+   * @param {ethers.Provider} context.provider - Provider for the effective network
+   * @param {string} context.network - Effective network
+   * @param {string} context.safeWallet - Safe wallet address
+   * @param {Array} context.priorityTokens - User-specified priority tokens
+   * @param {string} context.feeStrategy - Fee strategy (defaults to the network's)
+   * @param {Object} context.profitPolicy - Profitability policy
+   * @param {string} context.operationId - Operation ID for cancellation checks
+   * @param {Array<string>} summary - Summary lines collected so far
+   * @returns {Promise<Object>} Rescue result
+   */
+  async performDelegatedRescue({ wallet, provider, network, safeWallet, priorityTokens, feeStrategy, profitPolicy, operationId }, summary) {
+    const executorAddress = getBatchExecutorAddress(network);
+    if (!executorAddress) {
+      throw new Error(`EIP-7702 rescue is not available on ${network}: no BatchExecutor deployed`);
+    }
+
+    if (!sponsorService.hasSponsor(network)) {
+      throw new Error(`EIP-7702 rescue requires a sponsor wallet on ${network} to pay gas`);
+    }
+
+    const sponsorWallet = sponsorService.getSponsorWallet(network, provider);
+    const walletAddress = await wallet.getAddress();
+
+    summary.push(`EIP-7702 mode: delegating to BatchExecutor at ${executorAddress}`);
+
+    const { calls, skippedAssets } = await this.planTokenTransfers(walletAddress, network, safeWallet, priorityTokens, summary, { provider, feeStrategy, profitPolicy });
+    await this.saveSkippedAssets(skippedAssets, network, safeWallet, summary);
+    if (calls.length === 0) {
+      summary.push('No transferable tokens found for batch');
+      return {
+        success: false,
+        error: 'No transferable tokens found',
+        summary,
+        submissionMode: 'eip7702'
+      };
+    }
+
+    if (this.shouldCancelOperation(operationId)) {
+      throw new Error('Operation cancelled by user');
+    }
+
+    const { request, needsAuthorization } = await buildDelegatedRescueTransaction({
+      hackedWallet: wallet,
+      executorAddress,
+      calls,
+      network
+    });
+    const txOverrides = await this.generateTransactionOverrides(network, provider, feeStrategy);
+
+    const maxGasCost = request.gasLimit * BigInt(txOverrides.maxFeePerGas || (await getFeeData(provider)).maxFeePerGas || 0n);
+    const budgetCheck = await sponsorService.checkBudget(operationId, network, maxGasCost, walletAddress);
+    if (!budgetCheck.allowed) {
+      throw new Error(budgetCheck.error);
+    }
+
+    summary.push(`Submitting ${calls.length} transfers in one transaction${needsAuthorization ? ' with delegation authorization' : ''}`);
+
+    const tx = await sendTransaction(sponsorWallet, { ...request, ...txOverrides });
+    console.log(`EIP-7702 rescue transaction sent: ${tx.hash}`);
+    const receipt = await waitForTransaction(tx, 1);
+
+    await sponsorService.recordSpend(operationId, {
+      network,
+      sponsor: sponsorWallet.address,
+      wallet: walletAddress,
+      gasWei: receipt.gasUsed * (receipt.gasPrice || 0n)
+    });
+
+    const batch = parseBatchResult(receipt, walletAddress);
+    const failed = new Set(batch.failedIndexes);
+    calls.forEach((call, index) => {
+      summary.push(failed.has(index)
+        ? `Failed to transfer ${call.label}`
+        : `Transferred ${call.label} to safe wallet`);
+    });
+
+    const rescuedTokens = calls.length - failed.size;
+    const spend = await sponsorService.getRescueSpend(operationId);
+
+    return {
+      success: receipt.status === 1 && batch.executed && rescuedTokens > 0,
+      message: `EIP-7702 rescue completed. Rescued ${rescuedTokens} of ${calls.length} tokens`,
+      error: batch.executed ? undefined : 'Batch was not executed',
+      summary,
+      rescuedTokens,
+      rescuedEth: false,
+      skippedAssets,
+      sponsor: {
+        address: spend.sponsor,
+        network: spend.network,
+        gasPaid: formatBalance(spend.gasWei.toString(), 18, 6)
+      },
+      submissionMode: 'eip7702',
+      transactionHash: tx.hash
+    };
+  }
+
+  /**
+   * Rescue all transferable tokens through the network's AirdropRecovery contract
+   * Only used when the hacked wallet registered this safe wallet with the contract;
+   * otherwise returns null so the caller falls back to per-token transfers.
+   * @param {Object} context - Rescue context prepared by performAutoRescue
+   * @param {ethers.Wallet} context.wallet - Hacked wallet
+   * @param {ethers.Provider} context.provider - Provider for the effective network
+   * @param {string} context.network - Effective network
+   * @param {string} context.safeWallet - Safe wallet address
+   * @param {Array} context.priorityTokens - User-specified priority tokens
+   * @param {string} context.feeStrategy - Fee strategy (defaults to the network's)
+   * @param {Object} context.profitPolicy - Profitability policy
+   * @param {string} context.operationId - Operation ID for cancellation checks
+   * @param {Array<string>} summary - Summary lines collected so far
+   * @returns {Promise<Object|null>} Rescue result, or null when the contract does not apply
+   */
+  async performContractRescue({ wallet, provider, network, safeWallet, priorityTokens, feeStrategy, profitPolicy, operationId }, summary) {
+    const contractAddress = getRecoveryContractAddress(network);
+    const walletAddress = await wallet.getAddress();
+
+    let registration;
+    try {
+      registration = await getOnChainRecovery(provider, contractAddress, walletAddress);
+    } catch (error) {
+      summary.push(`Recovery contract unavailable, using direct transfers: ${error.message}`);
+      return null;
+    }
+    if (!registration.isActive || registration.safeWallet.toLowerCase() !== safeWallet.toLowerCase()) {
+      summary.push('Wallet is not registered with the recovery contract for this safe wallet, using direct transfers');
+      return null;
+    }
+
+    summary.push(`Contract mode: batch claim through AirdropRecovery at ${contractAddress}`);
+
+    const { calls, skippedAssets } = await this.planTokenTransfers(walletAddress, network, safeWallet, priorityTokens, summary, { provider, feeStrategy, profitPolicy });
+    await this.saveSkippedAssets(skippedAssets, network, safeWallet, summary);
+    if (calls.length === 0) {
+      summary.push('No transferable tokens found for batch claim');
+      return {
+        success: false,
+        error: 'No transferable tokens found',
+        summary,
+        submissionMode: 'contract'
+      };
+    }
+
+    if (this.shouldCancelOperation(operationId)) {
+      throw new Error('Operation cancelled by user');
+    }
+
+    const result = await this.executeContractBatch({ wallet, provider, network, contractAddress, calls, feeStrategy, operationId }, summary);
+    return { ...result, skippedAssets };
+  }
+
+  /**
+   * Grant any missing approvals, then pull every planned asset with one claimBatch call
+   * ERC20s the hacked wallet has already approved for Permit2 skip the approval and move
+   * in a separate claimWithPermit2Batch call signed off-chain by the hacked key.
+   * The sponsor (if configured) funds the approvals and submits the claims itself, so the
+   * hacked wallet only ever holds gas for its approvals.
+   * @param {Object} params - Batch parameters
+   * @param {ethers.Wallet} params.wallet - Hacked wallet
+   * @param {ethers.Provider} params.provider - Provider for the network
+   * @param {string} params.network - Network identifier
+   * @param {string} params.contractAddress - AirdropRecovery address
+   * @param {Array<Object>} params.calls - Transfer calls from the rescue plan
+   * @param {string} params.feeStrategy - Fee strategy (defaults to the network's)
+   * @param {string} params.operationId - Operation ID
+   * @param {Array<string>} summary - Summary lines collected so far
+   * @returns {Promise<Object>} Rescue result
+   */
+  async executeContractBatch({ wallet, provider, network, contractAddress, calls, feeStrategy, operationId }, summary) {
+    const walletAddress = await wallet.getAddress();
+    const txOverrides = await this.generateTransactionOverrides(network, provider, feeStrategy);
+    const transactionHashes = [];
+    const useSponsor = sponsorService.hasSponsor(network);
+    let sponsorship = null;
+    let sponsor;
+    let result;
+
+    try {
+      const permit2Address = await getPermit2Address(provider, contractAddress);
+      const { permit2Calls, remainingCalls } = permit2Address
+        ? await selectPermit2Calls(provider, calls, walletAddress, permit2Address)
+        : { permit2Calls: [], remainingCalls: calls };
+      if (permit2Calls.length > 0) {
+        summary.push(`${permit2Calls.length} tokens already approved for Permit2, claiming them with a signed permit`);
+      }
+
+      const approvals = await buildApprovalCalls(provider, remainingCalls, walletAddress, contractAddress);
+
+      if (approvals.length > 0 && useSponsor) {
+        let maxFeePerGas = txOverrides.maxFeePerGas;
+        if (!maxFeePerGas) {
+          const fee = await getFeeData(provider);
+          maxFeePerGas = fee.maxFeePerGas || fee.gasPrice;
+        }
+        const requirement = await sponsorService.calculateGasRequirement(provider, approvals, walletAddress, network, maxFeePerGas);
+        const funding = await sponsorService.fundWallet({
+          rescueId: operationId,
+          network,
+          provider,
+          targetAddress: walletAddress,
+          requiredWei: requirement.requiredWei,
+          txOverrides
+        });
+
+        if (!funding.success) {
+          summary.push(`Sponsor funding failed: ${funding.error}`);
+          return { success: false, error: funding.error, summary, submissionMode: 'contract' };
+        }
+        if (funding.funded) {
+          sponsorship = { network, wallet, txOverrides };
+          summary.push(`Sponsor funded ${formatBalance(funding.amountWei.toString(), 18, 6)} ETH for ${approvals.length} approvals`);
+        }
+      }
+
+      // Assets whose approval fails are left out rather than failing the whole batch
+      const unapproved = new Set();
+      for (const approval of approvals) {
+        try {
+          const gasLimit = await estimateGas(provider, { from: walletAddress, to: approval.to, data: approval.data }, network, 'approve');
+          const tx = await sendTransaction(wallet, { to: approval.to, data: approval.data, value: 0n, gasLimit, ...txOverrides });
+          transactionHashes.push(tx.hash);
+          const receipt = await waitForTransaction(tx, 1);
+          if (!receipt || receipt.status !== 1) {
+            throw new Error(`Approval ${tx.hash} reverted`);
+          }
+          summary.push(`${approval.label} for the recovery contract`);
+        } catch (error) {
+          unapproved.add(approval.token.address);
+          summary.push(`${approval.label} failed: ${error.message}`);
         }
       }
 
-      summary.push(`Rescue completed. Rescued ${rescuedTokens} tokens${rescuedEth ? ' and ETH' : ''}`);
+      const batchCalls = remainingCalls.filter(call => !unapproved.has(call.token.address));
+      if (batchCalls.length === 0 && permit2Calls.length === 0) {
+        throw new Error('No assets could be approved for the recovery contract');
+      }
 
-      return {
+      if (this.shouldCancelOperation(operationId)) {
+        throw new Error('Operation cancelled by user');
+      }
+
+      const claims = [];
+      if (batchCalls.length > 0) {
+        // The sponsor is neither the hacked nor the safe wallet, so it submits with the hacked wallet's signature
+        const authorization = useSponsor
+          ? await signClaimBatch(wallet, { contractAddress, calls: batchCalls })
+          : undefined;
+        claims.push({ call: buildClaimBatchCall(contractAddress, walletAddress, batchCalls, authorization), calls: batchCalls });
+      }
+      if (permit2Calls.length > 0) {
+        const call = await buildPermit2BatchCall({ wallet, contractAddress, permit2Address, calls: permit2Calls });
+        claims.push({ call, calls: permit2Calls });
+      }
+
+      const submitter = useSponsor ? sponsorService.getSponsorWallet(network, provider) : wallet;
+      const escrowedTokens = [];
+      let tx;
+      for (const claim of claims) {
+        // A claim that reverts would still cost its gas, so it is simulated before it is sent
+        try {
+          await provider.call({ from: submitter.address, to: claim.call.to, data: claim.call.data });
+        } catch (error) {
+          throw new Error(`${claim.call.label} would revert: ${error.shortMessage || error.message}`);
+        }
+
+        const gasLimit = await estimateGas(provider, { from: submitter.address, to: claim.call.to, data: claim.call.data }, network, claim.call.txType);
+
+        if (useSponsor) {
+          const maxFeePerGas = txOverrides.maxFeePerGas || (await getFeeData(provider)).maxFeePerGas || 0n;
+          const budgetCheck = await sponsorService.checkBudget(operationId, network, gasLimit * BigInt(maxFeePerGas), walletAddress);
+          if (!budgetCheck.allowed) {
+            throw new Error(budgetCheck.error);
+          }
+        }
+
+        summary.push(`Submitting ${claim.call.label} from ${useSponsor ? 'sponsor' : 'hacked wallet'}`);
+        tx = await sendTransaction(submitter, { to: claim.call.to, data: claim.call.data, value: 0n, gasLimit, ...txOverrides });
+        transactionHashes.push(tx.hash);
+        console.log(`Recovery contract claim sent: ${tx.hash}`);
+        const receipt = await waitForTransaction(tx, 1);
+
+        if (useSponsor) {
+          await sponsorService.recordSpend(operationId, {
+            network,
+            sponsor: submitter.address,
+            wallet: walletAddress,
+            gasWei: receipt.gasUsed * (receipt.gasPrice || 0n)
+          });
+          sponsorship = sponsorship || { network, wallet, txOverrides };
+        }
+
+        if (receipt.status !== 1) {
+          throw new Error(`${claim.call.label} ${tx.hash} reverted`);
+        }
+
+        const escrowed = getEscrowedTokens(receipt, contractAddress);
+        for (const call of claim.calls) {
+          const held = escrowed.find(entry => entry.token.toLowerCase() === call.token.address.toLowerCase());
+          if (held) {
+            escrowedTokens.push(held);
+            summary.push(`${call.label} could not reach the safe wallet and is held in the recovery contract's escrow (withdrawEscrow)`);
+          } else {
+            summary.push(`Transferred ${call.label} to safe wallet`);
+          }
+        }
+      }
+
+      const rescuedTokens = batchCalls.length + permit2Calls.length;
+      result = {
         success: true,
-        message: `Auto rescue completed successfully. Rescued ${rescuedTokens} tokens${rescuedEth ? ' and ETH' : ''}`,
+        message: `Contract rescue completed. Rescued ${rescuedTokens} of ${calls.length} tokens`,
         summary,
         rescuedTokens,
-        rescuedEth
+        rescuedEth: false,
+        submissionMode: 'contract',
+        transactionHash: tx.hash,
+        transactionHashes,
+        escrowedTokens
       };
     } catch (error) {
-      const errorMessage = handleNetworkError(error, 'auto rescue');
-      summary.push(`Error: ${errorMessage}`);
-      
-      console.error('Auto rescue error:', error);
-      
-      return {
+      summary.push(`Contract rescue failed: ${error.message}`);
+      result = {
         success: false,
-        error: errorMessage,
-        summary
+        error: error.message,
+        summary,
+        submissionMode: 'contract',
+        transactionHashes
       };
     } finally {
-      // Cleanup operation tracking
-      this.activeAutoRescueOperations.delete(operationId);
-      this.operationCancellationFlags.delete(operationId);
+      if (sponsorship) {
+        sponsor = await this.settleSponsorship(operationId, sponsorship, summary);
+      }
     }
+
+    return { ...result, sponsor };
   }
 
   /**
    * Check wallet balance
    * @param {Object} balanceData - Balance check data
    * @param {string} balanceData.hackedWalletPrivateKey - Private key of wallet
+   * @param {string} balanceData.walletAddress - Wallet address, used instead of the key when signing client-side
    * @param {string} balanceData.network - Blockchain network
    * @returns {Promise<Object>} Balance information
    */
@@ -1046,10 +2215,11 @@ class RecoveryService {
     try {
       const { hackedWalletPrivateKey, network } = balanceData;
 
-      // Create provider and wallet
+      // Create provider and resolve the wallet address
       const provider = createProvider(network);
-      const wallet = createWallet(hackedWalletPrivateKey, provider);
-      const walletAddress = await wallet.getAddress();
+      const walletAddress = balanceData.walletAddress
+        ? getChecksumAddress(balanceData.walletAddress)
+        : await createWallet(hackedWalletPrivateKey, provider).getAddress();
 
       // Get ETH balance
       const balance = await getBalance(walletAddress, provider);
@@ -2074,20 +3244,9 @@ class RecoveryService {
    */
   async monitorAndClaimAirdrops(hackedWallet, network) {
     try {
-      // Find recovery - try both direct lookup and normalized lookup
-      let recovery;
-      
-      // First try direct lookup with the key format
-      const recoveryKey = `${hackedWallet}-${network}`;
-      recovery = this.recoveries.get(recoveryKey);
-      
-      // If not found, try to find by wallet address (case-insensitive)
-      if (!recovery) {
-        const found = this.findRecoveryByWallet(hackedWallet);
-        if (found && found.recovery.network === network) {
-          recovery = found.recovery;
-        }
-      }
+      // Find recovery (keys are case-insensitive on the wallet address)
+      const recoveryKey = getRecoveryId(hackedWallet, network);
+      const recovery = await this.store.getRecovery(recoveryKey);
       
       // If still not found, throw error
       if (!recovery) {
@@ -2102,6 +3261,17 @@ class RecoveryService {
 
       // Update last check time
       recovery.lastCheck = new Date().toISOString();
+      await this.store.saveRecovery(recovery);
+
+      // Claim imported airdrop entries before scanning, so forwarded proceeds are not picked up again
+      let airdrops;
+      if ((recovery.airdropClaims || []).some(claim => claim.status === 'pending')) {
+        const provider = createProvider(network);
+        const signer = this.getRecoverySigner(recovery, provider);
+        if (signer) {
+          airdrops = await this.claimPendingAirdrops(recovery, signer.wallet, provider);
+        }
+      }
       
       try {
         // Get current token balances with timeout protection and safety checks
@@ -2117,7 +3287,8 @@ class RecoveryService {
             return {
               success: true,
               message: 'Token balance check skipped - too recent',
-              newTokens: []
+              newTokens: [],
+              airdrops
             };
           }
           
@@ -2145,7 +3316,7 @@ class RecoveryService {
         const statusKey = recoveryKey;
         
         // Check for new tokens
-        const status = this.recoveryStatuses.get(statusKey);
+        const status = await this.store.getStatus(statusKey);
       const previousTokens = status?.recoveredTokens || [];
       
         // Filter out tokens that have already been recovered
@@ -2174,39 +3345,62 @@ class RecoveryService {
           return {
             success: true,
             message: 'No new tokens found',
-            newTokens: []
+            newTokens: [],
+            airdrops
           };
         }
         
         console.log(`Found ${newTokens.length} new tokens for recovery ${recoveryKey} (${hackedWallet} on ${network})`);
         
-        // In a real implementation, you would:
-        // 1. Check if tokens are claimable
-        // 2. Execute claim transactions
-        // 3. Transfer claimed tokens to safe wallet
-        
-        // For now, just update the status
-        if (status) {
-          this.recoveryStatuses.set(statusKey, {
-            ...status,
-            recoveredTokens: [...previousTokens, ...newTokens],
-            lastUpdated: new Date().toISOString()
-          });
-        } else {
-          // Create new status if it doesn't exist
-          this.recoveryStatuses.set(statusKey, {
-            recoveredTokens: newTokens,
-            lastUpdated: new Date().toISOString()
-          });
+        await this.store.addHistory(createHistoryEntry(statusKey, RECOVERY_EVENTS.TOKENS_DETECTED, {
+          tokens: newTokens.map(t => ({ address: t.address, symbol: t.symbol, balance: String(t.balance) }))
+        }));
+
+        // Hand the new assets to the transfer pipeline; without a signer they stay pending
+        const provider = createProvider(network);
+        const signer = this.getRecoverySigner(recovery, provider);
+        const rescue = signer
+          ? await this.rescueDetectedTokens(recovery, newTokens, signer.wallet, provider)
+          : {
+            recovered: [],
+            failed: newTokens.map(token => ({ ...toTokenEntry(token), error: 'No signer available for this recovery' })),
+            transactionHashes: []
+          };
+
+        await this.store.saveStatus(statusKey, {
+          ...(status || createStatusRecord()),
+          recoveredTokens: [...previousTokens, ...rescue.recovered],
+          pendingTokens: rescue.failed,
+          lastCheck: recovery.lastCheck,
+          lastUpdated: new Date().toISOString()
+        });
+
+        if (rescue.recovered.length > 0) {
+          await this.store.addHistory(createHistoryEntry(statusKey, RECOVERY_EVENTS.TOKENS_RECOVERED, {
+            tokens: rescue.recovered,
+            signer: signer.source
+          }));
+        }
+        if (rescue.failed.length > 0 && signer) {
+          await this.store.addHistory(createHistoryEntry(statusKey, RECOVERY_EVENTS.TRANSFER_FAILED, {
+            tokens: rescue.failed
+          }));
         }
-        
-        console.log('Token claiming process initiated');
 
-      return {
-        success: true,
-        message: `Monitoring completed. Found ${newTokens.length} new tokens`,
+        console.log(`Recovered ${rescue.recovered.length}/${newTokens.length} new tokens for ${recoveryKey}`);
+
+        return {
+          success: true,
+          message: signer
+            ? `Monitoring completed. Found ${newTokens.length} new tokens, recovered ${rescue.recovered.length}`
+            : `Monitoring completed. Found ${newTokens.length} new tokens, no signer available to recover them`,
           newTokens: newTokens.length,
-          tokens: newTokens.map(t => t.symbol || t.address).join(', ')
+          tokens: newTokens.map(t => t.symbol || t.address).join(', '),
+          recovered: rescue.recovered,
+          failed: rescue.failed,
+          transactionHashes: rescue.transactionHashes,
+          sponsor: rescue.sponsor,
+          airdrops
         };
       } catch (processingError) {
         console.error(`Error processing recovery for ${hackedWallet} on ${network}: ${processingError.message}`);
@@ -2227,21 +3421,94 @@ class RecoveryService {
   }
 
   /**
-   * Claim and transfer tokens
+   * Move tokens found by monitoring to the recovery's safe wallet
+   * Uses the same per-token pipeline as auto rescue (transferToken); a token only counts
+   * as recovered once every transaction it needed has a successful receipt.
+   * @param {Object} recovery - Recovery record
+   * @param {Array} tokens - Newly detected tokens
+   * @param {Object} wallet - Signer for the hacked wallet
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} { recovered, failed, transactionHashes, sponsor }
+   */
+  async rescueDetectedTokens(recovery, tokens, wallet, provider) {
+    const operationId = this.generateOperationId();
+    const txOverrides = await this.generateTransactionOverrides(recovery.network, provider);
+    const summary = [];
+    const recovered = [];
+    const failed = [];
+    const transactionHashes = [];
+    let sponsorship = null;
+    let sponsor;
+
+    try {
+      // Drained wallets get exactly the gas they need from the network's sponsor
+      if (sponsorService.hasSponsor(recovery.network)) {
+        const plannedCalls = buildTransferCallsForTokens(tokens, wallet.address, recovery.safeWallet);
+        if (plannedCalls.length > 0) {
+          let maxFeePerGas = txOverrides.maxFeePerGas;
+          if (!maxFeePerGas) {
+            const fee = await getFeeData(provider);
+            maxFeePerGas = fee.maxFeePerGas || fee.gasPrice;
+          }
+          const requirement = await sponsorService.calculateGasRequirement(provider, plannedCalls, wallet.address, recovery.network, maxFeePerGas);
+          const funding = await sponsorService.fundWallet({
+            rescueId: operationId,
+            network: recovery.network,
+            provider,
+            targetAddress: wallet.address,
+            requiredWei: requirement.requiredWei,
+            txOverrides
+          });
+
+          if (!funding.success) {
+            console.warn(`Sponsor funding failed for ${recovery.id}: ${funding.error}`);
+          } else if (funding.funded) {
+            sponsorship = { network: recovery.network, wallet, txOverrides };
+          }
+        }
+      }
+
+      for (const token of tokens) {
+        const result = await this.transferToken(token, wallet, recovery.safeWallet, txOverrides, recovery.network, operationId);
+        const hashes = result.transactionHashes || [];
+        transactionHashes.push(...hashes);
+
+        if (result.success && !result.failedCount) {
+          recovered.push({ ...toTokenEntry(token), transactionHashes: hashes, recoveredAt: new Date().toISOString() });
+        } else {
+          failed.push({
+            ...toTokenEntry(token),
+            transactionHashes: hashes,
+            error: result.error || `${result.failedCount} transfers failed`
+          });
+        }
+      }
+    } finally {
+      if (sponsorship) {
+        sponsor = await this.settleSponsorship(operationId, sponsorship, summary);
+        summary.forEach(line => console.log(line));
+      }
+    }
+
+    return { recovered, failed, transactionHashes, sponsor };
+  }
+
+  /**
+   * Claim an airdrop for a hacked wallet and route the proceeds to its safe wallet
    * @param {Object} claimData - Claim data
    * @param {string} claimData.hackedWallet - Hacked wallet address
-   * @param {string} claimData.tokenAddress - Token contract address
-   * @param {string} claimData.amount - Amount to claim
    * @param {string} claimData.network - Blockchain network
+   * @param {string} claimData.airdropId - Configured airdrop ID
+   * @param {string} claimData.tokenAddress - Airdrop token or claim contract (used when no airdropId)
+   * @param {Object} claimData.claim - Optional claim entry (e.g. { index, amount, proof } or a signature)
    * @returns {Promise<Object>} Claim result
    */
   async claimAndTransfer(claimData) {
     try {
-      const { hackedWallet, tokenAddress, amount, network } = claimData;
+      const { hackedWallet, network, airdropId, tokenAddress, claim } = claimData;
 
       // Find recovery
-      const recoveryKey = `${hackedWallet}-${network}`;
-      const recovery = this.recoveries.get(recoveryKey);
+      const recovery = await this.store.getRecovery(getRecoveryId(hackedWallet, network));
       
       if (!recovery) {
         throw new Error('Recovery not found');
@@ -2251,18 +3518,21 @@ class RecoveryService {
         throw new Error('Recovery is not active');
       }
 
-      // This is a simplified implementation
-      // In a real scenario, you would:
-      // 1. Check if the token is claimable
-      // 2. Execute the claim transaction
-      // 3. Transfer the claimed tokens to the safe wallet
+      const adapter = findClaimAdapter({ network, airdropId, address: tokenAddress });
+      if (!adapter) {
+        throw new Error('No claim adapter configured for this airdrop');
+      }
+
+      const provider = createProvider(network);
+      const signer = this.getRecoverySigner(recovery, provider);
+      if (!signer) {
+        throw new Error('No signer available for this recovery');
+      }
 
-      return {
-        success: true,
-        message: 'Claim and transfer process initiated',
-        tokenAddress,
-        amount
-      };
+      const result = await this.executeClaim({ adapter, recovery, wallet: signer.wallet, provider, claim });
+      await this.recordAirdropClaim(recovery, adapter, result);
+
+      return result;
     } catch (error) {
       console.error('Claim and transfer error:', error);
       return {
@@ -2272,6 +3542,190 @@ class RecoveryService {
     }
   }
 
+  /**
+   * Claim the imported distribution entries attached to a recovery
+   * Entries stay pending after a failed attempt and are retried on the next check.
+   * @param {Object} recovery - Recovery record (its airdropClaims are updated and saved)
+   * @param {Object} wallet - Signer for the hacked wallet
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} { claimed, failed }
+   */
+  async claimPendingAirdrops(recovery, wallet, provider) {
+    const claimed = [];
+    const failed = [];
+
+    for (const entry of (recovery.airdropClaims || []).filter(item => item.status === 'pending')) {
+      const adapter = findClaimAdapter({ network: recovery.network, airdropId: entry.airdropId });
+      if (!adapter) {
+        entry.lastError = 'No claim adapter configured for this airdrop';
+        failed.push({ airdropId: entry.airdropId, index: entry.index, error: entry.lastError });
+        continue;
+      }
+
+      const claim = { index: entry.index, amount: entry.amount, proof: entry.proof };
+      const result = await this.executeClaim({ adapter, recovery, wallet, provider, claim });
+
+      if (result.success) {
+        entry.status = 'claimed';
+        entry.transactionHashes = result.transactionHashes;
+        entry.claimedAt = new Date().toISOString();
+        delete entry.lastError;
+        claimed.push({ airdropId: entry.airdropId, index: entry.index, amount: entry.amount, transactionHashes: result.transactionHashes });
+      } else if (result.eligibility?.claimed && result.transactionHashes.length === 0) {
+        // Claimed elsewhere (usually by the attacker); nothing left to do
+        entry.status = 'already_claimed';
+        entry.lastError = result.error;
+        failed.push({ airdropId: entry.airdropId, index: entry.index, error: result.error });
+      } else {
+        entry.lastError = result.error;
+        failed.push({ airdropId: entry.airdropId, index: entry.index, error: result.error });
+      }
+
+      if (entry.status !== 'already_claimed') {
+        await this.recordAirdropClaim(recovery, adapter, result);
+      }
+    }
+
+    await this.store.saveRecovery(recovery);
+    return { claimed, failed };
+  }
+
+  /**
+   * Record a claim attempt in the recovery's status and history
+   * @param {Object} recovery - Recovery record
+   * @param {Object} adapter - Claim adapter
+   * @param {Object} result - executeClaim result
+   */
+  async recordAirdropClaim(recovery, adapter, result) {
+    if (result.success) {
+      const status = await this.store.getStatus(recovery.id) || createStatusRecord();
+      await this.store.saveStatus(recovery.id, {
+        ...status,
+        recoveredTokens: [...(status.recoveredTokens || []), {
+          address: adapter.token,
+          symbol: adapter.symbol,
+          type: 'ERC20',
+          balance: result.amount,
+          airdropId: adapter.id,
+          transactionHashes: result.transactionHashes,
+          recoveredAt: new Date().toISOString()
+        }],
+        lastUpdated: new Date().toISOString()
+      });
+    }
+    await this.store.addHistory(createHistoryEntry(recovery.id, RECOVERY_EVENTS.AIRDROP_CLAIMED, {
+      airdropId: adapter.id,
+      success: result.success,
+      amount: result.amount,
+      transactionHashes: result.transactionHashes,
+      error: result.error
+    }));
+  }
+
+  /**
+   * Run one adapter's claim from the hacked wallet, then forward what it received
+   * The claim and every forward must have a successful receipt for the claim to succeed.
+   * @param {Object} params - Claim parameters
+   * @param {Object} params.adapter - Claim adapter
+   * @param {Object} params.recovery - Recovery record
+   * @param {Object} params.wallet - Signer for the hacked wallet
+   * @param {Object} params.provider - Ethers provider
+   * @param {Object} params.claim - Optional claim entry
+   * @returns {Promise<Object>} { success, airdropId, amount, transactionHashes, eligibility, sponsor, error }
+   */
+  async executeClaim({ adapter, recovery, wallet, provider, claim }) {
+    const operationId = this.generateOperationId();
+    const summary = [];
+    const transactionHashes = [];
+    let sponsorship = null;
+    let sponsor;
+
+    const eligibility = await adapter.checkEligibility({
+      provider,
+      account: wallet.address,
+      safeWallet: recovery.safeWallet,
+      claim
+    });
+    if (!eligibility.eligible) {
+      return { success: false, airdropId: adapter.id, eligibility, transactionHashes, error: eligibility.reason };
+    }
+
+    const claimCall = adapter.buildClaimCall({ account: wallet.address, safeWallet: recovery.safeWallet, claim: eligibility.claim });
+    const proceedsCalls = adapter.buildProceedsCalls({ account: wallet.address, safeWallet: recovery.safeWallet, amount: eligibility.amount });
+
+    let result;
+    try {
+      const txOverrides = await this.generateTransactionOverrides(recovery.network, provider);
+
+      if (sponsorService.hasSponsor(recovery.network)) {
+        let maxFeePerGas = txOverrides.maxFeePerGas;
+        if (!maxFeePerGas) {
+          const fee = await getFeeData(provider);
+          maxFeePerGas = fee.maxFeePerGas || fee.gasPrice;
+        }
+        // Forwarding cannot be estimated before the claim lands, so it uses defaults
+        const plannedCalls = [claimCall, ...proceedsCalls.map(call => ({ ...call, gasLimit: getDefaultGasLimit(recovery.network, call.txType) }))];
+        const requirement = await sponsorService.calculateGasRequirement(provider, plannedCalls, wallet.address, recovery.network, maxFeePerGas);
+        const funding = await sponsorService.fundWallet({
+          rescueId: operationId,
+          network: recovery.network,
+          provider,
+          targetAddress: wallet.address,
+          requiredWei: requirement.requiredWei,
+          txOverrides
+        });
+
+        if (!funding.success) {
+          return { success: false, airdropId: adapter.id, eligibility, transactionHashes, error: funding.error };
+        }
+        if (funding.funded) {
+          sponsorship = { network: recovery.network, wallet, txOverrides };
+        }
+      }
+
+      const claimTx = await wallet.sendTransaction({ to: claimCall.to, data: claimCall.data, value: claimCall.value, ...txOverrides });
+      transactionHashes.push(claimTx.hash);
+      const claimReceipt = await waitForTransaction(claimTx, 1);
+      if (!claimReceipt || claimReceipt.status !== 1) {
+        throw new Error(`Claim ${claimTx.hash} reverted`);
+      }
+      console.log(`✅ Claimed ${adapter.symbol} for ${wallet.address} (${claimTx.hash})`);
+
+      if (proceedsCalls.length > 0) {
+        const forward = await this.transferToken(
+          { address: adapter.token, symbol: adapter.symbol, type: 'ERC20', balance: eligibility.amount || '1' },
+          wallet,
+          recovery.safeWallet,
+          txOverrides,
+          recovery.network,
+          operationId
+        );
+        transactionHashes.push(...(forward.transactionHashes || []));
+        if (!forward.success) {
+          throw new Error(`Claimed but failed to forward ${adapter.symbol}: ${forward.error}`);
+        }
+      }
+
+      result = {
+        success: true,
+        airdropId: adapter.id,
+        token: adapter.token,
+        amount: eligibility.amount,
+        transactionHashes,
+        message: `Claimed ${adapter.symbol} and transferred it to ${recovery.safeWallet}`
+      };
+    } catch (error) {
+      result = { success: false, airdropId: adapter.id, transactionHashes, error: error.message };
+    } finally {
+      if (sponsorship) {
+        sponsor = await this.settleSponsorship(operationId, sponsorship, summary);
+        summary.forEach(line => console.log(line));
+      }
+    }
+
+    return { ...result, sponsor };
+  }
+
   /**
    * Get recovery statistics
    * @returns {Object} Recovery statistics
@@ -2375,14 +3829,15 @@ class RecoveryService {
     return false;
   }
 
-  getStats() {
-    const allRecoveries = Array.from(this.recoveries.values());
+  async getStats() {
+    const allRecoveries = await this.store.listRecoveries();
     
     const stats = {
       total: allRecoveries.length,
       active: allRecoveries.filter(r => r.isActive).length,
       inactive: allRecoveries.filter(r => !r.isActive).length,
-      byNetwork: {}
+      byNetwork: {},
+      sponsorSpending: await sponsorService.getStats()
     };
 
     // Group by network
@@ -2408,11 +3863,15 @@ class RecoveryService {
 
   /**
    * Cancel ongoing auto rescue operation
+   * @param {string} safeWallet - Only cancel operations rescuing to this safe wallet (default: all)
    * @returns {Object} Cancellation result
    */
-  async cancelAutoRescue() {
+  async cancelAutoRescue(safeWallet = null) {
     try {
-      const activeOperations = Array.from(this.activeAutoRescueOperations.keys());
+      const activeOperations = Array.from(this.activeAutoRescueOperations.entries())
+        .filter(([, operation]) => !safeWallet ||
+          String(operation.rescueData.safeWallet || '').toLowerCase() === safeWallet.toLowerCase())
+        .map(([operationId]) => operationId);
       
       if (activeOperations.length === 0) {
         return {
@@ -2610,28 +4069,12 @@ class RecoveryService {
    * Generate transaction overrides for a specific network
    * @param {string} network - Network name
    * @param {Object} provider - Ethers provider
+   * @param {string} feeStrategy - 'urgent', 'normal' or 'economy' (defaults to the network's)
    * @returns {Promise<Object>} Transaction overrides
    */
-  async generateTransactionOverrides(network, provider) {
+  async generateTransactionOverrides(network, provider, feeStrategy) {
     try {
-      const { getFeeData } = require('../utils/ethers.js');
-      
-      // Prepare gas fee overrides (slightly bumped on Linea for faster inclusion)
-      let txOverrides = {};
-      try {
-        const fee = await getFeeData(provider);
-        const base = fee.maxFeePerGas || fee.gasPrice || 0n;
-        const tip = fee.maxPriorityFeePerGas || 0n;
-        const bumpPercent = network === 'linea' ? 150n : 120n; // 1.5x on Linea, 1.2x elsewhere
-        const bumpedMax = base ? (base * bumpPercent) / 100n : 0n;
-        const bumpedTip = tip ? (tip * bumpPercent) / 100n : 0n;
-        if (bumpedMax > 0n) txOverrides.maxFeePerGas = bumpedMax;
-        if (bumpedTip > 0n) txOverrides.maxPriorityFeePerGas = bumpedTip;
-      } catch (_) {
-        // ignore, fall back to defaults
-      }
-      
-      return txOverrides;
+      return await getFeeOverrides(provider, network, feeStrategy);
     } catch (error) {
       console.error(`Error generating transaction overrides for ${network}: ${error.message}`);
       return {};
@@ -2640,13 +4083,13 @@ class RecoveryService {
 
   /**
    * Directly check for a specific priority token on a network
-   * @param {string} privateKey - Wallet private key
+   * @param {string} walletAddress - Wallet address
    * @param {string} contractAddress - Token contract address
    * @param {string} network - Network name
    * @param {string} operationId - Operation ID for cancellation checks
    * @returns {Promise<Object|null>} Token info or null if not found
    */
-  async checkPriorityTokenDirectly(privateKey, contractAddress, network, operationId) {
+  async checkPriorityTokenDirectly(walletAddress, contractAddress, network, operationId) {
     try {
       // Check for cancellation
       if (this.shouldCancelOperation(operationId)) {
@@ -2654,13 +4097,11 @@ class RecoveryService {
       }
 
       const provider = createProvider(network);
-      const wallet = new ethers.Wallet(privateKey, provider);
-      const walletAddress = wallet.address;
 
       console.log(`🔍 Checking priority token ${contractAddress} on ${network} for wallet ${walletAddress}`);
 
       // Create token contract
-      const tokenContract = createContract(contractAddress, ERC20_ABI, wallet);
+      const tokenContract = createContract(contractAddress, ERC20_ABI, provider);
       
       // Get token balance
       const balance = await tokenContract.balanceOf(walletAddress);
@@ -2694,13 +4135,13 @@ class RecoveryService {
       console.error(`❌ Error checking priority token ${contractAddress} on ${network}: ${error.message}`);
       
       // Try ERC-721 detection
-      const erc721Result = await this.checkERC721PriorityToken(privateKey, contractAddress, network, operationId);
+      const erc721Result = await this.checkERC721PriorityToken(walletAddress, contractAddress, network, operationId);
       if (erc721Result) {
         return erc721Result;
       }
       
       // Try ERC-1155 detection
-      const erc1155Result = await this.checkERC1155PriorityToken(privateKey, contractAddress, network, operationId);
+      const erc1155Result = await this.checkERC1155PriorityToken(walletAddress, contractAddress, network, operationId);
       if (erc1155Result) {
         return erc1155Result;
       }
@@ -2711,13 +4152,13 @@ class RecoveryService {
 
   /**
    * Check for ERC-721 priority token
-   * @param {string} privateKey - Wallet private key
+   * @param {string} walletAddress - Wallet address
    * @param {string} contractAddress - Token contract address
    * @param {string} network - Network name
    * @param {string} operationId - Operation ID for cancellation checks
    * @returns {Promise<Object|null>} Token info or null if not found
    */
-  async checkERC721PriorityToken(privateKey, contractAddress, network, operationId) {
+  async checkERC721PriorityToken(walletAddress, contractAddress, network, operationId) {
     try {
       // Check for cancellation
       if (this.shouldCancelOperation(operationId)) {
@@ -2725,8 +4166,6 @@ class RecoveryService {
       }
 
       const provider = createProvider(network);
-      const wallet = new ethers.Wallet(privateKey, provider);
-      const walletAddress = wallet.address;
 
       console.log(`🔍 Checking ERC-721 priority token ${contractAddress} on ${network}`);
 
@@ -2738,7 +4177,7 @@ class RecoveryService {
         "function tokenURI(uint256 tokenId) view returns (string)",
         "function ownerOf(uint256 tokenId) view returns (address)",
         "function totalSupply() view returns (uint256)"
-      ], wallet);
+      ], provider);
 
       // Get balance
       const balance = await erc721Contract.balanceOf(walletAddress);
@@ -2809,13 +4248,13 @@ class RecoveryService {
 
   /**
    * Check for ERC-1155 priority token
-   * @param {string} privateKey - Wallet private key
+   * @param {string} walletAddress - Wallet address
    * @param {string} contractAddress - Token contract address
    * @param {string} network - Network name
    * @param {string} operationId - Operation ID for cancellation checks
    * @returns {Promise<Object|null>} Token info or null if not found
    */
-  async checkERC1155PriorityToken(privateKey, contractAddress, network, operationId) {
+  async checkERC1155PriorityToken(walletAddress, contractAddress, network, operationId) {
     try {
       // Check for cancellation
       if (this.shouldCancelOperation(operationId)) {
@@ -2823,8 +4262,6 @@ class RecoveryService {
       }
 
       const provider = createProvider(network);
-      const wallet = new ethers.Wallet(privateKey, provider);
-      const walletAddress = wallet.address;
 
       console.log(`🔍 Checking ERC-1155 priority token ${contractAddress} on ${network}`);
 
@@ -2835,7 +4272,7 @@ class RecoveryService {
         "function uri(uint256 id) view returns (string)",
         "function name() view returns (string)",
         "function symbol() view returns (string)"
-      ], wallet);
+      ], provider);
 
       // Try to get token metadata
       let name = 'ERC-1155 Token';
@@ -2903,14 +4340,26 @@ class RecoveryService {
   /**
    * Transfer a single token (ERC20, ERC721, or ERC1155)
    * @param {Object} token - Token object with balance and metadata
-   * @param {Object} wallet - Ethers wallet instance
+   * @param {Object} wallet - Ethers signer (a local wallet or a RemoteSigner)
    * @param {string} safeWallet - Safe wallet address
    * @param {Object} txOverrides - Transaction overrides
    * @param {string} network - Network name
    * @param {string} operationId - Operation ID for cancellation checks
-   * @returns {Promise<Object>} Transfer result
+   * @returns {Promise<Object>} Transfer result ({ success, transactionHashes, error, ... })
    */
   async transferToken(token, wallet, safeWallet, txOverrides, network, operationId) {
+    const transactionHashes = [];
+
+    // Wait for a transfer and fail unless its receipt shows success
+    const confirmTransfer = async (transferTx) => {
+      transactionHashes.push(transferTx.hash);
+      const receipt = await nonceManager.waitForTransaction(transferTx, 1);
+      if (!receipt || receipt.status !== 1) {
+        throw new Error(`Transfer ${transferTx.hash} reverted`);
+      }
+      return receipt;
+    };
+
     try {
       // Check for cancellation
       if (this.shouldCancelOperation(operationId)) {
@@ -2949,6 +4398,9 @@ class RecoveryService {
         }
         
         // Transfer each NFT individually
+        const transferredIds = [];
+        const failedIds = [];
+        let lastError = null;
         for (const tokenId of tokenIds) {
           try {
             if (tokenId === 'UNKNOWN') {
@@ -2979,7 +4431,7 @@ class RecoveryService {
                       console.log(`Found owned token ID: ${scanTokenId}, attempting transfer...`);
                       
                       const transferTx = await nftContract.transferFrom(wallet.address, safeWallet, scanTokenId, txOverrides);
-                      await waitForTransaction(transferTx, 1);
+                      await confirmTransfer(transferTx);
                       
                       // Calculate value info for logging
                       let valueInfo = '';
@@ -3001,17 +4453,17 @@ class RecoveryService {
                 }
                 
                 if (transferredCount > 0) {
-                  return { success: true, transferredCount };
+                  return { success: true, transferredCount, transactionHashes };
                 } else {
-                  return { success: false, error: 'No owned NFTs found for transfer' };
+                  return { success: false, error: 'No owned NFTs found for transfer', transactionHashes };
                 }
               } catch (discoveryError) {
-                return { success: false, error: `NFT discovery failed: ${discoveryError.message}` };
+                return { success: false, error: `NFT discovery failed: ${discoveryError.message}`, transactionHashes };
               }
             } else {
               // Transfer specific token ID
               const transferTx = await nftContract.transferFrom(wallet.address, safeWallet, tokenId, txOverrides);
-              await waitForTransaction(transferTx, 1);
+              await confirmTransfer(transferTx);
               
               // Calculate value info for logging
               let valueInfo = '';
@@ -3019,12 +4471,25 @@ class RecoveryService {
                 valueInfo = ` (Est. value: ${token.floorPrice} ${token.floorPriceSymbol || 'ETH'})`;
               }
               
-              return { success: true, tokenId };
+              transferredIds.push(tokenId);
             }
           } catch (transferError) {
-            return { success: false, error: `NFT transfer failed: ${transferError.message}` };
+            console.error(`❌ Failed to transfer ${token.symbol} #${tokenId}: ${transferError.message}`);
+            failedIds.push(tokenId);
+            lastError = transferError.message;
           }
         }
+
+        if (transferredIds.length === 0) {
+          return { success: false, error: `NFT transfer failed: ${lastError}`, transactionHashes };
+        }
+        return {
+          success: true,
+          tokenId: transferredIds[0],
+          tokenIds: transferredIds,
+          failedCount: failedIds.length,
+          transactionHashes
+        };
       } else if (token.type === 'ERC20') {
         // Handle ERC20 token transfers
         const tokenContract = createContract(token.address, ERC20_ABI, wallet);
@@ -3038,14 +4503,14 @@ class RecoveryService {
         
         // Create transfer transaction
         const transferTx = await tokenContract.transfer(safeWallet, balance, txOverrides);
-        await waitForTransaction(transferTx, 1);
+        await confirmTransfer(transferTx);
         
         // Get token info for logging
         const symbol = await tokenContract.symbol();
         const decimals = await tokenContract.decimals();
         const formattedBalance = formatBalance(balance.toString(), Number(decimals), 4);
         
-        return { success: true, symbol, formattedBalance };
+        return { success: true, symbol, formattedBalance, transactionHashes };
       } else if (token.type === 'ERC1155') {
         // Handle ERC1155 token transfers
         const erc1155Contract = createContract(token.address, [
@@ -3061,6 +4526,7 @@ class RecoveryService {
           console.log(`Transferring ${token.ownedTokens.length} ERC-1155 token types for ${token.symbol}`);
           
           let transferredCount = 0;
+          let failedCount = 0;
           
           for (const ownedToken of token.ownedTokens) {
             try {
@@ -3079,20 +4545,21 @@ class RecoveryService {
                 txOverrides
               );
               
-              await waitForTransaction(transferTx, 1);
+              await confirmTransfer(transferTx);
               transferredCount++;
               
               console.log(`✅ Transferred ERC-1155 token ID ${tokenId}, amount ${amount.toString()}`);
               
             } catch (error) {
               console.error(`❌ Failed to transfer ERC-1155 token ID ${ownedToken.tokenId}: ${error.message}`);
+              failedCount++;
             }
           }
           
           if (transferredCount > 0) {
-            return { success: true, transferredCount, tokenType: 'ERC1155' };
+            return { success: true, transferredCount, failedCount, tokenType: 'ERC1155', transactionHashes };
           } else {
-            return { success: false, error: 'No ERC-1155 tokens were transferred successfully' };
+            return { success: false, error: 'No ERC-1155 tokens were transferred successfully', transactionHashes };
           }
         } else {
           // Fallback: scan for owned tokens and transfer them
@@ -3117,7 +4584,7 @@ class RecoveryService {
                   txOverrides
                 );
                 
-                await waitForTransaction(transferTx, 1);
+                await confirmTransfer(transferTx);
                 transferredCount++;
                 
                 console.log(`✅ Transferred ERC-1155 token ID ${tokenId}, amount ${balance.toString()}`);
@@ -3129,16 +4596,16 @@ class RecoveryService {
           }
           
           if (transferredCount > 0) {
-            return { success: true, transferredCount, tokenType: 'ERC1155' };
+            return { success: true, transferredCount, tokenType: 'ERC1155', transactionHashes };
           } else {
-            return { success: false, error: 'No ERC-1155 tokens found or transferred' };
+            return { success: false, error: 'No ERC-1155 tokens found or transferred', transactionHashes };
           }
         }
       } else {
         return { success: false, error: `Unknown token type: ${token.type}` };
       }
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, transactionHashes };
     }
   }
 }
@@ -0,0 +1,293 @@
+/**
+ * Relayer Service
+ * Collects claim authorizations signed by a hacked or safe wallet and submits them
+ * to AirdropRecovery.claimAirdrop from a gas-funded relayer account, so neither
+ * wallet has to hold gas and the relayer never has to be trusted with keys
+ */
+
+const { ethers } = require('ethers');
+const {
+  createWallet,
+  getBalance,
+  sendTransaction,
+  waitForTransaction,
+  formatBalance
+} = require('../utils/ethers.js');
+const {
+  getRecoveryContractAddress,
+  getOnChainRecovery,
+  getRecoveryDomain,
+  buildClaimTypedData,
+  recoverClaimSigner,
+  buildRelayedClaimCall
+} = require('../utils/recoveryContract.js');
+
+/**
+ * Relayer Service class
+ */
+class RelayerService {
+  constructor() {
+    // Relayed claims keyed by claim ID
+    this.claims = new Map();
+    // Per-network submission chains so relayer nonces never collide
+    this.queues = new Map();
+  }
+
+  /**
+   * Get the relayer private key for a network
+   * Uses <NETWORK>_RELAYER_PRIVATE_KEY, falling back to RELAYER_PRIVATE_KEY
+   * @param {string} network - Network identifier
+   * @returns {string|null} Private key or null if not configured
+   */
+  getRelayerPrivateKey(network) {
+    return process.env[`${network.toUpperCase()}_RELAYER_PRIVATE_KEY`] ||
+      process.env.RELAYER_PRIVATE_KEY ||
+      null;
+  }
+
+  /**
+   * Check whether a relayer account is configured for a network
+   * @param {string} network - Network identifier
+   * @returns {boolean} True if a relayer is configured
+   */
+  hasRelayer(network) {
+    return !!this.getRelayerPrivateKey(network);
+  }
+
+  /**
+   * Create the relayer wallet for a network
+   * @param {string} network - Network identifier
+   * @param {ethers.Provider} provider - Provider for the network
+   * @returns {ethers.Wallet} Relayer wallet
+   */
+  getRelayerWallet(network, provider) {
+    const privateKey = this.getRelayerPrivateKey(network);
+    if (!privateKey) {
+      throw new Error(`No relayer configured for ${network}`);
+    }
+    return createWallet(privateKey, provider);
+  }
+
+  /**
+   * Build the typed data a hacked or safe wallet signs to authorize a relayed claim
+   * @param {Object} params - Request parameters
+   * @param {string} params.network - Network identifier
+   * @param {ethers.Provider} params.provider - Provider for the network
+   * @param {string} params.hackedWallet - Hacked wallet address
+   * @param {string} params.tokenAddress - ERC20 token to claim
+   * @param {string|bigint} params.amount - Amount to claim
+   * @param {number} params.deadlineSeconds - Signature lifetime
+   * @param {string} params.contractAddress - AirdropRecovery address (defaults to the network's deployment)
+   * @returns {Promise<Object>} { success, typedData, error }
+   */
+  async buildClaimRequest({ network, provider, hackedWallet, tokenAddress, amount, deadlineSeconds, contractAddress = getRecoveryContractAddress(network) }) {
+    try {
+      if (!contractAddress) {
+        throw new Error(`No recovery contract configured for ${network}`);
+      }
+      if (!ethers.isAddress(hackedWallet) || !ethers.isAddress(tokenAddress)) {
+        throw new Error('Invalid hacked wallet or token address');
+      }
+      if (BigInt(amount) <= 0n) {
+        throw new Error('Amount must be greater than 0');
+      }
+
+      const typedData = await buildClaimTypedData({
+        provider,
+        contractAddress,
+        tokenAddress,
+        hackedWallet,
+        amount,
+        deadlineSeconds
+      });
+
+      // Numeric fields as strings so the request can be sent as JSON to the signer
+      return {
+        success: true,
+        typedData: {
+          ...typedData,
+          domain: { ...typedData.domain, chainId: typedData.domain.chainId.toString() },
+          message: {
+            ...typedData.message,
+            amount: typedData.message.amount.toString(),
+            nonce: typedData.message.nonce.toString(),
+            deadline: typedData.message.deadline.toString()
+          }
+        }
+      };
+    } catch (error) {
+      return { success: false, error: `Failed to build claim request: ${error.message}` };
+    }
+  }
+
+  /**
+   * Verify a signed claim and submit it from the relayer account
+   * The signature is checked off-chain first so the relayer never pays for a claim
+   * the contract would reject.
+   * @param {Object} params - Claim parameters
+   * @param {string} params.network - Network identifier
+   * @param {ethers.Provider} params.provider - Provider for the network
+   * @param {Object} params.message - Signed ClaimAirdrop message
+   * @param {string} params.signature - Signature from the hacked or safe wallet
+   * @param {string} params.contractAddress - AirdropRecovery address (defaults to the network's deployment)
+   * @returns {Promise<Object>} { success, claimId, transactionHash, signer, relayer, error }
+   */
+  async submitClaim({ network, provider, message, signature, contractAddress = getRecoveryContractAddress(network) }) {
+    const claimId = `claim_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+    try {
+      if (!contractAddress) {
+        throw new Error(`No recovery contract configured for ${network}`);
+      }
+      if (!this.hasRelayer(network)) {
+        throw new Error(`No relayer configured for ${network}`);
+      }
+      if (!message || !signature) {
+        throw new Error('Signed message and signature are required');
+      }
+
+      const { chainId } = await provider.getNetwork();
+      const signer = recoverClaimSigner({ domain: getRecoveryDomain(contractAddress, chainId), message }, signature);
+
+      const registration = await getOnChainRecovery(provider, contractAddress, message.hackedWallet);
+      if (!registration.isActive) {
+        throw new Error(`No active on-chain recovery for ${message.hackedWallet}`);
+      }
+      const authorized = [message.hackedWallet, registration.safeWallet].map(address => address.toLowerCase());
+      if (!authorized.includes(signer.toLowerCase())) {
+        throw new Error('Signature is not from the hacked or safe wallet');
+      }
+
+      const latestBlock = await provider.getBlock('latest');
+      if (BigInt(message.deadline) < BigInt(latestBlock.timestamp)) {
+        throw new Error('Signature expired');
+      }
+
+      this.claims.set(claimId, {
+        id: claimId,
+        network,
+        hackedWallet: message.hackedWallet,
+        safeWallet: registration.safeWallet,
+        token: message.token,
+        amount: message.amount.toString(),
+        signer,
+        status: 'queued',
+        createdAt: new Date().toISOString()
+      });
+
+      const submission = await this.enqueue(network, () =>
+        this.relay({ network, provider, contractAddress, message, signature })
+      );
+
+      this.updateClaim(claimId, {
+        status: 'confirmed',
+        transactionHash: submission.transactionHash,
+        relayer: submission.relayer,
+        gasPaid: formatBalance(submission.gasWei.toString(), 18, 6)
+      });
+      console.log(`Relayer ${submission.relayer} submitted claim for ${message.hackedWallet} on ${network}: ${submission.transactionHash}`);
+
+      return {
+        success: true,
+        claimId,
+        transactionHash: submission.transactionHash,
+        signer,
+        relayer: submission.relayer
+      };
+    } catch (error) {
+      this.updateClaim(claimId, { status: 'failed', error: error.message });
+      console.error(`Relayed claim failed on ${network}: ${error.message}`);
+      return { success: false, claimId, error: `Failed to relay claim: ${error.message}` };
+    }
+  }
+
+  /**
+   * Send a verified claim from the relayer wallet and wait for it to confirm
+   * @param {Object} params - Submission parameters
+   * @returns {Promise<Object>} { transactionHash, relayer, gasWei }
+   */
+  async relay({ network, provider, contractAddress, message, signature }) {
+    const relayerWallet = this.getRelayerWallet(network, provider);
+    const call = buildRelayedClaimCall(contractAddress, message, signature);
+
+    // Surfaces contract reverts before the relayer spends gas
+    const gasLimit = await provider.estimateGas({ from: relayerWallet.address, to: call.to, data: call.data });
+
+    const tx = await sendTransaction(relayerWallet, { to: call.to, data: call.data, gasLimit });
+    const receipt = await waitForTransaction(tx, 1);
+    if (receipt.status !== 1) {
+      throw new Error(`Claim transaction ${tx.hash} reverted`);
+    }
+
+    return {
+      transactionHash: tx.hash,
+      relayer: relayerWallet.address,
+      gasWei: receipt.gasUsed * (receipt.gasPrice || 0n)
+    };
+  }
+
+  /**
+   * Run a task after every earlier submission on the same network has settled
+   * @param {string} network - Network identifier
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(network, task) {
+    const previous = this.queues.get(network) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(network, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Update a relayed claim record
+   * @param {string} claimId - Claim ID
+   * @param {Object} updates - Fields to merge
+   */
+  updateClaim(claimId, updates) {
+    const claim = this.claims.get(claimId);
+    if (!claim) return;
+    this.claims.set(claimId, { ...claim, ...updates, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Get a relayed claim record
+   * @param {string} claimId - Claim ID
+   * @returns {Object|null} Claim record
+   */
+  getClaim(claimId) {
+    return this.claims.get(claimId) || null;
+  }
+
+  /**
+   * Get the relayer account and balance for a network
+   * @param {string} network - Network identifier
+   * @param {ethers.Provider} provider - Provider for the network
+   * @returns {Promise<Object>} { configured, address, balance }
+   */
+  async getStatus(network, provider) {
+    if (!this.hasRelayer(network)) {
+      return { configured: false };
+    }
+
+    const relayerWallet = this.getRelayerWallet(network, provider);
+    const balance = await getBalance(relayerWallet.address, provider);
+    const claims = [...this.claims.values()].filter(claim => claim.network === network);
+
+    return {
+      configured: true,
+      address: relayerWallet.address,
+      balance: formatBalance(balance.toString(), 18, 6),
+      claims: {
+        total: claims.length,
+        confirmed: claims.filter(claim => claim.status === 'confirmed').length,
+        failed: claims.filter(claim => claim.status === 'failed').length
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const relayerService = new RelayerService();
+
+module.exports = relayerService;
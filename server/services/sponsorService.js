@@ -0,0 +1,496 @@
+/**
+ * Sponsor Service
+ * Funds gas for drained wallets from a per-network sponsor wallet, just in time,
+ * and sweeps unused funding back once the rescue is done. Spending is kept in the
+ * recovery store, so the per-rescue and per-wallet caps hold across restarts.
+ */
+
+const { ethers } = require('ethers');
+const {
+  createWallet,
+  getBalance,
+  estimateGas,
+  getDefaultGasLimit,
+  sendTransaction,
+  waitForTransaction,
+  formatBalance
+} = require('../utils/ethers.js');
+const {
+  L1_FEE_MODELS,
+  getL1FeeModel,
+  getL1DataFee,
+  estimateNativeTransferGas
+} = require('../utils/l1Fees.js');
+const { getRecoveryStore } = require('../storage/index.js');
+
+const DEFAULT_MAX_PER_RESCUE = '0.05'; // ETH
+const DEFAULT_MAX_PER_WALLET = '0.2'; // ETH
+const ETH_TRANSFER_GAS = 21000n;
+
+// Amounts kept in wei; the store holds them as decimal strings
+const SPEND_AMOUNTS = ['fundedWei', 'gasWei', 'returnedWei'];
+
+// Store state keys for spend records
+const rescueSpendKey = (rescueId) => `sponsorSpend:rescue:${rescueId}`;
+const walletSpendKey = (network, walletAddress) => `sponsorSpend:wallet:${network}:${walletAddress.toLowerCase()}`;
+const networkSpendKey = (network) => `sponsorSpend:network:${network}`;
+const NETWORKS_KEY = 'sponsorSpend:networks';
+
+/**
+ * Convert a stored spend record's amounts back to bigints
+ * @param {Object|null} record - Record from the store
+ * @returns {Object|null} Record with bigint amounts
+ */
+const fromStored = (record) => {
+  if (!record) return null;
+  const amounts = Object.fromEntries(SPEND_AMOUNTS.map(key => [key, BigInt(record[key] || 0)]));
+  return { ...record, ...amounts };
+};
+
+/**
+ * Convert a spend record's amounts to strings for the store
+ * @param {Object} record - Record with bigint amounts
+ * @returns {Object} JSON-serializable record
+ */
+const toStored = (record) => {
+  const amounts = Object.fromEntries(SPEND_AMOUNTS.map(key => [key, record[key].toString()]));
+  return { ...record, ...amounts };
+};
+
+/**
+ * Read an ETH amount from <NETWORK>_<name>, then <name>
+ * @param {string} network - Network identifier
+ * @param {string} name - Setting name without the network prefix
+ * @param {string} fallback - Default in ETH
+ * @returns {bigint} Amount in wei
+ */
+const getEtherSetting = (network, name, fallback) => ethers.parseEther(
+  process.env[`${network.toUpperCase()}_${name}`] || process.env[name] || fallback
+);
+
+/**
+ * Sponsor Service class
+ */
+class SponsorService {
+  constructor() {
+    this.store = null;
+  }
+
+  /**
+   * Get the store spending is kept in
+   * @returns {Object} Recovery store
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = getRecoveryStore();
+    }
+    return this.store;
+  }
+
+  /**
+   * Get the sponsor private key for a network
+   * Uses <NETWORK>_SPONSOR_PRIVATE_KEY, falling back to SPONSOR_PRIVATE_KEY
+   * @param {string} network - Network identifier
+   * @returns {string|null} Private key or null if not configured
+   */
+  getSponsorPrivateKey(network) {
+    return process.env[`${network.toUpperCase()}_SPONSOR_PRIVATE_KEY`] ||
+      process.env.SPONSOR_PRIVATE_KEY ||
+      null;
+  }
+
+  /**
+   * Check whether a sponsor wallet is configured for a network
+   * @param {string} network - Network identifier
+   * @returns {boolean} True if a sponsor is configured
+   */
+  hasSponsor(network) {
+    return !!this.getSponsorPrivateKey(network);
+  }
+
+  /**
+   * Create the sponsor wallet for a network
+   * @param {string} network - Network identifier
+   * @param {ethers.Provider} provider - Provider for the network
+   * @returns {ethers.Wallet} Sponsor wallet
+   */
+  getSponsorWallet(network, provider) {
+    const privateKey = this.getSponsorPrivateKey(network);
+    if (!privateKey) {
+      throw new Error(`No sponsor wallet configured for ${network}`);
+    }
+    return createWallet(privateKey, provider);
+  }
+
+  /**
+   * Get the maximum a sponsor may spend on a single rescue
+   * Uses <NETWORK>_SPONSOR_MAX_PER_RESCUE, then SPONSOR_MAX_PER_RESCUE (in ETH)
+   * @param {string} network - Network identifier
+   * @returns {bigint} Budget in wei
+   */
+  getBudget(network) {
+    return getEtherSetting(network, 'SPONSOR_MAX_PER_RESCUE', DEFAULT_MAX_PER_RESCUE);
+  }
+
+  /**
+   * Get the most a sponsor may spend, net of returns, on one wallet across all its rescues
+   * Uses <NETWORK>_SPONSOR_MAX_PER_WALLET, then SPONSOR_MAX_PER_WALLET (in ETH)
+   * @param {string} network - Network identifier
+   * @returns {bigint} Cap in wei
+   */
+  getWalletBudget(network) {
+    return getEtherSetting(network, 'SPONSOR_MAX_PER_WALLET', DEFAULT_MAX_PER_WALLET);
+  }
+
+  /**
+   * Get the spend record for a rescue
+   * @param {string} rescueId - Rescue/operation ID
+   * @returns {Promise<Object|null>} Spend record with amounts in wei
+   */
+  async getRescueSpend(rescueId) {
+    const record = fromStored(await this.getStore().getState(rescueSpendKey(rescueId)));
+    if (!record) return null;
+
+    return {
+      ...record,
+      netSpentWei: record.fundedWei + record.gasWei - record.returnedWei
+    };
+  }
+
+  /**
+   * Get what the sponsor has spent on a wallet across all its rescues
+   * @param {string} network - Network identifier
+   * @param {string} walletAddress - Funded (hacked) wallet
+   * @returns {Promise<Object>} { fundedWei, gasWei, returnedWei, netSpentWei }
+   */
+  async getWalletSpend(network, walletAddress) {
+    const record = fromStored(await this.getStore().getState(walletSpendKey(network, walletAddress))) ||
+      { fundedWei: 0n, gasWei: 0n, returnedWei: 0n };
+    return {
+      ...record,
+      netSpentWei: record.fundedWei + record.gasWei - record.returnedWei
+    };
+  }
+
+  /**
+   * Check whether spending an amount keeps a rescue within its budget and the wallet
+   * within its cap
+   * @param {string} rescueId - Rescue/operation ID
+   * @param {string} network - Network identifier
+   * @param {bigint} amountWei - Amount the sponsor is about to spend (value + gas)
+   * @param {string} walletAddress - Wallet the rescue is for
+   * @returns {Promise<Object>} { allowed, remainingWei, error }
+   */
+  async checkBudget(rescueId, network, amountWei, walletAddress) {
+    const budget = this.getBudget(network);
+    const spend = await this.getRescueSpend(rescueId);
+    const spent = spend ? spend.fundedWei + spend.gasWei : 0n;
+    let remainingWei = budget > spent ? budget - spent : 0n;
+    let limit = `${formatBalance(budget.toString(), 18, 6)} ETH`;
+
+    if (walletAddress) {
+      const walletBudget = this.getWalletBudget(network);
+      const { netSpentWei } = await this.getWalletSpend(network, walletAddress);
+      const walletRemaining = walletBudget > netSpentWei ? walletBudget - netSpentWei : 0n;
+      if (walletRemaining < remainingWei) {
+        remainingWei = walletRemaining;
+        limit = `${formatBalance(walletBudget.toString(), 18, 6)} ETH for ${walletAddress}`;
+      }
+    }
+
+    if (BigInt(amountWei) > remainingWei) {
+      return {
+        allowed: false,
+        remainingWei,
+        error: `Sponsor budget exceeded on ${network}: needs ${formatBalance(amountWei.toString(), 18, 6)} ETH, ${formatBalance(remainingWei.toString(), 18, 6)} ETH left of ${limit}`
+      };
+    }
+
+    return { allowed: true, remainingWei };
+  }
+
+  /**
+   * Add amounts to the rescue's, the wallet's and the network's spend records
+   * @param {string} rescueId - Rescue/operation ID
+   * @param {Object} record - Rescue record before the change (null for a new rescue)
+   * @param {Object} delta - { fundedWei, gasWei, returnedWei } to add
+   * @returns {Promise<Object>} Updated rescue record
+   */
+  async addSpend(rescueId, record, delta) {
+    const store = this.getStore();
+    const updatedAt = new Date().toISOString();
+    const add = (target) => {
+      for (const key of SPEND_AMOUNTS) {
+        target[key] += BigInt(delta[key] || 0n);
+      }
+      target.updatedAt = updatedAt;
+      return target;
+    };
+
+    const totals = [];
+    if (record.wallet) {
+      totals.push([walletSpendKey(record.network, record.wallet), { wallet: record.wallet, network: record.network }]);
+    }
+    totals.push([networkSpendKey(record.network), { network: record.network, rescues: 0 }]);
+
+    const networks = (await store.getState(NETWORKS_KEY)) || [];
+    if (!networks.includes(record.network)) {
+      await store.saveState(NETWORKS_KEY, [...networks, record.network]);
+    }
+
+    for (const [key, initial] of totals) {
+      const current = fromStored(await store.getState(key)) || { ...initial, fundedWei: 0n, gasWei: 0n, returnedWei: 0n };
+      if (delta.newRescue) current.rescues = (current.rescues || 0) + 1;
+      await store.saveState(key, toStored(add(current)));
+    }
+
+    await store.saveState(rescueSpendKey(rescueId), toStored(add(record)));
+    return record;
+  }
+
+  /**
+   * Record sponsor spending for a rescue
+   * @param {string} rescueId - Rescue/operation ID
+   * @param {Object} spend - Spend details
+   * @param {string} spend.network - Network identifier
+   * @param {string} spend.sponsor - Sponsor address
+   * @param {string} spend.wallet - Wallet the rescue is for
+   * @param {bigint} spend.fundedWei - Value sent to the hacked wallet
+   * @param {bigint} spend.gasWei - Gas paid by the sponsor
+   * @param {string} spend.transactionHash - Funding transaction, if value was sent
+   * @returns {Promise<Object>} Updated spend record
+   */
+  async recordSpend(rescueId, { network, sponsor, wallet, fundedWei = 0n, gasWei = 0n, transactionHash }) {
+    const existing = fromStored(await this.getStore().getState(rescueSpendKey(rescueId)));
+    const record = existing || {
+      rescueId,
+      network,
+      sponsor,
+      wallet: wallet ? ethers.getAddress(wallet) : undefined,
+      fundedWei: 0n,
+      gasWei: 0n,
+      returnedWei: 0n,
+      fundingTransactions: [],
+      startedAt: new Date().toISOString()
+    };
+    if (transactionHash) record.fundingTransactions.push(transactionHash);
+
+    return this.addSpend(rescueId, record, { fundedWei, gasWei, newRescue: !existing });
+  }
+
+  /**
+   * Record funds swept back to the sponsor
+   * @param {string} rescueId - Rescue/operation ID
+   * @param {bigint} returnedWei - Amount returned
+   */
+  async recordReturn(rescueId, returnedWei) {
+    const record = fromStored(await this.getStore().getState(rescueSpendKey(rescueId)));
+    if (!record) return;
+    await this.addSpend(rescueId, record, { returnedWei });
+  }
+
+  /**
+   * Compute the exact native balance needed to execute a set of transfer calls
+   * Includes one plain transfer so leftover funding can be swept back, and the L1 data
+   * fee of each call on rollups that charge it.
+   * @param {ethers.Provider} provider - Provider for the network
+   * @param {Array<Object>} calls - Transfer calls ({ to, data, value, txType })
+   * @param {string} fromAddress - Address that will send the calls
+   * @param {string} network - Network identifier
+   * @param {bigint} maxFeePerGas - Max fee per gas the transfers will use
+   * @returns {Promise<Object>} { calls, totalGas, l1Fees, requiredWei }
+   */
+  async calculateGasRequirement(provider, calls, fromAddress, network, maxFeePerGas) {
+    const estimatedCalls = [];
+    let totalGas = 0n;
+
+    for (const call of calls) {
+      let gasLimit = call.gasLimit ? BigInt(call.gasLimit) : null;
+      if (!gasLimit) {
+        try {
+          gasLimit = await estimateGas(
+            provider,
+            { from: fromAddress, to: call.to, data: call.data, value: call.value || 0n },
+            network,
+            call.txType
+          );
+        } catch (error) {
+          gasLimit = getDefaultGasLimit(network, call.txType);
+        }
+      }
+      totalGas += gasLimit;
+      estimatedCalls.push({ ...call, gasLimit });
+    }
+
+    const { chainId } = await provider.getNetwork();
+    const nonce = await provider.getTransactionCount(fromAddress, 'pending');
+    let l1Fees = 0n;
+    for (let i = 0; i < estimatedCalls.length; i++) {
+      l1Fees += await getL1DataFee(provider, network, { ...estimatedCalls[i], chainId, nonce: nonce + i, maxFeePerGas });
+    }
+
+    const sweepGas = getDefaultGasLimit(network, 'ethTransfer');
+    const value = calls.reduce((sum, call) => sum + BigInt(call.value || 0), 0n);
+
+    return {
+      calls: estimatedCalls,
+      totalGas,
+      l1Fees,
+      requiredWei: (totalGas + sweepGas) * BigInt(maxFeePerGas) + l1Fees + value
+    };
+  }
+
+  /**
+   * Top a wallet up to the required balance from the network's sponsor
+   * Only the shortfall is sent, and only if it fits the rescue's budget and the wallet's cap.
+   * @param {Object} params - Funding parameters
+   * @param {string} params.rescueId - Rescue/operation ID
+   * @param {string} params.network - Network identifier
+   * @param {ethers.Provider} params.provider - Provider for the network
+   * @param {string} params.targetAddress - Wallet to fund
+   * @param {bigint} params.requiredWei - Balance the wallet needs
+   * @param {Object} params.txOverrides - Fee overrides for the funding transaction
+   * @returns {Promise<Object>} { success, funded, amountWei, transactionHash, error }
+   */
+  async fundWallet({ rescueId, network, provider, targetAddress, requiredWei, txOverrides = {} }) {
+    try {
+      const sponsorWallet = this.getSponsorWallet(network, provider);
+      const currentBalance = BigInt(await getBalance(targetAddress, provider));
+      const shortfall = BigInt(requiredWei) - currentBalance;
+
+      if (shortfall <= 0n) {
+        return { success: true, funded: false, amountWei: 0n };
+      }
+
+      const feeData = txOverrides.maxFeePerGas ? txOverrides : await provider.getFeeData();
+      const fundingGasCost = ETH_TRANSFER_GAS * BigInt(feeData.maxFeePerGas || feeData.gasPrice || 0n);
+      const budgetCheck = await this.checkBudget(rescueId, network, shortfall + fundingGasCost, targetAddress);
+      if (!budgetCheck.allowed) {
+        return { success: false, funded: false, amountWei: 0n, error: budgetCheck.error };
+      }
+
+      const sponsorBalance = BigInt(await getBalance(sponsorWallet.address, provider));
+      if (sponsorBalance < shortfall + fundingGasCost) {
+        return {
+          success: false,
+          funded: false,
+          amountWei: 0n,
+          error: `Sponsor ${sponsorWallet.address} has insufficient balance on ${network}`
+        };
+      }
+
+      const tx = await sendTransaction(sponsorWallet, {
+        to: targetAddress,
+        value: shortfall,
+        gasLimit: ETH_TRANSFER_GAS,
+        ...txOverrides
+      });
+      const receipt = await waitForTransaction(tx, 1);
+
+      await this.recordSpend(rescueId, {
+        network,
+        sponsor: sponsorWallet.address,
+        wallet: targetAddress,
+        fundedWei: shortfall,
+        gasWei: receipt.gasUsed * (receipt.gasPrice || 0n),
+        transactionHash: tx.hash
+      });
+
+      console.log(`Sponsor ${sponsorWallet.address} funded ${targetAddress} with ${formatBalance(shortfall.toString(), 18, 6)} ETH on ${network}`);
+
+      return { success: true, funded: true, amountWei: shortfall, transactionHash: tx.hash };
+    } catch (error) {
+      console.error(`Sponsor funding failed on ${network}: ${error.message}`);
+      return { success: false, funded: false, amountWei: 0n, error: error.message };
+    }
+  }
+
+  /**
+   * Return leftover sponsor funding from the rescued wallet to the sponsor
+   * Never returns more than the sponsor put in, so the wallet owner's own dust stays.
+   * @param {Object} params - Sweep parameters
+   * @param {string} params.rescueId - Rescue/operation ID
+   * @param {string} params.network - Network identifier
+   * @param {ethers.Wallet} params.wallet - Funded (hacked) wallet
+   * @param {Object} params.txOverrides - Fee overrides for the sweep transaction
+   * @returns {Promise<Object>} { success, returnedWei, transactionHash, error }
+   */
+  async sweepBack({ rescueId, network, wallet, txOverrides = {} }) {
+    const record = await this.getRescueSpend(rescueId);
+    if (!record || record.fundedWei === 0n) {
+      return { success: true, returnedWei: 0n };
+    }
+
+    try {
+      const provider = wallet.provider;
+      const walletAddress = await wallet.getAddress();
+      const feeData = txOverrides.maxFeePerGas ? txOverrides : await provider.getFeeData();
+      const maxFeePerGas = BigInt(feeData.maxFeePerGas || feeData.gasPrice || 0n);
+      const balance = BigInt(await getBalance(walletAddress, provider));
+      const outstanding = record.fundedWei - record.returnedWei;
+
+      // Arbitrum charges L1 data as gas, OP-stack chains as a separate fee
+      const gasLimit = getL1FeeModel(network) === L1_FEE_MODELS.ARBITRUM
+        ? await estimateNativeTransferGas(provider, network, { from: walletAddress, to: record.sponsor, value: outstanding })
+        : ETH_TRANSFER_GAS;
+      const { chainId } = await provider.getNetwork();
+      const l1Fee = await getL1DataFee(provider, network, {
+        ...feeData,
+        chainId,
+        nonce: await provider.getTransactionCount(walletAddress, 'pending'),
+        gasLimit,
+        to: record.sponsor,
+        value: outstanding
+      });
+      const gasCost = gasLimit * maxFeePerGas + l1Fee;
+      const available = balance > gasCost ? balance - gasCost : 0n;
+      const amount = available < outstanding ? available : outstanding;
+
+      if (amount <= 0n) {
+        return { success: true, returnedWei: 0n };
+      }
+
+      const tx = await sendTransaction(wallet, {
+        to: record.sponsor,
+        value: amount,
+        gasLimit,
+        ...txOverrides
+      });
+      await waitForTransaction(tx, 1);
+
+      await this.recordReturn(rescueId, amount);
+      console.log(`Swept ${formatBalance(amount.toString(), 18, 6)} ETH back to sponsor ${record.sponsor} on ${network}`);
+
+      return { success: true, returnedWei: amount, transactionHash: tx.hash };
+    } catch (error) {
+      console.error(`Sponsor sweep-back failed on ${network}: ${error.message}`);
+      return { success: false, returnedWei: 0n, error: error.message };
+    }
+  }
+
+  /**
+   * Get sponsor spending statistics
+   * @returns {Promise<Object>} Totals per network in ETH
+   */
+  async getStats() {
+    const stats = {};
+    for (const network of (await this.getStore().getState(NETWORKS_KEY)) || []) {
+      const totals = fromStored(await this.getStore().getState(networkSpendKey(network)));
+      if (!totals) continue;
+
+      stats[network] = {
+        rescues: totals.rescues,
+        funded: formatBalance(totals.fundedWei.toString(), 18, 6),
+        gasPaid: formatBalance(totals.gasWei.toString(), 18, 6),
+        returned: formatBalance(totals.returnedWei.toString(), 18, 6),
+        netSpent: formatBalance((totals.fundedWei + totals.gasWei - totals.returnedWei).toString(), 18, 6)
+      };
+    }
+    return stats;
+  }
+}
+
+// Create singleton instance
+const sponsorService = new SponsorService();
+
+module.exports = sponsorService;
@@ -13,6 +13,31 @@ const savedTokens = new Map();
 // File path for persistent storage
 const TOKENS_FILE_PATH = path.join(__dirname, '../data/saved-tokens.json');
 
+/**
+ * Get the in-memory key for a saved token
+ * Tokens saved before sign-in existed have no owner and keep their old key.
+ * @param {Object} token - Saved token ({ network, address, owner })
+ * @returns {string} Storage key
+ */
+const getTokenKey = ({ network, address, owner }) =>
+  owner ? `${network}-${owner}-${address}` : `${network}-${address}`;
+
+/**
+ * Get the Redis key for a saved token
+ * @param {Object} token - Saved token ({ network, address, owner })
+ * @returns {string} Redis key
+ */
+const getRedisTokenKey = ({ network, address, owner }) =>
+  owner ? `tokens:${network}:${owner}:${address}` : `tokens:${network}:${address}`;
+
+/**
+ * Check whether a saved token is visible to an owner
+ * @param {Object} token - Saved token
+ * @param {string|null} owner - Safe wallet, or null for every token
+ * @returns {boolean} True if visible
+ */
+const isOwnedBy = (token, owner) => !owner || token.owner === owner.toLowerCase();
+
 /**
  * Token Storage Service class
  */
@@ -38,8 +63,7 @@ class TokenStorageService {
         
         // Convert array to Map for efficient lookup
         tokens.forEach(token => {
-          const key = `${token.network}-${token.address}`;
-          this.savedTokens.set(key, token);
+          this.savedTokens.set(getTokenKey(token), token);
         });
         
         console.log(`Loaded ${tokens.length} saved tokens from storage`);
@@ -59,16 +83,18 @@ class TokenStorageService {
    * Save tokens to storage
    * @param {Array} tokens - Array of token objects
    * @param {string} network - Network name
+   * @param {string} owner - Safe wallet the tokens are saved for
    * @returns {Promise<Object>} Save result
    */
-  async saveTokens(tokens, network) {
+  async saveTokens(tokens, network, owner = null) {
     try {
       const redis = await getRedisClient();
+      const tokenOwner = owner ? owner.toLowerCase() : null;
       let savedCount = 0;
       let updatedCount = 0;
 
       for (const token of tokens) {
-        const key = `${network}-${token.address.toLowerCase()}`;
+        const key = getTokenKey({ network, address: token.address.toLowerCase(), owner: tokenOwner });
         const existingToken = this.savedTokens.get(key);
 
         if (existingToken) {
@@ -78,6 +104,7 @@ class TokenStorageService {
             ...token,
             network,
             address: token.address.toLowerCase(),
+            owner: tokenOwner,
             lastUpdated: new Date().toISOString()
           });
           updatedCount++;
@@ -87,6 +114,7 @@ class TokenStorageService {
             ...token,
             network,
             address: token.address.toLowerCase(),
+            owner: tokenOwner,
             createdAt: new Date().toISOString(),
             lastUpdated: new Date().toISOString()
           });
@@ -98,16 +126,18 @@ class TokenStorageService {
         // Persist to Redis as primary store
         const pipeline = redis.multi();
         for (const token of this.savedTokens.values()) {
-          const key = `tokens:${token.network}:${token.address}`;
-          pipeline.hSet(key, {
+          pipeline.hSet(getRedisTokenKey(token), {
             address: token.address,
             symbol: token.symbol || '',
             name: token.name || '',
             network: token.network,
+            owner: token.owner || '',
             decimals: String(token.decimals || 18),
             createdAt: token.createdAt || '',
             lastUpdated: token.lastUpdated || '',
-            isHighPriority: token.isHighPriority ? '1' : '0'
+            isHighPriority: token.isHighPriority ? '1' : '0',
+            skipAction: token.skipAction || '',
+            skipReason: token.skipReason || ''
           });
         }
         await pipeline.exec();
@@ -135,9 +165,10 @@ class TokenStorageService {
   /**
    * Get saved tokens
    * @param {string} network - Optional network filter
+   * @param {string} owner - Only return tokens saved for this safe wallet (default: all)
    * @returns {Promise<Object>} Get result
    */
-  async getSavedTokens(network = null) {
+  async getSavedTokens(network = null, owner = null) {
     try {
       const redis = await getRedisClient();
       let tokens = Array.from(this.savedTokens.values());
@@ -165,10 +196,13 @@ class TokenStorageService {
                     symbol: v.symbol || 'UNKNOWN',
                     name: v.name || 'Unknown Token',
                     network: v.network || net,
+                    owner: v.owner || null,
                     decimals: Number(v.decimals || 18),
                     createdAt: v.createdAt || null,
                     lastUpdated: v.lastUpdated || null,
-                    isHighPriority: v.isHighPriority === '1'
+                    isHighPriority: v.isHighPriority === '1',
+                    skipAction: v.skipAction || undefined,
+                    skipReason: v.skipReason || undefined
                   });
                 }
               });
@@ -180,7 +214,8 @@ class TokenStorageService {
         }
       }
 
-      // Filter by network if specified
+      // Filter by owner and network if specified
+      tokens = tokens.filter(token => isOwnedBy(token, owner));
       if (network) {
         tokens = tokens.filter(token => token.network === network);
       }
@@ -214,44 +249,42 @@ class TokenStorageService {
    * Delete saved tokens
    * @param {string} network - Network name
    * @param {string} tokenAddress - Optional specific token address
+   * @param {string} owner - Only delete tokens saved for this safe wallet (default: all)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteSavedTokens(network, tokenAddress = null) {
+  async deleteSavedTokens(network, tokenAddress = null, owner = null) {
     try {
       const redis = await getRedisClient();
+      const address = tokenAddress ? tokenAddress.toLowerCase() : null;
       let deletedCount = 0;
 
-      if (tokenAddress) {
-        // Delete specific token
-        const key = `${network}-${tokenAddress.toLowerCase()}`;
-        if (this.savedTokens.has(key)) {
-          this.savedTokens.delete(key);
-          deletedCount = 1;
+      // Delete the specific token, or all tokens for the network
+      const keysToDelete = [];
+      for (const [key, token] of this.savedTokens.entries()) {
+        if (token.network === network && (!address || token.address === address) && isOwnedBy(token, owner)) {
+          keysToDelete.push(key);
         }
-      } else {
-        // Delete all tokens for the network
-        const keysToDelete = [];
-        for (const [key, token] of this.savedTokens.entries()) {
-          if (token.network === network) {
-            keysToDelete.push(key);
-          }
-        }
-
-        keysToDelete.forEach(key => {
-          this.savedTokens.delete(key);
-          deletedCount++;
-        });
       }
 
+      keysToDelete.forEach(key => {
+        this.savedTokens.delete(key);
+        deletedCount++;
+      });
+
       if (redis) {
-        if (tokenAddress) {
-          await redis.del(`tokens:${network}:${tokenAddress.toLowerCase()}`);
+        if (owner && address) {
+          await redis.del(getRedisTokenKey({ network, address, owner: owner.toLowerCase() }));
         } else {
+          // Owners only match their own keys; operators also match tokens saved without an owner
+          const pattern = owner
+            ? `tokens:${network}:${owner.toLowerCase()}:*`
+            : `tokens:${network}:*`;
           let cursor = 0;
           do {
-            const [newCursor, keys] = await redis.scan(cursor, { MATCH: `tokens:${network}:*`, COUNT: 100 });
+            const [newCursor, keys] = await redis.scan(cursor, { MATCH: pattern, COUNT: 100 });
             cursor = Number(newCursor);
-            if (keys && keys.length) await redis.del(keys);
+            const matching = (keys || []).filter(key => !address || key.endsWith(`:${address}`));
+            if (matching.length) await redis.del(matching);
           } while (cursor !== 0);
         }
       }
@@ -0,0 +1,45 @@
+/**
+ * Recovery store factory
+ * Selects the registry backend from RECOVERY_STORE: sqlite (default), redis or memory
+ */
+
+const SqliteRecoveryStore = require('./sqliteRecoveryStore.js');
+const RedisRecoveryStore = require('./redisRecoveryStore.js');
+const MemoryRecoveryStore = require('./memoryRecoveryStore.js');
+
+let recoveryStore = null;
+
+/**
+ * Create a recovery store
+ * @param {string} type - 'sqlite', 'redis' or 'memory'
+ * @param {Object} options - Backend options (e.g. { filename } for sqlite)
+ * @returns {Object} Recovery store instance
+ */
+const createRecoveryStore = (type = process.env.RECOVERY_STORE || 'sqlite', options = {}) => {
+  switch (type) {
+    case 'sqlite':
+      return new SqliteRecoveryStore(options);
+    case 'redis':
+      return new RedisRecoveryStore(options);
+    case 'memory':
+      return new MemoryRecoveryStore(options);
+    default:
+      throw new Error(`Unsupported recovery store: ${type}`);
+  }
+};
+
+/**
+ * Get the shared recovery store for this process
+ * @returns {Object} Recovery store instance
+ */
+const getRecoveryStore = () => {
+  if (!recoveryStore) {
+    recoveryStore = createRecoveryStore();
+  }
+  return recoveryStore;
+};
+
+module.exports = {
+  createRecoveryStore,
+  getRecoveryStore
+};
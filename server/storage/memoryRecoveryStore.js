@@ -0,0 +1,84 @@
+/**
+ * In-memory recovery store
+ * Non-persistent backend for tests and throwaway local runs
+ */
+
+/**
+ * In-memory recovery store class
+ */
+class MemoryRecoveryStore {
+  constructor() {
+    this.recoveries = new Map();
+    this.statuses = new Map();
+    this.history = new Map();
+    this.state = new Map();
+  }
+
+  async init() {}
+
+  async getSchemaVersion() {
+    return 0;
+  }
+
+  async getRecovery(id) {
+    const recovery = this.recoveries.get(id);
+    return recovery ? structuredClone(recovery) : null;
+  }
+
+  async findRecoveryByWallet(hackedWallet) {
+    const matches = Array.from(this.recoveries.values())
+      .filter(recovery => recovery.hackedWallet.toLowerCase() === hackedWallet.toLowerCase())
+      .sort((a, b) => (b.isActive - a.isActive) || b.createdAt.localeCompare(a.createdAt));
+    return matches[0] ? structuredClone(matches[0]) : null;
+  }
+
+  async listRecoveries({ activeOnly = false } = {}) {
+    return Array.from(this.recoveries.values())
+      .filter(recovery => !activeOnly || recovery.isActive)
+      .map(recovery => structuredClone(recovery));
+  }
+
+  async saveRecovery(recovery) {
+    this.recoveries.set(recovery.id, structuredClone(recovery));
+    return recovery;
+  }
+
+  async deleteRecovery(id) {
+    this.statuses.delete(id);
+    return this.recoveries.delete(id);
+  }
+
+  async getStatus(id) {
+    const status = this.statuses.get(id);
+    return status ? structuredClone(status) : null;
+  }
+
+  async saveStatus(id, status) {
+    this.statuses.set(id, structuredClone(status));
+    return status;
+  }
+
+  async addHistory(entry) {
+    const entries = this.history.get(entry.recoveryId) || [];
+    entries.push(structuredClone(entry));
+    this.history.set(entry.recoveryId, entries);
+    return entry;
+  }
+
+  async getHistory(id, limit = 50) {
+    return (this.history.get(id) || []).slice(-limit).reverse();
+  }
+
+  async getState(key) {
+    return this.state.has(key) ? structuredClone(this.state.get(key)) : null;
+  }
+
+  async saveState(key, value) {
+    this.state.set(key, structuredClone(value));
+    return value;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryRecoveryStore;
@@ -0,0 +1,32 @@
+/**
+ * Redis data migrations for the recovery registry
+ * Append new migrations to the end; the applied version is stored under SCHEMA_VERSION_KEY
+ */
+
+const SCHEMA_VERSION_KEY = 'recovery:schema_version';
+
+module.exports = {
+  SCHEMA_VERSION_KEY,
+  migrations: [
+    {
+      version: 1,
+      name: 'create_indexes',
+      // Rebuild the index sets from any recovery records written before indexing existed
+      up: async (client) => {
+        for await (const key of client.scanIterator({ MATCH: 'recovery:0x*', COUNT: 100 })) {
+          const keys = Array.isArray(key) ? key : [key];
+          for (const recordKey of keys) {
+            const value = await client.get(recordKey);
+            if (!value) continue;
+            const recovery = JSON.parse(value);
+            await client.sAdd('recoveries:index', recovery.id);
+            await client.sAdd(`recovery:wallet:${recovery.hackedWallet.toLowerCase()}`, recovery.id);
+            if (recovery.isActive) {
+              await client.sAdd('recoveries:active', recovery.id);
+            }
+          }
+        }
+      }
+    }
+  ]
+};
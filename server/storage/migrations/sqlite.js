@@ -0,0 +1,67 @@
+/**
+ * SQLite schema migrations for the recovery registry
+ * Append new migrations to the end; applied versions are tracked in schema_migrations
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: 'create_recoveries',
+    up: `
+      CREATE TABLE IF NOT EXISTS recoveries (
+        id TEXT PRIMARY KEY,
+        hacked_wallet TEXT NOT NULL,
+        safe_wallet TEXT NOT NULL,
+        network TEXT NOT NULL,
+        nonce INTEGER,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        last_check TEXT,
+        deactivated_at TEXT,
+        recovered_tokens TEXT NOT NULL DEFAULT '[]'
+      );
+      CREATE INDEX IF NOT EXISTS idx_recoveries_active ON recoveries (is_active);
+      CREATE INDEX IF NOT EXISTS idx_recoveries_hacked_wallet ON recoveries (hacked_wallet COLLATE NOCASE);
+
+      CREATE TABLE IF NOT EXISTS recovery_statuses (
+        recovery_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'create_recovery_history',
+    up: `
+      CREATE TABLE IF NOT EXISTS recovery_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recovery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        details TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_recovery_history_recovery ON recovery_history (recovery_id, id);
+    `
+  },
+  {
+    version: 3,
+    name: 'add_recovery_metadata',
+    // Free-form JSON for fields added by later features, so they need no schema change
+    up: `
+      ALTER TABLE recoveries ADD COLUMN metadata TEXT NOT NULL DEFAULT '{}';
+    `
+  },
+  {
+    version: 4,
+    name: 'create_recovery_state',
+    // Service bookkeeping that must survive restarts (sync cursors, sponsor spending)
+    up: `
+      CREATE TABLE IF NOT EXISTS recovery_state (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  }
+];
@@ -0,0 +1,235 @@
+/**
+ * Redis recovery store
+ * Shares the server's Redis connection (server/utils/redis.js) so several server
+ * instances see the same registry
+ */
+
+const { getRedisClient } = require('../utils/redis');
+const { serializeRecord, deserializeRecord } = require('../models/recovery.js');
+const { SCHEMA_VERSION_KEY, migrations } = require('./migrations/redis.js');
+
+const MAX_HISTORY_ENTRIES = 1000;
+
+const recoveryKey = (id) => `recovery:${id}`;
+const statusKey = (id) => `recovery:status:${id}`;
+const historyKey = (id) => `recovery:history:${id}`;
+const stateKey = (key) => `recovery:state:${key}`;
+const walletKey = (hackedWallet) => `recovery:wallet:${hackedWallet.toLowerCase()}`;
+const INDEX_KEY = 'recoveries:index';
+const ACTIVE_KEY = 'recoveries:active';
+
+/**
+ * Redis recovery store class
+ */
+class RedisRecoveryStore {
+  constructor() {
+    this.client = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Connect and apply pending migrations
+   */
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        const client = await getRedisClient();
+        if (!client) {
+          throw new Error('Redis recovery store requires a reachable REDIS_URL');
+        }
+        this.client = client;
+        await this.migrate();
+      })().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Apply migrations newer than the stored schema version
+   * @returns {Promise<Array<number>>} Versions applied
+   */
+  async migrate() {
+    const current = Number(await this.client.get(SCHEMA_VERSION_KEY)) || 0;
+    const appliedNow = [];
+
+    for (const migration of migrations) {
+      if (migration.version <= current) continue;
+      await migration.up(this.client);
+      await this.client.set(SCHEMA_VERSION_KEY, String(migration.version));
+      console.log(`Applied recovery store migration ${migration.version}: ${migration.name}`);
+      appliedNow.push(migration.version);
+    }
+
+    return appliedNow;
+  }
+
+  /**
+   * Get the current schema version
+   * @returns {Promise<number>} Applied migration version
+   */
+  async getSchemaVersion() {
+    await this.init();
+    return Number(await this.client.get(SCHEMA_VERSION_KEY)) || 0;
+  }
+
+  /**
+   * Get a recovery by ID
+   * @param {string} id - Recovery ID
+   * @returns {Promise<Object|null>} Recovery record
+   */
+  async getRecovery(id) {
+    await this.init();
+    return deserializeRecord(await this.client.get(recoveryKey(id)));
+  }
+
+  /**
+   * Find a recovery by hacked wallet, preferring active ones
+   * @param {string} hackedWallet - Hacked wallet address
+   * @returns {Promise<Object|null>} Recovery record
+   */
+  async findRecoveryByWallet(hackedWallet) {
+    await this.init();
+    const ids = await this.client.sMembers(walletKey(hackedWallet));
+    const recoveries = (await Promise.all(ids.map(id => this.getRecovery(id)))).filter(Boolean);
+    recoveries.sort((a, b) => (b.isActive - a.isActive) || b.createdAt.localeCompare(a.createdAt));
+    return recoveries[0] || null;
+  }
+
+  /**
+   * List recoveries
+   * @param {Object} options - List options
+   * @param {boolean} options.activeOnly - Only return active recoveries
+   * @returns {Promise<Array>} Recovery records
+   */
+  async listRecoveries({ activeOnly = false } = {}) {
+    await this.init();
+    const ids = await this.client.sMembers(activeOnly ? ACTIVE_KEY : INDEX_KEY);
+    const recoveries = (await Promise.all(ids.map(id => this.getRecovery(id)))).filter(Boolean);
+    return recoveries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Insert or update a recovery
+   * @param {Object} recovery - Recovery record
+   * @returns {Promise<Object>} Saved recovery
+   */
+  async saveRecovery(recovery) {
+    await this.init();
+    const multi = this.client.multi()
+      .set(recoveryKey(recovery.id), serializeRecord(recovery))
+      .sAdd(INDEX_KEY, recovery.id)
+      .sAdd(walletKey(recovery.hackedWallet), recovery.id);
+
+    if (recovery.isActive) {
+      multi.sAdd(ACTIVE_KEY, recovery.id);
+    } else {
+      multi.sRem(ACTIVE_KEY, recovery.id);
+    }
+
+    await multi.exec();
+    return recovery;
+  }
+
+  /**
+   * Delete a recovery and its status (history is kept)
+   * @param {string} id - Recovery ID
+   * @returns {Promise<boolean>} True if a recovery was deleted
+   */
+  async deleteRecovery(id) {
+    await this.init();
+    const recovery = await this.getRecovery(id);
+    if (!recovery) return false;
+
+    await this.client.multi()
+      .del(recoveryKey(id))
+      .del(statusKey(id))
+      .sRem(INDEX_KEY, id)
+      .sRem(ACTIVE_KEY, id)
+      .sRem(walletKey(recovery.hackedWallet), id)
+      .exec();
+    return true;
+  }
+
+  /**
+   * Get a recovery's status
+   * @param {string} id - Recovery ID
+   * @returns {Promise<Object|null>} Status record
+   */
+  async getStatus(id) {
+    await this.init();
+    return deserializeRecord(await this.client.get(statusKey(id)));
+  }
+
+  /**
+   * Save a recovery's status
+   * @param {string} id - Recovery ID
+   * @param {Object} status - Status record
+   * @returns {Promise<Object>} Saved status
+   */
+  async saveStatus(id, status) {
+    await this.init();
+    await this.client.set(statusKey(id), serializeRecord(status));
+    return status;
+  }
+
+  /**
+   * Append a history entry (capped at MAX_HISTORY_ENTRIES per recovery)
+   * @param {Object} entry - History entry ({ recoveryId, event, details, createdAt })
+   * @returns {Promise<Object>} Saved entry
+   */
+  async addHistory(entry) {
+    await this.init();
+    await this.client.multi()
+      .rPush(historyKey(entry.recoveryId), serializeRecord(entry))
+      .lTrim(historyKey(entry.recoveryId), -MAX_HISTORY_ENTRIES, -1)
+      .exec();
+    return entry;
+  }
+
+  /**
+   * Get the most recent history entries for a recovery, newest first
+   * @param {string} id - Recovery ID
+   * @param {number} limit - Max entries
+   * @returns {Promise<Array>} History entries
+   */
+  async getHistory(id, limit = 50) {
+    await this.init();
+    const values = await this.client.lRange(historyKey(id), -limit, -1);
+    return values.map(deserializeRecord).filter(Boolean).reverse();
+  }
+
+  /**
+   * Get a piece of service state
+   * @param {string} key - State key (e.g. 'safeWalletSync:mainnet')
+   * @returns {Promise<*>} Saved value or null
+   */
+  async getState(key) {
+    await this.init();
+    return deserializeRecord(await this.client.get(stateKey(key)));
+  }
+
+  /**
+   * Save a piece of service state
+   * @param {string} key - State key
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<*>} Saved value
+   */
+  async saveState(key, value) {
+    await this.init();
+    await this.client.set(stateKey(key), serializeRecord(value));
+    return value;
+  }
+
+  /**
+   * The Redis connection is shared with the rest of the server, so it is left open
+   */
+  async close() {
+    this.client = null;
+    this.initPromise = null;
+  }
+}
+
+module.exports = RedisRecoveryStore;
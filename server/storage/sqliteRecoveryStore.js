@@ -0,0 +1,304 @@
+/**
+ * SQLite recovery store
+ * Default persistent backend for the recovery registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations/sqlite.js');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../data/recoveries.db');
+
+// Columns stored directly; everything else on the record goes into metadata
+const RECOVERY_COLUMNS = new Set([
+  'id', 'hackedWallet', 'safeWallet', 'network', 'nonce', 'isActive',
+  'createdAt', 'lastCheck', 'deactivatedAt', 'recoveredTokens'
+]);
+
+/**
+ * Convert a database row into a recovery record
+ * @param {Object} row - Row from the recoveries table
+ * @returns {Object} Recovery record
+ */
+const rowToRecovery = (row) => ({
+  ...JSON.parse(row.metadata || '{}'),
+  id: row.id,
+  hackedWallet: row.hacked_wallet,
+  safeWallet: row.safe_wallet,
+  network: row.network,
+  nonce: row.nonce === null ? undefined : row.nonce,
+  isActive: row.is_active === 1,
+  createdAt: row.created_at,
+  lastCheck: row.last_check || undefined,
+  deactivatedAt: row.deactivated_at || undefined,
+  recoveredTokens: JSON.parse(row.recovered_tokens || '[]')
+});
+
+/**
+ * SQLite recovery store class
+ */
+class SqliteRecoveryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filename - Database file path (':memory:' for tests)
+   */
+  constructor({ filename } = {}) {
+    this.filename = filename || process.env.RECOVERY_DB_PATH || DEFAULT_DB_PATH;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and apply pending migrations
+   */
+  async init() {
+    if (this.db) return;
+
+    // Required lazily so other backends work without the native module
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+  }
+
+  /**
+   * Apply migrations that have not run yet, each in its own transaction
+   * @returns {Array<number>} Versions applied
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const appliedNow = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+
+      console.log(`Applied recovery store migration ${migration.version}: ${migration.name}`);
+      appliedNow.push(migration.version);
+    }
+
+    return appliedNow;
+  }
+
+  /**
+   * Get the current schema version
+   * @returns {Promise<number>} Highest applied migration version
+   */
+  async getSchemaVersion() {
+    await this.init();
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  /**
+   * Get a recovery by ID
+   * @param {string} id - Recovery ID
+   * @returns {Promise<Object|null>} Recovery record
+   */
+  async getRecovery(id) {
+    await this.init();
+    const row = this.db.prepare('SELECT * FROM recoveries WHERE id = ?').get(id);
+    return row ? rowToRecovery(row) : null;
+  }
+
+  /**
+   * Find a recovery by hacked wallet, preferring active ones
+   * @param {string} hackedWallet - Hacked wallet address
+   * @returns {Promise<Object|null>} Recovery record
+   */
+  async findRecoveryByWallet(hackedWallet) {
+    await this.init();
+    const row = this.db.prepare(
+      'SELECT * FROM recoveries WHERE hacked_wallet = ? COLLATE NOCASE ORDER BY is_active DESC, created_at DESC LIMIT 1'
+    ).get(hackedWallet);
+    return row ? rowToRecovery(row) : null;
+  }
+
+  /**
+   * List recoveries
+   * @param {Object} options - List options
+   * @param {boolean} options.activeOnly - Only return active recoveries
+   * @returns {Promise<Array>} Recovery records
+   */
+  async listRecoveries({ activeOnly = false } = {}) {
+    await this.init();
+    const rows = activeOnly
+      ? this.db.prepare('SELECT * FROM recoveries WHERE is_active = 1 ORDER BY created_at').all()
+      : this.db.prepare('SELECT * FROM recoveries ORDER BY created_at').all();
+    return rows.map(rowToRecovery);
+  }
+
+  /**
+   * Insert or update a recovery
+   * @param {Object} recovery - Recovery record
+   * @returns {Promise<Object>} Saved recovery
+   */
+  async saveRecovery(recovery) {
+    await this.init();
+
+    const metadata = {};
+    for (const [key, value] of Object.entries(recovery)) {
+      if (!RECOVERY_COLUMNS.has(key) && value !== undefined) {
+        metadata[key] = value;
+      }
+    }
+
+    this.db.prepare(`
+      INSERT INTO recoveries (
+        id, hacked_wallet, safe_wallet, network, nonce, is_active,
+        created_at, last_check, deactivated_at, recovered_tokens, metadata
+      ) VALUES (
+        @id, @hackedWallet, @safeWallet, @network, @nonce, @isActive,
+        @createdAt, @lastCheck, @deactivatedAt, @recoveredTokens, @metadata
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        hacked_wallet = excluded.hacked_wallet,
+        safe_wallet = excluded.safe_wallet,
+        network = excluded.network,
+        nonce = excluded.nonce,
+        is_active = excluded.is_active,
+        created_at = excluded.created_at,
+        last_check = excluded.last_check,
+        deactivated_at = excluded.deactivated_at,
+        recovered_tokens = excluded.recovered_tokens,
+        metadata = excluded.metadata
+    `).run({
+      id: recovery.id,
+      hackedWallet: recovery.hackedWallet,
+      safeWallet: recovery.safeWallet,
+      network: recovery.network,
+      nonce: recovery.nonce === undefined ? null : recovery.nonce,
+      isActive: recovery.isActive ? 1 : 0,
+      createdAt: recovery.createdAt,
+      lastCheck: recovery.lastCheck || null,
+      deactivatedAt: recovery.deactivatedAt || null,
+      recoveredTokens: JSON.stringify(recovery.recoveredTokens || []),
+      metadata: JSON.stringify(metadata)
+    });
+
+    return recovery;
+  }
+
+  /**
+   * Delete a recovery and its status (history is kept)
+   * @param {string} id - Recovery ID
+   * @returns {Promise<boolean>} True if a recovery was deleted
+   */
+  async deleteRecovery(id) {
+    await this.init();
+    const result = this.db.prepare('DELETE FROM recoveries WHERE id = ?').run(id);
+    this.db.prepare('DELETE FROM recovery_statuses WHERE recovery_id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get a recovery's status
+   * @param {string} id - Recovery ID
+   * @returns {Promise<Object|null>} Status record
+   */
+  async getStatus(id) {
+    await this.init();
+    const row = this.db.prepare('SELECT data FROM recovery_statuses WHERE recovery_id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Save a recovery's status
+   * @param {string} id - Recovery ID
+   * @param {Object} status - Status record
+   * @returns {Promise<Object>} Saved status
+   */
+  async saveStatus(id, status) {
+    await this.init();
+    this.db.prepare(`
+      INSERT INTO recovery_statuses (recovery_id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(recovery_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(id, JSON.stringify(status), new Date().toISOString());
+    return status;
+  }
+
+  /**
+   * Append a history entry
+   * @param {Object} entry - History entry ({ recoveryId, event, details, createdAt })
+   * @returns {Promise<Object>} Saved entry
+   */
+  async addHistory(entry) {
+    await this.init();
+    this.db.prepare('INSERT INTO recovery_history (recovery_id, event, details, created_at) VALUES (?, ?, ?, ?)')
+      .run(entry.recoveryId, entry.event, JSON.stringify(entry.details || {}), entry.createdAt);
+    return entry;
+  }
+
+  /**
+   * Get the most recent history entries for a recovery, newest first
+   * @param {string} id - Recovery ID
+   * @param {number} limit - Max entries
+   * @returns {Promise<Array>} History entries
+   */
+  async getHistory(id, limit = 50) {
+    await this.init();
+    return this.db.prepare(
+      'SELECT recovery_id, event, details, created_at FROM recovery_history WHERE recovery_id = ? ORDER BY id DESC LIMIT ?'
+    ).all(id, limit).map(row => ({
+      recoveryId: row.recovery_id,
+      event: row.event,
+      details: JSON.parse(row.details),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Get a piece of service state
+   * @param {string} key - State key (e.g. 'safeWalletSync:mainnet')
+   * @returns {Promise<*>} Saved value or null
+   */
+  async getState(key) {
+    await this.init();
+    const row = this.db.prepare('SELECT data FROM recovery_state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Save a piece of service state
+   * @param {string} key - State key
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<*>} Saved value
+   */
+  async saveState(key, value) {
+    await this.init();
+    this.db.prepare(`
+      INSERT INTO recovery_state (key, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(key, JSON.stringify(value), new Date().toISOString());
+    return value;
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteRecoveryStore;
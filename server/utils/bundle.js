@@ -0,0 +1,303 @@
+/**
+ * Private bundle submission utilities
+ * Signs a sponsor funding transaction plus the hacked wallet's transfers with
+ * explicit sequential nonces and submits them atomically to a Flashbots-style relay
+ */
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { getDefaultGasLimit } = require('./ethers.js');
+
+const DEFAULT_TARGET_BLOCKS = 5;
+const DEFAULT_POLL_INTERVAL = 1000;
+const DEFAULT_BLOCK_TIMEOUT = 60000;
+const RELAY_REQUEST_TIMEOUT = 15000;
+
+// Bundled transfers run in a fixed order against known state, so the node's estimate
+// only needs a small margin rather than the default floors used for public transactions
+const BUNDLE_GAS_HEADROOM_PERCENT = 110n;
+// EIP-1559 moves the base fee by at most 1/8 per block
+const BASE_FEE_MAX_CHANGE_DENOMINATOR = 8n;
+
+/**
+ * Create the signer used to authenticate relay requests
+ * Uses BUNDLE_AUTH_PRIVATE_KEY when set so the relay can build reputation for it,
+ * otherwise a throwaway key. This key never holds funds.
+ * @returns {ethers.Wallet} Auth signer
+ */
+const createAuthSigner = () => {
+  const key = process.env.BUNDLE_AUTH_PRIVATE_KEY;
+  return key ? new ethers.Wallet(key) : ethers.Wallet.createRandom();
+};
+
+/**
+ * Send a JSON-RPC request to a bundle relay
+ * @param {string} relayUrl - Relay endpoint
+ * @param {string} method - JSON-RPC method (e.g. eth_sendBundle)
+ * @param {Array} params - JSON-RPC params
+ * @param {ethers.Wallet} authSigner - Signer for the X-Flashbots-Signature header (optional)
+ * @returns {Promise<any>} JSON-RPC result
+ */
+const callRelay = async (relayUrl, method, params, authSigner = null) => {
+  const body = JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params });
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (authSigner) {
+    const signature = await authSigner.signMessage(ethers.id(body));
+    headers['X-Flashbots-Signature'] = `${authSigner.address}:${signature}`;
+  }
+
+  try {
+    const response = await axios.post(relayUrl, body, { headers, timeout: RELAY_REQUEST_TIMEOUT });
+    if (response.data && response.data.error) {
+      throw new Error(response.data.error.message || JSON.stringify(response.data.error));
+    }
+    return response.data ? response.data.result : null;
+  } catch (error) {
+    const relayError = error.response && error.response.data && error.response.data.error;
+    const message = relayError ? (relayError.message || JSON.stringify(relayError)) : error.message;
+    throw new Error(`Relay ${method} failed: ${message}`);
+  }
+};
+
+/**
+ * Set the gas limit of each bundled transfer from the node's estimate plus
+ * BUNDLE_GAS_HEADROOM_PERCENT. The sponsor funds every unit of it and leftovers stay in
+ * the hacked wallet within a sweeper bot's reach, so the limits are kept tight.
+ * @param {ethers.Provider} provider - Provider for the network
+ * @param {Array<Object>} calls - Transfer calls ({ to, data, value, txType })
+ * @param {string} fromAddress - Hacked wallet sending the transfers
+ * @param {string} network - Network identifier (for the fallback gas limit)
+ * @returns {Promise<Array<Object>>} Calls with gasLimit set
+ */
+const estimateBundleCalls = async (provider, calls, fromAddress, network) => {
+  const estimated = [];
+  for (const call of calls) {
+    let gasLimit;
+    try {
+      const gas = await provider.estimateGas({ from: fromAddress, to: call.to, data: call.data, value: call.value || 0n });
+      gasLimit = (BigInt(gas) * BUNDLE_GAS_HEADROOM_PERCENT + 99n) / 100n;
+    } catch (error) {
+      console.warn(`Gas estimation failed for bundled ${call.label || call.txType}: ${error.message}`);
+      gasLimit = getDefaultGasLimit(network, call.txType);
+    }
+    estimated.push({ ...call, gasLimit });
+  }
+  return estimated;
+};
+
+/**
+ * Get the highest fee per gas a bundle can be charged in any of the blocks it targets
+ * The base fee of the latest block can rise by at most 1/8 per block, so signing the
+ * transfers with this cap (and funding them at it) leaves no fee headroom unused.
+ * @param {ethers.Provider} provider - Provider for the network
+ * @param {bigint} maxPriorityFeePerGas - Priority fee the bundle pays
+ * @param {number} targetBlocks - How many consecutive blocks the bundle targets
+ * @returns {Promise<bigint>} Max fee per gas
+ */
+const getBundleMaxFee = async (provider, maxPriorityFeePerGas, targetBlocks = DEFAULT_TARGET_BLOCKS) => {
+  const block = await provider.getBlock('latest');
+  let baseFee = BigInt(block.baseFeePerGas || 0n);
+  for (let i = 0; i < targetBlocks; i++) {
+    baseFee += (baseFee + BASE_FEE_MAX_CHANGE_DENOMINATOR - 1n) / BASE_FEE_MAX_CHANGE_DENOMINATOR;
+  }
+  return baseFee + BigInt(maxPriorityFeePerGas);
+};
+
+/**
+ * Calculate how much ETH the hacked wallet needs to pay for its bundled transfers
+ * @param {Array<Object>} calls - Transfer calls with gasLimit set
+ * @param {bigint} maxFeePerGas - Max fee per gas used to sign the transfers
+ * @returns {bigint} Required funding in wei
+ */
+const calculateFundingAmount = (calls, maxFeePerGas) => {
+  const totalGas = calls.reduce((sum, call) => sum + BigInt(call.gasLimit), 0n);
+  return totalGas * BigInt(maxFeePerGas);
+};
+
+/**
+ * Sign the funding transaction and the hacked wallet's transfers for a bundle
+ * Nonces are read once and assigned sequentially so the bundle is self-contained.
+ * @param {Object} params - Bundle parameters
+ * @param {ethers.Wallet} params.sponsorWallet - Wallet paying for gas
+ * @param {ethers.Wallet} params.hackedWallet - Compromised wallet holding the assets
+ * @param {Array<Object>} params.calls - Transfer calls with gasLimit set
+ * @param {bigint} params.maxFeePerGas - Max fee per gas
+ * @param {bigint} params.maxPriorityFeePerGas - Max priority fee per gas
+ * @param {bigint} params.chainId - Chain ID
+ * @param {bigint} params.fundingAmount - Override for the funding amount (optional)
+ * @returns {Promise<Object>} { signedTransactions, transactionHashes, fundingAmount, nonces }
+ */
+const signBundleTransactions = async ({
+  sponsorWallet,
+  hackedWallet,
+  calls,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  chainId,
+  fundingAmount = null
+}) => {
+  if (!calls || calls.length === 0) {
+    throw new Error('No transfer calls to bundle');
+  }
+
+  const provider = sponsorWallet.provider;
+  const [sponsorNonce, hackedNonce] = await Promise.all([
+    provider.getTransactionCount(sponsorWallet.address, 'pending'),
+    provider.getTransactionCount(hackedWallet.address, 'latest')
+  ]);
+
+  const funding = fundingAmount !== null
+    ? BigInt(fundingAmount)
+    : calculateFundingAmount(calls, maxFeePerGas);
+
+  const feeFields = {
+    type: 2,
+    chainId: BigInt(chainId),
+    maxFeePerGas: BigInt(maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(maxPriorityFeePerGas)
+  };
+
+  const signedTransactions = [];
+
+  signedTransactions.push(await sponsorWallet.signTransaction({
+    ...feeFields,
+    to: hackedWallet.address,
+    value: funding,
+    gasLimit: 21000n,
+    nonce: sponsorNonce
+  }));
+
+  for (let i = 0; i < calls.length; i++) {
+    const call = calls[i];
+    signedTransactions.push(await hackedWallet.signTransaction({
+      ...feeFields,
+      to: call.to,
+      data: call.data,
+      value: BigInt(call.value || 0),
+      gasLimit: BigInt(call.gasLimit),
+      nonce: hackedNonce + i
+    }));
+  }
+
+  return {
+    signedTransactions,
+    transactionHashes: signedTransactions.map(tx => ethers.keccak256(tx)),
+    fundingAmount: funding,
+    nonces: { sponsor: sponsorNonce, hacked: hackedNonce }
+  };
+};
+
+/**
+ * Wait until the chain reaches a block number
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {number} blockNumber - Block number to wait for
+ * @param {number} pollInterval - Poll interval in ms
+ * @param {number} timeout - Max wait in ms
+ * @returns {Promise<number>} Current block number
+ */
+const waitForBlock = async (provider, blockNumber, pollInterval = DEFAULT_POLL_INTERVAL, timeout = DEFAULT_BLOCK_TIMEOUT) => {
+  const deadline = Date.now() + timeout;
+  while (true) {
+    const current = await provider.getBlockNumber();
+    if (current >= blockNumber) return current;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for block ${blockNumber} (current ${current})`);
+    }
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+};
+
+/**
+ * Submit a signed bundle, retrying for each of the next N target blocks until included
+ * @param {Object} params - Submission parameters
+ * @param {ethers.Provider} params.provider - Provider used to track blocks and receipts
+ * @param {string} params.relayUrl - Relay endpoint
+ * @param {Array<string>} params.signedTransactions - Signed raw transactions, in order
+ * @param {ethers.Wallet} params.authSigner - Relay auth signer (optional)
+ * @param {number} params.targetBlocks - How many consecutive blocks to target
+ * @param {number} params.pollInterval - Block poll interval in ms
+ * @param {Function} params.shouldCancel - Returns true to stop retrying (optional)
+ * @returns {Promise<Object>} { success, blockNumber, attempts, receipts, error }
+ */
+const submitBundle = async ({
+  provider,
+  relayUrl,
+  signedTransactions,
+  authSigner = null,
+  targetBlocks = DEFAULT_TARGET_BLOCKS,
+  pollInterval = DEFAULT_POLL_INTERVAL,
+  shouldCancel = null
+}) => {
+  if (!relayUrl) {
+    return { success: false, attempts: 0, error: 'No bundle relay configured for this network' };
+  }
+
+  const transactionHashes = signedTransactions.map(tx => ethers.keccak256(tx));
+  const startBlock = await provider.getBlockNumber();
+  let attempts = 0;
+  let lastError = null;
+
+  for (let offset = 1; offset <= targetBlocks; offset++) {
+    if (shouldCancel && shouldCancel()) {
+      return { success: false, attempts, error: 'Bundle submission cancelled' };
+    }
+
+    const targetBlock = startBlock + offset;
+    attempts++;
+
+    try {
+      const result = await callRelay(relayUrl, 'eth_sendBundle', [{
+        txs: signedTransactions,
+        blockNumber: ethers.toQuantity(targetBlock)
+      }], authSigner);
+      console.log(`Bundle submitted for block ${targetBlock}${result && result.bundleHash ? ` (${result.bundleHash})` : ''}`);
+    } catch (error) {
+      lastError = error.message;
+      console.warn(`Bundle submission for block ${targetBlock} failed: ${error.message}`);
+    }
+
+    try {
+      await waitForBlock(provider, targetBlock, pollInterval);
+    } catch (error) {
+      lastError = error.message;
+      break;
+    }
+
+    // The funding transaction lands only if the whole bundle did
+    const fundingReceipt = await provider.getTransactionReceipt(transactionHashes[0]);
+    if (fundingReceipt) {
+      const receipts = await Promise.all(transactionHashes.map(hash => provider.getTransactionReceipt(hash)));
+      const failed = receipts.filter(receipt => !receipt || receipt.status !== 1).length;
+      return {
+        success: failed === 0,
+        blockNumber: fundingReceipt.blockNumber,
+        attempts,
+        transactionHashes,
+        receipts,
+        error: failed > 0 ? `${failed} bundled transaction(s) failed or are missing` : undefined
+      };
+    }
+
+    console.log(`Bundle not included in block ${targetBlock}, retrying...`);
+  }
+
+  return {
+    success: false,
+    attempts,
+    transactionHashes,
+    error: lastError || `Bundle not included within ${targetBlocks} blocks`
+  };
+};
+
+module.exports = {
+  DEFAULT_TARGET_BLOCKS,
+  createAuthSigner,
+  callRelay,
+  calculateFundingAmount,
+  estimateBundleCalls,
+  getBundleMaxFee,
+  signBundleTransactions,
+  waitForBlock,
+  submitBundle
+};
@@ -0,0 +1,115 @@
+/**
+ * Recovery signing credentials
+ * A registered recovery can carry the hacked wallet's key encrypted at rest
+ * (AES-256-GCM, key derived from RECOVERY_ENCRYPTION_KEY) so monitoring can move
+ * newly detected assets, or rely on a signer configured in RECOVERY_SIGNER_PRIVATE_KEYS
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const CREDENTIAL_VERSION = 1;
+const CREDENTIAL_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive the AES key for a credential
+ * @param {string} secret - Encryption secret
+ * @param {Buffer} salt - Per-credential salt
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (secret, salt) => crypto.scryptSync(secret, salt, 32);
+
+/**
+ * Check whether credentials can be encrypted/decrypted in this process
+ * @returns {boolean} True if RECOVERY_ENCRYPTION_KEY is set
+ */
+const hasEncryptionKey = () => !!process.env.RECOVERY_ENCRYPTION_KEY;
+
+/**
+ * Encrypt a private key for storage on a recovery record
+ * @param {string} privateKey - Wallet private key
+ * @param {string} secret - Encryption secret (default: RECOVERY_ENCRYPTION_KEY)
+ * @returns {Object} Credential ({ version, algorithm, address, salt, iv, tag, ciphertext })
+ */
+const encryptCredential = (privateKey, secret = process.env.RECOVERY_ENCRYPTION_KEY) => {
+  if (!secret) {
+    throw new Error('RECOVERY_ENCRYPTION_KEY is required to store signing credentials');
+  }
+
+  const normalizedKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  const address = new ethers.Wallet(normalizedKey).address;
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CREDENTIAL_ALGORITHM, deriveKey(secret, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(normalizedKey, 'utf8'), cipher.final()]);
+
+  return {
+    version: CREDENTIAL_VERSION,
+    algorithm: CREDENTIAL_ALGORITHM,
+    address,
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+};
+
+/**
+ * Decrypt a stored credential
+ * @param {Object} credential - Credential from encryptCredential
+ * @param {string} secret - Encryption secret (default: RECOVERY_ENCRYPTION_KEY)
+ * @returns {string} Private key
+ */
+const decryptCredential = (credential, secret = process.env.RECOVERY_ENCRYPTION_KEY) => {
+  if (!secret) {
+    throw new Error('RECOVERY_ENCRYPTION_KEY is required to use signing credentials');
+  }
+  if (!credential || credential.version !== CREDENTIAL_VERSION || credential.algorithm !== CREDENTIAL_ALGORITHM) {
+    throw new Error('Unsupported credential format');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      CREDENTIAL_ALGORITHM,
+      deriveKey(secret, Buffer.from(credential.salt, 'hex')),
+      Buffer.from(credential.iv, 'hex')
+    );
+    decipher.setAuthTag(Buffer.from(credential.tag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(credential.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Failed to decrypt credential: ${error.message}`);
+  }
+};
+
+/**
+ * Find a configured signer key for an address
+ * @param {string} address - Wallet address
+ * @returns {string|null} Private key or null
+ */
+const getConfiguredSignerKey = (address) => {
+  const keys = (process.env.RECOVERY_SIGNER_PRIVATE_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  for (const key of keys) {
+    try {
+      if (new ethers.Wallet(key).address.toLowerCase() === address.toLowerCase()) {
+        return key;
+      }
+    } catch (_) {
+      console.warn('Ignoring malformed key in RECOVERY_SIGNER_PRIVATE_KEYS');
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  hasEncryptionKey,
+  encryptCredential,
+  decryptCredential,
+  getConfiguredSignerKey
+};
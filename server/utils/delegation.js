@@ -0,0 +1,206 @@
+/**
+ * EIP-7702 delegated batch rescue utilities
+ * The hacked wallet signs an authorization delegating its code to BatchExecutor plus
+ * an EIP-712 batch signature; a sponsor then submits a single type-4 transaction
+ * that moves every asset at once
+ */
+
+const { ethers } = require('ethers');
+const { getDefaultGasLimit } = require('./ethers.js');
+
+const BATCH_EXECUTOR_ABI = [
+  'function execute((address target, uint256 value, bytes data)[] calls) payable',
+  'function executeWithSig((address target, uint256 value, bytes data)[] calls, uint256 deadline, bytes signature) payable',
+  'function nonce() view returns (uint256)',
+  'event BatchExecuted(uint256 indexed nonce, uint256 callCount, uint256 failedCount)',
+  'event CallFailed(uint256 indexed index, address indexed target, bytes reason)'
+];
+
+const BATCH_EXECUTOR_INTERFACE = new ethers.Interface(BATCH_EXECUTOR_ABI);
+
+// ERC-7201 slot holding BatchExecutor's nonce inside the delegating wallet's storage
+const EXECUTOR_STORAGE_LOCATION = '0x11f76bea2901a397d8f01f5a294c1133561c9d1de215f2787128a96c30dacb00';
+
+// EIP-7702 delegation designator prefix (0xef0100 || address)
+const DELEGATION_PREFIX = '0xef0100';
+
+// Extra gas charged per authorization tuple (PER_EMPTY_ACCOUNT_COST)
+const AUTHORIZATION_GAS = 25000n;
+
+const EXECUTE_TYPES = {
+  Execute: [
+    { name: 'calls', type: 'Call[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  Call: [
+    { name: 'target', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+/**
+ * Get the address an account currently delegates to, if any
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {string} account - Account address
+ * @returns {Promise<string|null>} Delegate address or null
+ */
+const getDelegation = async (provider, account) => {
+  const code = await provider.getCode(account);
+  if (!code || !code.toLowerCase().startsWith(DELEGATION_PREFIX) || code.length !== 48) {
+    return null;
+  }
+  return ethers.getAddress(`0x${code.slice(8)}`);
+};
+
+/**
+ * Read the BatchExecutor nonce stored in a wallet's storage
+ * Works before delegation too, since the slot is simply zero then.
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {string} account - Account address
+ * @returns {Promise<bigint>} Next batch nonce
+ */
+const getExecutorNonce = async (provider, account) => {
+  const value = await provider.getStorage(account, EXECUTOR_STORAGE_LOCATION);
+  return BigInt(value);
+};
+
+/**
+ * Convert transfer calls into BatchExecutor Call structs
+ * @param {Array<Object>} calls - Transfer calls ({ to, data, value })
+ * @returns {Array<Object>} Executor calls ({ target, value, data })
+ */
+const toExecutorCalls = (calls) => calls.map(call => ({
+  target: call.to,
+  value: BigInt(call.value || 0),
+  data: call.data
+}));
+
+/**
+ * Sign a batch for BatchExecutor.executeWithSig with the delegating wallet's key
+ * @param {ethers.Wallet} wallet - Delegating (hacked) wallet
+ * @param {Array<Object>} executorCalls - Executor calls
+ * @param {bigint} nonce - Executor nonce
+ * @param {number} deadline - Unix timestamp
+ * @param {bigint} chainId - Chain ID
+ * @returns {Promise<string>} Signature
+ */
+const signExecuteBatch = async (wallet, executorCalls, nonce, deadline, chainId) => {
+  const domain = {
+    name: 'BatchExecutor',
+    version: '1',
+    chainId,
+    verifyingContract: wallet.address
+  };
+  return wallet.signTypedData(domain, EXECUTE_TYPES, { calls: executorCalls, nonce, deadline });
+};
+
+/**
+ * Build a sponsored EIP-7702 rescue transaction
+ * @param {Object} params - Build parameters
+ * @param {ethers.Wallet} params.hackedWallet - Compromised wallet (connected to a provider)
+ * @param {string} params.executorAddress - Deployed BatchExecutor address
+ * @param {Array<Object>} params.calls - Transfer calls ({ to, data, value, txType })
+ * @param {string} params.network - Network name for gas defaults
+ * @param {number} params.deadlineSeconds - Signature lifetime (default 10 minutes)
+ * @returns {Promise<Object>} { request, executorCalls, nonce, deadline, needsAuthorization }
+ */
+const buildDelegatedRescueTransaction = async ({
+  hackedWallet,
+  executorAddress,
+  calls,
+  network = 'default',
+  deadlineSeconds = 600
+}) => {
+  if (!calls || calls.length === 0) {
+    throw new Error('No transfer calls to execute');
+  }
+
+  const provider = hackedWallet.provider;
+  const { chainId } = await provider.getNetwork();
+  const [currentDelegate, nonce, latestBlock] = await Promise.all([
+    getDelegation(provider, hackedWallet.address),
+    getExecutorNonce(provider, hackedWallet.address),
+    provider.getBlock('latest')
+  ]);
+
+  const executorCalls = toExecutorCalls(calls);
+  const deadline = BigInt(latestBlock.timestamp + deadlineSeconds);
+  const signature = await signExecuteBatch(hackedWallet, executorCalls, nonce, deadline, chainId);
+
+  const request = {
+    to: hackedWallet.address,
+    data: BATCH_EXECUTOR_INTERFACE.encodeFunctionData('executeWithSig', [executorCalls, deadline, signature])
+  };
+
+  // Once the wallet already points at the executor a plain call is enough
+  // (type-4 transactions must carry at least one authorization)
+  const needsAuthorization = !currentDelegate ||
+    currentDelegate.toLowerCase() !== executorAddress.toLowerCase();
+  if (needsAuthorization) {
+    request.type = 4;
+    request.authorizationList = [await hackedWallet.authorize({
+      address: executorAddress,
+      chainId
+    })];
+  }
+
+  // Node estimation does not always account for the delegated code, so never go
+  // below the per-transfer defaults
+  const defaultGas = calls.reduce((sum, call) => sum + getDefaultGasLimit(network, call.txType), 0n) +
+    (needsAuthorization ? AUTHORIZATION_GAS : 0n) + 50000n;
+  let gasLimit = defaultGas;
+  try {
+    const estimated = await provider.estimateGas({ ...request, from: ethers.ZeroAddress });
+    const buffered = (estimated * 120n) / 100n;
+    gasLimit = buffered > defaultGas ? buffered : defaultGas;
+  } catch (error) {
+    console.warn(`EIP-7702 gas estimation failed, using defaults: ${error.message}`);
+  }
+  request.gasLimit = gasLimit;
+
+  return { request, executorCalls, nonce, deadline, needsAuthorization };
+};
+
+/**
+ * Parse BatchExecutor events from a rescue receipt
+ * @param {ethers.TransactionReceipt} receipt - Transaction receipt
+ * @param {string} account - Delegating wallet address (the event emitter)
+ * @returns {Object} { executed, callCount, failedIndexes }
+ */
+const parseBatchResult = (receipt, account) => {
+  const result = { executed: false, callCount: 0, failedIndexes: [] };
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== account.toLowerCase()) continue;
+    let parsed;
+    try {
+      parsed = BATCH_EXECUTOR_INTERFACE.parseLog(log);
+    } catch (_) {
+      continue;
+    }
+    if (!parsed) continue;
+
+    if (parsed.name === 'BatchExecuted') {
+      result.executed = true;
+      result.callCount = Number(parsed.args.callCount);
+    } else if (parsed.name === 'CallFailed') {
+      result.failedIndexes.push(Number(parsed.args.index));
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  BATCH_EXECUTOR_ABI,
+  BATCH_EXECUTOR_INTERFACE,
+  EXECUTOR_STORAGE_LOCATION,
+  getDelegation,
+  getExecutorNonce,
+  toExecutorCalls,
+  signExecuteBatch,
+  buildDelegatedRescueTransaction,
+  parseBatchResult
+};
@@ -0,0 +1,127 @@
+/**
+ * Airdrop distribution file parsing
+ * Accepts the formats airdrops usually publish:
+ * - Uniswap-style JSON: { merkleRoot, claims: { [address]: { index, amount, proof } } }
+ * - JSON array: [{ address, index, amount, proof }]
+ * - CSV with an address,index,amount,proof header (proof as a JSON array or
+ *   hashes separated by spaces, ';' or '|')
+ */
+
+const { getChecksumAddress } = require('./ethers.js');
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+/**
+ * Parse a proof cell into a list of hashes
+ * @param {string|Array} proof - Proof as an array, JSON string or separated hashes
+ * @returns {Array<string>} Proof hashes
+ */
+const parseProof = (proof) => {
+  if (Array.isArray(proof)) return proof;
+  const value = String(proof || '').trim();
+  if (!value) return [];
+  if (value.startsWith('[')) return JSON.parse(value);
+  return value.split(/[\s;|]+/).filter(Boolean);
+};
+
+/**
+ * Normalize one distribution entry
+ * @param {Object} raw - Raw entry ({ address|account, index, amount, proof })
+ * @returns {Object} { account, index, amount, proof }
+ */
+const normalizeEntry = (raw) => {
+  const address = raw.address || raw.account;
+  if (!address) throw new Error('Missing address');
+  if (raw.index === undefined || raw.index === null || raw.index === '') throw new Error('Missing index');
+  if (raw.amount === undefined || raw.amount === null || raw.amount === '') throw new Error('Missing amount');
+
+  return {
+    account: getChecksumAddress(address),
+    index: Number(raw.index),
+    // Uniswap publishes amounts as hex strings
+    amount: BigInt(raw.amount).toString(),
+    proof: parseProof(raw.proof)
+  };
+};
+
+/**
+ * Parse a distribution file
+ * Entries that cannot be parsed are returned as errors rather than failing the file.
+ * @param {string|Object|Array} content - File content (string) or already-parsed JSON
+ * @param {string} format - 'json' or 'csv' (detected when omitted)
+ * @returns {Object} { merkleRoot, entries, errors }
+ */
+const parseDistribution = (content, format = null) => {
+  let data = content;
+  const detected = format || (typeof content === 'string' && !/^\s*[[{]/.test(content) ? 'csv' : 'json');
+  let rawEntries = [];
+
+  if (detected === 'csv') {
+    const lines = String(content).split(/\r?\n/).filter(line => line.trim());
+    const header = splitCsvLine(lines.shift() || '').map(field => field.toLowerCase());
+    rawEntries = lines.map((line, row) => {
+      const fields = splitCsvLine(line);
+      return header.reduce((entry, name, i) => ({ ...entry, [name]: fields[i] }), { row: row + 2 });
+    });
+  } else {
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+    rawEntries = Array.isArray(data)
+      ? data
+      : Object.entries(data.claims || {}).map(([address, claim]) => ({ address, ...claim }));
+  }
+
+  const entries = [];
+  const errors = [];
+  rawEntries.forEach((raw, i) => {
+    try {
+      entries.push(normalizeEntry(raw));
+    } catch (error) {
+      errors.push({ row: raw.row || i + 1, address: raw.address || raw.account || null, error: error.message });
+    }
+  });
+
+  return {
+    merkleRoot: !Array.isArray(data) && data && data.merkleRoot ? data.merkleRoot : null,
+    entries,
+    errors
+  };
+};
+
+module.exports = {
+  parseDistribution,
+  parseProof
+};
@@ -88,6 +88,194 @@ const createWallet = (privateKey, provider) => {
   }
 };
 
+// Remote signer requests that take longer than this are treated as failed
+const REMOTE_SIGNER_TIMEOUT_MS = 30000;
+
+/**
+ * Convert a transaction request to the hex-encoded JSON-RPC form
+ * @param {Object} tx - Transaction request with resolved addresses
+ * @returns {Object} JSON-RPC transaction object
+ */
+const toRpcTransaction = (tx) => {
+  const result = {};
+
+  for (const key of ['chainId', 'type', 'nonce', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value']) {
+    if (tx[key] != null) {
+      result[key === 'gasLimit' ? 'gas' : key] = ethers.toQuantity(tx[key]);
+    }
+  }
+  for (const key of ['from', 'to', 'data']) {
+    if (tx[key] != null) {
+      result[key] = ethers.hexlify(tx[key]);
+    }
+  }
+  if (tx.accessList) {
+    result.accessList = ethers.accessListify(tx.accessList);
+  }
+
+  return result;
+};
+
+/**
+ * Signer for a key held by an external JSON-RPC signer (Web3Signer, Clef)
+ * Transactions are populated through the provider and signed remotely with
+ * eth_signTransaction, so the private key never enters this process
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} address - Address the remote signer holds the key for
+   * @param {string} url - Remote signer JSON-RPC endpoint
+   * @param {ethers.Provider} provider - Optional provider used to populate and send transactions
+   */
+  constructor(address, url, provider = null) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.url = url;
+    this.requestId = 0;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, this.url, provider);
+  }
+
+  /**
+   * Send a JSON-RPC request to the remote signer
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - Method parameters
+   * @returns {Promise<*>} Result field of the response
+   */
+  async request(method, params) {
+    const request = new ethers.FetchRequest(this.url);
+    request.timeout = REMOTE_SIGNER_TIMEOUT_MS;
+    request.body = { jsonrpc: '2.0', id: ++this.requestId, method, params };
+
+    const response = await request.send();
+    if (!response.ok()) {
+      throw new Error(`Remote signer ${method} failed: HTTP ${response.statusCode}`);
+    }
+
+    const payload = response.bodyJson;
+    if (payload.error) {
+      throw new Error(`Remote signer ${method} failed: ${payload.error.message || JSON.stringify(payload.error)}`);
+    }
+    return payload.result;
+  }
+
+  async signTransaction(tx) {
+    const request = ethers.copyRequest(tx);
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? ethers.resolveAddress(request.to, this.provider) : undefined,
+      from: request.from ? ethers.resolveAddress(request.from, this.provider) : undefined
+    });
+
+    if (from && from.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Transaction from ${from} cannot be signed by ${this.address}`);
+    }
+
+    // Web3Signer returns the raw transaction, Clef and geth wrap it as { raw, tx }
+    const result = await this.request('eth_signTransaction', [toRpcTransaction({ ...request, to, from: this.address })]);
+    const signed = ethers.Transaction.from(typeof result === 'string' ? result : result?.raw);
+
+    if (!signed.from || signed.from.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer returned a transaction not signed by ${this.address}`);
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const signature = await this.request('eth_sign', [this.address, ethers.hexlify(data)]);
+
+    if (ethers.verifyMessage(data, signature).toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer returned a message signature not made by ${this.address}`);
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const populated = await ethers.TypedDataEncoder.resolveNames(domain, types, value, (name) => ethers.resolveAddress(name, this.provider));
+    const payload = ethers.TypedDataEncoder.getPayload(populated.domain, types, populated.value);
+    const signature = await this.request('eth_signTypedData', [this.address, payload]);
+
+    if (ethers.verifyTypedData(populated.domain, types, populated.value, signature).toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer returned a typed data signature not made by ${this.address}`);
+    }
+    return signature;
+  }
+}
+
+/**
+ * Get the addresses the remote signer may sign for
+ * @returns {Array<string>} Checksummed addresses from REMOTE_SIGNER_ADDRESSES
+ */
+const getRemoteSignerAddresses = () => {
+  return (process.env.REMOTE_SIGNER_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(address => {
+      if (ethers.isAddress(address)) return true;
+      if (address) console.warn(`Ignoring malformed address in REMOTE_SIGNER_ADDRESSES: ${address}`);
+      return false;
+    })
+    .map(address => ethers.getAddress(address));
+};
+
+/**
+ * Check whether an address can be signed for by the remote signer
+ * @param {string} address - Wallet address
+ * @returns {boolean} True if a remote signer is configured for the address
+ */
+const isRemoteSignerAddress = (address) => {
+  if (!process.env.REMOTE_SIGNER_URL || !ethers.isAddress(address)) {
+    return false;
+  }
+  return getRemoteSignerAddresses().some(remote => remote.toLowerCase() === address.toLowerCase());
+};
+
+/**
+ * Create a signer backed by the configured remote signer
+ * @param {string} address - Address the remote signer holds the key for
+ * @param {ethers.Provider} provider - The provider instance
+ * @returns {RemoteSigner} Remote signer instance
+ */
+const createRemoteSigner = (address, provider) => {
+  try {
+    if (!process.env.REMOTE_SIGNER_URL) {
+      throw new Error('REMOTE_SIGNER_URL is not configured');
+    }
+
+    if (!isRemoteSignerAddress(address)) {
+      throw new Error(`${address} is not listed in REMOTE_SIGNER_ADDRESSES`);
+    }
+
+    if (!provider) {
+      throw new Error('Provider is required');
+    }
+
+    return new RemoteSigner(address, process.env.REMOTE_SIGNER_URL, provider);
+  } catch (error) {
+    throw new Error(`Failed to create remote signer: ${error.message}`);
+  }
+};
+
+/**
+ * Create a signer from either a private key or a remote signer address
+ * @param {Object} options - Signer options
+ * @param {string} options.privateKey - Private key for a local wallet
+ * @param {string} options.signerAddress - Address signed for by the remote signer (takes precedence)
+ * @param {ethers.Provider} provider - The provider instance
+ * @returns {ethers.Signer} Wallet or RemoteSigner instance
+ */
+const createSigner = ({ privateKey, signerAddress }, provider) => {
+  return signerAddress
+    ? createRemoteSigner(signerAddress, provider)
+    : createWallet(privateKey, provider);
+};
+
 /**
  * Create a contract instance
  * @param {string} contractAddress - The contract address
@@ -865,6 +1053,11 @@ module.exports = {
   createProvider,
   createFallbackProvider,
   createWallet,
+  RemoteSigner,
+  getRemoteSignerAddresses,
+  isRemoteSignerAddress,
+  createRemoteSigner,
+  createSigner,
   createContract,
   getBalance,
   getTransactionCount,
@@ -0,0 +1,167 @@
+/**
+ * Fee strategies
+ * Builds transaction fee overrides from eth_feeHistory: the priority fee is a reward
+ * percentile of recent blocks and the max fee leaves room for the base fee to keep
+ * rising for a few blocks (more when it has been trending up). Networks set their
+ * default strategy and a max-fee cap in server/config/networks.js.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../config/networks.js');
+
+const FEE_STRATEGIES = {
+  URGENT: 'urgent',
+  NORMAL: 'normal',
+  ECONOMY: 'economy'
+};
+
+// percentile: reward percentile paid as priority fee
+// baseFeeBlocks: full blocks of base fee increases the max fee covers
+// gasPricePercent: legacy gas price relative to the node's suggestion
+// Listed by ascending percentile, the order eth_feeHistory requires
+const STRATEGY_SETTINGS = {
+  [FEE_STRATEGIES.ECONOMY]: { percentile: 10, baseFeeBlocks: 1, gasPricePercent: 100n },
+  [FEE_STRATEGIES.NORMAL]: { percentile: 50, baseFeeBlocks: 3, gasPricePercent: 110n },
+  [FEE_STRATEGIES.URGENT]: { percentile: 90, baseFeeBlocks: 6, gasPricePercent: 130n }
+};
+
+const FEE_HISTORY_BLOCKS = 10;
+const REWARD_PERCENTILES = Object.values(STRATEGY_SETTINGS).map(settings => settings.percentile);
+
+/**
+ * Check whether a value names a fee strategy
+ * @param {string} strategy - Strategy name
+ * @returns {boolean} True if known
+ */
+const isFeeStrategy = (strategy) => Object.values(FEE_STRATEGIES).includes(strategy);
+
+/**
+ * Get the strategy to price a rescue with
+ * @param {string} network - Network identifier
+ * @param {string} requested - Strategy chosen for the rescue or session (optional)
+ * @returns {string} Strategy name
+ */
+const resolveFeeStrategy = (network, requested) => {
+  if (isFeeStrategy(requested)) return requested;
+  const config = getNetworkConfig(network);
+  return config && isFeeStrategy(config.feeStrategy) ? config.feeStrategy : FEE_STRATEGIES.NORMAL;
+};
+
+/**
+ * Get the max-fee cap configured for a network
+ * @param {string} network - Network identifier
+ * @returns {bigint|null} Cap in wei, or null when uncapped
+ */
+const getMaxFeeCap = (network) => {
+  const config = getNetworkConfig(network);
+  if (!config || config.maxFeeGwei === undefined || config.maxFeeGwei === null || config.maxFeeGwei === '') return null;
+  return ethers.parseUnits(String(config.maxFeeGwei), 'gwei');
+};
+
+/**
+ * Median of a list of bigints
+ * @param {Array<bigint>} values - Values
+ * @returns {bigint|null} Median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Summarize an eth_feeHistory response
+ * Empty blocks report zero rewards and are left out of the priority fee medians.
+ * @param {Object} history - { baseFeePerGas, gasUsedRatio, reward } as returned by the node
+ * @returns {Object} { nextBaseFee, rising, tips: { [strategy]: bigint|null } }
+ */
+const analyzeFeeHistory = (history) => {
+  const baseFees = (history.baseFeePerGas || []).map(fee => BigInt(fee));
+  // The last entry is the base fee of the block after the newest one
+  const nextBaseFee = baseFees.length > 0 ? baseFees[baseFees.length - 1] : null;
+  const ratios = history.gasUsedRatio || [];
+  const averageRatio = ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + Number(ratio), 0) / ratios.length : 0;
+  const rising = nextBaseFee !== null && (nextBaseFee > baseFees[0] || averageRatio > 0.5);
+
+  // Rewards are listed in REWARD_PERCENTILES order, which follows STRATEGY_SETTINGS
+  const tips = {};
+  Object.keys(STRATEGY_SETTINGS).forEach((strategy, i) => {
+    tips[strategy] = median((history.reward || [])
+      .map(block => BigInt(block[i] ?? 0))
+      .filter(reward => reward > 0n));
+  });
+
+  return { nextBaseFee, rising, tips };
+};
+
+/**
+ * Fetch recent fee history from the node
+ * @param {ethers.Provider} provider - Provider for the network
+ * @returns {Promise<Object|null>} Fee history, or null when the node does not support it
+ */
+const getFeeHistory = async (provider) => {
+  try {
+    return await provider.send('eth_feeHistory', [ethers.toQuantity(FEE_HISTORY_BLOCKS), 'latest', REWARD_PERCENTILES]);
+  } catch (error) {
+    console.warn(`eth_feeHistory unavailable, using the node's fee suggestion: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Build fee overrides for a strategy
+ * EIP-1559 networks get maxFeePerGas/maxPriorityFeePerGas, others a legacy gasPrice.
+ * Fees above the network's cap are lowered to it.
+ * @param {ethers.Provider} provider - Provider for the network
+ * @param {string} network - Network identifier
+ * @param {string} strategy - Strategy name (defaults to the network's)
+ * @returns {Promise<Object>} Transaction overrides
+ */
+const getFeeOverrides = async (provider, network, strategy) => {
+  const name = resolveFeeStrategy(network, strategy);
+  const settings = STRATEGY_SETTINGS[name];
+  const cap = getMaxFeeCap(network);
+  const applyCap = (fee) => {
+    if (cap === null || fee <= cap) return fee;
+    console.warn(`${name} fee of ${ethers.formatUnits(fee, 'gwei')} gwei on ${network} capped at ${ethers.formatUnits(cap, 'gwei')} gwei`);
+    return cap;
+  };
+
+  const history = await getFeeHistory(provider);
+  const analysis = history ? analyzeFeeHistory(history) : null;
+
+  if (analysis && analysis.nextBaseFee !== null && analysis.nextBaseFee > 0n) {
+    let tip = analysis.tips[name];
+    if (tip === null) {
+      // Every recent block was empty; fall back to the node's suggestion
+      tip = BigInt((await provider.getFeeData()).maxPriorityFeePerGas || 0n);
+    }
+
+    // EIP-1559 lets the base fee rise by at most 12.5% per block
+    const blocks = settings.baseFeeBlocks + (analysis.rising ? 1 : 0);
+    let maxBaseFee = analysis.nextBaseFee;
+    for (let i = 0; i < blocks; i++) {
+      maxBaseFee = (maxBaseFee * 1125n + 999n) / 1000n;
+    }
+
+    const maxFeePerGas = applyCap(maxBaseFee + tip);
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: tip > maxFeePerGas ? maxFeePerGas : tip
+    };
+  }
+
+  const fee = await provider.getFeeData();
+  if (!fee.gasPrice) return {};
+  return { gasPrice: applyCap((BigInt(fee.gasPrice) * settings.gasPricePercent) / 100n) };
+};
+
+module.exports = {
+  FEE_STRATEGIES,
+  STRATEGY_SETTINGS,
+  isFeeStrategy,
+  resolveFeeStrategy,
+  getMaxFeeCap,
+  analyzeFeeHistory,
+  getFeeOverrides
+};
@@ -0,0 +1,117 @@
+/**
+ * L1 data fees
+ * Rollups charge for posting a transaction's bytes to L1 on top of L2 execution gas.
+ * OP-stack chains (Optimism, Base) deduct it from the sender separately, priced by the
+ * GasPriceOracle predeploy; Arbitrum folds it into the gas used, priced by NodeInterface.
+ * Networks opt in with l1FeeModel in server/config/networks.js.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../config/networks.js');
+
+const L1_FEE_MODELS = {
+  OP_STACK: 'op-stack',
+  ARBITRUM: 'arbitrum'
+};
+
+const GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+const NODE_INTERFACE_ADDRESS = '0x00000000000000000000000000000000000000C8';
+
+const GAS_PRICE_ORACLE_INTERFACE = new ethers.Interface([
+  'function getL1Fee(bytes _data) view returns (uint256)'
+]);
+
+const NODE_INTERFACE_INTERFACE = new ethers.Interface([
+  'function gasEstimateComponents(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+]);
+
+// The L1 base fee can move between the estimate and inclusion
+const L1_FEE_HEADROOM_PERCENT = 125n;
+
+/**
+ * Get how a network charges for L1 data
+ * @param {string} network - Network identifier
+ * @returns {string|null} One of L1_FEE_MODELS, or null for networks without an L1 fee
+ */
+const getL1FeeModel = (network) => {
+  const config = getNetworkConfig(network);
+  return config && config.l1FeeModel ? config.l1FeeModel : null;
+};
+
+/**
+ * Serialize a transaction the way the GasPriceOracle prices it: unsigned, since the
+ * oracle adds the signature's size itself
+ * @param {Object} tx - Transaction fields (chainId, nonce, gasLimit, fees, to, data, value)
+ * @returns {string} Unsigned serialized transaction
+ */
+const serializeForL1Fee = (tx) => {
+  const fees = tx.maxFeePerGas
+    ? { type: 2, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas || 0n }
+    : { type: 0, gasPrice: tx.gasPrice || 0n };
+
+  return ethers.Transaction.from({
+    ...fees,
+    chainId: tx.chainId,
+    nonce: Number(tx.nonce || 0),
+    gasLimit: BigInt(tx.gasLimit || 0),
+    to: tx.to,
+    data: tx.data || '0x',
+    value: BigInt(tx.value || 0)
+  }).unsignedSerialized;
+};
+
+/**
+ * Get the L1 data fee charged on top of a transaction's gas
+ * Only OP-stack chains charge it separately; elsewhere it is zero (Arbitrum's is part
+ * of the gas limit, see estimateNativeTransferGas). Includes L1_FEE_HEADROOM_PERCENT.
+ * @param {ethers.Provider} provider - Provider for the network
+ * @param {string} network - Network identifier
+ * @param {Object} tx - Transaction fields, including chainId, nonce and fees
+ * @returns {Promise<bigint>} Fee in wei
+ */
+const getL1DataFee = async (provider, network, tx) => {
+  if (getL1FeeModel(network) !== L1_FEE_MODELS.OP_STACK) return 0n;
+
+  const result = await provider.call({
+    to: GAS_PRICE_ORACLE_ADDRESS,
+    data: GAS_PRICE_ORACLE_INTERFACE.encodeFunctionData('getL1Fee', [serializeForL1Fee(tx)])
+  });
+  const [fee] = GAS_PRICE_ORACLE_INTERFACE.decodeFunctionResult('getL1Fee', result);
+  return (fee * L1_FEE_HEADROOM_PERCENT + 99n) / 100n;
+};
+
+/**
+ * Estimate the gas limit of a native transfer without the network's default floor
+ * On Arbitrum the estimate comes from NodeInterface and its L1 component gets
+ * L1_FEE_HEADROOM_PERCENT; elsewhere it is the node's plain estimate, since any
+ * L1 data fee is charged outside the gas limit.
+ * @param {ethers.Provider} provider - Provider for the network
+ * @param {string} network - Network identifier
+ * @param {Object} tx - { from, to, data, value }
+ * @returns {Promise<bigint>} Gas limit
+ */
+const estimateNativeTransferGas = async (provider, network, tx) => {
+  const request = { from: tx.from, to: tx.to, data: tx.data || '0x', value: BigInt(tx.value || 0) };
+
+  if (getL1FeeModel(network) !== L1_FEE_MODELS.ARBITRUM) {
+    return BigInt(await provider.estimateGas(request));
+  }
+
+  const result = await provider.call({
+    from: request.from,
+    to: NODE_INTERFACE_ADDRESS,
+    value: request.value,
+    data: NODE_INTERFACE_INTERFACE.encodeFunctionData('gasEstimateComponents', [request.to, false, request.data])
+  });
+  const { gasEstimate, gasEstimateForL1 } = NODE_INTERFACE_INTERFACE.decodeFunctionResult('gasEstimateComponents', result);
+  return BigInt(gasEstimate) + (BigInt(gasEstimateForL1) * (L1_FEE_HEADROOM_PERCENT - 100n)) / 100n;
+};
+
+module.exports = {
+  L1_FEE_MODELS,
+  GAS_PRICE_ORACLE_ADDRESS,
+  NODE_INTERFACE_ADDRESS,
+  getL1FeeModel,
+  getL1DataFee,
+  estimateNativeTransferGas
+};
@@ -0,0 +1,51 @@
+/**
+ * Merkle distribution helpers
+ * Matches Uniswap's MerkleDistributor: leaves are keccak256(abi.encodePacked(index,
+ * account, amount)) and pairs are hashed in sorted order (OpenZeppelin MerkleProof)
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Hash a distribution entry into a Merkle leaf
+ * @param {number|string|bigint} index - Entry index
+ * @param {string} account - Recipient account
+ * @param {string|bigint} amount - Allocated amount (base units)
+ * @returns {string} Leaf hash
+ */
+const hashMerkleLeaf = (index, account, amount) => ethers.solidityPackedKeccak256(
+  ['uint256', 'address', 'uint256'],
+  [BigInt(index), account, BigInt(amount)]
+);
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} Parent hash
+ */
+const hashPair = (a, b) => (BigInt(a) < BigInt(b)
+  ? ethers.keccak256(ethers.concat([a, b]))
+  : ethers.keccak256(ethers.concat([b, a])));
+
+/**
+ * Verify a Merkle proof against a root
+ * @param {Array<string>} proof - Sibling hashes from leaf to root
+ * @param {string} root - Expected root
+ * @param {string} leaf - Leaf hash
+ * @returns {boolean} True if the proof is valid
+ */
+const verifyMerkleProof = (proof, root, leaf) => {
+  try {
+    const computed = (proof || []).reduce((node, sibling) => hashPair(node, sibling), leaf);
+    return computed.toLowerCase() === root.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  hashMerkleLeaf,
+  hashPair,
+  verifyMerkleProof
+};
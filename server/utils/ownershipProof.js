@@ -0,0 +1,124 @@
+/**
+ * Hacked wallet ownership proofs
+ * An EIP-712 RecoveryOwnership message signed by the hacked wallet binds it to a safe
+ * wallet on a network. Registrations made without the hacked key carry one of these
+ * (signed by the wallet's remote signer, for example) before anything signs for them.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../config/networks.js');
+
+const OWNERSHIP_DOMAIN_NAME = 'Token Recovery System';
+const DEFAULT_OWNERSHIP_PROOF_SECONDS = 600;
+// Proofs are checked once, at registration; nobody needs one that stays valid for days
+const MAX_OWNERSHIP_PROOF_SECONDS = 24 * 60 * 60;
+
+const OWNERSHIP_PROOF_TYPES = {
+  RecoveryOwnership: [
+    { name: 'hackedWallet', type: 'address' },
+    { name: 'safeWallet', type: 'address' },
+    { name: 'network', type: 'string' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Get the EIP-712 domain ownership proofs are signed under
+ * @param {string} network - Network identifier
+ * @returns {Object} Typed data domain
+ */
+const getOwnershipDomain = (network) => {
+  const networkConfig = getNetworkConfig(network);
+  if (!networkConfig) {
+    throw new Error('Unsupported network');
+  }
+  return { name: OWNERSHIP_DOMAIN_NAME, version: '1', chainId: BigInt(networkConfig.chainId) };
+};
+
+/**
+ * Build the typed data a hacked wallet signs to prove it controls the registration
+ * @param {Object} params - Proof parameters
+ * @param {string} params.hackedWallet - Hacked wallet address
+ * @param {string} params.safeWallet - Safe wallet address
+ * @param {string} params.network - Network identifier
+ * @param {number} params.deadlineSeconds - Proof lifetime (default 10 minutes)
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+const buildOwnershipTypedData = ({ hackedWallet, safeWallet, network, deadlineSeconds = DEFAULT_OWNERSHIP_PROOF_SECONDS }) => ({
+  domain: getOwnershipDomain(network),
+  types: OWNERSHIP_PROOF_TYPES,
+  primaryType: 'RecoveryOwnership',
+  message: {
+    hackedWallet: ethers.getAddress(hackedWallet),
+    safeWallet: ethers.getAddress(safeWallet),
+    network,
+    deadline: BigInt(Math.floor(Date.now() / 1000) + deadlineSeconds)
+  }
+});
+
+/**
+ * Sign an ownership proof with the hacked wallet
+ * @param {ethers.Signer} signer - Hacked wallet, local or remote
+ * @param {Object} params - Proof parameters
+ * @param {string} params.safeWallet - Safe wallet address
+ * @param {string} params.network - Network identifier
+ * @param {number} params.deadlineSeconds - Proof lifetime (default 10 minutes)
+ * @returns {Promise<Object>} { deadline, signature }
+ */
+const signOwnershipProof = async (signer, { safeWallet, network, deadlineSeconds }) => {
+  const { domain, types, message } = buildOwnershipTypedData({
+    hackedWallet: await signer.getAddress(),
+    safeWallet,
+    network,
+    deadlineSeconds
+  });
+  return { deadline: message.deadline, signature: await signer.signTypedData(domain, types, message) };
+};
+
+/**
+ * Check an ownership proof, throwing if it was not signed by the hacked wallet for this binding
+ * @param {Object} params - Proof to check
+ * @param {string} params.hackedWallet - Hacked wallet address
+ * @param {string} params.safeWallet - Safe wallet address
+ * @param {string} params.network - Network identifier
+ * @param {string|number|bigint} params.deadline - Unix timestamp the proof was signed with
+ * @param {string} params.signature - Hacked wallet signature
+ */
+const verifyOwnershipProof = ({ hackedWallet, safeWallet, network, deadline, signature }) => {
+  let deadlineSeconds;
+  try {
+    deadlineSeconds = BigInt(deadline);
+  } catch (_) {
+    throw new Error('Ownership proof deadline is invalid');
+  }
+
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  if (deadlineSeconds <= now) {
+    throw new Error('Ownership proof expired');
+  }
+  if (deadlineSeconds > now + BigInt(MAX_OWNERSHIP_PROOF_SECONDS)) {
+    throw new Error('Ownership proof deadline is too far in the future');
+  }
+
+  let signer = null;
+  try {
+    signer = ethers.verifyTypedData(getOwnershipDomain(network), OWNERSHIP_PROOF_TYPES, {
+      hackedWallet: ethers.getAddress(hackedWallet),
+      safeWallet: ethers.getAddress(safeWallet),
+      network,
+      deadline: deadlineSeconds
+    }, signature);
+  } catch (_) {}
+
+  if (!signer || signer.toLowerCase() !== hackedWallet.toLowerCase()) {
+    throw new Error(`Ownership proof is not signed by ${hackedWallet}`);
+  }
+};
+
+module.exports = {
+  OWNERSHIP_PROOF_TYPES,
+  getOwnershipDomain,
+  buildOwnershipTypedData,
+  signOwnershipProof,
+  verifyOwnershipProof
+};
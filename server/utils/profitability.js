@@ -0,0 +1,94 @@
+/**
+ * Rescue profitability policy
+ * Decides whether moving an asset is worth its gas. Assets whose gas costs more than
+ * they are worth are skipped; assets below the policy's minimum net value or above its
+ * gas-to-value ratio are deferred, so they can be rescued later in a cheaper batch.
+ */
+
+const PROFIT_ACTIONS = {
+  TRANSFER: 'transfer',
+  DEFER: 'defer',
+  SKIP: 'skip'
+};
+
+const DEFAULT_MIN_NET_VALUE_USD = 0;
+const DEFAULT_MAX_GAS_TO_VALUE_RATIO = 1;
+
+/**
+ * Read a non-negative number from a policy field or the environment
+ * @param {*} value - Value from the policy
+ * @param {string} envName - Environment variable used when the policy has none
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+const readNumber = (value, envName, fallback) => {
+  for (const candidate of [value, process.env[envName]]) {
+    if (candidate === undefined || candidate === null || candidate === '') continue;
+    const number = Number(candidate);
+    if (Number.isFinite(number) && number >= 0) return number;
+  }
+  return fallback;
+};
+
+/**
+ * Resolve a recovery's profitability policy, filling gaps from the environment
+ * PROFIT_MIN_NET_VALUE_USD and PROFIT_MAX_GAS_TO_VALUE_RATIO set the defaults;
+ * PROFIT_FILTER_ENABLED=false turns the filter off unless a policy enables it.
+ * @param {Object} policy - { enabled, minNetValueUSD, maxGasToValueRatio }
+ * @returns {Object} Complete policy
+ */
+const getProfitPolicy = (policy = {}) => ({
+  enabled: policy.enabled !== undefined ? policy.enabled !== false : process.env.PROFIT_FILTER_ENABLED !== 'false',
+  minNetValueUSD: readNumber(policy.minNetValueUSD, 'PROFIT_MIN_NET_VALUE_USD', DEFAULT_MIN_NET_VALUE_USD),
+  maxGasToValueRatio: readNumber(policy.maxGasToValueRatio, 'PROFIT_MAX_GAS_TO_VALUE_RATIO', DEFAULT_MAX_GAS_TO_VALUE_RATIO)
+});
+
+/**
+ * Format a USD amount for reasons
+ * @param {number} value - USD amount
+ * @returns {string} Formatted amount
+ */
+const formatUSD = (value) => `$${value.toFixed(2)}`;
+
+/**
+ * Decide what to do with an asset
+ * Assets without a price or gas cost are always transferred, since their worth is unknown.
+ * @param {Object} estimate - { valueUSD, gasCostUSD }
+ * @param {Object} policy - Policy from getProfitPolicy
+ * @returns {Object} { action, reason, netValueUSD }
+ */
+const evaluateProfitability = ({ valueUSD, gasCostUSD }, policy) => {
+  if (!policy.enabled || valueUSD === null || valueUSD === undefined || gasCostUSD === null || gasCostUSD === undefined) {
+    return { action: PROFIT_ACTIONS.TRANSFER, reason: null, netValueUSD: null };
+  }
+
+  const netValueUSD = valueUSD - gasCostUSD;
+  if (gasCostUSD >= valueUSD) {
+    return {
+      action: PROFIT_ACTIONS.SKIP,
+      reason: `Gas cost ${formatUSD(gasCostUSD)} exceeds value ${formatUSD(valueUSD)}`,
+      netValueUSD
+    };
+  }
+  if (netValueUSD < policy.minNetValueUSD) {
+    return {
+      action: PROFIT_ACTIONS.DEFER,
+      reason: `Net value ${formatUSD(netValueUSD)} is below the ${formatUSD(policy.minNetValueUSD)} minimum`,
+      netValueUSD
+    };
+  }
+  if (gasCostUSD > valueUSD * policy.maxGasToValueRatio) {
+    return {
+      action: PROFIT_ACTIONS.DEFER,
+      reason: `Gas cost is ${Math.round((gasCostUSD / valueUSD) * 100)}% of value, above the ${Math.round(policy.maxGasToValueRatio * 100)}% limit`,
+      netValueUSD
+    };
+  }
+  return { action: PROFIT_ACTIONS.TRANSFER, reason: null, netValueUSD };
+};
+
+module.exports = {
+  PROFIT_ACTIONS,
+  getProfitPolicy,
+  evaluateProfitability
+};
@@ -0,0 +1,572 @@
+/**
+ * AirdropRecovery contract helpers
+ * Turns a rescue plan (transfer calls) into the approvals the contract needs and a
+ * single claimBatch call that pulls every asset and forwards it to the safe wallet,
+ * signs Permit2 batch transfers for tokens that already have Permit2 allowances,
+ * and builds the signed registrations and claims that a sponsor or relayer submits
+ */
+
+const { ethers } = require('ethers');
+const { getContractAddress } = require('../config/networks.js');
+const { createContract, getChecksumAddress } = require('./ethers.js');
+
+const AIRDROP_RECOVERY_ABI = [
+  'function claimBatch(address hackedWallet, address[] erc20Tokens, uint256[] erc20Amounts, (address token, uint256 tokenId)[] erc721Items, (address token, uint256 id, uint256 amount)[] erc1155Items, uint256 deadline, bytes signature)',
+  'function getRecoveryInfo(address hackedWallet) view returns ((address hackedWallet, address safeWallet, bool isActive, uint256 lastClaimTime, (address token, uint256 amount)[] recovered))',
+  'function recoverNative(address hackedWallet) payable',
+  'function registerRecoveryWithSig(address hackedWallet, address safeWallet, uint256 deadline, bytes signature)',
+  'function nonces(address hackedWallet) view returns (uint256)',
+  'function claimAirdrop(address tokenAddress, address hackedWallet, uint256 amount, uint256 deadline, bytes signature)',
+  'function claimNonces(address hackedWallet) view returns (uint256)',
+  'function claimWithPermit2Batch(address hackedWallet, ((address token, uint256 amount)[] permitted, uint256 nonce, uint256 deadline) permit, bytes signature)',
+  'function permit2() view returns (address)',
+  'event BatchClaimed(address indexed hackedWallet, uint256 erc20Count, uint256 erc721Count, uint256 erc1155Count)',
+  'event SafeWalletChangeProposed(address indexed hackedWallet, address indexed currentSafeWallet, address indexed newSafeWallet, uint256 effectiveAt)',
+  'event SafeWalletChangeCancelled(address indexed hackedWallet, address indexed cancelledSafeWallet)',
+  'event SafeWalletChanged(address indexed hackedWallet, address indexed previousSafeWallet, address indexed newSafeWallet)',
+  'event FundsEscrowed(address indexed token, uint256 amount, address indexed hackedWallet)'
+];
+
+const SAFE_WALLET_EVENTS = ['SafeWalletChangeProposed', 'SafeWalletChangeCancelled', 'SafeWalletChanged'];
+
+const AIRDROP_RECOVERY_INTERFACE = new ethers.Interface(AIRDROP_RECOVERY_ABI);
+
+const REGISTER_RECOVERY_TYPES = {
+  RegisterRecovery: [
+    { name: 'hackedWallet', type: 'address' },
+    { name: 'safeWallet', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const CLAIM_AIRDROP_TYPES = {
+  ClaimAirdrop: [
+    { name: 'token', type: 'address' },
+    { name: 'hackedWallet', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const CLAIM_BATCH_TYPES = {
+  ClaimBatch: [
+    { name: 'hackedWallet', type: 'address' },
+    { name: 'itemsHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Encoding of claimBatch's item arrays that ClaimBatch.itemsHash commits to
+const CLAIM_BATCH_ITEM_TYPES = [
+  'address[]',
+  'uint256[]',
+  'tuple(address token, uint256 tokenId)[]',
+  'tuple(address token, uint256 id, uint256 amount)[]'
+];
+
+const PERMIT_BATCH_TRANSFER_FROM_TYPES = {
+  PermitBatchTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions[]' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+const APPROVAL_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)'
+];
+
+const APPROVAL_INTERFACE = new ethers.Interface(APPROVAL_ABI);
+
+/**
+ * Get the AirdropRecovery contract configured for a network
+ * The env template ships zero addresses, which count as not deployed.
+ * @param {string} network - Network identifier
+ * @returns {string|null} Checksummed contract address or null
+ */
+const getRecoveryContractAddress = (network) => {
+  const address = getContractAddress(network);
+  if (!address || !ethers.isAddress(address) || address === ethers.ZeroAddress) {
+    return null;
+  }
+  return getChecksumAddress(address);
+};
+
+/**
+ * Read a hacked wallet's on-chain registration and recovery ledger
+ * Native ETH appears in the ledger under the zero address.
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {string} contractAddress - AirdropRecovery address
+ * @param {string} hackedWallet - Hacked wallet address
+ * @returns {Promise<Object>} { isActive, safeWallet, recovered: [{ token, amount }] }
+ */
+const getOnChainRecovery = async (provider, contractAddress, hackedWallet) => {
+  const contract = createContract(contractAddress, AIRDROP_RECOVERY_ABI, provider);
+  const info = await contract.getRecoveryInfo(hackedWallet);
+  return {
+    isActive: info.isActive,
+    safeWallet: info.safeWallet,
+    recovered: info.recovered.map(({ token, amount }) => ({ token, amount: amount.toString() }))
+  };
+};
+
+/**
+ * Read safe wallet rotation events (proposed, cancelled, changed) in chain order
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {string} contractAddress - AirdropRecovery address
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Array<Object>>} Events ({ name, hackedWallet, safeWallet, effectiveAt, blockNumber, logIndex, transactionHash })
+ */
+const getSafeWalletEvents = async (provider, contractAddress, fromBlock, toBlock) => {
+  const topics = SAFE_WALLET_EVENTS.map(name => AIRDROP_RECOVERY_INTERFACE.getEvent(name).topicHash);
+  const logs = await provider.getLogs({ address: contractAddress, topics: [topics], fromBlock, toBlock });
+
+  return logs
+    .map(log => {
+      const { name, args } = AIRDROP_RECOVERY_INTERFACE.parseLog(log);
+      return {
+        name,
+        hackedWallet: args.hackedWallet,
+        // Proposed and changed carry the new destination; cancelled the dropped one
+        safeWallet: name === 'SafeWalletChangeCancelled' ? args.cancelledSafeWallet : args.newSafeWallet,
+        effectiveAt: name === 'SafeWalletChangeProposed' ? Number(args.effectiveAt) : undefined,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash
+      };
+    })
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+/**
+ * Find tokens a claim left in the contract's escrow because the safe wallet could not receive them
+ * @param {Object} receipt - Claim transaction receipt
+ * @param {string} contractAddress - AirdropRecovery address
+ * @returns {Array<Object>} Escrowed tokens ({ token, amount })
+ */
+const getEscrowedTokens = (receipt, contractAddress) => receipt.logs
+  .filter(log => log.address.toLowerCase() === contractAddress.toLowerCase())
+  .map(log => AIRDROP_RECOVERY_INTERFACE.parseLog(log))
+  .filter(event => event && event.name === 'FundsEscrowed')
+  .map(({ args }) => ({ token: args.token, amount: args.amount.toString() }));
+
+/**
+ * Build the approvals the hacked wallet still has to grant before claimBatch can pull its assets
+ * ERC20s are approved for the exact amount; collections get setApprovalForAll once each.
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {Array<Object>} calls - Transfer calls from buildTransferCallsForTokens
+ * @param {string} owner - Hacked wallet address
+ * @param {string} contractAddress - AirdropRecovery address
+ * @returns {Promise<Array<Object>>} Approval calls ({ to, data, value, txType, label, token })
+ */
+const buildApprovalCalls = async (provider, calls, owner, contractAddress) => {
+  const approvals = [];
+  const erc20Amounts = new Map();
+  const collections = new Map();
+
+  for (const call of calls) {
+    const { token } = call;
+    if (token.type === 'ERC20') {
+      erc20Amounts.set(token.address, (erc20Amounts.get(token.address) || 0n) + BigInt(token.amount));
+    } else if (!collections.has(token.address)) {
+      collections.set(token.address, token);
+    }
+  }
+
+  for (const [address, amount] of erc20Amounts) {
+    const contract = createContract(address, APPROVAL_ABI, provider);
+    if (await contract.allowance(owner, contractAddress) >= amount) continue;
+    approvals.push({
+      to: address,
+      data: APPROVAL_INTERFACE.encodeFunctionData('approve', [contractAddress, amount]),
+      value: 0n,
+      txType: 'approve',
+      label: `Approve ${calls.find(call => call.token.address === address).token.symbol || address}`,
+      token: { address, type: 'ERC20' }
+    });
+  }
+
+  for (const [address, token] of collections) {
+    const contract = createContract(address, APPROVAL_ABI, provider);
+    if (await contract.isApprovedForAll(owner, contractAddress)) continue;
+    approvals.push({
+      to: address,
+      data: APPROVAL_INTERFACE.encodeFunctionData('setApprovalForAll', [contractAddress, true]),
+      value: 0n,
+      txType: 'approve',
+      label: `Approve ${token.symbol || address}`,
+      token: { address, type: token.type }
+    });
+  }
+
+  return approvals;
+};
+
+/**
+ * Read the Permit2 deployment an AirdropRecovery contract pulls signature transfers through
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {string} contractAddress - AirdropRecovery address
+ * @returns {Promise<string|null>} Permit2 address, or null if the contract predates Permit2 support
+ */
+const getPermit2Address = async (provider, contractAddress) => {
+  try {
+    const contract = createContract(contractAddress, AIRDROP_RECOVERY_ABI, provider);
+    return await contract.permit2();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Split a rescue plan into ERC20 transfers Permit2 can already move and everything else
+ * An ERC20 qualifies when the hacked wallet's allowance to Permit2 covers the full amount,
+ * which saves it an approve transaction.
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {Array<Object>} calls - Transfer calls from buildTransferCallsForTokens
+ * @param {string} owner - Hacked wallet address
+ * @param {string} permit2Address - Permit2 address
+ * @returns {Promise<Object>} { permit2Calls, remainingCalls }
+ */
+const selectPermit2Calls = async (provider, calls, owner, permit2Address) => {
+  const permit2Calls = [];
+  const remainingCalls = [];
+
+  for (const call of calls) {
+    if (call.token.type !== 'ERC20') {
+      remainingCalls.push(call);
+      continue;
+    }
+    try {
+      const contract = createContract(call.token.address, APPROVAL_ABI, provider);
+      const allowance = await contract.allowance(owner, permit2Address);
+      (allowance >= BigInt(call.token.amount) ? permit2Calls : remainingCalls).push(call);
+    } catch (error) {
+      remainingCalls.push(call);
+    }
+  }
+
+  return { permit2Calls, remainingCalls };
+};
+
+/**
+ * Sign a Permit2 PermitBatchTransferFrom with the hacked wallet's key
+ * @param {ethers.Wallet} wallet - Hacked wallet
+ * @param {Object} params - Permit parameters
+ * @param {string} params.permit2Address - Permit2 address
+ * @param {string} params.spender - Contract allowed to use the permit (AirdropRecovery)
+ * @param {Array<Object>} params.permitted - Tokens and amounts ({ token, amount })
+ * @param {bigint} params.nonce - Unordered Permit2 nonce
+ * @param {bigint} params.deadline - Signature deadline (unix seconds)
+ * @param {bigint} params.chainId - Chain ID
+ * @returns {Promise<string>} Signature
+ */
+const signPermit2Batch = (wallet, { permit2Address, spender, permitted, nonce, deadline, chainId }) => {
+  const domain = { name: 'Permit2', chainId, verifyingContract: permit2Address };
+  return wallet.signTypedData(domain, PERMIT_BATCH_TRANSFER_FROM_TYPES, { permitted, spender, nonce, deadline });
+};
+
+/**
+ * Build a claimWithPermit2Batch call moving every ERC20 in the calls with one signed permit
+ * Uses a random unordered nonce, so permits never collide with others the wallet signs.
+ * @param {Object} params - Permit parameters
+ * @param {ethers.Wallet} params.wallet - Hacked wallet
+ * @param {string} params.contractAddress - AirdropRecovery address
+ * @param {string} params.permit2Address - Permit2 address
+ * @param {Array<Object>} params.calls - ERC20 transfer calls
+ * @param {number} params.deadlineSeconds - Signature lifetime (default 10 minutes)
+ * @returns {Promise<Object>} Call ({ to, data, value, txType, label })
+ */
+const buildPermit2BatchCall = async ({ wallet, contractAddress, permit2Address, calls, deadlineSeconds = 600 }) => {
+  const [{ chainId }, latestBlock] = await Promise.all([
+    wallet.provider.getNetwork(),
+    wallet.provider.getBlock('latest')
+  ]);
+  const permit = {
+    permitted: calls.map(({ token }) => ({ token: getChecksumAddress(token.address), amount: BigInt(token.amount) })),
+    nonce: BigInt(ethers.hexlify(ethers.randomBytes(32))),
+    deadline: BigInt(latestBlock.timestamp + deadlineSeconds)
+  };
+  const signature = await signPermit2Batch(wallet, {
+    permit2Address,
+    spender: contractAddress,
+    chainId,
+    ...permit
+  });
+
+  return {
+    to: contractAddress,
+    data: AIRDROP_RECOVERY_INTERFACE.encodeFunctionData('claimWithPermit2Batch', [
+      await wallet.getAddress(),
+      permit,
+      signature
+    ]),
+    value: 0n,
+    txType: 'default',
+    label: `Permit2 batch claim of ${calls.length} tokens`
+  };
+};
+
+/**
+ * Sort a rescue plan's transfers into claimBatch's item arrays
+ * @param {Array<Object>} calls - Transfer calls from buildTransferCallsForTokens
+ * @returns {Object} { erc20Tokens, erc20Amounts, erc721Items, erc1155Items }
+ */
+const groupClaimBatchItems = (calls) => {
+  const erc20Tokens = [];
+  const erc20Amounts = [];
+  const erc721Items = [];
+  const erc1155Items = [];
+
+  for (const { token } of calls) {
+    if (token.type === 'ERC721') {
+      erc721Items.push({ token: token.address, tokenId: BigInt(token.tokenId) });
+    } else if (token.type === 'ERC1155') {
+      erc1155Items.push({ token: token.address, id: BigInt(token.tokenId), amount: BigInt(token.amount) });
+    } else {
+      erc20Tokens.push(token.address);
+      erc20Amounts.push(BigInt(token.amount));
+    }
+  }
+
+  return { erc20Tokens, erc20Amounts, erc721Items, erc1155Items };
+};
+
+/**
+ * Hash claimBatch's item arrays the way the contract's ClaimBatch signature covers them
+ * @param {Object} items - { erc20Tokens, erc20Amounts, erc721Items, erc1155Items }
+ * @returns {string} itemsHash
+ */
+const hashClaimBatchItems = ({ erc20Tokens, erc20Amounts, erc721Items, erc1155Items }) =>
+  ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(CLAIM_BATCH_ITEM_TYPES, [
+    erc20Tokens,
+    erc20Amounts,
+    erc721Items.map(item => [item.token, item.tokenId]),
+    erc1155Items.map(item => [item.token, item.id, item.amount])
+  ]));
+
+/**
+ * Build one claimBatch call covering every transfer in a rescue plan
+ * Without an authorization the call must be sent by the hacked or safe wallet.
+ * @param {string} contractAddress - AirdropRecovery address
+ * @param {string} hackedWallet - Hacked wallet address
+ * @param {Array<Object>} calls - Transfer calls from buildTransferCallsForTokens
+ * @param {Object} authorization - { deadline, signature } from signClaimBatch (optional)
+ * @returns {Object} Call ({ to, data, value, txType, label, counts })
+ */
+const buildClaimBatchCall = (contractAddress, hackedWallet, calls, { deadline = 0n, signature = '0x' } = {}) => {
+  const { erc20Tokens, erc20Amounts, erc721Items, erc1155Items } = groupClaimBatchItems(calls);
+
+  return {
+    to: contractAddress,
+    data: AIRDROP_RECOVERY_INTERFACE.encodeFunctionData('claimBatch', [
+      getChecksumAddress(hackedWallet),
+      erc20Tokens,
+      erc20Amounts,
+      erc721Items,
+      erc1155Items,
+      deadline,
+      signature
+    ]),
+    value: 0n,
+    txType: 'default',
+    label: `Batch claim of ${calls.length} assets`,
+    counts: { erc20: erc20Tokens.length, erc721: erc721Items.length, erc1155: erc1155Items.length }
+  };
+};
+
+/**
+ * Sign a ClaimBatch authorization so a sponsor or relayer can submit claimBatch
+ * @param {ethers.Signer} wallet - Hacked wallet (connected to a provider)
+ * @param {Object} params - Signature parameters
+ * @param {string} params.contractAddress - AirdropRecovery address
+ * @param {Array<Object>} params.calls - Transfer calls the batch will claim
+ * @param {number} params.deadlineSeconds - Signature lifetime (default 10 minutes)
+ * @returns {Promise<Object>} { deadline, signature }
+ */
+const signClaimBatch = async (wallet, { contractAddress, calls, deadlineSeconds = 600 }) => {
+  const provider = wallet.provider;
+  const hackedWallet = await wallet.getAddress();
+  const contract = createContract(contractAddress, AIRDROP_RECOVERY_ABI, provider);
+  const [{ chainId }, nonce, latestBlock] = await Promise.all([
+    provider.getNetwork(),
+    contract.claimNonces(hackedWallet),
+    provider.getBlock('latest')
+  ]);
+
+  const deadline = BigInt(latestBlock.timestamp + deadlineSeconds);
+  const signature = await wallet.signTypedData(getRecoveryDomain(contractAddress, chainId), CLAIM_BATCH_TYPES, {
+    hackedWallet,
+    itemsHash: hashClaimBatchItems(groupClaimBatchItems(calls)),
+    nonce,
+    deadline
+  });
+  return { deadline, signature };
+};
+
+/**
+ * Get the EIP-712 domain of an AirdropRecovery deployment
+ * @param {string} contractAddress - AirdropRecovery address
+ * @param {bigint} chainId - Chain ID
+ * @returns {Object} Typed data domain
+ */
+const getRecoveryDomain = (contractAddress, chainId) => ({
+  name: 'AirdropRecovery',
+  version: '1',
+  chainId,
+  verifyingContract: contractAddress
+});
+
+/**
+ * Sign an AirdropRecovery.registerRecoveryWithSig authorization with the hacked wallet's key
+ * @param {ethers.Wallet} wallet - Hacked wallet
+ * @param {Object} params - Signature parameters
+ * @param {string} params.contractAddress - AirdropRecovery address
+ * @param {string} params.safeWallet - Safe wallet address
+ * @param {bigint} params.nonce - Registration nonce from the contract
+ * @param {bigint} params.deadline - Unix timestamp
+ * @param {bigint} params.chainId - Chain ID
+ * @returns {Promise<string>} Signature
+ */
+const signRegisterRecovery = async (wallet, { contractAddress, safeWallet, nonce, deadline, chainId }) => {
+  return wallet.signTypedData(getRecoveryDomain(contractAddress, chainId), REGISTER_RECOVERY_TYPES, {
+    hackedWallet: wallet.address,
+    safeWallet: getChecksumAddress(safeWallet),
+    nonce,
+    deadline
+  });
+};
+
+/**
+ * Build a registerRecoveryWithSig call signed by the hacked wallet
+ * Anyone can submit the result, so the hacked wallet never needs gas to register.
+ * @param {Object} params - Build parameters
+ * @param {ethers.Wallet} params.wallet - Hacked wallet (connected to a provider)
+ * @param {string} params.contractAddress - AirdropRecovery address
+ * @param {string} params.safeWallet - Safe wallet address
+ * @param {number} params.deadlineSeconds - Signature lifetime (default 10 minutes)
+ * @returns {Promise<Object>} Call ({ to, data, value, txType, label, nonce, deadline, signature })
+ */
+const buildRegisterRecoveryCall = async ({ wallet, contractAddress, safeWallet, deadlineSeconds = 600 }) => {
+  const provider = wallet.provider;
+  const contract = createContract(contractAddress, AIRDROP_RECOVERY_ABI, provider);
+  const [{ chainId }, nonce, latestBlock] = await Promise.all([
+    provider.getNetwork(),
+    contract.nonces(wallet.address),
+    provider.getBlock('latest')
+  ]);
+
+  const deadline = BigInt(latestBlock.timestamp + deadlineSeconds);
+  const signature = await signRegisterRecovery(wallet, { contractAddress, safeWallet, nonce, deadline, chainId });
+
+  return {
+    to: contractAddress,
+    data: AIRDROP_RECOVERY_INTERFACE.encodeFunctionData('registerRecoveryWithSig', [
+      wallet.address,
+      getChecksumAddress(safeWallet),
+      deadline,
+      signature
+    ]),
+    value: 0n,
+    txType: 'default',
+    label: 'Register recovery',
+    nonce,
+    deadline,
+    signature
+  };
+};
+
+/**
+ * Build the typed data a hacked or safe wallet signs to let a relayer submit claimAirdrop
+ * @param {Object} params - Claim parameters
+ * @param {ethers.Provider} params.provider - The provider instance
+ * @param {string} params.contractAddress - AirdropRecovery address
+ * @param {string} params.tokenAddress - ERC20 token to claim
+ * @param {string} params.hackedWallet - Hacked wallet address
+ * @param {string|bigint} params.amount - Amount to claim
+ * @param {number} params.deadlineSeconds - Signature lifetime (default 1 hour)
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+const buildClaimTypedData = async ({ provider, contractAddress, tokenAddress, hackedWallet, amount, deadlineSeconds = 3600 }) => {
+  const contract = createContract(contractAddress, AIRDROP_RECOVERY_ABI, provider);
+  const [{ chainId }, nonce, latestBlock] = await Promise.all([
+    provider.getNetwork(),
+    contract.claimNonces(hackedWallet),
+    provider.getBlock('latest')
+  ]);
+
+  return {
+    domain: getRecoveryDomain(contractAddress, chainId),
+    types: CLAIM_AIRDROP_TYPES,
+    primaryType: 'ClaimAirdrop',
+    message: {
+      token: getChecksumAddress(tokenAddress),
+      hackedWallet: getChecksumAddress(hackedWallet),
+      amount: BigInt(amount),
+      nonce,
+      deadline: BigInt(latestBlock.timestamp + deadlineSeconds)
+    }
+  };
+};
+
+/**
+ * Recover who signed a relayed claim
+ * @param {Object} typedData - { domain, message } as produced by buildClaimTypedData
+ * @param {string} signature - Claim signature
+ * @returns {string} Signer address
+ */
+const recoverClaimSigner = ({ domain, message }, signature) =>
+  ethers.verifyTypedData(domain, CLAIM_AIRDROP_TYPES, message, signature);
+
+/**
+ * Build a claimAirdrop call carrying a hacked or safe wallet signature
+ * @param {string} contractAddress - AirdropRecovery address
+ * @param {Object} message - Signed ClaimAirdrop message
+ * @param {string} signature - Claim signature
+ * @returns {Object} Call ({ to, data, value, txType, label })
+ */
+const buildRelayedClaimCall = (contractAddress, message, signature) => ({
+  to: contractAddress,
+  data: AIRDROP_RECOVERY_INTERFACE.encodeFunctionData('claimAirdrop', [
+    message.token,
+    message.hackedWallet,
+    BigInt(message.amount),
+    BigInt(message.deadline),
+    signature
+  ]),
+  value: 0n,
+  txType: 'default',
+  label: `Relayed claim of ${message.token}`
+});
+
+module.exports = {
+  AIRDROP_RECOVERY_ABI,
+  getRecoveryContractAddress,
+  getOnChainRecovery,
+  getSafeWalletEvents,
+  getEscrowedTokens,
+  buildApprovalCalls,
+  getPermit2Address,
+  selectPermit2Calls,
+  signPermit2Batch,
+  buildPermit2BatchCall,
+  buildClaimBatchCall,
+  signClaimBatch,
+  signRegisterRecovery,
+  buildRegisterRecoveryCall,
+  getRecoveryDomain,
+  buildClaimTypedData,
+  recoverClaimSigner,
+  buildRelayedClaimCall
+};
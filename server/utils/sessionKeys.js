@@ -0,0 +1,143 @@
+/**
+ * Session signing keys
+ * Auto recovery sessions keep the hacked wallet's key sealed in an AES-256-GCM envelope:
+ * the key is encrypted with a random per-session data key, and the data key with a key
+ * derived from SESSION_MASTER_KEY. It is only opened for the duration of a signing call,
+ * and the envelope is overwritten with zeros once the session stops or expires.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const ENVELOPE_ALGORITHM = 'aes-256-gcm';
+
+let ephemeralMasterKey = null;
+
+/**
+ * Get the master key used to wrap session data keys
+ * Without SESSION_MASTER_KEY a random key is generated for this process, which is
+ * enough because sessions do not outlive it.
+ * @returns {string} Master key secret
+ */
+const getMasterKey = () => {
+  if (process.env.SESSION_MASTER_KEY) {
+    return process.env.SESSION_MASTER_KEY;
+  }
+
+  if (!ephemeralMasterKey) {
+    console.warn('SESSION_MASTER_KEY is not set, session keys are sealed with a per-process key');
+    ephemeralMasterKey = crypto.randomBytes(32).toString('hex');
+  }
+  return ephemeralMasterKey;
+};
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} { iv, tag, ciphertext } buffers
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENVELOPE_ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * Decrypt data sealed with seal()
+ * @param {Buffer} key - 32-byte key
+ * @param {Object} sealed - { iv, tag, ciphertext } buffers
+ * @returns {Buffer} Plaintext
+ */
+const open = (key, { iv, tag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv(ENVELOPE_ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Seal a private key in an envelope for a session
+ * @param {string} privateKey - Wallet private key
+ * @returns {Object} Envelope ({ algorithm, address, salt, wrappedKey, sealedKey })
+ */
+const sealSessionKey = (privateKey) => {
+  const normalizedKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  const keyBytes = Buffer.from(ethers.getBytes(normalizedKey));
+  const address = ethers.computeAddress(normalizedKey);
+
+  const salt = crypto.randomBytes(16);
+  const masterKey = crypto.scryptSync(getMasterKey(), salt, 32);
+  const dataKey = crypto.randomBytes(32);
+
+  try {
+    return {
+      algorithm: ENVELOPE_ALGORITHM,
+      address,
+      salt,
+      wrappedKey: seal(masterKey, dataKey),
+      sealedKey: seal(dataKey, keyBytes),
+      destroyed: false
+    };
+  } finally {
+    keyBytes.fill(0);
+    masterKey.fill(0);
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Open an envelope for the duration of a callback
+ * The decrypted bytes are zeroed when the callback settles; the hex string handed to
+ * it cannot be wiped, so callers should not keep references to it.
+ * @param {Object} envelope - Envelope from sealSessionKey
+ * @param {Function} fn - Async callback receiving the private key
+ * @returns {Promise<*>} Callback result
+ */
+const withSessionKey = async (envelope, fn) => {
+  if (!envelope || envelope.destroyed) {
+    throw new Error('Session key has been destroyed');
+  }
+
+  let masterKey;
+  let dataKey;
+  let keyBytes;
+  try {
+    masterKey = crypto.scryptSync(getMasterKey(), envelope.salt, 32);
+    dataKey = open(masterKey, envelope.wrappedKey);
+    keyBytes = open(dataKey, envelope.sealedKey);
+  } catch (error) {
+    throw new Error(`Failed to open session key: ${error.message}`);
+  } finally {
+    if (masterKey) masterKey.fill(0);
+    if (dataKey) dataKey.fill(0);
+  }
+
+  try {
+    return await fn(`0x${keyBytes.toString('hex')}`);
+  } finally {
+    keyBytes.fill(0);
+  }
+};
+
+/**
+ * Zero an envelope so the key cannot be recovered from it
+ * @param {Object} envelope - Envelope from sealSessionKey
+ */
+const destroySessionKey = (envelope) => {
+  if (!envelope || envelope.destroyed) return;
+
+  envelope.salt.fill(0);
+  for (const sealed of [envelope.wrappedKey, envelope.sealedKey]) {
+    sealed.iv.fill(0);
+    sealed.tag.fill(0);
+    sealed.ciphertext.fill(0);
+  }
+  envelope.destroyed = true;
+};
+
+module.exports = {
+  sealSessionKey,
+  withSessionKey,
+  destroySessionKey
+};
@@ -0,0 +1,153 @@
+/**
+ * Sign-In With Ethereum (EIP-4361) messages
+ * Formats and parses the plain-text message a wallet signs with personal_sign to log in
+ */
+
+const { ethers } = require('ethers');
+
+const SIWE_HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const SIWE_VERSION = '1';
+
+// Fields after the statement, in the order EIP-4361 lists them
+const SIWE_FIELDS = [
+  { key: 'uri', label: 'URI', required: true },
+  { key: 'version', label: 'Version', required: true },
+  { key: 'chainId', label: 'Chain ID', required: true },
+  { key: 'nonce', label: 'Nonce', required: true },
+  { key: 'issuedAt', label: 'Issued At', required: true },
+  { key: 'expirationTime', label: 'Expiration Time' },
+  { key: 'notBefore', label: 'Not Before' },
+  { key: 'requestId', label: 'Request ID' }
+];
+
+/**
+ * Format an EIP-4361 message
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Domain requesting the sign-in
+ * @param {string} fields.address - Signing address
+ * @param {string} fields.statement - Optional human-readable statement
+ * @param {string} fields.uri - URI of the resource the sign-in is for
+ * @param {number} fields.chainId - Chain ID the address is on
+ * @param {string} fields.nonce - Server-issued nonce
+ * @param {string} fields.issuedAt - ISO 8601 issue time
+ * @param {string} fields.expirationTime - Optional ISO 8601 expiry
+ * @param {string} fields.notBefore - Optional ISO 8601 start of validity
+ * @param {string} fields.requestId - Optional request ID
+ * @param {Array<string>} fields.resources - Optional resource URIs
+ * @returns {string} Message to sign
+ */
+const formatSiweMessage = (fields) => {
+  const lines = [
+    `${fields.domain}${SIWE_HEADER_SUFFIX}`,
+    ethers.getAddress(fields.address),
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  }
+
+  for (const { key, label } of SIWE_FIELDS) {
+    const value = key === 'version' ? fields.version || SIWE_VERSION : fields[key];
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push(`${label}: ${value}`);
+    }
+  }
+
+  if (Array.isArray(fields.resources) && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse an EIP-4361 message
+ * @param {string} message - Signed message text
+ * @returns {Object} Parsed fields (chainId as a number, address checksummed)
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('SIWE message must be a string');
+  }
+
+  const lines = message.split('\n');
+  if (!lines[0] || !lines[0].endsWith(SIWE_HEADER_SUFFIX)) {
+    throw new Error('Not a Sign-In With Ethereum message');
+  }
+
+  const fields = { domain: lines[0].slice(0, -SIWE_HEADER_SUFFIX.length) };
+  if (!fields.domain) {
+    throw new Error('SIWE message has no domain');
+  }
+  if (!ethers.isAddress(lines[1]) || lines[2] !== '') {
+    throw new Error('SIWE message has no valid address');
+  }
+  fields.address = ethers.getAddress(lines[1]);
+
+  let index = 3;
+  if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    fields.statement = lines[index];
+    if (lines[index + 1] !== '') {
+      throw new Error('SIWE statement must be followed by an empty line');
+    }
+    index += 2;
+  }
+
+  // Fields are optional past Issued At, but must keep their order
+  let fieldIndex = 0;
+  for (; index < lines.length && lines[index] !== 'Resources:'; index++) {
+    const line = lines[index];
+    while (fieldIndex < SIWE_FIELDS.length && !line.startsWith(`${SIWE_FIELDS[fieldIndex].label}: `)) {
+      if (SIWE_FIELDS[fieldIndex].required) {
+        throw new Error(`SIWE message is missing ${SIWE_FIELDS[fieldIndex].label}`);
+      }
+      fieldIndex++;
+    }
+    if (fieldIndex === SIWE_FIELDS.length) {
+      throw new Error(`Unexpected line in SIWE message: ${line}`);
+    }
+
+    const { key, label } = SIWE_FIELDS[fieldIndex];
+    fields[key] = line.slice(label.length + 2);
+    fieldIndex++;
+  }
+
+  for (const { key, label, required } of SIWE_FIELDS) {
+    if (required && !fields[key]) {
+      throw new Error(`SIWE message is missing ${label}`);
+    }
+  }
+
+  if (lines[index] === 'Resources:') {
+    fields.resources = lines.slice(index + 1).map(line => {
+      if (!line.startsWith('- ')) {
+        throw new Error(`Unexpected line in SIWE resources: ${line}`);
+      }
+      return line.slice(2);
+    });
+  }
+
+  if (fields.version !== SIWE_VERSION) {
+    throw new Error(`Unsupported SIWE version: ${fields.version}`);
+  }
+  if (!/^\d+$/.test(fields.chainId)) {
+    throw new Error('SIWE Chain ID must be a number');
+  }
+  fields.chainId = Number(fields.chainId);
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('SIWE nonce must be at least 8 alphanumeric characters');
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] && Number.isNaN(Date.parse(fields[key]))) {
+      throw new Error(`SIWE ${key} is not a valid date`);
+    }
+  }
+
+  return fields;
+};
+
+module.exports = {
+  formatSiweMessage,
+  parseSiweMessage
+};
@@ -0,0 +1,152 @@
+/**
+ * Transfer call builders
+ * Encodes asset transfers as plain { to, data } calls so the same rescue plan
+ * can be signed and submitted in any mode (direct, bundle, batch)
+ */
+
+const { ethers } = require('ethers');
+const { estimateGas, getChecksumAddress } = require('./ethers.js');
+
+const ERC20_TRANSFER_INTERFACE = new ethers.Interface([
+  'function transfer(address to, uint256 amount) returns (bool)'
+]);
+
+const ERC721_TRANSFER_INTERFACE = new ethers.Interface([
+  'function transferFrom(address from, address to, uint256 tokenId)'
+]);
+
+const ERC1155_TRANSFER_INTERFACE = new ethers.Interface([
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)'
+]);
+
+/**
+ * Convert a token ID from scanner/Moralis output into a BigInt
+ * @param {string|number|bigint} tokenId - Token ID (decimal or 0x-prefixed hex)
+ * @returns {bigint} Token ID
+ */
+const toTokenId = (tokenId) => {
+  if (typeof tokenId === 'bigint') return tokenId;
+  return BigInt(tokenId);
+};
+
+/**
+ * Build the transfer calls needed to move one discovered token to the safe wallet
+ * ERC721 tokens without a known token ID are skipped, since they cannot be encoded
+ * @param {Object} token - Token object as returned by getTokenBalances
+ * @param {string} fromAddress - Address currently holding the token
+ * @param {string} safeWallet - Destination address
+ * @returns {Array<Object>} Transfer calls ({ to, data, value, txType, label, token })
+ */
+const buildTransferCalls = (token, fromAddress, safeWallet) => {
+  const calls = [];
+  if (!token || !token.address) return calls;
+
+  const to = getChecksumAddress(token.address);
+  const from = getChecksumAddress(fromAddress);
+  const recipient = getChecksumAddress(safeWallet);
+  const label = token.symbol || token.address;
+
+  if (token.type === 'ERC721') {
+    const tokenIds = token.tokenIds && token.tokenIds.length > 0
+      ? token.tokenIds
+      : (token.tokenId !== undefined ? [token.tokenId] : []);
+
+    for (const tokenId of tokenIds) {
+      if (tokenId === 'UNKNOWN') continue;
+      calls.push({
+        to,
+        data: ERC721_TRANSFER_INTERFACE.encodeFunctionData('transferFrom', [from, recipient, toTokenId(tokenId)]),
+        value: 0n,
+        txType: 'erc721Transfer',
+        label: `${label} #${tokenId}`,
+        token: { address: to, type: 'ERC721', symbol: token.symbol, tokenId: tokenId.toString() }
+      });
+    }
+    return calls;
+  }
+
+  if (token.type === 'ERC1155') {
+    const items = token.ownedTokens && token.ownedTokens.length > 0
+      ? token.ownedTokens
+      : [{ tokenId: token.tokenId ?? token.tokenIdHex ?? 0, balance: token.balance || '1' }];
+
+    for (const item of items) {
+      const amount = BigInt(item.balance);
+      if (amount === 0n) continue;
+      calls.push({
+        to,
+        data: ERC1155_TRANSFER_INTERFACE.encodeFunctionData('safeTransferFrom', [from, recipient, toTokenId(item.tokenId), amount, '0x']),
+        value: 0n,
+        txType: 'erc1155Transfer',
+        label: `${label} #${item.tokenId}`,
+        token: { address: to, type: 'ERC1155', symbol: token.symbol, tokenId: item.tokenId.toString(), amount: amount.toString() }
+      });
+    }
+    return calls;
+  }
+
+  // Everything else is treated as ERC20
+  const amount = BigInt(token.balance || 0);
+  if (amount === 0n) return calls;
+
+  calls.push({
+    to,
+    data: ERC20_TRANSFER_INTERFACE.encodeFunctionData('transfer', [recipient, amount]),
+    value: 0n,
+    txType: 'erc20Transfer',
+    label,
+    token: { address: to, type: 'ERC20', symbol: token.symbol, decimals: token.decimals, amount: amount.toString() }
+  });
+  return calls;
+};
+
+/**
+ * Build transfer calls for a list of tokens, preserving their order
+ * @param {Array<Object>} tokens - Tokens as returned by getTokenBalances
+ * @param {string} fromAddress - Address currently holding the tokens
+ * @param {string} safeWallet - Destination address
+ * @returns {Array<Object>} Transfer calls
+ */
+const buildTransferCallsForTokens = (tokens, fromAddress, safeWallet) => {
+  const calls = [];
+  for (const token of tokens || []) {
+    try {
+      calls.push(...buildTransferCalls(token, fromAddress, safeWallet));
+    } catch (error) {
+      console.warn(`Skipping ${token.symbol || token.address}: ${error.message}`);
+    }
+  }
+  return calls;
+};
+
+/**
+ * Attach a gas limit to each call, estimated from the holder's address
+ * Falls back to network defaults through estimateGas when estimation fails
+ * @param {ethers.Provider} provider - The provider instance
+ * @param {Array<Object>} calls - Transfer calls
+ * @param {string} fromAddress - Address that will send the calls
+ * @param {string} network - Network name for fallback defaults
+ * @returns {Promise<Array<Object>>} Calls with gasLimit set
+ */
+const estimateTransferCalls = async (provider, calls, fromAddress, network) => {
+  const estimated = [];
+  for (const call of calls) {
+    const gasLimit = await estimateGas(
+      provider,
+      { from: fromAddress, to: call.to, data: call.data, value: call.value },
+      network,
+      call.txType
+    );
+    estimated.push({ ...call, gasLimit });
+  }
+  return estimated;
+};
+
+module.exports = {
+  buildTransferCalls,
+  buildTransferCallsForTokens,
+  estimateTransferCalls,
+  ERC20_TRANSFER_INTERFACE,
+  ERC721_TRANSFER_INTERFACE,
+  ERC1155_TRANSFER_INTERFACE
+};
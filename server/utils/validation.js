@@ -5,6 +5,7 @@
 
 const { isValidAddress } = require('./ethers.js');
 const { isNetworkSupported } = require('../config/networks.js');
+const { isFeeStrategy } = require('./feeStrategy.js');
 
 /**
  * Validation error types
@@ -48,6 +49,9 @@ const VALIDATION_ERRORS = {
   INVALID_TAG: 'Tag must be 1-20 characters, letters and numbers only',
   DUPLICATE_ENTRY: 'This entry already exists',
   INVALID_CURRENCY: 'Invalid currency format',
+  INVALID_SUBMISSION_MODE: 'Submission mode must be "direct", "bundle" or "eip7702"',
+  INVALID_PROFIT_POLICY: 'Profit policy needs a non-negative minNetValueUSD and maxGasToValueRatio',
+  INVALID_FEE_STRATEGY: 'Fee strategy must be "urgent", "normal" or "economy"',
   INVALID_PERCENTAGE: 'Percentage must be between 0 and 100',
   INVALID_DECIMAL: 'Invalid decimal format',
   INVALID_INTEGER: 'Must be a whole number',
@@ -326,6 +330,31 @@ const validatePattern = (value, pattern) => {
   return null;
 };
 
+/**
+ * Validate a rescue profitability policy
+ * @param {Object} policy - { enabled, minNetValueUSD, maxGasToValueRatio }
+ * @returns {string|null} Error message or null if valid
+ */
+const validateProfitPolicy = (policy) => {
+  if (policy === undefined || policy === null) return null; // Optional
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return VALIDATION_ERRORS.INVALID_PROFIT_POLICY;
+  }
+
+  for (const field of ['minNetValueUSD', 'maxGasToValueRatio']) {
+    if (policy[field] === undefined) continue;
+    const num = Number(policy[field]);
+    if (policy[field] === null || policy[field] === '' || isNaN(num) || num < 0) {
+      return VALIDATION_ERRORS.INVALID_PROFIT_POLICY;
+    }
+  }
+  if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+    return VALIDATION_ERRORS.INVALID_PROFIT_POLICY;
+  }
+
+  return null;
+};
+
 /**
  * Validate recovery form data
  * @param {Object} data - The form data to validate
@@ -368,6 +397,20 @@ const validateRecoveryForm = (data) => {
     }
   }
   
+  // Validate signing key (optional, stored encrypted for monitoring)
+  if (data.hackedWalletPrivateKey) {
+    const privateKeyError = validatePrivateKey(data.hackedWalletPrivateKey);
+    if (privateKeyError) {
+      errors.hackedWalletPrivateKey = privateKeyError;
+    }
+  }
+  
+  // Validate profitability policy (optional)
+  const profitPolicyError = validateProfitPolicy(data.profitPolicy);
+  if (profitPolicyError) {
+    errors.profitPolicy = profitPolicyError;
+  }
+  
   return {
     isValid: Object.keys(errors).length === 0,
     errors
@@ -382,10 +425,17 @@ const validateRecoveryForm = (data) => {
 const validateAutoRescueForm = (data) => {
   const errors = {};
   
-  // Validate private key
-  const privateKeyError = validateRequired(data.hackedWalletPrivateKey) || validatePrivateKey(data.hackedWalletPrivateKey);
-  if (privateKeyError) {
-    errors.hackedWalletPrivateKey = privateKeyError;
+  // Validate private key, or the address a remote signer signs for
+  if (data.signerAddress) {
+    const signerAddressError = validateAddress(data.signerAddress);
+    if (signerAddressError) {
+      errors.signerAddress = signerAddressError;
+    }
+  } else {
+    const privateKeyError = validateRequired(data.hackedWalletPrivateKey) || validatePrivateKey(data.hackedWalletPrivateKey);
+    if (privateKeyError) {
+      errors.hackedWalletPrivateKey = privateKeyError;
+    }
   }
   
   // Validate safe wallet
@@ -408,6 +458,61 @@ const validateAutoRescueForm = (data) => {
     }
   }
   
+  // Validate submission mode (optional, defaults to the network's rescue mode)
+  if (data.submissionMode !== undefined && !['direct', 'bundle', 'eip7702'].includes(data.submissionMode)) {
+    errors.submissionMode = VALIDATION_ERRORS.INVALID_SUBMISSION_MODE;
+  }
+  
+  // Validate profitability policy (optional, overrides the recovery's)
+  const profitPolicyError = validateProfitPolicy(data.profitPolicy);
+  if (profitPolicyError) {
+    errors.profitPolicy = profitPolicyError;
+  }
+
+  // Validate fee strategy (optional, defaults to the network's)
+  if (data.feeStrategy !== undefined && !isFeeStrategy(data.feeStrategy)) {
+    errors.feeStrategy = VALIDATION_ERRORS.INVALID_FEE_STRATEGY;
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate a client-signed rescue plan request
+ * Takes the hacked wallet's address instead of its private key
+ * @param {Object} data - The form data to validate
+ * @returns {Object} Validation result with errors object
+ */
+const validateRescuePlanForm = (data) => {
+  const errors = {};
+
+  // Validate hacked wallet
+  const hackedWalletError = validateRequired(data.hackedWallet) || validateAddress(data.hackedWallet);
+  if (hackedWalletError) {
+    errors.hackedWallet = hackedWalletError;
+  }
+
+  // Validate safe wallet
+  const safeWalletError = validateRequired(data.safeWallet) || validateAddress(data.safeWallet) ||
+    validateDifferentAddresses(data.hackedWallet, data.safeWallet);
+  if (safeWalletError) {
+    errors.safeWallet = safeWalletError;
+  }
+
+  // Validate network
+  const networkError = validateRequired(data.network) || validateNetwork(data.network);
+  if (networkError) {
+    errors.network = networkError;
+  }
+
+  // Validate fee strategy (optional, defaults to the network's)
+  if (data.feeStrategy !== undefined && !isFeeStrategy(data.feeStrategy)) {
+    errors.feeStrategy = VALIDATION_ERRORS.INVALID_FEE_STRATEGY;
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors
@@ -477,8 +582,10 @@ module.exports = {
   validateNumberRange,
   validateStringLength,
   validatePattern,
+  validateProfitPolicy,
   validateRecoveryForm,
   validateAutoRescueForm,
+  validateRescuePlanForm,
   validateTokenApprovalForm,
   getFirstError,
   hasErrors
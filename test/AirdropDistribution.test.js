@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseEther, toBeHex } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const { createRecoveryRecord, createStatusRecord, RECOVERY_EVENTS } = require("../server/models/recovery.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const { AirdropClaimService } = require("../server/services/airdropClaimService.js");
+const { parseDistribution } = require("../server/utils/distribution.js");
+const { hashMerkleLeaf, hashPair } = require("../server/utils/merkle.js");
+
+/**
+ * Build a sorted-pair Merkle tree and return its root and per-leaf proofs
+ */
+const buildTree = (leaves) => {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = leaves.map((_, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  });
+
+  return { root: layers[layers.length - 1][0], proofs };
+};
+
+describe("Airdrop distribution import", function () {
+  this.timeout(120000);
+
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let hackedWallet;
+  let safeWallet;
+  let token;
+  let distributor;
+  let entries;
+  let root;
+  let store;
+  let claims;
+  let filePath;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.05") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Airdrop Token", "AIR");
+    await token.waitForDeployment();
+
+    entries = [
+      { index: 0, account: deployer.address, amount: parseEther("10").toString() },
+      { index: 1, account: hackedWallet.address, amount: parseEther("25").toString() },
+      { index: 2, account: ethers.Wallet.createRandom().address, amount: parseEther("5").toString() }
+    ];
+    const tree = buildTree(entries.map(e => hashMerkleLeaf(e.index, e.account, e.amount)));
+    root = tree.root;
+    entries.forEach((entry, i) => { entry.proof = tree.proofs[i]; });
+
+    const MockMerkleDistributor = await ethers.getContractFactory("MockMerkleDistributor");
+    distributor = await MockMerkleDistributor.deploy(await token.getAddress(), root);
+    await distributor.waitForDeployment();
+    await (await token.transfer(await distributor.getAddress(), parseEther("40"))).wait();
+
+    filePath = path.join(os.tmpdir(), `airdrop-distributions-${Date.now()}.json`);
+    store = createRecoveryStore("memory");
+    claims = new AirdropClaimService({ filePath, store });
+  });
+
+  afterEach(function () {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  /**
+   * Uniswap-style distribution file for the test tree
+   */
+  const uniswapFile = (overrides = {}) => JSON.stringify({
+    merkleRoot: root,
+    tokenTotal: toBeHex(parseEther("40")),
+    claims: Object.fromEntries(entries.map(entry => [entry.account, {
+      index: entry.index,
+      amount: toBeHex(BigInt(entry.amount)),
+      proof: entry.proof,
+      ...overrides[entry.index]
+    }]))
+  });
+
+  it("Should parse Uniswap JSON and CSV distribution files", function () {
+    const json = parseDistribution(uniswapFile());
+    expect(json.merkleRoot).to.equal(root);
+    expect(json.entries).to.have.lengthOf(3);
+    expect(json.entries[1]).to.deep.equal(entries[1]);
+
+    const csv = parseDistribution([
+      "address,index,amount,proof",
+      ...entries.map(e => `${e.account},${e.index},${e.amount},"${JSON.stringify(e.proof).replace(/"/g, '""')}"`),
+      `${entries[0].account},3,1,${entries[0].proof.join(" ")}`,
+      "not-an-address,4,1,"
+    ].join("\n"));
+    expect(csv.merkleRoot).to.be.null;
+    expect(csv.entries).to.have.lengthOf(4);
+    expect(csv.entries[2].proof).to.deep.equal(entries[2].proof);
+    expect(csv.entries[3].proof).to.deep.equal(entries[0].proof);
+    expect(csv.errors).to.have.lengthOf(1);
+    expect(csv.errors[0].row).to.equal(6);
+  });
+
+  it("Should report invalid proofs and claimed indices and attach matches to recoveries", async function () {
+    const recovery = createRecoveryRecord({ hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK });
+    await store.saveRecovery(recovery);
+
+    // Index 0 is already claimed on-chain; index 2 carries a tampered amount
+    await (await distributor.claim(0, entries[0].account, entries[0].amount, entries[0].proof)).wait();
+
+    const result = await claims.importDistribution({
+      network: NETWORK,
+      distributor: await distributor.getAddress(),
+      symbol: "AIR",
+      airdropId: "test-import",
+      content: uniswapFile({ 2: { amount: toBeHex(parseEther("50")) } }),
+      provider: ethers.provider
+    });
+
+    expect(result.success).to.be.true;
+    expect(result.merkleRoot).to.equal(root);
+    expect(result.token).to.equal(await token.getAddress());
+    expect(result.summary).to.include({ total: 3, valid: 1, invalidProof: 1, alreadyClaimed: 1, errors: 0, matched: 1 });
+
+    const byIndex = Object.fromEntries(result.entries.map(entry => [entry.index, entry]));
+    expect(byIndex[0].status).to.equal("already_claimed");
+    expect(byIndex[2].status).to.equal("invalid_proof");
+    expect(byIndex[1]).to.include({ status: "valid", recoveryId: recovery.id });
+
+    const stored = await store.getRecovery(recovery.id);
+    expect(stored.airdropClaims).to.have.lengthOf(1);
+    expect(stored.airdropClaims[0]).to.include({ airdropId: "test-import", index: 1, amount: entries[1].amount, status: "pending" });
+    const history = await store.getHistory(recovery.id);
+    expect(history.map(entry => entry.event)).to.include(RECOVERY_EVENTS.AIRDROP_ATTACHED);
+
+    // The distribution survives a restart and only keeps claimable entries
+    const reloaded = new AirdropClaimService({ filePath, store });
+    const accountClaims = await reloaded.getClaimsForAccount(NETWORK, hackedWallet.address);
+    expect(accountClaims).to.have.lengthOf(1);
+    expect(await reloaded.getClaimsForAccount(NETWORK, entries[2].account)).to.deep.equal([]);
+  });
+
+  it("Should reject a file built for a different Merkle root", async function () {
+    const result = await claims.importDistribution({
+      network: NETWORK,
+      distributor: await distributor.getAddress(),
+      content: JSON.stringify({ ...JSON.parse(uniswapFile()), merkleRoot: ethers.ZeroHash }),
+      provider: ethers.provider
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("does not match");
+    expect(fs.existsSync(filePath)).to.be.false;
+  });
+
+  it("Should claim attached entries and forward them to the safe wallet", async function () {
+    const recovery = createRecoveryRecord({ hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK });
+    await store.saveRecovery(recovery);
+    await store.saveStatus(recovery.id, createStatusRecord());
+
+    await claims.importDistribution({
+      network: NETWORK,
+      distributor: await distributor.getAddress(),
+      symbol: "AIR",
+      airdropId: "test-monitor",
+      content: uniswapFile(),
+      provider: ethers.provider
+    });
+
+    const service = new RecoveryService(store);
+    const attached = await store.getRecovery(recovery.id);
+    const result = await service.claimPendingAirdrops(attached, hackedWallet, ethers.provider);
+
+    expect(result.failed).to.deep.equal([]);
+    expect(result.claimed).to.have.lengthOf(1);
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("25"));
+    expect(await distributor.isClaimed(1)).to.be.true;
+
+    const stored = await store.getRecovery(recovery.id);
+    expect(stored.airdropClaims[0].status).to.equal("claimed");
+    const status = await store.getStatus(recovery.id);
+    expect(status.recoveredTokens[0]).to.include({ airdropId: "test-monitor", balance: entries[1].amount });
+
+    // Nothing pending on the next pass
+    const again = await service.claimPendingAirdrops(stored, hackedWallet, ethers.provider);
+    expect(again.claimed).to.deep.equal([]);
+    expect(again.failed).to.deep.equal([]);
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const { ZeroAddress, parseEther, MaxUint256 } = require("ethers");
 require("dotenv").config();
 
@@ -90,7 +91,7 @@ describe("AirdropRecovery", function () {
       expect(recovery.hackedWallet).to.equal(user1.address);
       expect(recovery.safeWallet).to.equal(user2.address);
       expect(recovery.isActive).to.be.true;
-      expect(recovery.totalRecovered).to.equal(0n);
+      expect(recovery.recovered).to.have.lengthOf(0);
     });
 
     it("Should emit RecoveryRegistered event", async function () {
@@ -136,6 +137,85 @@ describe("AirdropRecovery", function () {
     });
   });
 
+  describe("Signature Registration", function () {
+    const signRegistration = async (signer, hackedWallet, safeWallet, deadline, nonce) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      return signer.signTypedData(
+        { name: "AirdropRecovery", version: "1", chainId, verifyingContract: await airdropRecovery.getAddress() },
+        {
+          RegisterRecovery: [
+            { name: "hackedWallet", type: "address" },
+            { name: "safeWallet", type: "address" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { hackedWallet, safeWallet, nonce: nonce ?? await airdropRecovery.nonces(hackedWallet), deadline }
+      );
+    };
+
+    const futureDeadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+    it("Should let a relayer register with the hacked wallet's signature", async function () {
+      const deadline = await futureDeadline();
+      const signature = await signRegistration(user1, user1.address, user2.address, deadline);
+
+      // Submitted by the safe wallet; the hacked wallet sends nothing
+      await expect(airdropRecovery.connect(user2).registerRecoveryWithSig(user1.address, user2.address, deadline, signature))
+        .to.emit(airdropRecovery, "RecoveryRegistered")
+        .withArgs(user1.address, user2.address);
+
+      const recovery = await airdropRecovery.getRecoveryInfo(user1.address);
+      expect(recovery.isActive).to.be.true;
+      expect(recovery.safeWallet).to.equal(user2.address);
+      expect(await airdropRecovery.nonces(user1.address)).to.equal(1n);
+    });
+
+    it("Should reject signatures from any other key", async function () {
+      const deadline = await futureDeadline();
+      const signature = await signRegistration(user3, user1.address, user3.address, deadline);
+
+      await expect(
+        airdropRecovery.connect(user3).registerRecoveryWithSig(user1.address, user3.address, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject a signature for a different safe wallet", async function () {
+      const deadline = await futureDeadline();
+      const signature = await signRegistration(user1, user1.address, user2.address, deadline);
+
+      await expect(
+        airdropRecovery.connect(user3).registerRecoveryWithSig(user1.address, user3.address, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject expired signatures", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const signature = await signRegistration(user1, user1.address, user2.address, deadline);
+
+      await expect(
+        airdropRecovery.registerRecoveryWithSig(user1.address, user2.address, deadline, signature)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should not allow a signature to be replayed after deactivation", async function () {
+      const deadline = await futureDeadline();
+      const signature = await signRegistration(user1, user1.address, user2.address, deadline);
+
+      await airdropRecovery.registerRecoveryWithSig(user1.address, user2.address, deadline, signature);
+      await airdropRecovery.connect(user2).deactivateRecovery(user1.address);
+
+      await expect(
+        airdropRecovery.registerRecoveryWithSig(user1.address, user2.address, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      // A fresh signature with the next nonce still works
+      const renewed = await signRegistration(user1, user1.address, user2.address, deadline);
+      await airdropRecovery.registerRecoveryWithSig(user1.address, user2.address, deadline, renewed);
+      expect(await airdropRecovery.isRecoveryActive(user1.address)).to.be.true;
+    });
+  });
+
   describe("Airdrop Claiming", function () {
     beforeEach(async function () {
       // Register a recovery for testing as the hacked wallet
@@ -159,11 +239,12 @@ describe("AirdropRecovery", function () {
       const allowance = await mockToken.allowance(user1.address, await airdropRecovery.getAddress());
       expect(allowance).to.equal(amount);
       
-      // Claim airdrop (owner calls this function)
-      await expect(airdropRecovery.claimAirdrop(
+      // Claim airdrop (the safe wallet calls this function directly)
+      await expect(airdropRecovery.connect(user2).claimAirdrop(
         await mockToken.getAddress(),
         user1.address,
         amount,
+        0,
         "0x"
       )).to.emit(airdropRecovery, "AirdropClaimed")
         .withArgs(await mockToken.getAddress(), amount, user1.address);
@@ -187,10 +268,11 @@ describe("AirdropRecovery", function () {
       expect(allowance).to.equal(amount);
       
       // Claim airdrop and check for transfer event
-      await expect(airdropRecovery.claimAirdrop(
+      await expect(airdropRecovery.connect(user2).claimAirdrop(
         await mockToken.getAddress(),
         user1.address,
         amount,
+        0,
         "0x"
       )).to.emit(airdropRecovery, "FundsTransferred")
         .withArgs(await mockToken.getAddress(), amount, user2.address);
@@ -209,22 +291,25 @@ describe("AirdropRecovery", function () {
       const allowance = await mockToken.allowance(user1.address, await airdropRecovery.getAddress());
       expect(allowance).to.equal(amount);
       
+      const tokenAddress = await mockToken.getAddress();
       const beforeRecovery = await airdropRecovery.getRecoveryInfo(user1.address);
-      await airdropRecovery.claimAirdrop(await mockToken.getAddress(), user1.address, amount, "0x");
+      const beforeAmount = await airdropRecovery.recoveredAmounts(user1.address, tokenAddress);
+      await airdropRecovery.connect(user2).claimAirdrop(tokenAddress, user1.address, amount, 0, "0x");
       const afterRecovery = await airdropRecovery.getRecoveryInfo(user1.address);
       
-      // Check that total recovered increased
-      expect(afterRecovery.totalRecovered).to.equal(beforeRecovery.totalRecovered + amount);
+      // Check that the token's recovered total increased
+      expect(await airdropRecovery.recoveredAmounts(user1.address, tokenAddress)).to.equal(beforeAmount + amount);
       expect(afterRecovery.lastClaimTime).to.be.gt(beforeRecovery.lastClaimTime);
     });
 
     it("Should not allow claiming from unregistered wallet", async function () {
       // Try to claim from unregistered wallet
       await expect(
-        airdropRecovery.claimAirdrop(
+        airdropRecovery.connect(user2).claimAirdrop(
           await mockToken.getAddress(),
           user3.address,
           parseEther("10"),
+          0,
           "0x"
         )
       ).to.be.revertedWith("Recovery not registered");
@@ -240,16 +325,17 @@ describe("AirdropRecovery", function () {
       
       // Try to claim more than available
       await expect(
-        airdropRecovery.claimAirdrop(await mockToken.getAddress(), user1.address, claimAmount, "0x")
+        airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, claimAmount, 0, "0x")
       ).to.be.revertedWith("Insufficient token balance");
     });
 
     it("Should not allow claiming with zero amount", async function () {
       await expect(
-        airdropRecovery.claimAirdrop(
+        airdropRecovery.connect(user2).claimAirdrop(
           await mockToken.getAddress(),
           user1.address,
           0n,
+          0,
           "0x"
         )
       ).to.be.revertedWith("Amount must be greater than 0");
@@ -258,42 +344,515 @@ describe("AirdropRecovery", function () {
     it("Should not allow claiming with invalid token address", async function () {
       const amount = parseEther("10");
       await expect(
-        airdropRecovery.claimAirdrop(
+        airdropRecovery.connect(user2).claimAirdrop(
           ZeroAddress,
           user1.address,
           amount,
+          0,
           "0x"
         )
       ).to.be.revertedWith("Invalid token address");
     });
   });
 
+  describe("Relayed Claims", function () {
+    const amount = parseEther("30");
+
+    const signClaim = async (signer, { token, hackedWallet, value, deadline, nonce }) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      return signer.signTypedData(
+        { name: "AirdropRecovery", version: "1", chainId, verifyingContract: await airdropRecovery.getAddress() },
+        {
+          ClaimAirdrop: [
+            { name: "token", type: "address" },
+            { name: "hackedWallet", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { token, hackedWallet, amount: value, nonce: nonce ?? await airdropRecovery.claimNonces(hackedWallet), deadline }
+      );
+    };
+
+    let claim;
+
+    beforeEach(async function () {
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+      await (await mockToken.mint(user1.address, amount * 2n)).wait();
+      await (await mockToken.connect(user1).approve(await airdropRecovery.getAddress(), amount * 2n)).wait();
+
+      claim = {
+        token: await mockToken.getAddress(),
+        hackedWallet: user1.address,
+        value: amount,
+        deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600
+      };
+    });
+
+    it("Should not allow unrelated callers to claim without a signature", async function () {
+      await expect(
+        airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, claim.deadline, "0x")
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should let a relayer submit a claim signed by the safe wallet", async function () {
+      const signature = await signClaim(user2, claim);
+
+      await expect(airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, claim.deadline, signature))
+        .to.emit(airdropRecovery, "ClaimAuthorized")
+        .withArgs(user1.address, user2.address, 0, user3.address);
+
+      expect(await mockToken.balanceOf(user2.address)).to.equal(amount);
+      expect(await airdropRecovery.claimNonces(user1.address)).to.equal(1n);
+    });
+
+    it("Should let a relayer submit a claim signed by the hacked wallet", async function () {
+      const signature = await signClaim(user1, claim);
+
+      await airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, claim.deadline, signature);
+      expect(await mockToken.balanceOf(user2.address)).to.equal(amount);
+    });
+
+    it("Should not allow a signed claim to be replayed", async function () {
+      const signature = await signClaim(user2, claim);
+      await airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, claim.deadline, signature);
+
+      await expect(
+        airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, claim.deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject signatures from other keys, for other amounts or past their deadline", async function () {
+      const stranger = await signClaim(user3, claim);
+      await expect(
+        airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, claim.deadline, stranger)
+      ).to.be.revertedWith("Invalid signature");
+
+      const signature = await signClaim(user2, claim);
+      await expect(
+        airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount * 2n, claim.deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      const expired = { ...claim, deadline: (await ethers.provider.getBlock("latest")).timestamp - 1 };
+      await expect(
+        airdropRecovery.connect(user3).claimAirdrop(claim.token, user1.address, amount, expired.deadline, await signClaim(user2, expired))
+      ).to.be.revertedWith("Signature expired");
+    });
+  });
+
+  describe("Batch Claiming", function () {
+    let mockToken2;
+    let mockNFT;
+    let mockMulti;
+
+    beforeEach(async function () {
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+
+      mockToken2 = await MockERC20.deploy("Second Token", "TWO");
+      await mockToken2.waitForDeployment();
+
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      mockNFT = await MockERC721.deploy("Test NFT", "TNFT");
+      await mockNFT.waitForDeployment();
+
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      mockMulti = await MockERC1155.deploy("https://example.com/{id}.json");
+      await mockMulti.waitForDeployment();
+
+      const recoveryAddress = await airdropRecovery.getAddress();
+      await (await mockToken.mint(user1.address, parseEther("100"))).wait();
+      await (await mockToken2.mint(user1.address, parseEther("40"))).wait();
+      await (await mockNFT.mint(user1.address, 7)).wait();
+      await (await mockNFT.mint(user1.address, 8)).wait();
+      await (await mockMulti.mint(user1.address, 1, 25)).wait();
+
+      // Approvals the hacked wallet grants ahead of the rescue
+      await (await mockToken.connect(user1).approve(recoveryAddress, MaxUint256)).wait();
+      await (await mockToken2.connect(user1).approve(recoveryAddress, MaxUint256)).wait();
+      await (await mockNFT.connect(user1).setApprovalForAll(recoveryAddress, true)).wait();
+      await (await mockMulti.connect(user1).setApprovalForAll(recoveryAddress, true)).wait();
+    });
+
+    const signBatch = async (signer, hackedWallet, items, deadline) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      const itemsHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]", "uint256[]", "tuple(address token, uint256 tokenId)[]", "tuple(address token, uint256 id, uint256 amount)[]"],
+        [items[0], items[1], items[2].map(item => [item.token, item.tokenId]), items[3].map(item => [item.token, item.id, item.amount])]
+      ));
+      return signer.signTypedData(
+        { name: "AirdropRecovery", version: "1", chainId, verifyingContract: await airdropRecovery.getAddress() },
+        {
+          ClaimBatch: [
+            { name: "hackedWallet", type: "address" },
+            { name: "itemsHash", type: "bytes32" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { hackedWallet, itemsHash, nonce: await airdropRecovery.claimNonces(hackedWallet), deadline }
+      );
+    };
+
+    it("Should move ERC20, ERC721 and ERC1155 assets to the safe wallet in one call", async function () {
+      const items = [
+        [await mockToken.getAddress(), await mockToken2.getAddress()],
+        [parseEther("100"), parseEther("40")],
+        [
+          { token: await mockNFT.getAddress(), tokenId: 7 },
+          { token: await mockNFT.getAddress(), tokenId: 8 }
+        ],
+        [{ token: await mockMulti.getAddress(), id: 1, amount: 20 }]
+      ];
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signBatch(user1, user1.address, items, deadline);
+
+      // user3 relays the hacked wallet's signed batch
+      const tx = await airdropRecovery.connect(user3).claimBatch(user1.address, ...items, deadline, signature);
+      await expect(tx).to.emit(airdropRecovery, "ClaimAuthorized").withArgs(user1.address, user1.address, 0, user3.address);
+
+      await expect(tx).to.emit(airdropRecovery, "BatchClaimed").withArgs(user1.address, 2, 2, 1);
+      await expect(tx).to.emit(airdropRecovery, "NFTRecovered")
+        .withArgs(await mockNFT.getAddress(), 7, user1.address, user2.address);
+      await expect(tx).to.emit(airdropRecovery, "MultiTokenRecovered")
+        .withArgs(await mockMulti.getAddress(), 1, 20, user1.address, user2.address);
+
+      expect(await mockToken.balanceOf(user2.address)).to.equal(parseEther("100"));
+      expect(await mockToken2.balanceOf(user2.address)).to.equal(parseEther("40"));
+      expect(await mockNFT.ownerOf(7)).to.equal(user2.address);
+      expect(await mockNFT.ownerOf(8)).to.equal(user2.address);
+      expect(await mockMulti.balanceOf(user2.address, 1)).to.equal(20n);
+      expect(await mockMulti.balanceOf(user1.address, 1)).to.equal(5n);
+
+      // Nothing is left behind in the contract
+      const recoveryAddress = await airdropRecovery.getAddress();
+      expect(await mockToken.balanceOf(recoveryAddress)).to.equal(0n);
+      expect(await mockMulti.balanceOf(recoveryAddress, 1)).to.equal(0n);
+
+      const info = await airdropRecovery.getRecoveryInfo(user1.address);
+      expect(info.recovered.map(({ token, amount }) => [token, amount])).to.deep.equal([
+        [await mockToken.getAddress(), parseEther("100")],
+        [await mockToken2.getAddress(), parseEther("40")]
+      ]);
+      expect(info.lastClaimTime).to.be.gt(0n);
+    });
+
+    it("Should reject batch claims from unauthorized callers", async function () {
+      const items = [[await mockToken.getAddress()], [parseEther("100")], [], []];
+
+      await expect(
+        airdropRecovery.connect(user3).claimBatch(user1.address, ...items, 0, "0x")
+      ).to.be.revertedWith("Not authorized");
+
+      // A signature from anyone but the hacked or safe wallet does not count
+      const deadline = (await time.latest()) + 3600;
+      await expect(
+        airdropRecovery.connect(user3).claimBatch(user1.address, ...items, deadline, await signBatch(user3, user1.address, items, deadline))
+      ).to.be.revertedWith("Invalid signature");
+
+      // Nor does a signature over a different set of assets
+      const signature = await signBatch(user1, user1.address, [[await mockToken.getAddress()], [parseEther("1")], [], []], deadline);
+      await expect(
+        airdropRecovery.connect(user3).claimBatch(user1.address, ...items, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(parseEther("100"));
+    });
+
+    it("Should reject expired and replayed batch signatures", async function () {
+      const items = [[await mockToken.getAddress()], [parseEther("50")], [], []];
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signBatch(user2, user1.address, items, deadline);
+
+      await airdropRecovery.connect(user3).claimBatch(user1.address, ...items, deadline, signature);
+      await expect(
+        airdropRecovery.connect(user3).claimBatch(user1.address, ...items, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      const expired = await signBatch(user2, user1.address, items, deadline);
+      await time.increase(3601);
+      await expect(
+        airdropRecovery.connect(user3).claimBatch(user1.address, ...items, deadline, expired)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should revert the whole batch if one asset cannot be pulled", async function () {
+      await expect(
+        airdropRecovery.connect(user2).claimBatch(
+          user1.address,
+          [await mockToken.getAddress()],
+          [parseEther("100")],
+          [{ token: await mockNFT.getAddress(), tokenId: 99 }],
+          [],
+          0,
+          "0x"
+        )
+      ).to.be.reverted;
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(parseEther("100"));
+    });
+
+    it("Should validate batch arguments", async function () {
+      await expect(
+        airdropRecovery.connect(user2).claimBatch(user1.address, [await mockToken.getAddress()], [], [], [], 0, "0x")
+      ).to.be.revertedWith("Array length mismatch");
+
+      await expect(
+        airdropRecovery.connect(user2).claimBatch(user1.address, [], [], [], [], 0, "0x")
+      ).to.be.revertedWith("Nothing to claim");
+
+      await expect(
+        airdropRecovery.connect(user2).claimBatch(user3.address, [await mockToken.getAddress()], [parseEther("1")], [], [], 0, "0x")
+      ).to.be.revertedWith("Recovery not registered");
+    });
+
+    it("Should reject NFTs sent to the contract directly", async function () {
+      const recoveryAddress = await airdropRecovery.getAddress();
+
+      await expect(
+        mockNFT.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, recoveryAddress, 7)
+      ).to.be.revertedWith("Direct transfers not accepted");
+
+      await expect(
+        mockMulti.connect(user1).safeTransferFrom(user1.address, recoveryAddress, 1, 1, "0x")
+      ).to.be.revertedWith("Direct transfers not accepted");
+    });
+
+    it("Should report the receiver interfaces", async function () {
+      expect(await airdropRecovery.supportsInterface("0x150b7a02")).to.be.true; // IERC721Receiver
+      expect(await airdropRecovery.supportsInterface("0x4e2312e0")).to.be.true; // IERC1155Receiver
+      expect(await airdropRecovery.supportsInterface("0x01ffc9a7")).to.be.true; // IERC165
+    });
+  });
+
+  describe("Permit2 Claims", function () {
+    let permit2;
+    let mockToken2;
+    let permit;
+
+    const signPermit = async (signer, { permitted, nonce, deadline }, spender) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      return signer.signTypedData(
+        { name: "Permit2", chainId, verifyingContract: await permit2.getAddress() },
+        {
+          PermitBatchTransferFrom: [
+            { name: "permitted", type: "TokenPermissions[]" },
+            { name: "spender", type: "address" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ],
+          TokenPermissions: [
+            { name: "token", type: "address" },
+            { name: "amount", type: "uint256" }
+          ]
+        },
+        { permitted, spender: spender || await airdropRecovery.getAddress(), nonce, deadline }
+      );
+    };
+
+    beforeEach(async function () {
+      const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+      permit2 = await MockPermit2.deploy();
+      await permit2.waitForDeployment();
+      await airdropRecovery.connect(owner).setPermit2(await permit2.getAddress());
+
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+
+      mockToken2 = await MockERC20.deploy("Second Token", "TWO");
+      await mockToken2.waitForDeployment();
+      await (await mockToken.mint(user1.address, parseEther("100"))).wait();
+      await (await mockToken2.mint(user1.address, parseEther("40"))).wait();
+
+      // Standing Permit2 allowances, as most wallets that traded on Uniswap have
+      await (await mockToken.connect(user1).approve(await permit2.getAddress(), MaxUint256)).wait();
+      await (await mockToken2.connect(user1).approve(await permit2.getAddress(), MaxUint256)).wait();
+
+      permit = {
+        permitted: [
+          { token: await mockToken.getAddress(), amount: parseEther("100") },
+          { token: await mockToken2.getAddress(), amount: parseEther("40") }
+        ],
+        nonce: 7n,
+        deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600
+      };
+    });
+
+    it("Should default to the canonical Permit2 and only let the owner change it", async function () {
+      const fresh = await AirdropRecovery.deploy(owner.address);
+      expect(await fresh.permit2()).to.equal("0x000000000022D473030F116dDEE9F6B43aC78BA3");
+
+      await expect(airdropRecovery.connect(user1).setPermit2(user1.address))
+        .to.be.revertedWithCustomError(airdropRecovery, "OwnableUnauthorizedAccount");
+      await expect(airdropRecovery.connect(owner).setPermit2(ZeroAddress))
+        .to.be.revertedWith("Invalid Permit2 address");
+    });
+
+    it("Should move every permitted token to the safe wallet in one call", async function () {
+      const signature = await signPermit(user1, permit);
+
+      await expect(airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, permit, signature))
+        .to.emit(airdropRecovery, "Permit2BatchClaimed")
+        .withArgs(user1.address, 2);
+
+      expect(await mockToken.balanceOf(user2.address)).to.equal(parseEther("100"));
+      expect(await mockToken2.balanceOf(user2.address)).to.equal(parseEther("40"));
+      expect(await mockToken.balanceOf(await airdropRecovery.getAddress())).to.equal(0n);
+
+      expect(await airdropRecovery.recoveredAmounts(user1.address, await mockToken.getAddress())).to.equal(parseEther("100"));
+      expect(await airdropRecovery.recoveredAmounts(user1.address, await mockToken2.getAddress())).to.equal(parseEther("40"));
+    });
+
+    it("Should not allow a permit to be replayed", async function () {
+      const signature = await signPermit(user1, permit);
+      await airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, permit, signature);
+
+      await (await mockToken.mint(user1.address, parseEther("100"))).wait();
+      await (await mockToken2.mint(user1.address, parseEther("40"))).wait();
+      await expect(airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, permit, signature))
+        .to.be.revertedWithCustomError(permit2, "InvalidNonce");
+    });
+
+    it("Should reject permits not signed by the hacked wallet or not issued to this contract", async function () {
+      await expect(
+        airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, permit, await signPermit(user3, permit))
+      ).to.be.revertedWithCustomError(permit2, "InvalidSigner");
+
+      await expect(
+        airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, permit, await signPermit(user1, permit, user3.address))
+      ).to.be.revertedWithCustomError(permit2, "InvalidSigner");
+
+      const expired = { ...permit, deadline: (await ethers.provider.getBlock("latest")).timestamp - 1 };
+      await expect(
+        airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, expired, await signPermit(user1, expired))
+      ).to.be.revertedWithCustomError(permit2, "SignatureExpired");
+    });
+
+    it("Should validate permit arguments", async function () {
+      const empty = { ...permit, permitted: [] };
+      await expect(
+        airdropRecovery.connect(user3).claimWithPermit2Batch(user1.address, empty, await signPermit(user1, empty))
+      ).to.be.revertedWith("Nothing to claim");
+
+      await expect(
+        airdropRecovery.connect(user3).claimWithPermit2Batch(user3.address, permit, await signPermit(user3, permit))
+      ).to.be.revertedWith("Recovery not registered");
+    });
+  });
+
+  describe("Native ETH and Ledger", function () {
+    beforeEach(async function () {
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+    });
+
+    it("Should forward ETH sent by the hacked wallet to the safe wallet", async function () {
+      const recoveryAddress = await airdropRecovery.getAddress();
+      const amount = parseEther("1.5");
+
+      const tx = user1.sendTransaction({ to: recoveryAddress, value: amount });
+      await expect(tx).to.changeEtherBalances([user2, airdropRecovery], [amount, 0n]);
+      await expect(tx)
+        .to.emit(airdropRecovery, "NativeRecovered")
+        .withArgs(user1.address, user2.address, amount);
+
+      expect(await airdropRecovery.recoveredAmounts(user1.address, ZeroAddress)).to.equal(amount);
+    });
+
+    it("Should forward ETH sent on behalf of a hacked wallet", async function () {
+      const amount = parseEther("0.25");
+
+      const tx = airdropRecovery.connect(user3).recoverNative(user1.address, { value: amount });
+      await expect(tx).to.changeEtherBalance(user2, amount);
+      await expect(tx)
+        .to.emit(airdropRecovery, "NativeRecovered")
+        .withArgs(user1.address, user2.address, amount);
+    });
+
+    it("Should refuse ETH that cannot be attributed to an active recovery", async function () {
+      const recoveryAddress = await airdropRecovery.getAddress();
+
+      await expect(user3.sendTransaction({ to: recoveryAddress, value: parseEther("1") }))
+        .to.be.revertedWith("Recovery not registered");
+      await expect(airdropRecovery.connect(user3).recoverNative(user3.address, { value: parseEther("1") }))
+        .to.be.revertedWith("Recovery not registered");
+      await expect(airdropRecovery.connect(user3).recoverNative(user1.address))
+        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(user3.sendTransaction({ to: recoveryAddress, value: 1n, data: "0x12345678" }))
+        .to.be.reverted;
+    });
+
+    it("Should keep separate totals per token and return the full ledger", async function () {
+      const mockToken2 = await MockERC20.deploy("Second Token", "TWO");
+      await mockToken2.waitForDeployment();
+      const recoveryAddress = await airdropRecovery.getAddress();
+
+      await (await mockToken.mint(user1.address, parseEther("70"))).wait();
+      await (await mockToken2.mint(user1.address, 500n)).wait();
+      await (await mockToken.connect(user1).approve(recoveryAddress, MaxUint256)).wait();
+      await (await mockToken2.connect(user1).approve(recoveryAddress, MaxUint256)).wait();
+
+      await airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, parseEther("50"), 0, "0x");
+      await airdropRecovery.connect(user2).claimAirdrop(await mockToken2.getAddress(), user1.address, 500n, 0, "0x");
+      await user1.sendTransaction({ to: recoveryAddress, value: parseEther("0.1") });
+      await airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, parseEther("20"), 0, "0x");
+
+      const ledger = await airdropRecovery.getRecoveryLedger(user1.address);
+      expect(ledger.map(({ token, amount }) => [token, amount])).to.deep.equal([
+        [await mockToken.getAddress(), parseEther("70")],
+        [await mockToken2.getAddress(), 500n],
+        [ZeroAddress, parseEther("0.1")]
+      ]);
+
+      const info = await airdropRecovery.getRecoveryInfo(user1.address);
+      expect(info.recovered).to.have.lengthOf(3);
+      expect(await airdropRecovery.getRecoveryLedger(user3.address)).to.deep.equal([]);
+    });
+  });
+
   describe("Recovery Management", function () {
     beforeEach(async function () {
       // Register a recovery as the hacked wallet
       await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
     });
 
-    it("Should allow hacked wallet to deactivate recovery", async function () {
-      // Check that recovery is initially active
+    it("Should not allow hacked wallet to deactivate recovery", async function () {
+      // The hacked key may be held by the attacker
+      await expect(
+        airdropRecovery.connect(user1).deactivateRecovery(user1.address)
+      ).to.be.revertedWith("Not authorized");
       expect(await airdropRecovery.isRecoveryActive(user1.address)).to.be.true;
-      
-      // Deactivate recovery by hacked wallet
-      await expect(airdropRecovery.connect(user1).deactivateRecovery(user1.address))
+    });
+
+    it("Should allow safe wallet to deactivate recovery", async function () {
+      // Deactivate recovery by the designated safe wallet
+      await expect(airdropRecovery.connect(user2).deactivateRecovery(user1.address))
         .to.emit(airdropRecovery, "RecoveryDeactivated")
         .withArgs(user1.address);
-      
+
       // Check that recovery is inactive
       const recovery = await airdropRecovery.getRecoveryInfo(user1.address);
       expect(recovery.isActive).to.be.false;
       expect(await airdropRecovery.isRecoveryActive(user1.address)).to.be.false;
     });
 
-    it("Should allow safe wallet to deactivate recovery", async function () {
-      // Deactivate recovery by the designated safe wallet
-      await expect(airdropRecovery.connect(user2).deactivateRecovery(user1.address))
-        .to.emit(airdropRecovery, "RecoveryDeactivated")
-        .withArgs(user1.address);
+    it("Should not let the hacked key redirect the safe wallet by registering again", async function () {
+      await airdropRecovery.connect(user2).deactivateRecovery(user1.address);
+
+      // Re-registering keeps the previous safe wallet and only proposes the new one
+      await expect(airdropRecovery.connect(user1).registerRecovery(user1.address, user3.address))
+        .to.emit(airdropRecovery, "RecoveryRegistered")
+        .withArgs(user1.address, user2.address)
+        .and.to.emit(airdropRecovery, "SafeWalletChangeProposed");
+
+      const recovery = await airdropRecovery.getRecoveryInfo(user1.address);
+      expect(recovery.isActive).to.be.true;
+      expect(recovery.safeWallet).to.equal(user2.address);
+      expect((await airdropRecovery.pendingSafeWalletChanges(user1.address)).newSafeWallet).to.equal(user3.address);
+
+      // The safe wallet can stop the redirect while it is timelocked
+      await expect(airdropRecovery.executeSafeWalletChange(user1.address))
+        .to.be.revertedWith("Change still timelocked");
+      await airdropRecovery.connect(user2).cancelSafeWalletChange(user1.address);
+      expect((await airdropRecovery.getRecoveryInfo(user1.address)).safeWallet).to.equal(user2.address);
     });
 
     it("Should not allow unrelated account to deactivate recovery", async function () {
@@ -305,15 +864,110 @@ describe("AirdropRecovery", function () {
 
     it("Should not allow deactivating inactive recovery", async function () {
       // Deactivate first time
-      await airdropRecovery.connect(user1).deactivateRecovery(user1.address);
+      await airdropRecovery.connect(user2).deactivateRecovery(user1.address);
       
       // Try to deactivate again
       await expect(
-        airdropRecovery.connect(user1).deactivateRecovery(user1.address)
+        airdropRecovery.connect(user2).deactivateRecovery(user1.address)
       ).to.be.revertedWith("Recovery not active");
     });
   });
 
+  describe("Safe Wallet Rotation", function () {
+    const DELAY = 2 * 24 * 60 * 60;
+    let newSafeWallet;
+
+    beforeEach(async function () {
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+      newSafeWallet = ethers.Wallet.createRandom().address;
+    });
+
+    it("Should apply a proposed safe wallet only after the delay", async function () {
+      const tx = await airdropRecovery.connect(user2).proposeSafeWallet(user1.address, newSafeWallet);
+      const receipt = await tx.wait();
+      const effectiveAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp + DELAY;
+      await expect(tx)
+        .to.emit(airdropRecovery, "SafeWalletChangeProposed")
+        .withArgs(user1.address, user2.address, newSafeWallet, effectiveAt);
+
+      const pending = await airdropRecovery.pendingSafeWalletChanges(user1.address);
+      expect(pending.newSafeWallet).to.equal(newSafeWallet);
+      expect(pending.effectiveAt).to.equal(effectiveAt);
+
+      await expect(airdropRecovery.connect(user3).executeSafeWalletChange(user1.address))
+        .to.be.revertedWith("Change still timelocked");
+
+      await time.increaseTo(effectiveAt);
+      await expect(airdropRecovery.connect(user3).executeSafeWalletChange(user1.address))
+        .to.emit(airdropRecovery, "SafeWalletChanged")
+        .withArgs(user1.address, user2.address, newSafeWallet);
+
+      const recovery = await airdropRecovery.getRecoveryInfo(user1.address);
+      expect(recovery.safeWallet).to.equal(newSafeWallet);
+      expect((await airdropRecovery.pendingSafeWalletChanges(user1.address)).newSafeWallet).to.equal(ZeroAddress);
+
+      // Claims now go to the new destination
+      await (await mockToken.mint(user1.address, parseEther("10"))).wait();
+      await (await mockToken.connect(user1).approve(await airdropRecovery.getAddress(), parseEther("10"))).wait();
+      await airdropRecovery.connect(user1).claimAirdrop(await mockToken.getAddress(), user1.address, parseEther("10"), 0, "0x");
+      expect(await mockToken.balanceOf(newSafeWallet)).to.equal(parseEther("10"));
+    });
+
+    it("Should only let the current safe wallet propose or cancel", async function () {
+      await expect(airdropRecovery.connect(user1).proposeSafeWallet(user1.address, user3.address))
+        .to.be.revertedWith("Only safe wallet can propose");
+
+      await airdropRecovery.connect(user2).proposeSafeWallet(user1.address, newSafeWallet);
+      await expect(airdropRecovery.connect(user1).cancelSafeWalletChange(user1.address))
+        .to.be.revertedWith("Only safe wallet can cancel");
+
+      await expect(airdropRecovery.connect(user2).cancelSafeWalletChange(user1.address))
+        .to.emit(airdropRecovery, "SafeWalletChangeCancelled")
+        .withArgs(user1.address, newSafeWallet);
+
+      await time.increase(DELAY);
+      await expect(airdropRecovery.executeSafeWalletChange(user1.address))
+        .to.be.revertedWith("No pending change");
+      await expect(airdropRecovery.connect(user2).cancelSafeWalletChange(user1.address))
+        .to.be.revertedWith("No pending change");
+    });
+
+    it("Should validate the proposed safe wallet", async function () {
+      await expect(airdropRecovery.connect(user2).proposeSafeWallet(user1.address, ZeroAddress))
+        .to.be.revertedWith("Invalid safe wallet address");
+      await expect(airdropRecovery.connect(user2).proposeSafeWallet(user1.address, user1.address))
+        .to.be.revertedWith("Wallets must be different");
+      await expect(airdropRecovery.connect(user2).proposeSafeWallet(user1.address, user2.address))
+        .to.be.revertedWith("Already the safe wallet");
+      await expect(airdropRecovery.connect(user2).proposeSafeWallet(user3.address, newSafeWallet))
+        .to.be.revertedWith("Recovery not registered");
+    });
+
+    it("Should drop a pending change when the recovery is deactivated", async function () {
+      await airdropRecovery.connect(user2).proposeSafeWallet(user1.address, newSafeWallet);
+
+      await expect(airdropRecovery.connect(user2).deactivateRecovery(user1.address))
+        .to.emit(airdropRecovery, "SafeWalletChangeCancelled")
+        .withArgs(user1.address, newSafeWallet);
+
+      await time.increase(DELAY);
+      await expect(airdropRecovery.executeSafeWalletChange(user1.address))
+        .to.be.revertedWith("Recovery not registered");
+    });
+
+    it("Should let only the owner change the delay, within bounds", async function () {
+      await expect(airdropRecovery.connect(owner).setSafeWalletChangeDelay(3600))
+        .to.emit(airdropRecovery, "SafeWalletChangeDelayUpdated")
+        .withArgs(3600);
+      expect(await airdropRecovery.safeWalletChangeDelay()).to.equal(3600n);
+
+      await expect(airdropRecovery.connect(owner).setSafeWalletChangeDelay(31 * 24 * 60 * 60))
+        .to.be.revertedWith("Delay too long");
+      await expect(airdropRecovery.connect(user2).setSafeWalletChangeDelay(0))
+        .to.be.revertedWithCustomError(airdropRecovery, "OwnableUnauthorizedAccount");
+    });
+  });
+
   describe("Emergency Functions", function () {
     it("Should allow owner to emergency withdraw tokens", async function () {
       // Transfer tokens to contract
@@ -359,6 +1013,87 @@ describe("AirdropRecovery", function () {
     });
   });
 
+  describe("Escrow", function () {
+    const amount = parseEther("25");
+    let blockedToken;
+    let recoveryAddress;
+
+    beforeEach(async function () {
+      recoveryAddress = await airdropRecovery.getAddress();
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+
+      // The token refuses transfers to the safe wallet, so claims cannot be forwarded
+      const MockBlocklistERC20 = await ethers.getContractFactory("MockBlocklistERC20");
+      blockedToken = await MockBlocklistERC20.deploy("Blocklist Token", "BLK");
+      await blockedToken.waitForDeployment();
+      await (await blockedToken.mint(user1.address, amount)).wait();
+      await (await blockedToken.connect(user1).approve(recoveryAddress, amount)).wait();
+      await (await blockedToken.setBlocked(user2.address, true)).wait();
+    });
+
+    it("Should hold tokens in escrow when forwarding to the safe wallet fails", async function () {
+      await expect(airdropRecovery.connect(user1).claimAirdrop(await blockedToken.getAddress(), user1.address, amount, 0, "0x"))
+        .to.emit(airdropRecovery, "FundsEscrowed")
+        .withArgs(await blockedToken.getAddress(), amount, user1.address);
+
+      expect(await blockedToken.balanceOf(recoveryAddress)).to.equal(amount);
+      expect(await airdropRecovery.escrowedBalances(user1.address, await blockedToken.getAddress())).to.equal(amount);
+      expect(await airdropRecovery.totalEscrowed(await blockedToken.getAddress())).to.equal(amount);
+      expect(await airdropRecovery.unclaimedBalance(await blockedToken.getAddress())).to.equal(0n);
+    });
+
+    it("Should keep escrow with the safe wallet when the hacked key registers again", async function () {
+      const tokenAddress = await blockedToken.getAddress();
+      await airdropRecovery.connect(user1).claimAirdrop(tokenAddress, user1.address, amount, 0, "0x");
+
+      await airdropRecovery.connect(user2).deactivateRecovery(user1.address);
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user3.address);
+
+      // The new safe wallet is only proposed, so it has no claim on the escrow yet
+      await expect(airdropRecovery.connect(user3).withdrawEscrow(user1.address, tokenAddress))
+        .to.be.revertedWith("Not authorized");
+      expect(await airdropRecovery.escrowedBalances(user1.address, tokenAddress)).to.equal(amount);
+    });
+
+    it("Should not let the owner withdraw escrowed tokens", async function () {
+      const tokenAddress = await blockedToken.getAddress();
+      await airdropRecovery.connect(user1).claimAirdrop(tokenAddress, user1.address, amount, 0, "0x");
+
+      // Tokens sent by mistake stay withdrawable, escrow does not
+      await (await blockedToken.mint(recoveryAddress, parseEther("3"))).wait();
+      expect(await airdropRecovery.unclaimedBalance(tokenAddress)).to.equal(parseEther("3"));
+
+      await expect(airdropRecovery.emergencyWithdraw(tokenAddress, parseEther("3") + 1n, owner.address))
+        .to.be.revertedWith("Amount exceeds unclaimed balance");
+      await airdropRecovery.emergencyWithdraw(tokenAddress, parseEther("3"), user3.address);
+      expect(await blockedToken.balanceOf(recoveryAddress)).to.equal(amount);
+    });
+
+    it("Should let the user pull escrowed tokens to the safe wallet", async function () {
+      const tokenAddress = await blockedToken.getAddress();
+      await airdropRecovery.connect(user1).claimAirdrop(tokenAddress, user1.address, amount, 0, "0x");
+
+      await expect(airdropRecovery.connect(user3).withdrawEscrow(user1.address, tokenAddress))
+        .to.be.revertedWith("Not authorized");
+      // The hacked key cannot release escrow either
+      await expect(airdropRecovery.connect(user1).withdrawEscrow(user1.address, tokenAddress))
+        .to.be.revertedWith("Not authorized");
+      // Still blocked: the withdrawal reverts and the escrow is kept
+      await expect(airdropRecovery.connect(user2).withdrawEscrow(user1.address, tokenAddress))
+        .to.be.revertedWith("Blocked");
+
+      await (await blockedToken.setBlocked(user2.address, false)).wait();
+      await expect(airdropRecovery.connect(user2).withdrawEscrow(user1.address, tokenAddress))
+        .to.emit(airdropRecovery, "EscrowReleased")
+        .withArgs(tokenAddress, amount, user1.address, user2.address);
+
+      expect(await blockedToken.balanceOf(user2.address)).to.equal(amount);
+      expect(await airdropRecovery.totalEscrowed(tokenAddress)).to.equal(0n);
+      await expect(airdropRecovery.connect(user2).withdrawEscrow(user1.address, tokenAddress))
+        .to.be.revertedWith("Nothing escrowed");
+    });
+  });
+
   describe("Contract Events", function () {
     it("Should emit all expected events during recovery process", async function () {
       // Register recovery as the hacked wallet
@@ -379,10 +1114,11 @@ describe("AirdropRecovery", function () {
       expect(allowance).to.equal(amount);
       
       // Claim should emit both AirdropClaimed and FundsTransferred events
-      const tx = await airdropRecovery.claimAirdrop(
+      const tx = await airdropRecovery.connect(user2).claimAirdrop(
         await mockToken.getAddress(),
         user1.address,
         amount,
+        0,
         "0x"
       );
       
@@ -417,7 +1153,7 @@ describe("AirdropRecovery", function () {
       // Wait a bit for network stability
       await new Promise(resolve => setTimeout(resolve, 2000));
       
-      await airdropRecovery.claimAirdrop(await mockToken.getAddress(), user1.address, amount1, "0x");
+      await airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, amount1, 0, "0x");
       
       // Second claim
       const amount2 = parseEther("30");
@@ -430,11 +1166,13 @@ describe("AirdropRecovery", function () {
       // Wait a bit for network stability
       await new Promise(resolve => setTimeout(resolve, 2000));
       
-      await airdropRecovery.claimAirdrop(await mockToken.getAddress(), user1.address, amount2, "0x");
+      await airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, amount2, 0, "0x");
       
       // Check total recovered
       const recovery = await airdropRecovery.getRecoveryInfo(user1.address);
-      expect(recovery.totalRecovered).to.equal(amount1 + amount2);
+      expect(recovery.recovered).to.have.lengthOf(1);
+      expect(recovery.recovered[0].token).to.equal(await mockToken.getAddress());
+      expect(recovery.recovered[0].amount).to.equal(amount1 + amount2);
       
       // Check safe wallet balance
       expect(await mockToken.balanceOf(user2.address)).to.equal(amount1 + amount2);
@@ -445,7 +1183,7 @@ describe("AirdropRecovery", function () {
       await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
       
       // Deactivate
-      await airdropRecovery.connect(user1).deactivateRecovery(user1.address);
+      await airdropRecovery.connect(user2).deactivateRecovery(user1.address);
       expect(await airdropRecovery.isRecoveryActive(user1.address)).to.be.false;
       
       // Try to claim after deactivation (should fail)
@@ -457,8 +1195,36 @@ describe("AirdropRecovery", function () {
       await approvalTx.wait();
       
       await expect(
-        airdropRecovery.claimAirdrop(await mockToken.getAddress(), user1.address, amount, "0x")
+        airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, amount, 0, "0x")
       ).to.be.revertedWith("Recovery not registered");
     });
+
+    it("Should only forward what a fee-on-transfer token delivered", async function () {
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+      const recoveryAddress = await airdropRecovery.getAddress();
+
+      // 1% of every transfer is burned
+      const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+      const feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE", 100);
+      await feeToken.waitForDeployment();
+      const tokenAddress = await feeToken.getAddress();
+      await (await feeToken.mint(user1.address, parseEther("200"))).wait();
+      await (await feeToken.connect(user1).approve(recoveryAddress, MaxUint256)).wait();
+      // Tokens sent by mistake, which a claim must not spend
+      await (await feeToken.mint(recoveryAddress, parseEther("3"))).wait();
+
+      const amount = parseEther("100");
+      const received = parseEther("99");
+      await expect(airdropRecovery.connect(user2).claimAirdrop(tokenAddress, user1.address, amount, 0, "0x"))
+        .to.emit(airdropRecovery, "AirdropClaimed")
+        .withArgs(tokenAddress, received, user1.address);
+      await airdropRecovery.connect(user2).claimBatch(user1.address, [tokenAddress], [amount], [], [], 0, "0x");
+
+      expect(await feeToken.balanceOf(recoveryAddress)).to.equal(parseEther("3"));
+      expect(await airdropRecovery.unclaimedBalance(tokenAddress)).to.equal(parseEther("3"));
+      expect(await airdropRecovery.recoveredAmounts(user1.address, tokenAddress)).to.equal(received * 2n);
+      // Forwarding to the safe wallet is charged the fee as well
+      expect(await feeToken.balanceOf(user2.address)).to.equal((received * 99n / 100n) * 2n);
+    });
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { ZeroAddress, parseEther } = require("ethers");
+const { getNetworkConfig, getContractAddress } = require("../server/config/networks.js");
+const { saveDeployment, getDeployment, reloadDeployments } = require("../server/config/deployments.js");
+
+describe("AirdropRecoveryUpgradeable", function () {
+  this.timeout(120000);
+
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let implementation;
+  let proxy;
+  let airdropRecovery;
+  let mockToken;
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const Implementation = await ethers.getContractFactory("AirdropRecoveryUpgradeable");
+    implementation = await Implementation.deploy();
+    await implementation.waitForDeployment();
+
+    const initData = Implementation.interface.encodeFunctionData("initialize", [owner.address]);
+    const Proxy = await ethers.getContractFactory("AirdropRecoveryProxy");
+    proxy = await Proxy.deploy(await implementation.getAddress(), initData);
+    await proxy.waitForDeployment();
+
+    airdropRecovery = Implementation.attach(await proxy.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Test Token", "TEST");
+    await mockToken.waitForDeployment();
+  });
+
+  /**
+   * Deploy MockAirdropRecoveryV2 and upgrade the proxy to it
+   * @param {Object} signer - Account sending the upgrade
+   * @param {number} marker - Value passed to initializeV2
+   */
+  const upgradeToV2 = async (signer, marker = 42) => {
+    const V2 = await ethers.getContractFactory("MockAirdropRecoveryV2");
+    const v2Implementation = await V2.deploy();
+    await v2Implementation.waitForDeployment();
+
+    const initData = V2.interface.encodeFunctionData("initializeV2", [marker]);
+    const tx = await airdropRecovery.connect(signer).upgradeToAndCall(await v2Implementation.getAddress(), initData);
+    return { tx, v2Implementation, upgraded: V2.attach(await proxy.getAddress()) };
+  };
+
+  describe("Initialization", function () {
+    it("Should initialize the proxy's storage", async function () {
+      expect(await airdropRecovery.owner()).to.equal(owner.address);
+      expect(await airdropRecovery.version()).to.equal("1.0.0");
+      expect(await airdropRecovery.implementation()).to.equal(await implementation.getAddress());
+      expect(await airdropRecovery.safeWalletChangeDelay()).to.equal(2 * 24 * 60 * 60);
+      expect(await airdropRecovery.permit2()).to.equal("0x000000000022D473030F116dDEE9F6B43aC78BA3");
+
+      // The EIP-712 domain lives in proxy storage, so it names the proxy
+      const domain = await airdropRecovery.eip712Domain();
+      expect(domain.name).to.equal("AirdropRecovery");
+      expect(domain.verifyingContract).to.equal(await proxy.getAddress());
+    });
+
+    it("Should not initialize twice or initialize the implementation", async function () {
+      await expect(airdropRecovery.initialize(user1.address))
+        .to.be.revertedWithCustomError(airdropRecovery, "InvalidInitialization");
+      await expect(implementation.initialize(user1.address))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should upgrade and keep registrations, the ledger and settings", async function () {
+      // State written through the V1 implementation
+      await airdropRecovery.connect(user1).registerRecovery(user1.address, user2.address);
+      await mockToken.mint(user1.address, parseEther("100"));
+      await mockToken.connect(user1).approve(await airdropRecovery.getAddress(), parseEther("100"));
+      await airdropRecovery.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, parseEther("40"), 0, "0x");
+      await airdropRecovery.connect(user1).recoverNative(user1.address, { value: parseEther("1") });
+      await airdropRecovery.setSafeWalletChangeDelay(3600);
+      await airdropRecovery.connect(user2).proposeSafeWallet(user1.address, user3.address);
+
+      const { tx, v2Implementation, upgraded } = await upgradeToV2(owner, 7);
+      await expect(tx).to.emit(airdropRecovery, "Upgraded").withArgs(await v2Implementation.getAddress());
+
+      expect(await upgraded.version()).to.equal("2.0.0");
+      expect(await upgraded.upgradeMarker()).to.equal(7);
+      expect(await upgraded.implementation()).to.equal(await v2Implementation.getAddress());
+
+      // Everything written before the upgrade is still there
+      expect(await upgraded.owner()).to.equal(owner.address);
+      expect(await upgraded.safeWalletChangeDelay()).to.equal(3600);
+      expect(await upgraded.permit2()).to.equal("0x000000000022D473030F116dDEE9F6B43aC78BA3");
+      const info = await upgraded.getRecoveryInfo(user1.address);
+      expect(info.safeWallet).to.equal(user2.address);
+      expect(info.isActive).to.be.true;
+      expect(await upgraded.recoveredAmounts(user1.address, await mockToken.getAddress())).to.equal(parseEther("40"));
+      expect(await upgraded.recoveredAmounts(user1.address, ZeroAddress)).to.equal(parseEther("1"));
+      const pending = await upgraded.pendingSafeWalletChanges(user1.address);
+      expect(pending.newSafeWallet).to.equal(user3.address);
+
+      // And the upgraded contract keeps working on it
+      await upgraded.connect(user2).claimAirdrop(await mockToken.getAddress(), user1.address, parseEther("10"), 0, "0x");
+      expect(await upgraded.recoveredAmounts(user1.address, await mockToken.getAddress())).to.equal(parseEther("50"));
+      expect(await mockToken.balanceOf(user2.address)).to.equal(parseEther("50"));
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const V2 = await ethers.getContractFactory("MockAirdropRecoveryV2");
+      const v2Implementation = await V2.deploy();
+      await v2Implementation.waitForDeployment();
+
+      await expect(airdropRecovery.connect(user1).upgradeToAndCall(await v2Implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(airdropRecovery, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+    });
+
+    it("Should reject non-UUPS implementations and direct upgrades of the implementation", async function () {
+      await expect(airdropRecovery.upgradeToAndCall(await mockToken.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(airdropRecovery, "ERC1967InvalidImplementation")
+        .withArgs(await mockToken.getAddress());
+      await expect(airdropRecovery.upgradeToAndCall(await proxy.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(airdropRecovery, "ERC1967InvalidImplementation")
+        .withArgs(await proxy.getAddress());
+
+      // Upgrades only run through the proxy
+      await expect(implementation.upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(implementation, "UUPSUnauthorizedCallContext");
+    });
+
+    it("Should not rerun the V2 reinitializer", async function () {
+      const { upgraded } = await upgradeToV2(owner, 1);
+      await expect(upgraded.initializeV2(2))
+        .to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+      expect(await upgraded.upgradeMarker()).to.equal(1);
+    });
+  });
+
+  describe("Deployments registry", function () {
+    let tmpDir;
+    let previousPath;
+    let networkConfig;
+    let previousAddress;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      previousPath = process.env.DEPLOYMENTS_PATH;
+      process.env.DEPLOYMENTS_PATH = path.join(tmpDir, "deployments.json");
+      reloadDeployments();
+
+      networkConfig = getNetworkConfig("mainnet");
+      previousAddress = networkConfig.contractAddress;
+      networkConfig.contractAddress = ZeroAddress;
+    });
+
+    afterEach(function () {
+      networkConfig.contractAddress = previousAddress;
+      if (previousPath === undefined) {
+        delete process.env.DEPLOYMENTS_PATH;
+      } else {
+        process.env.DEPLOYMENTS_PATH = previousPath;
+      }
+      reloadDeployments();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should register, upgrade and serve the proxy from getContractAddress", async function () {
+      expect(getContractAddress("mainnet")).to.be.null;
+
+      saveDeployment("mainnet", {
+        proxy: await proxy.getAddress(),
+        implementation: await implementation.getAddress(),
+        version: await airdropRecovery.version(),
+        deployer: owner.address
+      });
+      expect(getContractAddress("mainnet")).to.equal(await proxy.getAddress());
+
+      const { v2Implementation, upgraded } = await upgradeToV2(owner);
+      saveDeployment("mainnet", {
+        implementation: await v2Implementation.getAddress(),
+        version: await upgraded.version()
+      });
+
+      // The registry is read back from disk, keeping the proxy and the upgrade history
+      reloadDeployments();
+      const deployment = getDeployment("mainnet");
+      expect(deployment.proxy).to.equal(await proxy.getAddress());
+      expect(deployment.implementation).to.equal(await v2Implementation.getAddress());
+      expect(deployment.version).to.equal("2.0.0");
+      expect(deployment.upgrades).to.have.length(1);
+      expect(deployment.upgrades[0].implementation).to.equal(await implementation.getAddress());
+      expect(getContractAddress("mainnet")).to.equal(await proxy.getAddress());
+
+      // A configured address still takes precedence
+      networkConfig.contractAddress = user3.address;
+      expect(getContractAddress("mainnet")).to.equal(user3.address);
+    });
+  });
+});
@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const express = require("express");
+const { ethers } = require("hardhat");
+const authService = require("../server/services/authService.js");
+const tokenStorageService = require("../server/services/tokenStorageService.js");
+const { formatSiweMessage, parseSiweMessage } = require("../server/utils/siwe.js");
+
+describe("Sign-In With Ethereum", function () {
+  this.timeout(60000);
+
+  const DOMAIN = "app.test";
+
+  beforeEach(function () {
+    process.env.SIWE_DOMAINS = DOMAIN;
+    authService.nonces.clear();
+    authService.sessions.clear();
+  });
+
+  afterEach(function () {
+    delete process.env.SIWE_DOMAINS;
+    delete process.env.OPERATOR_ADDRESSES;
+  });
+
+  /**
+   * Run the nonce/sign/verify flow for a wallet
+   * @param {Object} wallet - Ethers wallet signing in
+   * @returns {Promise<Object>} verifyLogin result
+   */
+  const signIn = async (wallet) => {
+    const challenge = authService.createChallenge({ address: wallet.address, chainId: 1337 });
+    expect(challenge.success, challenge.error).to.be.true;
+    const signature = await wallet.signMessage(challenge.message);
+    return authService.verifyLogin({ message: challenge.message, signature });
+  };
+
+  describe("Messages", function () {
+    it("Should format and parse EIP-4361 messages", function () {
+      const wallet = ethers.Wallet.createRandom();
+      const message = formatSiweMessage({
+        domain: DOMAIN,
+        address: wallet.address.toLowerCase(),
+        statement: "Sign in.",
+        uri: `https://${DOMAIN}`,
+        chainId: 1,
+        nonce: "abcdef123456",
+        issuedAt: "2026-01-01T00:00:00.000Z",
+        resources: ["https://app.test/terms"]
+      });
+
+      expect(message.split("\n").slice(0, 4)).to.deep.equal([
+        `${DOMAIN} wants you to sign in with your Ethereum account:`,
+        wallet.address,
+        "",
+        "Sign in."
+      ]);
+
+      const fields = parseSiweMessage(message);
+      expect(fields).to.include({ domain: DOMAIN, address: wallet.address, version: "1", chainId: 1, nonce: "abcdef123456" });
+      expect(fields.resources).to.deep.equal(["https://app.test/terms"]);
+
+      expect(() => parseSiweMessage(message.replace("Version: 1", "Version: 2"))).to.throw("Unsupported SIWE version");
+      expect(() => parseSiweMessage(message.replace(/Nonce: .*\n/, ""))).to.throw("missing Nonce");
+      expect(() => parseSiweMessage("hello")).to.throw("Not a Sign-In With Ethereum message");
+    });
+  });
+
+  describe("Login", function () {
+    it("Should issue a session for a valid signature and reject replays", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const challenge = authService.createChallenge({ address: wallet.address, chainId: 1337 });
+      const signature = await wallet.signMessage(challenge.message);
+
+      const login = await authService.verifyLogin({ message: challenge.message, signature });
+      expect(login.success, login.error).to.be.true;
+      expect(login.address).to.equal(wallet.address);
+      expect(login.role).to.equal("user");
+      expect(authService.getSession(login.token)).to.include({ address: wallet.address, role: "user" });
+      expect(authService.getSession("not-a-token")).to.be.null;
+
+      const replay = await authService.verifyLogin({ message: challenge.message, signature });
+      expect(replay.success).to.be.false;
+      expect(replay.error).to.include("already used nonce");
+
+      expect(authService.revokeSession(login.token)).to.be.true;
+      expect(authService.getSession(login.token)).to.be.null;
+    });
+
+    it("Should reject other signers, domains and addresses", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const attacker = ethers.Wallet.createRandom();
+
+      let challenge = authService.createChallenge({ address: wallet.address, chainId: 1337 });
+      const signature = await attacker.signMessage(challenge.message);
+      let result = await authService.verifyLogin({ message: challenge.message, signature, provider: ethers.provider });
+      expect(result.error).to.include(`Signature is not from ${wallet.address}`);
+
+      expect(authService.createChallenge({ address: wallet.address, domain: "evil.test" }).error)
+        .to.include("not allowed for domain evil.test");
+      challenge = authService.createChallenge({ address: wallet.address });
+      const foreign = challenge.message.replace(DOMAIN, "evil.test");
+      result = await authService.verifyLogin({ message: foreign, signature: await wallet.signMessage(foreign) });
+      expect(result.error).to.include("not allowed for domain evil.test");
+
+      // A nonce issued for the safe wallet cannot be used to sign in as another address
+      challenge = authService.createChallenge({ address: wallet.address });
+      const swapped = challenge.message.replace(wallet.address, attacker.address);
+      result = await authService.verifyLogin({ message: swapped, signature: await attacker.signMessage(swapped) });
+      expect(result.error).to.include("Nonce was issued for another address");
+    });
+
+    it("Should give operator addresses the operator role", async function () {
+      const operator = ethers.Wallet.createRandom();
+      process.env.OPERATOR_ADDRESSES = `0x0000000000000000000000000000000000000001, ${operator.address.toLowerCase()}`;
+
+      expect((await signIn(operator)).role).to.equal("operator");
+      expect((await signIn(ethers.Wallet.createRandom())).role).to.equal("user");
+    });
+
+    it("Should accept EIP-1271 signatures from contract wallets", async function () {
+      const owner = ethers.Wallet.createRandom();
+      const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const safe = await MockERC1271Wallet.deploy(owner.address);
+      await safe.waitForDeployment();
+      const safeAddress = await safe.getAddress();
+
+      const challenge = authService.createChallenge({ address: safeAddress, chainId: 1337 });
+      const signature = owner.signingKey.sign(ethers.hashMessage(challenge.message)).serialized;
+
+      const login = await authService.verifyLogin({ message: challenge.message, signature, provider: ethers.provider });
+      expect(login.success, login.error).to.be.true;
+      expect(login.address).to.equal(safeAddress);
+
+      const other = authService.createChallenge({ address: safeAddress, chainId: 1337 });
+      const forged = ethers.Wallet.createRandom().signingKey.sign(ethers.hashMessage(other.message)).serialized;
+      const rejected = await authService.verifyLogin({ message: other.message, signature: forged, provider: ethers.provider });
+      expect(rejected.success).to.be.false;
+    });
+
+    it("Should only allow the client's and the server's domains", function () {
+      const env = { CLIENT_URL: process.env.CLIENT_URL, SERVER_URL: process.env.SERVER_URL, PORT: process.env.PORT };
+      delete process.env.SIWE_DOMAINS;
+      process.env.CLIENT_URL = "https://app.example";
+      process.env.PORT = "5050";
+
+      try {
+        delete process.env.SERVER_URL;
+        expect(authService.getAllowedDomains()).to.deep.equal(["app.example", "localhost:5050"]);
+
+        process.env.SERVER_URL = "https://api.example, https://api2.example:8443";
+        expect(authService.getAllowedDomains()).to.deep.equal(["app.example", "api.example", "api2.example:8443"]);
+
+        // The Host a request arrives with has no say
+        const wallet = ethers.Wallet.createRandom();
+        expect(authService.createChallenge({ address: wallet.address, domain: "proxy.evil", requestHost: "proxy.evil" }).error)
+          .to.include("not allowed for domain proxy.evil");
+      } finally {
+        for (const [name, value] of Object.entries(env)) {
+          if (value === undefined) delete process.env[name];
+          else process.env[name] = value;
+        }
+      }
+    });
+
+    it("Should cap outstanding nonces and sessions without evicting live ones", async function () {
+      process.env.SIWE_MAX_NONCES = "3";
+      process.env.AUTH_MAX_SESSIONS = "2";
+
+      try {
+        const expired = new Date(Date.now() - 1000).toISOString();
+        authService.nonces.set("stale", { address: ethers.ZeroAddress, expiresAt: expired });
+
+        const wallet = ethers.Wallet.createRandom();
+        const challenges = [];
+        for (let i = 0; i < 3; i++) {
+          challenges.push(authService.createChallenge({ address: wallet.address, chainId: 1337 }));
+        }
+        // Only the expired nonce made room; a flood of requests cannot cancel pending sign-ins
+        expect(authService.nonces.has("stale")).to.be.false;
+        const refused = authService.createChallenge({ address: wallet.address, chainId: 1337 });
+        expect(refused).to.include({ success: false, tooManyRequests: true });
+        expect(challenges.every(challenge => authService.nonces.has(challenge.nonce))).to.be.true;
+
+        const signIn = async (challenge) =>
+          authService.verifyLogin({ message: challenge.message, signature: await wallet.signMessage(challenge.message) });
+        const tokens = [];
+        for (const challenge of challenges.slice(0, 2)) {
+          const login = await signIn(challenge);
+          expect(login.success, login.error).to.be.true;
+          tokens.push(login.token);
+        }
+
+        // Sessions stay until they expire or log out, and the refused message can be sent again
+        let login = await signIn(challenges[2]);
+        expect(login).to.include({ success: false, tooManyRequests: true });
+        expect(authService.getSession(tokens[0])).to.include({ address: wallet.address });
+
+        authService.revokeSession(tokens[0]);
+        login = await signIn(challenges[2]);
+        expect(login.success, login.error).to.be.true;
+      } finally {
+        delete process.env.SIWE_MAX_NONCES;
+        delete process.env.AUTH_MAX_SESSIONS;
+      }
+    });
+  });
+
+  describe("API access", function () {
+    let server;
+    let baseUrl;
+    let persistToFile;
+    let redisUrl;
+
+    before(async function () {
+      process.env.RECOVERY_STORE = "memory";
+      redisUrl = process.env.REDIS_URL;
+      delete process.env.REDIS_URL;
+      const apiRoutes = require("../server/routes/api.js");
+      const app = express();
+      app.use(express.json());
+      app.use("/api", apiRoutes);
+      server = await new Promise(resolve => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+      // Keep saved tokens out of server/data
+      persistToFile = tokenStorageService.persistToFile;
+      tokenStorageService.persistToFile = async () => {};
+    });
+
+    after(async function () {
+      tokenStorageService.persistToFile = persistToFile;
+      tokenStorageService.savedTokens.clear();
+      delete process.env.RECOVERY_STORE;
+      if (redisUrl) process.env.REDIS_URL = redisUrl;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Call the API as a signed-in wallet (or anonymously without a token)
+     * @param {string} method - HTTP method
+     * @param {string} path - Route under /api
+     * @param {string} token - Bearer token
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} { status, data }
+     */
+    const call = async (method, path, token, body) => {
+      const headers = { "content-type": "application/json" };
+      if (token) headers.authorization = `Bearer ${token}`;
+      const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+      return { status: response.status, data: await response.json() };
+    };
+
+    it("Should require sign-in and the operator role", async function () {
+      const user = await signIn(ethers.Wallet.createRandom());
+
+      expect((await call("GET", "/active-recoveries")).status).to.equal(401);
+      expect((await call("GET", "/active-multi-recovery-sessions")).status).to.equal(401);
+      expect((await call("GET", "/recovery-stats", user.token)).status).to.equal(403);
+      expect((await call("GET", "/system-status", user.token)).status).to.equal(403);
+      expect((await call("GET", "/config")).status).to.equal(200);
+
+      const session = await call("GET", "/auth/session", user.token);
+      expect(session.data).to.include({ address: user.address, role: "user" });
+
+      // Schedulers holding the internal API token act as operators
+      process.env.INTERNAL_API_TOKEN = "test-internal-token";
+      const internal = await fetch(`${baseUrl}/recovery-stats`, { headers: { "x-internal-token": "test-internal-token" } });
+      delete process.env.INTERNAL_API_TOKEN;
+      expect(internal.status).to.equal(200);
+    });
+
+    it("Should scope recoveries to the safe wallet that registered them", async function () {
+      const safe = ethers.Wallet.createRandom();
+      const stranger = ethers.Wallet.createRandom();
+      const operatorWallet = ethers.Wallet.createRandom();
+      process.env.OPERATOR_ADDRESSES = operatorWallet.address;
+      const owner = await signIn(safe);
+      const other = await signIn(stranger);
+      const operator = await signIn(operatorWallet);
+      const hackedWallet = ethers.Wallet.createRandom().address;
+
+      const recovery = { hackedWallet, safeWallet: safe.address, network: "mainnet" };
+      expect((await call("POST", "/register-recovery", other.token, recovery)).status).to.equal(403);
+      const registered = await call("POST", "/register-recovery", owner.token, recovery);
+      expect(registered.status, registered.data.error).to.equal(200);
+
+      const listed = (await call("GET", "/active-recoveries", owner.token)).data;
+      expect(listed.map(r => r.hackedWallet)).to.include(hackedWallet);
+      expect((await call("GET", "/active-recoveries", other.token)).data).to.be.empty;
+      expect((await call("GET", "/active-recoveries", operator.token)).data.map(r => r.hackedWallet)).to.include(hackedWallet);
+      expect((await call("GET", "/recovery-stats", operator.token)).status).to.equal(200);
+
+      expect((await call("GET", `/recovery-status/${hackedWallet}`, other.token)).status).to.equal(403);
+      const denied = await call("POST", "/deactivate-recovery", other.token, { hackedWallet, network: "mainnet" });
+      expect(denied.status).to.equal(403);
+      const deactivated = await call("POST", "/deactivate-recovery", owner.token, { hackedWallet, network: "mainnet" });
+      expect(deactivated.data.success, deactivated.data.error).to.be.true;
+    });
+
+    it("Should only show a relayed claim to its recovery's safe wallet", async function () {
+      const relayerService = require("../server/services/relayerService.js");
+      const safe = ethers.Wallet.createRandom();
+      const owner = await signIn(safe);
+      const other = await signIn(ethers.Wallet.createRandom());
+      const claimId = "claim_auth_test";
+      relayerService.claims.set(claimId, { id: claimId, network: "mainnet", safeWallet: safe.address, status: "confirmed" });
+
+      try {
+        expect((await call("GET", `/relayer/claims/${claimId}`, other.token)).status).to.equal(403);
+        const shown = await call("GET", `/relayer/claims/${claimId}`, owner.token);
+        expect(shown.status).to.equal(200);
+        expect(shown.data.claim.id).to.equal(claimId);
+      } finally {
+        relayerService.claims.delete(claimId);
+      }
+    });
+
+    it("Should keep saved tokens per safe wallet", async function () {
+      const owner = await signIn(ethers.Wallet.createRandom());
+      const other = await signIn(ethers.Wallet.createRandom());
+      const token = { address: ethers.Wallet.createRandom().address, symbol: "TKN", network: "mainnet" };
+
+      const saved = await call("POST", "/save-tokens", owner.token, { tokens: [token], network: "mainnet" });
+      expect(saved.data.success, saved.data.error).to.be.true;
+
+      expect((await call("GET", "/saved-tokens?network=mainnet", owner.token)).data.tokens.map(t => t.address))
+        .to.deep.equal([token.address.toLowerCase()]);
+      expect((await call("GET", "/saved-tokens?network=mainnet", other.token)).data.tokens).to.be.empty;
+
+      await call("DELETE", "/saved-tokens", other.token, { network: "mainnet" });
+      expect((await call("GET", "/saved-tokens?network=mainnet", owner.token)).data.tokens).to.have.length(1);
+      await call("DELETE", "/saved-tokens", owner.token, { network: "mainnet", tokenAddress: token.address });
+      expect((await call("GET", "/saved-tokens?network=mainnet", owner.token)).data.tokens).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { buildTransferCallsForTokens } = require("../server/utils/transfers.js");
+const {
+  buildDelegatedRescueTransaction,
+  getDelegation,
+  getExecutorNonce,
+  parseBatchResult,
+  toExecutorCalls,
+  signExecuteBatch
+} = require("../server/utils/delegation.js");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const { getNetworkConfig } = require("../server/config/networks.js");
+
+describe("BatchExecutor (EIP-7702)", function () {
+  this.timeout(120000);
+
+  let deployer;
+  let sponsorWallet;
+  let hackedWallet;
+  let safeWallet;
+  let batchExecutor;
+  let executorAddress;
+  let erc20;
+  let erc721;
+  let erc1155;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    // Hacked wallet never receives any ETH in these tests
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+
+    const BatchExecutor = await ethers.getContractFactory("BatchExecutor");
+    batchExecutor = await BatchExecutor.deploy();
+    await batchExecutor.waitForDeployment();
+    executorAddress = await batchExecutor.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    erc20 = await MockERC20.deploy("Test Token", "TEST");
+    await erc20.waitForDeployment();
+    await (await erc20.transfer(hackedWallet.address, parseEther("42"))).wait();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    erc721 = await MockERC721.deploy("Test NFT", "TNFT");
+    await erc721.waitForDeployment();
+    await (await erc721.mint(hackedWallet.address, 7)).wait();
+
+    const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+    erc1155 = await MockERC1155.deploy("https://example.com/{id}.json");
+    await erc1155.waitForDeployment();
+    await (await erc1155.mint(hackedWallet.address, 3, 25)).wait();
+  });
+
+  const planCalls = async () => buildTransferCallsForTokens([
+    { address: await erc20.getAddress(), symbol: "TEST", balance: parseEther("42").toString(), type: "ERC20" },
+    { address: await erc721.getAddress(), symbol: "TNFT", type: "ERC721", tokenIds: ["7"] },
+    { address: await erc1155.getAddress(), symbol: "T1155", type: "ERC1155", ownedTokens: [{ tokenId: "3", balance: "25" }] }
+  ], hackedWallet.address, safeWallet.address);
+
+  describe("Delegated rescue", function () {
+    it("Should move ERC20, ERC721 and ERC1155 assets in one sponsored type-4 transaction", async function () {
+      const calls = await planCalls();
+      const { request, needsAuthorization } = await buildDelegatedRescueTransaction({
+        hackedWallet,
+        executorAddress,
+        calls
+      });
+      expect(needsAuthorization).to.be.true;
+      expect(request.type).to.equal(4);
+
+      const tx = await sponsorWallet.sendTransaction(request);
+      const receipt = await tx.wait();
+
+      expect(await erc20.balanceOf(safeWallet.address)).to.equal(parseEther("42"));
+      expect(await erc721.ownerOf(7)).to.equal(safeWallet.address);
+      expect(await erc1155.balanceOf(safeWallet.address, 3)).to.equal(25);
+
+      expect(await getDelegation(ethers.provider, hackedWallet.address)).to.equal(executorAddress);
+      expect(await getExecutorNonce(ethers.provider, hackedWallet.address)).to.equal(1n);
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.equal(0n);
+
+      const batch = parseBatchResult(receipt, hackedWallet.address);
+      expect(batch.executed).to.be.true;
+      expect(batch.callCount).to.equal(3);
+      expect(batch.failedIndexes).to.deep.equal([]);
+    });
+
+    it("Should skip the authorization once the wallet already delegates to the executor", async function () {
+      const calls = await planCalls();
+      const first = await buildDelegatedRescueTransaction({ hackedWallet, executorAddress, calls: calls.slice(0, 1) });
+      await (await sponsorWallet.sendTransaction(first.request)).wait();
+
+      const second = await buildDelegatedRescueTransaction({ hackedWallet, executorAddress, calls: calls.slice(1) });
+      expect(second.needsAuthorization).to.be.false;
+      expect(second.nonce).to.equal(1n);
+      await (await sponsorWallet.sendTransaction(second.request)).wait();
+
+      expect(await erc721.ownerOf(7)).to.equal(safeWallet.address);
+    });
+
+    it("Should keep going and report a failing call without blocking other assets", async function () {
+      const calls = await planCalls();
+      // Transfer more than the wallet holds so the ERC20 call reverts
+      calls[0].data = erc20.interface.encodeFunctionData("transfer", [safeWallet.address, parseEther("1000")]);
+
+      const { request } = await buildDelegatedRescueTransaction({ hackedWallet, executorAddress, calls });
+      const receipt = await (await sponsorWallet.sendTransaction(request)).wait();
+
+      const batch = parseBatchResult(receipt, hackedWallet.address);
+      expect(batch.failedIndexes).to.deep.equal([0]);
+      expect(await erc721.ownerOf(7)).to.equal(safeWallet.address);
+      expect(await erc20.balanceOf(hackedWallet.address)).to.equal(parseEther("42"));
+    });
+
+    it("Should leave likely scam tokens out of a planned delegated rescue", async function () {
+      const networkConfig = getNetworkConfig("mainnet");
+      const previousExecutor = networkConfig.batchExecutorAddress;
+      networkConfig.batchExecutorAddress = executorAddress;
+      process.env.MAINNET_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const scam = await MockERC20.deploy("Free Airdrop", "t.me/freedrop");
+      await scam.waitForDeployment();
+      await (await scam.transfer(hackedWallet.address, parseEther("1"))).wait();
+
+      const service = new RecoveryService(createRecoveryStore("memory"));
+      service.getTokenBalances = async () => [
+        { address: await erc20.getAddress(), symbol: "TEST", type: "ERC20", balance: parseEther("42").toString() },
+        { address: await scam.getAddress(), symbol: "t.me/freedrop", type: "ERC20", balance: parseEther("1").toString() }
+      ];
+
+      try {
+        const summary = [];
+        const result = await service.performDelegatedRescue({
+          wallet: hackedWallet,
+          provider: ethers.provider,
+          network: "mainnet",
+          safeWallet: safeWallet.address,
+          priorityTokens: [],
+          operationId: "delegated-rescue-scam"
+        }, summary);
+
+        expect(result.success, result.error).to.be.true;
+        expect(result.rescuedTokens).to.equal(1);
+        expect(summary).to.include("Skipping likely scam token: t.me/freedrop");
+        expect(await erc20.balanceOf(safeWallet.address)).to.equal(parseEther("42"));
+        expect(await scam.balanceOf(hackedWallet.address)).to.equal(parseEther("1"));
+      } finally {
+        networkConfig.batchExecutorAddress = previousExecutor;
+        delete process.env.MAINNET_SPONSOR_PRIVATE_KEY;
+      }
+    });
+
+    it("Should accept safe transfers of new airdrops after delegation", async function () {
+      const calls = await planCalls();
+      const { request } = await buildDelegatedRescueTransaction({ hackedWallet, executorAddress, calls });
+      await (await sponsorWallet.sendTransaction(request)).wait();
+
+      await erc721.safeMint(hackedWallet.address, 8);
+      expect(await erc721.ownerOf(8)).to.equal(hackedWallet.address);
+    });
+  });
+
+  describe("Authorization", function () {
+    const delegate = async () => {
+      const auth = await hackedWallet.authorize({ address: executorAddress });
+      await (await sponsorWallet.sendTransaction({
+        type: 4,
+        to: hackedWallet.address,
+        data: "0x",
+        authorizationList: [auth],
+        gasLimit: 100000
+      })).wait();
+      return batchExecutor.attach(hackedWallet.address);
+    };
+
+    it("Should reject batches signed by any key other than the delegating wallet", async function () {
+      const account = await delegate();
+      const executorCalls = toExecutorCalls(await planCalls());
+      const { chainId } = await ethers.provider.getNetwork();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+      const attacker = ethers.Wallet.createRandom();
+      // Sign the right domain with the wrong key
+      const signature = await attacker.signTypedData(
+        { name: "BatchExecutor", version: "1", chainId, verifyingContract: hackedWallet.address },
+        {
+          Execute: [
+            { name: "calls", type: "Call[]" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ],
+          Call: [
+            { name: "target", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "data", type: "bytes" }
+          ]
+        },
+        { calls: executorCalls, nonce: 0, deadline }
+      );
+
+      await expect(
+        account.connect(sponsorWallet).executeWithSig(executorCalls, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject replayed and expired signatures", async function () {
+      const account = await delegate();
+      const executorCalls = toExecutorCalls((await planCalls()).slice(0, 1));
+      const { chainId } = await ethers.provider.getNetwork();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+      const signature = await signExecuteBatch(hackedWallet, executorCalls, 0n, deadline, chainId);
+
+      await (await account.connect(sponsorWallet).executeWithSig(executorCalls, deadline, signature)).wait();
+      await expect(
+        account.connect(sponsorWallet).executeWithSig(executorCalls, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      const expired = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const expiredSignature = await signExecuteBatch(hackedWallet, executorCalls, 1n, expired, chainId);
+      await expect(
+        account.connect(sponsorWallet).executeWithSig(executorCalls, expired, expiredSignature)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should only allow unsigned execution from the wallet itself", async function () {
+      const account = await delegate();
+      const executorCalls = toExecutorCalls(await planCalls());
+
+      await expect(
+        account.connect(sponsorWallet).execute(executorCalls)
+      ).to.be.revertedWith("Only self can execute");
+    });
+  });
+});
@@ -0,0 +1,317 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const http = require("http");
+const { parseEther } = require("ethers");
+const { buildTransferCalls, buildTransferCallsForTokens, estimateTransferCalls } = require("../server/utils/transfers.js");
+const { signBundleTransactions, submitBundle, calculateFundingAmount } = require("../server/utils/bundle.js");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const sponsorService = require("../server/services/sponsorService.js");
+const { getNetworkConfig } = require("../server/config/networks.js");
+
+/**
+ * Minimal Flashbots-style relay in front of the Hardhat network.
+ * Advances the chain to the bundle's target block, then either includes the
+ * bundle's transactions or mines an empty block to simulate a missed slot.
+ */
+const startMockRelay = async ({ missBlocks = 0 } = {}) => {
+  const state = { requests: [], missBlocks };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", async () => {
+      const request = JSON.parse(body);
+      state.requests.push({ headers: req.headers, body, request });
+
+      try {
+        const [{ txs, blockNumber }] = request.params;
+        const target = Number(blockNumber);
+
+        // Bring the chain up to just before the target block
+        let current = Number(await network.provider.send("eth_blockNumber"));
+        while (current + 1 < target) {
+          await network.provider.send("evm_mine");
+          current++;
+        }
+
+        if (state.missBlocks > 0) {
+          // Builder did not pick the bundle up for this block
+          state.missBlocks--;
+          await network.provider.send("evm_mine");
+        } else {
+          for (const tx of txs) {
+            await network.provider.send("eth_sendRawTransaction", [tx]);
+          }
+        }
+
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({
+          jsonrpc: "2.0",
+          id: request.id,
+          result: { bundleHash: ethers.keccak256(ethers.concat(txs.map(tx => ethers.keccak256(tx)))) }
+        }));
+      } catch (error) {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ jsonrpc: "2.0", id: request.id, error: { code: -32000, message: error.message } }));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+describe("Bundle relay submission", function () {
+  this.timeout(120000);
+
+  let deployer;
+  let sponsorWallet;
+  let hackedWallet;
+  let safeWallet;
+  let tokenA;
+  let tokenB;
+  let relay;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    // Hacked wallet starts with no ETH, as it would after a sweeper bot drained it
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    tokenA = await MockERC20.deploy("Token A", "TKA");
+    await tokenA.waitForDeployment();
+    tokenB = await MockERC20.deploy("Token B", "TKB");
+    await tokenB.waitForDeployment();
+
+    await (await tokenA.transfer(hackedWallet.address, parseEther("100"))).wait();
+    await (await tokenB.transfer(hackedWallet.address, parseEther("250"))).wait();
+  });
+
+  afterEach(async function () {
+    if (relay) {
+      await relay.close();
+      relay = null;
+    }
+  });
+
+  const buildSignedBundle = async () => {
+    const tokens = [
+      { address: await tokenA.getAddress(), symbol: "TKA", decimals: 18, balance: parseEther("100").toString(), type: "ERC20" },
+      { address: await tokenB.getAddress(), symbol: "TKB", decimals: 18, balance: parseEther("250").toString(), type: "ERC20" }
+    ];
+    const calls = await estimateTransferCalls(
+      ethers.provider,
+      buildTransferCallsForTokens(tokens, hackedWallet.address, safeWallet.address),
+      hackedWallet.address,
+      "mainnet"
+    );
+    const feeData = await ethers.provider.getFeeData();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    return signBundleTransactions({
+      sponsorWallet,
+      hackedWallet,
+      calls,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      chainId
+    });
+  };
+
+  describe("Transfer calls", function () {
+    it("Should encode ERC20 transfers and skip zero balances and unknown NFT ids", async function () {
+      const tokenAddress = await tokenA.getAddress();
+      const calls = buildTransferCallsForTokens([
+        { address: tokenAddress, symbol: "TKA", balance: "5", type: "ERC20" },
+        { address: tokenAddress, symbol: "ZERO", balance: "0", type: "ERC20" },
+        { address: tokenAddress, symbol: "NFT", type: "ERC721", tokenIds: ["UNKNOWN", "7"] }
+      ], hackedWallet.address, safeWallet.address);
+
+      expect(calls.length).to.equal(2);
+      expect(calls[0].txType).to.equal("erc20Transfer");
+      expect(calls[0].data).to.equal(tokenA.interface.encodeFunctionData("transfer", [safeWallet.address, 5n]));
+      expect(calls[1].txType).to.equal("erc721Transfer");
+      expect(calls[1].token.tokenId).to.equal("7");
+    });
+
+    it("Should return no calls for a token without an address", function () {
+      expect(buildTransferCalls({ symbol: "X", balance: "1" }, hackedWallet.address, safeWallet.address)).to.deep.equal([]);
+    });
+
+    it("Should leave likely scam tokens out of the planned bundle unless prioritized", async function () {
+      const service = new RecoveryService(createRecoveryStore("memory"));
+      const scam = ethers.Wallet.createRandom().address;
+      const flagged = ethers.Wallet.createRandom().address;
+      service.getTokenBalances = async () => [
+        { address: await tokenA.getAddress(), symbol: "TKA", balance: parseEther("100").toString(), type: "ERC20" },
+        { address: scam, symbol: "Visit t.me/claim", balance: "1", type: "ERC20" },
+        { address: flagged, symbol: "FLAG", balance: "1", type: "ERC20", isScam: true }
+      ];
+
+      let summary = [];
+      let plan = await service.planTokenTransfers(hackedWallet.address, "mainnet", safeWallet.address, [], summary);
+      expect(plan.tokens.map(token => token.symbol)).to.deep.equal(["TKA"]);
+      expect(plan.calls.map(call => call.to)).to.deep.equal([await tokenA.getAddress()]);
+      expect(summary).to.include("Skipping likely scam token: Visit t.me/claim");
+      expect(summary).to.include("Skipping likely scam token: FLAG");
+
+      // A token the user asked for is moved anyway
+      summary = [];
+      plan = await service.planTokenTransfers(hackedWallet.address, "mainnet", safeWallet.address, [{ contractAddress: flagged, priority: "normal" }], summary);
+      expect(plan.tokens.map(token => token.symbol)).to.deep.equal(["FLAG", "TKA"]);
+    });
+  });
+
+  describe("Bundle signing", function () {
+    it("Should assign sequential nonces and fund exactly the transfers' max gas cost", async function () {
+      const bundle = await buildSignedBundle();
+      const parsed = bundle.signedTransactions.map(tx => ethers.Transaction.from(tx));
+
+      expect(parsed.length).to.equal(3);
+      expect(parsed[0].from).to.equal(sponsorWallet.address);
+      expect(parsed[0].to).to.equal(hackedWallet.address);
+      expect(parsed[1].from).to.equal(hackedWallet.address);
+      expect(parsed[1].nonce).to.equal(0);
+      expect(parsed[2].nonce).to.equal(1);
+
+      const transfers = parsed.slice(1).map(tx => ({ gasLimit: tx.gasLimit }));
+      expect(bundle.fundingAmount).to.equal(calculateFundingAmount(transfers, parsed[0].maxFeePerGas));
+    });
+  });
+
+  describe("Bundle submission", function () {
+    it("Should rescue tokens from a wallet with no ETH in one bundle", async function () {
+      relay = await startMockRelay();
+      const authSigner = ethers.Wallet.createRandom();
+      const bundle = await buildSignedBundle();
+
+      const result = await submitBundle({
+        provider: ethers.provider,
+        relayUrl: relay.url,
+        signedTransactions: bundle.signedTransactions,
+        authSigner,
+        targetBlocks: 3,
+        pollInterval: 10
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.attempts).to.equal(1);
+      expect(await tokenA.balanceOf(safeWallet.address)).to.equal(parseEther("100"));
+      expect(await tokenB.balanceOf(safeWallet.address)).to.equal(parseEther("250"));
+      expect(await tokenA.balanceOf(hackedWallet.address)).to.equal(0);
+
+      // Relay requests are authenticated with the auth signer
+      const { headers, body } = relay.state.requests[0];
+      const [address, signature] = headers["x-flashbots-signature"].split(":");
+      expect(address).to.equal(authSigner.address);
+      expect(ethers.verifyMessage(ethers.id(body), signature)).to.equal(authSigner.address);
+    });
+
+    it("Should retry on the next target block when a block is missed", async function () {
+      relay = await startMockRelay({ missBlocks: 2 });
+      const bundle = await buildSignedBundle();
+
+      const result = await submitBundle({
+        provider: ethers.provider,
+        relayUrl: relay.url,
+        signedTransactions: bundle.signedTransactions,
+        targetBlocks: 5,
+        pollInterval: 10
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.attempts).to.equal(3);
+      expect(relay.state.requests.length).to.equal(3);
+      expect(await tokenB.balanceOf(safeWallet.address)).to.equal(parseEther("250"));
+    });
+
+    it("Should fail without touching funds when the bundle is never included", async function () {
+      relay = await startMockRelay({ missBlocks: 10 });
+      const bundle = await buildSignedBundle();
+      const sponsorBalanceBefore = await ethers.provider.getBalance(sponsorWallet.address);
+
+      const result = await submitBundle({
+        provider: ethers.provider,
+        relayUrl: relay.url,
+        signedTransactions: bundle.signedTransactions,
+        targetBlocks: 2,
+        pollInterval: 10
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.attempts).to.equal(2);
+      expect(await ethers.provider.getBalance(sponsorWallet.address)).to.equal(sponsorBalanceBefore);
+      expect(await tokenA.balanceOf(hackedWallet.address)).to.equal(parseEther("100"));
+    });
+
+    it("Should fund a planned bundle at its transfers' estimated gas, not the default floors", async function () {
+      relay = await startMockRelay();
+      const networkConfig = getNetworkConfig("mainnet");
+      const previousRelay = networkConfig.bundleRelayUrl;
+      const previousStore = sponsorService.store;
+      networkConfig.bundleRelayUrl = relay.url;
+      sponsorService.store = createRecoveryStore("memory");
+      process.env.MAINNET_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+
+      const service = new RecoveryService(createRecoveryStore("memory"));
+      service.getTokenBalances = async () => [
+        { address: await tokenA.getAddress(), symbol: "TKA", balance: parseEther("100").toString(), type: "ERC20" },
+        { address: await tokenB.getAddress(), symbol: "TKB", balance: parseEther("250").toString(), type: "ERC20" }
+      ];
+
+      try {
+        const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+        const result = await service.performBundleRescue({
+          wallet: hackedWallet,
+          provider: ethers.provider,
+          network: "mainnet",
+          safeWallet: safeWallet.address,
+          priorityTokens: [],
+          operationId: "bundle-funding"
+        }, []);
+        expect(result.success, result.error).to.be.true;
+
+        const [funding, ...transfers] = await Promise.all(result.bundle.transactionHashes.map(hash => ethers.provider.getTransaction(hash)));
+        const receipts = await Promise.all(transfers.map(tx => ethers.provider.getTransactionReceipt(tx.hash)));
+        expect(transfers.length).to.equal(2);
+        transfers.forEach((tx, i) => {
+          // The estimate plus 10% (the estimate includes the gas refunded for clearing the
+          // balance), well under the erc20Transfer default the public path pads to
+          expect(tx.gasLimit < (receipts[i].gasUsed * 125n) / 100n).to.equal(true);
+        });
+
+        // At most the base fee five blocks of 12.5% rises can reach, plus the priority fee
+        let maxBaseFee = baseFeePerGas;
+        for (let i = 0; i < 5; i++) maxBaseFee += (maxBaseFee + 7n) / 8n;
+        expect(transfers[0].maxFeePerGas <= maxBaseFee + transfers[0].maxPriorityFeePerGas).to.equal(true);
+        expect(funding.value).to.equal(transfers.reduce((sum, tx) => sum + tx.gasLimit * tx.maxFeePerGas, 0n));
+        expect(await tokenB.balanceOf(safeWallet.address)).to.equal(parseEther("250"));
+      } finally {
+        networkConfig.bundleRelayUrl = previousRelay;
+        sponsorService.store = previousStore;
+        delete process.env.MAINNET_SPONSOR_PRIVATE_KEY;
+      }
+    });
+
+    it("Should refuse to submit when no relay is configured", async function () {
+      const result = await submitBundle({
+        provider: ethers.provider,
+        relayUrl: null,
+        signedTransactions: []
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.include("No bundle relay");
+    });
+  });
+});
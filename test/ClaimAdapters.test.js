@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther, AbiCoder, keccak256, getBytes } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const { createClaimAdapter } = require("../server/claims/index.js");
+const { hashMerkleLeaf, hashPair } = require("../server/utils/merkle.js");
+
+/**
+ * Build a sorted-pair Merkle tree and return its root and per-leaf proofs
+ */
+const buildTree = (leaves) => {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = leaves.map((_, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  });
+
+  return { root: layers[layers.length - 1][0], proofs };
+};
+
+describe("Airdrop claim adapters", function () {
+  this.timeout(120000);
+
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let airdropSigner;
+  let hackedWallet;
+  let safeWallet;
+  let token;
+  let service;
+  let recovery;
+
+  beforeEach(async function () {
+    [deployer, airdropSigner] = await ethers.getSigners();
+
+    // The hacked wallet gets just enough ETH for its own gas
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.05") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Airdrop Token", "AIR");
+    await token.waitForDeployment();
+
+    service = new RecoveryService(createRecoveryStore("memory"));
+    recovery = { id: "claim-test", hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK };
+  });
+
+  describe("MerkleDistributor adapter", function () {
+    let distributor;
+    let adapter;
+    let entries;
+
+    beforeEach(async function () {
+      const other = ethers.Wallet.createRandom().address;
+      entries = [
+        { index: 0, account: other, amount: parseEther("10").toString() },
+        { index: 1, account: hackedWallet.address, amount: parseEther("25").toString() },
+        { index: 2, account: deployer.address, amount: parseEther("5").toString() }
+      ];
+      const { root, proofs } = buildTree(entries.map(e => hashMerkleLeaf(e.index, e.account, e.amount)));
+      entries.forEach((entry, i) => { entry.proof = proofs[i]; });
+
+      const MockMerkleDistributor = await ethers.getContractFactory("MockMerkleDistributor");
+      distributor = await MockMerkleDistributor.deploy(await token.getAddress(), root);
+      await distributor.waitForDeployment();
+      await (await token.transfer(await distributor.getAddress(), parseEther("40"))).wait();
+
+      adapter = createClaimAdapter({
+        id: "test-merkle",
+        type: "merkle-distributor",
+        network: NETWORK,
+        distributor: await distributor.getAddress(),
+        symbol: "AIR",
+        claims: { [hackedWallet.address.toLowerCase()]: entries[1] }
+      });
+    });
+
+    it("Should report eligibility from the proof and the claimed bitmap", async function () {
+      const eligibility = await adapter.checkEligibility({ provider: ethers.provider, account: hackedWallet.address });
+      expect(eligibility.eligible).to.be.true;
+      expect(eligibility.amount).to.equal(parseEther("25").toString());
+      expect(eligibility.token).to.equal(await token.getAddress());
+
+      const forged = await adapter.checkEligibility({
+        provider: ethers.provider,
+        account: hackedWallet.address,
+        claim: { ...entries[1], amount: parseEther("30").toString() }
+      });
+      expect(forged.eligible).to.be.false;
+      expect(forged.reason).to.equal("Invalid Merkle proof");
+
+      const stranger = await adapter.checkEligibility({ provider: ethers.provider, account: safeWallet.address });
+      expect(stranger.eligible).to.be.false;
+    });
+
+    it("Should claim to the hacked wallet and forward the tokens to the safe wallet", async function () {
+      const result = await service.executeClaim({ adapter, recovery, wallet: hackedWallet, provider: ethers.provider });
+
+      expect(result.success).to.be.true;
+      expect(result.transactionHashes).to.have.lengthOf(2);
+      expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("25"));
+      expect(await token.balanceOf(hackedWallet.address)).to.equal(0n);
+      expect(await distributor.isClaimed(1)).to.be.true;
+
+      const again = await adapter.checkEligibility({ provider: ethers.provider, account: hackedWallet.address });
+      expect(again.claimed).to.be.true;
+      expect(again.eligible).to.be.false;
+    });
+  });
+
+  describe("ABI adapter", function () {
+    let claimContract;
+    let adapter;
+
+    const signClaim = async (claimer, amount, deadline) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      const digest = keccak256(AbiCoder.defaultAbiCoder().encode(
+        ["address", "uint256", "address", "uint256", "uint256"],
+        [await claimContract.getAddress(), chainId, claimer, amount, deadline]
+      ));
+      return airdropSigner.signMessage(getBytes(digest));
+    };
+
+    beforeEach(async function () {
+      const MockSignatureClaim = await ethers.getContractFactory("MockSignatureClaim");
+      claimContract = await MockSignatureClaim.deploy(await token.getAddress(), airdropSigner.address);
+      await claimContract.waitForDeployment();
+      await (await token.transfer(await claimContract.getAddress(), parseEther("100"))).wait();
+
+      adapter = createClaimAdapter({
+        id: "test-signature-claim",
+        type: "abi",
+        network: NETWORK,
+        contract: await claimContract.getAddress(),
+        token: await token.getAddress(),
+        symbol: "AIR",
+        abi: [
+          "function claim(address recipient, uint256 amount, uint256 deadline, bytes signature)",
+          "function hasClaimed(address) view returns (bool)"
+        ],
+        claim: { method: "claim", args: ["$recipient", "$amount", "$deadline", "$signature"] },
+        isClaimed: { method: "hasClaimed", args: ["$account"] },
+        recipient: "safeWallet"
+      });
+    });
+
+    it("Should send signature-gated claims straight to the safe wallet", async function () {
+      const amount = parseEther("12");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const claim = { amount: amount.toString(), deadline, signature: await signClaim(hackedWallet.address, amount, deadline) };
+
+      expect(adapter.buildProceedsCalls({ account: hackedWallet.address, safeWallet: safeWallet.address, amount })).to.deep.equal([]);
+
+      const result = await service.executeClaim({ adapter, recovery, wallet: hackedWallet, provider: ethers.provider, claim });
+      expect(result.success).to.be.true;
+      expect(result.transactionHashes).to.have.lengthOf(1);
+      expect(await token.balanceOf(safeWallet.address)).to.equal(amount);
+      expect(await token.balanceOf(hackedWallet.address)).to.equal(0n);
+
+      const again = await adapter.checkEligibility({ provider: ethers.provider, account: hackedWallet.address, safeWallet: safeWallet.address, claim });
+      expect(again.claimed).to.be.true;
+    });
+
+    it("Should report a bad signature as ineligible without sending anything", async function () {
+      const amount = parseEther("12");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      // Signed for a different claimer
+      const claim = { amount: amount.toString(), deadline, signature: await signClaim(safeWallet.address, amount, deadline) };
+
+      const result = await service.executeClaim({ adapter, recovery, wallet: hackedWallet, provider: ethers.provider, claim });
+      expect(result.success).to.be.false;
+      expect(result.eligibility.eligible).to.be.false;
+      expect(result.error).to.include("Invalid signature");
+      expect(result.transactionHashes).to.deep.equal([]);
+    });
+
+    it("Should reject claims that are missing a templated field", async function () {
+      const eligibility = await adapter.checkEligibility({
+        provider: ethers.provider,
+        account: hackedWallet.address,
+        safeWallet: safeWallet.address,
+        claim: { amount: "1" }
+      });
+      expect(eligibility.eligible).to.be.false;
+      expect(eligibility.reason).to.equal("Missing claim field: deadline");
+    });
+  });
+});
@@ -0,0 +1,424 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const { parseEther } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const clientSigningService = require("../server/services/clientSigningService.js");
+const pricingService = require("../server/services/pricingService.js");
+const sponsorService = require("../server/services/sponsorService.js");
+const { getRecoveryId } = require("../server/models/recovery.js");
+const { signOwnershipProof } = require("../server/utils/ownershipProof.js");
+const { GAS_PRICE_ORACLE_ADDRESS } = require("../server/utils/l1Fees.js");
+
+describe("Client-side signing", function () {
+  this.timeout(120000);
+
+  // Sponsor keys are looked up by network name
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let hackedWallet;
+  let safeWallet;
+  let sponsorWallet;
+  let token;
+  let nft;
+  let pricing;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Airdrop Token", "AIR");
+    await token.waitForDeployment();
+    await (await token.transfer(hackedWallet.address, parseEther("5"))).wait();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    nft = await MockERC721.deploy("Airdrop NFT", "ANFT");
+    await nft.waitForDeployment();
+    await (await nft.mint(hackedWallet.address, 1)).wait();
+
+    // Discovery goes through Moralis/scanners, so the test supplies the wallet's tokens
+    const recoveryService = new RecoveryService(createRecoveryStore("memory"));
+    const tokens = [
+      { address: await token.getAddress(), symbol: "AIR", type: "ERC20", decimals: 18, balance: parseEther("5").toString() },
+      { address: await nft.getAddress(), symbol: "ANFT", type: "ERC721", balance: "1", tokenIds: ["1"] }
+    ];
+    recoveryService.getTokenBalances = async () => tokens;
+    clientSigningService.recoveryService = recoveryService;
+
+    // Prices come from Moralis: AIR is worth $2 and ETH $3000
+    pricing = { ...pricingService };
+    pricingService.getTokenValueUSD = async (network, token) =>
+      (token.type === "ERC20" ? Number(ethers.formatUnits(token.amount, token.decimals)) * 2 : null);
+    pricingService.getNativePriceUSD = async () => 3000;
+  });
+
+  afterEach(function () {
+    delete process.env.HARDHAT_SPONSOR_PRIVATE_KEY;
+    clientSigningService.recoveryService = null;
+    Object.assign(pricingService, pricing);
+  });
+
+  const plan = async (options = {}) => {
+    const result = await clientSigningService.planRescue({
+      network: NETWORK,
+      provider: ethers.provider,
+      walletAddress: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      ...options
+    });
+    expect(result.success, result.error).to.be.true;
+    return result.plan;
+  };
+
+  // Registers the hacked wallet with an ownership proof, so the sponsor may fund its plans
+  // (on mainnet, since hardhat cannot be registered; plans find it by wallet)
+  const registerProven = async () => {
+    const proof = await signOwnershipProof(hackedWallet, { safeWallet: safeWallet.address, network: "mainnet" });
+    const result = await clientSigningService.recoveryService.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      ownershipSignature: proof.signature,
+      ownershipDeadline: proof.deadline.toString()
+    });
+    expect(result.success, result.error).to.be.true;
+  };
+
+  // Mirrors what the browser does with a plan's JSON transaction requests
+  const sign = (wallet, request) => wallet.signTransaction({
+    to: request.to,
+    data: request.data,
+    value: BigInt(request.value),
+    nonce: Number(request.nonce),
+    gasLimit: BigInt(request.gasLimit),
+    chainId: BigInt(request.chainId),
+    type: request.type,
+    maxFeePerGas: BigInt(request.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(request.maxPriorityFeePerGas)
+  });
+
+  it("Should plan unsigned transactions and broadcast the client's signatures", async function () {
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+    const rescuePlan = await plan();
+
+    expect(rescuePlan.transactions).to.have.lengthOf(2);
+    expect(rescuePlan.transactions.map(tx => tx.request.nonce)).to.deep.equal([0, 1]);
+    for (const { request } of rescuePlan.transactions) {
+      expect(request.type).to.equal(2);
+      expect(BigInt(request.gasLimit)).to.be.greaterThan(0n);
+      expect(BigInt(request.maxFeePerGas)).to.be.greaterThan(0n);
+      expect(request.chainId).to.equal("1337");
+    }
+    expect(rescuePlan.gas.shortfallWei).to.equal("0");
+    // JSON-safe, so it can be returned from the API as is
+    expect(() => JSON.stringify(rescuePlan)).to.not.throw();
+
+    const signedTransactions = await Promise.all(rescuePlan.transactions.map(tx => sign(hackedWallet, tx.request)));
+    const result = await clientSigningService.submitSignedTransactions({
+      planId: rescuePlan.id,
+      signedTransactions,
+      provider: ethers.provider
+    });
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.rescuedTokens).to.equal(2);
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+    expect(await nft.ownerOf(1)).to.equal(safeWallet.address);
+    expect(clientSigningService.getPlan(rescuePlan.id).status).to.equal("confirmed");
+
+    const again = await clientSigningService.submitSignedTransactions({
+      planId: rescuePlan.id,
+      signedTransactions,
+      provider: ethers.provider
+    });
+    expect(again.success).to.be.false;
+    expect(again.error).to.include("Plan is already confirmed");
+  });
+
+  it("Should refuse transactions that differ from the plan or come from another key", async function () {
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+    const rescuePlan = await plan();
+    const [first, second] = rescuePlan.transactions;
+
+    // Same nonce, but the tokens go to an attacker-chosen address
+    const attacker = ethers.Wallet.createRandom().address;
+    const redirected = { ...first.request, data: token.interface.encodeFunctionData("transfer", [attacker, parseEther("5")]) };
+    let result = await clientSigningService.submitSignedTransactions({
+      planId: rescuePlan.id,
+      signedTransactions: [await sign(hackedWallet, redirected)],
+      provider: ethers.provider
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("does not match the planned AIR transfer");
+
+    result = await clientSigningService.submitSignedTransactions({
+      planId: rescuePlan.id,
+      signedTransactions: [await sign(ethers.Wallet.createRandom(), first.request)],
+      provider: ethers.provider
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include(`not signed by ${hackedWallet.address}`);
+
+    result = await clientSigningService.submitSignedTransactions({
+      planId: rescuePlan.id,
+      signedTransactions: [await sign(hackedWallet, second.request)],
+      provider: ethers.provider
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("Nonces must be consecutive from 0");
+
+    // Nothing was broadcast and the plan can still be completed
+    expect(clientSigningService.getPlan(rescuePlan.id).status).to.equal("planned");
+    expect(await token.balanceOf(hackedWallet.address)).to.equal(parseEther("5"));
+
+    result = await clientSigningService.submitSignedTransactions({
+      planId: rescuePlan.id,
+      signedTransactions: [await sign(hackedWallet, first.request)],
+      provider: ethers.provider
+    });
+    expect(result.success, result.error).to.be.true;
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+  });
+
+  it("Should track transactions the client broadcast itself", async function () {
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+    const rescuePlan = await plan();
+
+    const transactionHashes = [];
+    for (const { request } of rescuePlan.transactions) {
+      const response = await ethers.provider.broadcastTransaction(await sign(hackedWallet, request));
+      transactionHashes.push(response.hash);
+    }
+
+    const result = await clientSigningService.recordBroadcast({
+      planId: rescuePlan.id,
+      transactionHashes,
+      provider: ethers.provider
+    });
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.transactionHashes).to.deep.equal(transactionHashes);
+    expect(result.results.map(r => r.status)).to.deep.equal(["confirmed", "confirmed"]);
+  });
+
+  it("Should only sponsor proven registrations and take unused funding back", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    const store = sponsorService.store;
+    sponsorService.store = createRecoveryStore("memory");
+
+    try {
+      // Anyone could plan for a wallet they hold the key for and keep the gas
+      let rescuePlan = await plan();
+      expect(rescuePlan.gas.sponsored).to.be.false;
+
+      await registerProven();
+      rescuePlan = await plan();
+      expect(rescuePlan.gas.sponsored).to.be.true;
+      expect(BigInt(rescuePlan.gas.shortfallWei)).to.equal(BigInt(rescuePlan.gas.requiredWei));
+
+      // Client-signed plans are only funded when the server can sweep what is left
+      const signedTransactions = await Promise.all(rescuePlan.transactions.map(tx => sign(hackedWallet, tx.request)));
+      let result = await clientSigningService.submitSignedTransactions({
+        planId: rescuePlan.id,
+        signedTransactions,
+        provider: ethers.provider
+      });
+      expect(result.success).to.be.false;
+      expect(result.error).to.include("needs a stored, configured or remote key for the wallet");
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.equal(0n);
+
+      rescuePlan = await plan();
+      result = await clientSigningService.executePlan({
+        planId: rescuePlan.id,
+        hackedWalletPrivateKey: hackedWallet.privateKey,
+        provider: ethers.provider
+      });
+      expect(result.success, result.error).to.be.true;
+      expect(result.summary).to.include(`Signed 2 planned transactions for ${hackedWallet.address}`);
+      expect(result.summary.some(line => /^Sponsor funded .* ETH for 2 signed transactions$/.test(line))).to.be.true;
+      expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+
+      const spend = await sponsorService.getRescueSpend(getRecoveryId(hackedWallet.address, NETWORK));
+      expect(spend.returnedWei).to.be.greaterThan(0n);
+      expect(Number(result.sponsor.returned)).to.be.greaterThan(0);
+      // Only the sweep's gas margin stays behind
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.be.lessThan(spend.fundedWei - spend.returnedWei + 1n);
+    } finally {
+      sponsorService.store = store;
+    }
+  });
+
+  it("Should fund only the planned gas and refuse signatures above the plan's fee cap or gas limit", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    const store = sponsorService.store;
+    sponsorService.store = createRecoveryStore("memory");
+
+    try {
+      // The configured key lets the server sweep what the client-signed transactions leave
+      process.env.RECOVERY_SIGNER_PRIVATE_KEYS = hackedWallet.privateKey;
+      await registerProven();
+      const rescuePlan = await plan();
+      const [first, second] = rescuePlan.transactions;
+
+      // Higher fees or gas would have the sponsor pay for more than the plan was priced at
+      const overpriced = { ...first.request, maxFeePerGas: (BigInt(first.request.maxFeePerGas) + 1n).toString() };
+      let result = await clientSigningService.submitSignedTransactions({
+        planId: rescuePlan.id,
+        signedTransactions: [await sign(hackedWallet, overpriced)],
+        provider: ethers.provider
+      });
+      expect(result.success).to.be.false;
+      expect(result.error).to.include(`exceeds the planned fee cap of ${first.request.maxFeePerGas} wei per gas`);
+
+      const overGassed = { ...first.request, gasLimit: (BigInt(first.request.gasLimit) * 10n).toString() };
+      result = await clientSigningService.submitSignedTransactions({
+        planId: rescuePlan.id,
+        signedTransactions: [await sign(hackedWallet, overGassed)],
+        provider: ethers.provider
+      });
+      expect(result.success).to.be.false;
+      expect(result.error).to.include(`exceeds the planned gas limit of ${first.request.gasLimit}`);
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.equal(0n);
+
+      // Lower fees are fine, and funded as signed
+      const cheaper = (request) => ({
+        ...request,
+        maxFeePerGas: (BigInt(request.maxFeePerGas) - 1n).toString(),
+        maxPriorityFeePerGas: "0"
+      });
+      result = await clientSigningService.submitSignedTransactions({
+        planId: rescuePlan.id,
+        signedTransactions: [await sign(hackedWallet, cheaper(first.request)), await sign(hackedWallet, cheaper(second.request))],
+        provider: ethers.provider
+      });
+      expect(result.success, result.error).to.be.true;
+
+      const signedWei = [first, second].reduce((sum, { request }) =>
+        sum + BigInt(request.gasLimit) * (BigInt(request.maxFeePerGas) - 1n), 0n);
+      const walletSpend = await sponsorService.getWalletSpend(NETWORK, hackedWallet.address);
+      expect(walletSpend.fundedWei).to.equal(signedWei);
+      expect(walletSpend.returnedWei).to.be.greaterThan(0n);
+
+      // Charged to the wallet's recovery, not to the plan, so new plans draw on the same budget
+      expect(await sponsorService.getRescueSpend(rescuePlan.id)).to.be.null;
+      const rescueSpend = await sponsorService.getRescueSpend(getRecoveryId(hackedWallet.address, NETWORK));
+      expect(rescueSpend.fundedWei).to.equal(signedWei);
+    } finally {
+      sponsorService.store = store;
+      delete process.env.RECOVERY_SIGNER_PRIVATE_KEYS;
+    }
+  });
+
+  it("Should keep one pending plan per session and network", async function () {
+    const sessionId = "client-session";
+    expect(clientSigningService.hasPendingPlan(sessionId, NETWORK)).to.be.false;
+
+    const rescuePlan = await plan({ sessionId });
+    expect(clientSigningService.hasPendingPlan(sessionId, NETWORK)).to.be.true;
+    expect(clientSigningService.getPendingPlans(sessionId).map(p => p.id)).to.deep.equal([rescuePlan.id]);
+
+    clientSigningService.updatePlan(rescuePlan.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    expect(clientSigningService.hasPendingPlan(sessionId, NETWORK)).to.be.false;
+    expect(clientSigningService.getPendingPlans(sessionId)).to.deep.equal([]);
+  });
+
+  describe("Dry run", function () {
+    it("Should price each planned transfer and the whole plan", async function () {
+      const rescuePlan = await plan();
+      const [transfer, nftTransfer] = rescuePlan.transactions;
+
+      expect(transfer.method).to.equal("transfer");
+      expect(nftTransfer.method).to.equal("transferFrom");
+
+      const feeWei = BigInt(transfer.request.gasLimit) * BigInt(transfer.request.maxFeePerGas);
+      expect(transfer.estimate.feeWei).to.equal(feeWei.toString());
+      expect(transfer.estimate.feeUSD).to.equal(Math.round(Number(ethers.formatEther(feeWei)) * 3000 * 100) / 100);
+      expect(transfer.estimate.valueUSD).to.equal(10);
+      expect(transfer.estimate.netUSD).to.be.closeTo(10 - transfer.estimate.feeUSD, 0.011);
+      // NFTs have no price, so they are counted but not valued
+      expect(nftTransfer.estimate.valueUSD).to.be.null;
+      expect(nftTransfer.estimate.netUSD).to.be.null;
+
+      const { estimate } = rescuePlan;
+      expect(estimate.nativePriceUSD).to.equal(3000);
+      expect(BigInt(estimate.feeWei)).to.equal(feeWei + BigInt(nftTransfer.estimate.feeWei));
+      expect(estimate.valueUSD).to.equal(10);
+      expect(estimate.unpricedTransfers).to.equal(1);
+      expect(Number(estimate.requiredBalance)).to.be.closeTo(Number(ethers.formatEther(rescuePlan.gas.requiredWei)), 1e-6);
+    });
+
+    it("Should price L1 data fees into an OP-stack plan", async function () {
+      const artifact = await artifacts.readArtifact("MockGasPriceOracle");
+      await network.provider.send("hardhat_setCode", [GAS_PRICE_ORACLE_ADDRESS, artifact.deployedBytecode]);
+
+      try {
+        const rescuePlan = await plan({ network: "optimism" });
+        let requiredWei = 0n;
+        for (const transfer of rescuePlan.transactions) {
+          const gasWei = BigInt(transfer.request.gasLimit) * BigInt(transfer.request.maxFeePerGas);
+          expect(BigInt(transfer.l1Fee) > 0n).to.equal(true);
+          expect(transfer.estimate.feeWei).to.equal((gasWei + BigInt(transfer.l1Fee)).toString());
+          requiredWei += gasWei + BigInt(transfer.l1Fee);
+        }
+        expect(rescuePlan.gas.requiredWei).to.equal(requiredWei.toString());
+        expect(rescuePlan.estimate.feeWei).to.equal(requiredWei.toString());
+      } finally {
+        await network.provider.send("hardhat_setCode", [GAS_PRICE_ORACLE_ADDRESS, "0x"]);
+      }
+    });
+
+    it("Should execute exactly the reviewed plan with the hacked wallet's key", async function () {
+      await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+      const rescuePlan = await plan();
+
+      const wrongKey = await clientSigningService.executePlan({
+        planId: rescuePlan.id,
+        hackedWalletPrivateKey: ethers.Wallet.createRandom().privateKey,
+        provider: ethers.provider
+      });
+      expect(wrongKey.success).to.be.false;
+      expect(wrongKey.error).to.include(`Key does not belong to the planned wallet ${hackedWallet.address}`);
+
+      const result = await clientSigningService.executePlan({
+        planId: rescuePlan.id,
+        hackedWalletPrivateKey: hackedWallet.privateKey,
+        provider: ethers.provider
+      });
+      expect(result.success, result.error).to.be.true;
+      expect(result.submissionMode).to.equal("server");
+      expect(result.rescuedTokens).to.equal(2);
+      expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+
+      // Every sent transaction is the planned one, fees included
+      for (const [index, hash] of result.transactionHashes.entries()) {
+        const sent = await ethers.provider.getTransaction(hash);
+        const { request } = rescuePlan.transactions[index];
+        expect(sent.nonce).to.equal(request.nonce);
+        expect(sent.data).to.equal(request.data);
+        expect(sent.gasLimit.toString()).to.equal(request.gasLimit);
+        expect(sent.maxFeePerGas.toString()).to.equal(request.maxFeePerGas);
+      }
+    });
+
+    it("Should refuse a plan whose nonces were used since it was made", async function () {
+      await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+      const rescuePlan = await plan();
+      await (await hackedWallet.sendTransaction({ to: deployer.address, value: 1n })).wait();
+
+      const result = await clientSigningService.executePlan({
+        planId: rescuePlan.id,
+        hackedWalletPrivateKey: hackedWallet.privateKey,
+        provider: ethers.provider
+      });
+      expect(result.success).to.be.false;
+      expect(result.error).to.include("Wallet nonce moved from 0 to 1 since the plan was made");
+      expect(clientSigningService.getPlan(rescuePlan.id).status).to.equal("planned");
+    });
+  });
+});
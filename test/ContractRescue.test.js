@@ -0,0 +1,400 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const relayerService = require("../server/services/relayerService.js");
+const { buildTransferCallsForTokens } = require("../server/utils/transfers.js");
+const { getOnChainRecovery, buildApprovalCalls } = require("../server/utils/recoveryContract.js");
+const { createRecoveryRecord, RECOVERY_EVENTS } = require("../server/models/recovery.js");
+const { getNetworkConfig } = require("../server/config/networks.js");
+
+describe("Recovery contract integration", function () {
+  this.timeout(120000);
+
+  // Sponsor keys are looked up by network name
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let sponsorWallet;
+  let hackedWallet;
+  let safeWallet;
+  let recoveryContract;
+  let contractAddress;
+  let token;
+  let nft;
+  let multi;
+  let service;
+
+  afterEach(function () {
+    delete process.env.HARDHAT_SPONSOR_PRIVATE_KEY;
+    delete process.env.HARDHAT_RELAYER_PRIVATE_KEY;
+  });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+
+    const AirdropRecovery = await ethers.getContractFactory("AirdropRecovery");
+    recoveryContract = await AirdropRecovery.deploy(deployer.address);
+    await recoveryContract.waitForDeployment();
+    contractAddress = await recoveryContract.getAddress();
+
+    // The hacked wallet registers while it still has gas, then keeps only dust
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+    await (await recoveryContract.connect(hackedWallet).registerRecovery(hackedWallet.address, safeWallet.address)).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Airdrop Token", "AIR");
+    await token.waitForDeployment();
+    await (await token.transfer(hackedWallet.address, parseEther("5"))).wait();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    nft = await MockERC721.deploy("Airdrop NFT", "ANFT");
+    await nft.waitForDeployment();
+    await (await nft.mint(hackedWallet.address, 1)).wait();
+
+    const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+    multi = await MockERC1155.deploy("https://example.com/{id}.json");
+    await multi.waitForDeployment();
+    await (await multi.mint(hackedWallet.address, 3, 10)).wait();
+
+    service = new RecoveryService(createRecoveryStore("memory"));
+  });
+
+  const plannedCalls = async () => buildTransferCallsForTokens([
+    { address: await token.getAddress(), symbol: "AIR", type: "ERC20", balance: parseEther("5").toString() },
+    { address: await nft.getAddress(), symbol: "ANFT", type: "ERC721", balance: "1", tokenIds: ["1"] },
+    { address: await multi.getAddress(), symbol: "MULTI", type: "ERC1155", balance: "10", ownedTokens: [{ tokenId: "3", balance: "10" }] }
+  ], hackedWallet.address, safeWallet.address);
+
+  it("Should register a wallet without gas by having the sponsor submit its signature", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    const drained = ethers.Wallet.createRandom().connect(ethers.provider);
+
+    const result = await service.registerRecoveryOnChain({
+      wallet: drained,
+      safeWallet: safeWallet.address,
+      network: NETWORK,
+      provider: ethers.provider,
+      contractAddress
+    });
+
+    expect(result.success, result.error).to.be.true;
+    const tx = await ethers.provider.getTransaction(result.transactionHash);
+    expect(tx.from).to.equal(sponsorWallet.address);
+    expect(await ethers.provider.getBalance(drained.address)).to.equal(0n);
+    expect(await recoveryContract.isRecoveryActive(drained.address)).to.be.true;
+
+    const again = await service.registerRecoveryOnChain({
+      wallet: drained,
+      safeWallet: safeWallet.address,
+      network: NETWORK,
+      provider: ethers.provider,
+      contractAddress
+    });
+    expect(again.alreadyRegistered).to.be.true;
+
+    const conflicting = await service.registerRecoveryOnChain({
+      wallet: drained,
+      safeWallet: ethers.Wallet.createRandom().address,
+      network: NETWORK,
+      provider: ethers.provider,
+      contractAddress
+    });
+    expect(conflicting.success).to.be.false;
+    expect(conflicting.error).to.include("different safe wallet");
+  });
+
+  it("Should relay a claim signed by the safe wallet from the relayer account", async function () {
+    process.env.HARDHAT_RELAYER_PRIVATE_KEY = sponsorWallet.privateKey;
+    const tokenAddress = await token.getAddress();
+    await (await token.connect(hackedWallet).approve(contractAddress, parseEther("5"))).wait();
+
+    const request = await relayerService.buildClaimRequest({
+      network: NETWORK,
+      provider: ethers.provider,
+      hackedWallet: hackedWallet.address,
+      tokenAddress,
+      amount: parseEther("5").toString(),
+      contractAddress
+    });
+    expect(request.success, request.error).to.be.true;
+    expect(request.typedData.message.nonce).to.equal("0");
+
+    const { domain, types, message } = request.typedData;
+    const outsider = ethers.Wallet.createRandom();
+    const rejected = await relayerService.submitClaim({
+      network: NETWORK,
+      provider: ethers.provider,
+      message,
+      signature: await outsider.signTypedData(domain, types, message),
+      contractAddress
+    });
+    expect(rejected.success).to.be.false;
+    expect(rejected.error).to.include("not from the hacked or safe wallet");
+
+    const result = await relayerService.submitClaim({
+      network: NETWORK,
+      provider: ethers.provider,
+      message,
+      signature: await safeWallet.signTypedData(domain, types, message),
+      contractAddress
+    });
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.signer).to.equal(safeWallet.address);
+    const tx = await ethers.provider.getTransaction(result.transactionHash);
+    expect(tx.from).to.equal(sponsorWallet.address);
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+    expect(relayerService.getClaim(result.claimId)).to.include({ status: "confirmed", safeWallet: safeWallet.address });
+    expect(await recoveryContract.claimNonces(hackedWallet.address)).to.equal(1n);
+  });
+
+  it("Should read the on-chain registration", async function () {
+    const registration = await getOnChainRecovery(ethers.provider, contractAddress, hackedWallet.address);
+    expect(registration.isActive).to.be.true;
+    expect(registration.safeWallet).to.equal(safeWallet.address);
+  });
+
+  it("Should sync pending and active safe wallets from rotation events", async function () {
+    const store = createRecoveryStore("memory");
+    const syncService = new RecoveryService(store);
+    const recovery = createRecoveryRecord({ hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK });
+    await store.saveRecovery(recovery);
+
+    const currentSafe = safeWallet.connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: currentSafe.address, value: parseEther("0.01") })).wait();
+    const newSafeWallet = ethers.Wallet.createRandom().address;
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    await (await recoveryContract.connect(currentSafe).proposeSafeWallet(hackedWallet.address, newSafeWallet)).wait();
+    let sync = await syncService.syncSafeWalletChanges(NETWORK, { provider: ethers.provider, contractAddress, fromBlock });
+    expect(sync.success, sync.error).to.be.true;
+    expect(sync.synced).to.equal(1);
+
+    let stored = await store.getRecovery(recovery.id);
+    expect(stored.safeWallet).to.equal(safeWallet.address);
+    expect(stored.pendingSafeWallet.address).to.equal(newSafeWallet);
+
+    await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+    await (await recoveryContract.executeSafeWalletChange(hackedWallet.address)).wait();
+
+    // Rescanning from the same block only applies the new event
+    sync = await syncService.syncSafeWalletChanges(NETWORK, { provider: ethers.provider, contractAddress, fromBlock });
+    expect(sync.synced).to.equal(1);
+
+    stored = await store.getRecovery(recovery.id);
+    expect(stored.safeWallet).to.equal(newSafeWallet);
+    expect(stored.pendingSafeWallet).to.be.undefined;
+    const history = await store.getHistory(recovery.id);
+    expect(history.map(entry => entry.event)).to.include.members([
+      RECOVERY_EVENTS.SAFE_WALLET_CHANGE_PROPOSED,
+      RECOVERY_EVENTS.SAFE_WALLET_CHANGED
+    ]);
+
+    // The last synced block is kept in the store, so a restarted service resumes after it
+    // instead of only looking back SAFE_WALLET_SYNC_LOOKBACK_BLOCKS
+    const syncState = await store.getState(`safeWalletSync:${NETWORK}:${contractAddress.toLowerCase()}`);
+    expect(syncState.blockNumber).to.equal(sync.toBlock);
+
+    const nextSafeWallet = ethers.Wallet.createRandom().address;
+    await ethers.provider.send("hardhat_impersonateAccount", [newSafeWallet]);
+    await (await deployer.sendTransaction({ to: newSafeWallet, value: parseEther("1") })).wait();
+    const impersonated = await ethers.getSigner(newSafeWallet);
+    await (await recoveryContract.connect(impersonated).proposeSafeWallet(hackedWallet.address, nextSafeWallet)).wait();
+    await ethers.provider.send("hardhat_stopImpersonatingAccount", [newSafeWallet]);
+    await ethers.provider.send("evm_mine", []);
+
+    process.env.SAFE_WALLET_SYNC_LOOKBACK_BLOCKS = "0";
+    try {
+      sync = await new RecoveryService(store).syncSafeWalletChanges(NETWORK, { provider: ethers.provider, contractAddress });
+    } finally {
+      delete process.env.SAFE_WALLET_SYNC_LOOKBACK_BLOCKS;
+    }
+    expect(sync.synced).to.equal(1);
+    expect((await store.getRecovery(recovery.id)).pendingSafeWallet.address).to.equal(nextSafeWallet);
+  });
+
+  it("Should approve with sponsor gas and let the sponsor submit one batch claim", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+
+    const calls = await plannedCalls();
+    const summary = [];
+    const result = await service.executeContractBatch({
+      wallet: hackedWallet,
+      provider: ethers.provider,
+      network: NETWORK,
+      contractAddress,
+      calls,
+      operationId: "contract-rescue-test"
+    }, summary);
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.rescuedTokens).to.equal(3);
+    // Three approvals from the hacked wallet, then the batch from the sponsor
+    expect(result.transactionHashes).to.have.lengthOf(4);
+    const batchTx = await ethers.provider.getTransaction(result.transactionHash);
+    expect(batchTx.from).to.equal(sponsorWallet.address);
+    expect(result.sponsor.address).to.equal(sponsorWallet.address);
+
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+    expect(await nft.ownerOf(1)).to.equal(safeWallet.address);
+    expect(await multi.balanceOf(safeWallet.address, 3)).to.equal(10n);
+  });
+
+  it("Should claim tokens with standing Permit2 allowances from a signed permit instead of an approval", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+    const permit2 = await MockPermit2.deploy();
+    await permit2.waitForDeployment();
+    await (await recoveryContract.setPermit2(await permit2.getAddress())).wait();
+    await (await token.connect(hackedWallet).approve(await permit2.getAddress(), ethers.MaxUint256)).wait();
+
+    const result = await service.executeContractBatch({
+      wallet: hackedWallet,
+      provider: ethers.provider,
+      network: NETWORK,
+      contractAddress,
+      calls: await plannedCalls(),
+      operationId: "contract-rescue-permit2"
+    }, []);
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.rescuedTokens).to.equal(3);
+    // Two collection approvals, the batch claim, then the Permit2 claim
+    expect(result.transactionHashes).to.have.lengthOf(4);
+    const permitTx = await ethers.provider.getTransaction(result.transactionHash);
+    expect(permitTx.from).to.equal(sponsorWallet.address);
+    expect(await token.allowance(hackedWallet.address, contractAddress)).to.equal(0n);
+
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+    expect(await nft.ownerOf(1)).to.equal(safeWallet.address);
+    expect(await multi.balanceOf(safeWallet.address, 3)).to.equal(10n);
+  });
+
+  it("Should report tokens the contract had to hold in escrow", async function () {
+    const MockBlocklistERC20 = await ethers.getContractFactory("MockBlocklistERC20");
+    const blocked = await MockBlocklistERC20.deploy("Blocklist Token", "BLK");
+    await blocked.waitForDeployment();
+    await (await blocked.mint(hackedWallet.address, parseEther("2"))).wait();
+    await (await blocked.setBlocked(safeWallet.address, true)).wait();
+
+    const calls = buildTransferCallsForTokens([
+      { address: await blocked.getAddress(), symbol: "BLK", type: "ERC20", balance: parseEther("2").toString() }
+    ], hackedWallet.address, safeWallet.address);
+    const result = await service.executeContractBatch({
+      wallet: hackedWallet,
+      provider: ethers.provider,
+      network: NETWORK,
+      contractAddress,
+      calls,
+      operationId: "contract-rescue-escrow"
+    }, []);
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.escrowedTokens).to.deep.equal([{ token: await blocked.getAddress(), amount: parseEther("2").toString() }]);
+    expect(result.summary.some(line => line.includes("escrow"))).to.be.true;
+    expect(await recoveryContract.escrowedBalances(hackedWallet.address, await blocked.getAddress())).to.equal(parseEther("2"));
+  });
+
+  it("Should skip approvals that are already in place", async function () {
+    await (await token.connect(hackedWallet).approve(contractAddress, parseEther("5"))).wait();
+    await (await nft.connect(hackedWallet).setApprovalForAll(contractAddress, true)).wait();
+
+    const calls = await plannedCalls();
+    const approvals = await buildApprovalCalls(ethers.provider, calls, hackedWallet.address, contractAddress);
+    expect(approvals.map(approval => approval.to)).to.deep.equal([await multi.getAddress()]);
+
+    // Without a sponsor the hacked wallet pays for its approval and the batch itself
+    const result = await service.executeContractBatch({
+      wallet: hackedWallet,
+      provider: ethers.provider,
+      network: NETWORK,
+      contractAddress,
+      calls,
+      operationId: "contract-rescue-self"
+    }, []);
+
+    expect(result.success, result.error).to.be.true;
+    expect(result.transactionHashes).to.have.lengthOf(2);
+    expect(result.sponsor).to.be.undefined;
+    expect(await multi.balanceOf(safeWallet.address, 3)).to.equal(10n);
+  });
+
+  it("Should not send a batch claim that would revert", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+
+    // The hacked wallet does not own NFT 2, so the whole batch would revert
+    const calls = buildTransferCallsForTokens([
+      { address: await token.getAddress(), symbol: "AIR", type: "ERC20", balance: parseEther("5").toString() },
+      { address: await nft.getAddress(), symbol: "ANFT", type: "ERC721", balance: "1", tokenIds: ["2"] }
+    ], hackedWallet.address, safeWallet.address);
+    const sponsorNonce = await ethers.provider.getTransactionCount(sponsorWallet.address);
+
+    const result = await service.executeContractBatch({
+      wallet: hackedWallet,
+      provider: ethers.provider,
+      network: NETWORK,
+      contractAddress,
+      calls,
+      operationId: "contract-rescue-revert"
+    }, []);
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.match(/^Batch claim of 2 assets would revert/);
+    // The hacked wallet's dust covered its approvals and the sponsor never sent the claim
+    expect(await ethers.provider.getTransactionCount(sponsorWallet.address)).to.equal(sponsorNonce);
+    expect(await token.balanceOf(hackedWallet.address)).to.equal(parseEther("5"));
+  });
+
+  describe("Planned rescue", function () {
+    let networkConfig;
+    let previousAddress;
+
+    beforeEach(function () {
+      // The rescue looks the contract up by network
+      networkConfig = getNetworkConfig("mainnet");
+      previousAddress = networkConfig.contractAddress;
+      networkConfig.contractAddress = contractAddress;
+    });
+
+    afterEach(function () {
+      networkConfig.contractAddress = previousAddress;
+    });
+
+    it("Should leave likely scam tokens out of the batch claim", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const scam = await MockERC20.deploy("Visit claim-rewards.com", "claim-rewards.com");
+      await scam.waitForDeployment();
+      await (await scam.transfer(hackedWallet.address, parseEther("1"))).wait();
+
+      service.getTokenBalances = async () => [
+        { address: await token.getAddress(), symbol: "AIR", type: "ERC20", balance: parseEther("5").toString() },
+        { address: await scam.getAddress(), symbol: "claim-rewards.com", type: "ERC20", balance: parseEther("1").toString() }
+      ];
+
+      const summary = [];
+      const result = await service.performContractRescue({
+        wallet: hackedWallet,
+        provider: ethers.provider,
+        network: "mainnet",
+        safeWallet: safeWallet.address,
+        priorityTokens: [],
+        operationId: "contract-rescue-scam"
+      }, summary);
+
+      expect(result.success, result.error).to.be.true;
+      expect(result.rescuedTokens).to.equal(1);
+      expect(summary).to.include("Skipping likely scam token: claim-rewards.com");
+      expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+      // Not even approved, let alone called
+      expect(await scam.balanceOf(hackedWallet.address)).to.equal(parseEther("1"));
+      expect(await scam.allowance(hackedWallet.address, contractAddress)).to.equal(0n);
+    });
+  });
+});
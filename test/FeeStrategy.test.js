@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const { parseUnits, toQuantity } = require("ethers");
+const {
+  FEE_STRATEGIES,
+  analyzeFeeHistory,
+  resolveFeeStrategy,
+  getFeeOverrides
+} = require("../server/utils/feeStrategy.js");
+const { validateAutoRescueForm, validateRescuePlanForm } = require("../server/utils/validation.js");
+
+describe("Fee strategies", function () {
+  const gwei = (value) => parseUnits(String(value), "gwei");
+
+  // Rewards per block are the 10th, 50th and 90th percentiles
+  const feeHistory = ({ baseFees, ratios, rewards }) => ({
+    baseFeePerGas: baseFees.map(fee => toQuantity(gwei(fee))),
+    gasUsedRatio: ratios,
+    reward: rewards.map(block => block.map(reward => toQuantity(gwei(reward))))
+  });
+
+  const flatHistory = feeHistory({
+    baseFees: [10, 10, 10, 10],
+    ratios: [0.5, 0.5, 0.5],
+    rewards: [[1, 2, 3], [0, 0, 0], [1, 2, 5]]
+  });
+
+  const mockProvider = (history, feeData = {}) => ({
+    send: async (method) => {
+      if (!history) throw new Error(`${method} not supported`);
+      return history;
+    },
+    getFeeData: async () => feeData
+  });
+
+  it("Should read the next base fee, its trend and reward percentiles from eth_feeHistory", function () {
+    const flat = analyzeFeeHistory(flatHistory);
+    expect(flat.nextBaseFee).to.equal(gwei(10));
+    expect(flat.rising).to.equal(false);
+    // The empty block is ignored
+    expect(flat.tips).to.deep.equal({ economy: gwei(1), normal: gwei(2), urgent: gwei(5) });
+
+    const rising = analyzeFeeHistory(feeHistory({ baseFees: [10, 11, 12, 13], ratios: [0.9, 0.9, 0.9], rewards: [[1, 1, 1]] }));
+    expect(rising.rising).to.equal(true);
+  });
+
+  it("Should give each strategy its tip and base fee headroom", async function () {
+    const provider = mockProvider(flatHistory);
+
+    const economy = await getFeeOverrides(provider, "hardhat", FEE_STRATEGIES.ECONOMY);
+    expect(economy).to.deep.equal({ maxFeePerGas: gwei(11.25) + gwei(1), maxPriorityFeePerGas: gwei(1) });
+
+    const normal = await getFeeOverrides(provider, "hardhat", FEE_STRATEGIES.NORMAL);
+    const urgent = await getFeeOverrides(provider, "hardhat", FEE_STRATEGIES.URGENT);
+    expect(normal.maxPriorityFeePerGas).to.equal(gwei(2));
+    expect(urgent.maxPriorityFeePerGas).to.equal(gwei(5));
+    expect(normal.maxFeePerGas > economy.maxFeePerGas).to.equal(true);
+    expect(urgent.maxFeePerGas > normal.maxFeePerGas).to.equal(true);
+
+    // A rising base fee gets one more block of headroom
+    const risingHistory = { ...flatHistory, gasUsedRatio: [1, 1, 1] };
+    const risingEconomy = await getFeeOverrides(mockProvider(risingHistory), "hardhat", FEE_STRATEGIES.ECONOMY);
+    expect(risingEconomy.maxFeePerGas).to.equal(gwei(12.65625) + gwei(1));
+  });
+
+  it("Should use the network's default strategy and cap", async function () {
+    expect(resolveFeeStrategy("linea")).to.equal(FEE_STRATEGIES.URGENT);
+    expect(resolveFeeStrategy("linea", FEE_STRATEGIES.ECONOMY)).to.equal(FEE_STRATEGIES.ECONOMY);
+    expect(resolveFeeStrategy("hardhat")).to.equal(FEE_STRATEGIES.NORMAL);
+
+    // Linea is capped at 10 gwei by default
+    const capped = await getFeeOverrides(mockProvider(flatHistory), "linea");
+    expect(capped).to.deep.equal({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(5) });
+  });
+
+  it("Should fall back to a capped legacy gas price without fee history", async function () {
+    const provider = mockProvider(null, { gasPrice: gwei(8) });
+    expect(await getFeeOverrides(provider, "hardhat", FEE_STRATEGIES.URGENT)).to.deep.equal({ gasPrice: gwei(10.4) });
+    expect(await getFeeOverrides(provider, "linea", FEE_STRATEGIES.URGENT)).to.deep.equal({ gasPrice: gwei(10) });
+  });
+
+  it("Should reject unknown strategies in rescue and plan requests", function () {
+    const rescue = validateAutoRescueForm({
+      hackedWalletPrivateKey: "0x" + "11".repeat(32),
+      safeWallet: "0x" + "22".repeat(20),
+      network: "mainnet",
+      feeStrategy: "fastest"
+    });
+    expect(rescue.errors.feeStrategy).to.equal('Fee strategy must be "urgent", "normal" or "economy"');
+
+    const plan = validateRescuePlanForm({
+      hackedWallet: "0x" + "11".repeat(20),
+      safeWallet: "0x" + "22".repeat(20),
+      network: "mainnet",
+      feeStrategy: FEE_STRATEGIES.ECONOMY
+    });
+    expect(plan.isValid).to.equal(true);
+  });
+});
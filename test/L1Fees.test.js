@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const { parseEther, parseUnits } = require("ethers");
+const pipelineExecutor = require("../server/services/pipelineExecutor.js");
+const sponsorService = require("../server/services/sponsorService.js");
+const pricingService = require("../server/services/pricingService.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const { getProfitPolicy } = require("../server/utils/profitability.js");
+const { GAS_PRICE_ORACLE_ADDRESS, NODE_INTERFACE_ADDRESS } = require("../server/utils/l1Fees.js");
+const { buildTransferCalls, estimateTransferCalls } = require("../server/utils/transfers.js");
+const { CALL_STATUS } = pipelineExecutor;
+
+describe("L1 data fees", function () {
+  this.timeout(60000);
+
+  let wallet;
+  let safeWallet;
+  let token;
+  let redisUrl;
+
+  before(async function () {
+    redisUrl = process.env.REDIS_URL;
+    delete process.env.REDIS_URL;
+    process.env.NONCE_POLL_INTERVAL_MS = "50";
+
+    // Install the rollup fee precompiles where the services look for them
+    for (const [name, address] of [["MockGasPriceOracle", GAS_PRICE_ORACLE_ADDRESS], ["MockNodeInterface", NODE_INTERFACE_ADDRESS]]) {
+      const artifact = await artifacts.readArtifact(name);
+      await network.provider.send("hardhat_setCode", [address, artifact.deployedBytecode]);
+    }
+  });
+
+  after(async function () {
+    if (redisUrl) process.env.REDIS_URL = redisUrl;
+    delete process.env.NONCE_POLL_INTERVAL_MS;
+    await network.provider.send("hardhat_setCode", [GAS_PRICE_ORACLE_ADDRESS, "0x"]);
+    await network.provider.send("hardhat_setCode", [NODE_INTERFACE_ADDRESS, "0x"]);
+  });
+
+  beforeEach(async function () {
+    const [deployer] = await ethers.getSigners();
+    wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom().address;
+    await (await deployer.sendTransaction({ to: wallet.address, value: parseEther("1") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("AAA", "AAA");
+    await token.waitForDeployment();
+    await (await token.transfer(wallet.address, parseUnits("10", 18))).wait();
+  });
+
+  const sweepCall = () => ({ to: safeWallet, data: "0x", value: 0n, sweep: true, txType: "ethTransfer", label: "ETH" });
+
+  const rescue = async (networkId, withToken = true) => {
+    const tokenCalls = withToken
+      ? buildTransferCalls({ address: await token.getAddress(), symbol: "AAA", decimals: 18, balance: parseUnits("10", 18).toString() }, wallet.address, safeWallet)
+      : [];
+    const calls = await estimateTransferCalls(ethers.provider, [sweepCall(), ...tokenCalls], wallet.address, networkId);
+    return pipelineExecutor.execute({ signer: wallet, network: networkId, calls });
+  };
+
+  // What the wallet gets back from signing for the worst case: unused gas and fee headroom
+  const refunds = async (results) => {
+    let total = 0n;
+    for (const result of results) {
+      const tx = await ethers.provider.getTransaction(result.hash);
+      const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+      total += tx.gasLimit * tx.maxFeePerGas - receipt.gasUsed * receipt.gasPrice;
+    }
+    return total;
+  };
+
+  it("Should sweep everything the batch does not spend on gas", async function () {
+    const { results } = await rescue("hardhat");
+
+    expect(results.map(result => [result.label, result.status])).to.deep.equal([
+      ["ETH", CALL_STATUS.CONFIRMED],
+      ["AAA", CALL_STATUS.CONFIRMED]
+    ]);
+    expect(await ethers.provider.getBalance(safeWallet)).to.equal(results[0].value);
+    // Only refunds are left behind, not a fixed reserve
+    expect(await ethers.provider.getBalance(wallet.address)).to.equal(await refunds(results));
+  });
+
+  it("Should reserve the OP-stack L1 data fee of every transfer in the batch", async function () {
+    const { results } = await rescue("optimism");
+
+    expect(results.every(result => result.status === CALL_STATUS.CONFIRMED)).to.equal(true);
+    expect(results.every(result => result.l1Fee > 0n)).to.equal(true);
+    // The sweep's gas limit is its own estimate, not the network's 150000 default
+    expect((await ethers.provider.getTransaction(results[0].hash)).gasLimit).to.be.lessThan(22000n);
+
+    // The local chain does not charge L1 fees, so the reserve is what stays behind
+    const l1Fees = results.reduce((sum, result) => sum + result.l1Fee, 0n);
+    expect(await ethers.provider.getBalance(wallet.address)).to.equal(await refunds(results) + l1Fees);
+  });
+
+  it("Should cover Arbitrum's L1 component in the sweep's gas limit", async function () {
+    const { results } = await rescue("arbitrum", false);
+
+    expect(results[0].status).to.equal(CALL_STATUS.CONFIRMED);
+    expect(results[0].l1Fee).to.equal(0n);
+    // 21000 execution gas plus the 4000 gas L1 component with 25% headroom
+    expect((await ethers.provider.getTransaction(results[0].hash)).gasLimit).to.equal(26000n);
+    expect(await ethers.provider.getBalance(wallet.address)).to.equal(await refunds(results));
+  });
+
+  it("Should fail the sweep when the balance cannot cover the batch", async function () {
+    const [deployer] = await ethers.getSigners();
+    const drained = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: drained.address, value: 1000n })).wait();
+
+    const calls = await estimateTransferCalls(ethers.provider, [sweepCall()], drained.address, "optimism");
+    const { results } = await pipelineExecutor.execute({ signer: drained, network: "optimism", calls });
+
+    expect(results[0].status).to.equal(CALL_STATUS.FAILED);
+    expect(results[0].error).to.equal("Balance does not cover the gas of the transfer batch");
+  });
+
+  it("Should include L1 data fees in the sponsor's funding requirement", async function () {
+    const calls = buildTransferCalls({ address: await token.getAddress(), symbol: "AAA", balance: parseUnits("10", 18).toString() }, wallet.address, safeWallet);
+    const { maxFeePerGas } = await ethers.provider.getFeeData();
+
+    const plain = await sponsorService.calculateGasRequirement(ethers.provider, calls, wallet.address, "hardhat", maxFeePerGas);
+    const rollup = await sponsorService.calculateGasRequirement(ethers.provider, calls, wallet.address, "optimism", maxFeePerGas);
+
+    expect(plain.l1Fees).to.equal(0n);
+    expect(rollup.l1Fees > 0n).to.equal(true);
+    expect(rollup.requiredWei).to.equal((rollup.totalGas + 150000n) * maxFeePerGas + rollup.l1Fees);
+  });
+
+  it("Should count L1 data fees in the profitability filter's gas cost", async function () {
+    const service = new RecoveryService(createRecoveryStore("memory"));
+    const pricing = { ...pricingService };
+    pricingService.getNativePriceUSD = async () => 3000;
+    pricingService.getTokenValueUSD = async () => 0.000001;
+
+    const gasCostUSD = async (networkId) => {
+      const context = {
+        network: networkId,
+        provider: ethers.provider,
+        walletAddress: wallet.address,
+        safeWallet,
+        policy: getProfitPolicy({ enabled: true }),
+        priorityTokens: [],
+        skippedAssets: []
+      };
+      const asset = { address: await token.getAddress(), symbol: "AAA", type: "ERC20", decimals: 18, balance: parseUnits("10", 18).toString() };
+      await service.filterProfitableTokens([asset], context, []);
+      return context.skippedAssets[0].gasCostUSD;
+    };
+
+    try {
+      const plain = await gasCostUSD("hardhat");
+      const rollup = await gasCostUSD("optimism");
+      // At least the mock oracle's fee for a ~110 byte transfer, at $3000 per ETH
+      expect(rollup - plain).to.be.greaterThan(0.5);
+    } finally {
+      Object.assign(pricingService, pricing);
+    }
+  });
+});
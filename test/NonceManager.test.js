@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { parseEther, parseUnits } = require("ethers");
+const nonceManager = require("../server/services/nonceManager.js");
+const { getNetworkConfig } = require("../server/config/networks.js");
+const { TRANSACTION_STATUS } = nonceManager;
+
+describe("NonceManager", function () {
+  this.timeout(60000);
+
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let wallet;
+  let redisUrl;
+
+  before(function () {
+    // Nonces are kept in memory for these tests
+    redisUrl = process.env.REDIS_URL;
+    delete process.env.REDIS_URL;
+    process.env.NONCE_STUCK_TIMEOUT_SECONDS = "0.3";
+    process.env.NONCE_POLL_INTERVAL_MS = "50";
+  });
+
+  after(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+    if (redisUrl) process.env.REDIS_URL = redisUrl;
+    delete process.env.NONCE_STUCK_TIMEOUT_SECONDS;
+    delete process.env.NONCE_POLL_INTERVAL_MS;
+  });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: wallet.address, value: parseEther("1") })).wait();
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  const waitUntil = async (condition) => {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  it("Should give concurrent transfers consecutive nonces", async function () {
+    const first = nonceManager.manage(wallet, NETWORK);
+    // A second process rescuing the same wallet shares the nonce sequence
+    const second = nonceManager.manage(new ethers.Wallet(wallet.privateKey, ethers.provider), NETWORK);
+    const to = ethers.Wallet.createRandom().address;
+    // Sends may reach the node out of nonce order, which automining rejects
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const responses = await Promise.all([
+      first.sendTransaction({ to, value: 1n }),
+      second.sendTransaction({ to, value: 2n }),
+      first.sendTransaction({ to, value: 3n })
+    ]);
+    expect(responses.map(tx => tx.nonce).sort()).to.deep.equal([0, 1, 2]);
+    await network.provider.send("evm_mine");
+
+    await Promise.all(responses.map(tx => nonceManager.waitForTransaction(tx)));
+    const results = [...first.getTransactionResults(), ...second.getTransactionResults()];
+    expect(results.map(result => result.status)).to.deep.equal([
+      TRANSACTION_STATUS.CONFIRMED, TRANSACTION_STATUS.CONFIRMED, TRANSACTION_STATUS.CONFIRMED
+    ]);
+    expect(await ethers.provider.getBalance(to)).to.equal(6n);
+  });
+
+  it("Should replace a stuck transfer with a higher fee", async function () {
+    const managed = nonceManager.manage(wallet, NETWORK);
+    const to = ethers.Wallet.createRandom().address;
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const tx = await managed.sendTransaction({ to, value: 5n });
+    const confirmation = tx.wait();
+    await waitUntil(() => managed.transactions[0].hashes.length === 2);
+    await network.provider.send("evm_mine");
+
+    const receipt = await confirmation;
+    const [result] = managed.getTransactionResults();
+    expect(result.status).to.equal(TRANSACTION_STATUS.REPLACED);
+    expect(result.finalHash).to.equal(receipt.hash).and.to.equal(result.hashes[1]);
+    expect(result.replacements).to.equal(1);
+
+    const original = await ethers.provider.getTransaction(result.hashes[0]);
+    const replacement = await ethers.provider.getTransaction(result.hashes[1]);
+    expect(replacement.nonce).to.equal(tx.nonce);
+    expect(replacement.maxFeePerGas >= (tx.maxFeePerGas * 115n) / 100n).to.be.true;
+    expect(original).to.be.null;
+    expect(await ethers.provider.getBalance(to)).to.equal(5n);
+  });
+
+  it("Should report a transfer whose nonce was used by another transaction as dropped", async function () {
+    const managed = nonceManager.manage(wallet, NETWORK);
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const tx = await managed.sendTransaction({ to: ethers.Wallet.createRandom().address, value: 5n });
+    await network.provider.send("hardhat_dropTransaction", [tx.hash]);
+    await wallet.sendTransaction({ to: deployer.address, value: 1n, nonce: tx.nonce });
+    await network.provider.send("evm_mine");
+
+    await expect(nonceManager.waitForTransaction(tx)).to.be.rejectedWith("dropped");
+    const [result] = managed.getTransactionResults();
+    expect(result.status).to.equal(TRANSACTION_STATUS.DROPPED);
+    expect(result.error).to.include(`Nonce ${tx.nonce} was used by another transaction`);
+  });
+
+  it("Should report a replacement that reverted as reverted, not confirmed", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Empty", "EMP");
+    await token.waitForDeployment();
+
+    const managed = nonceManager.manage(wallet, NETWORK);
+    await network.provider.send("evm_setAutomine", [false]);
+
+    // The wallet holds none of the token, so the transfer reverts once mined
+    const data = token.interface.encodeFunctionData("transfer", [deployer.address, 1n]);
+    const tx = await managed.sendTransaction({ to: await token.getAddress(), data, gasLimit: 100000n });
+    const confirmation = nonceManager.waitForTransaction(tx);
+    await waitUntil(() => managed.transactions[0].hashes.length === 2);
+    await network.provider.send("evm_mine");
+
+    await expect(confirmation).to.be.rejectedWith("reverted");
+    const [result] = managed.getTransactionResults();
+    expect(result.status).to.equal(TRANSACTION_STATUS.REVERTED);
+    expect(result.finalHash).to.equal(result.hashes[1]);
+    expect(result.error).to.equal("Transaction reverted");
+  });
+
+  it("Should stop replacing once fees reach the network's cap", async function () {
+    const mainnet = getNetworkConfig("mainnet");
+    const maxFeeGwei = mainnet.maxFeeGwei;
+    mainnet.maxFeeGwei = "12";
+
+    try {
+      const managed = nonceManager.manage(wallet, "mainnet");
+      await network.provider.send("evm_setAutomine", [false]);
+
+      const tx = await managed.sendTransaction({
+        to: ethers.Wallet.createRandom().address,
+        value: 5n,
+        maxFeePerGas: parseUnits("10", "gwei"),
+        maxPriorityFeePerGas: parseUnits("1", "gwei")
+      });
+      // 11.5 gwei first, then 12 gwei would be less than the 10% bump nodes require
+      await expect(nonceManager.waitForTransaction(tx)).to.be.rejectedWith("at the fee cap of 12.0 gwei");
+      const [result] = managed.getTransactionResults();
+      expect(result.replacements).to.equal(1);
+      expect(result.error).to.equal("Still pending after 1 fee bumps, at the fee cap of 12.0 gwei");
+
+      const replacement = await ethers.provider.getTransaction(result.hashes[1]);
+      expect(replacement.maxFeePerGas).to.equal(parseUnits("11.5", "gwei"));
+    } finally {
+      mainnet.maxFeeGwei = maxFeeGwei;
+    }
+  });
+
+  it("Should not bump fees beyond what the wallet can pay", async function () {
+    const poorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    const maxFeePerGas = parseUnits("10", "gwei");
+    // Enough for the transfer at 5% more than its fee, short of any accepted bump
+    await (await deployer.sendTransaction({ to: poorWallet.address, value: 5n + 21000n * maxFeePerGas * 105n / 100n })).wait();
+
+    const managed = nonceManager.manage(poorWallet, NETWORK);
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const tx = await managed.sendTransaction({
+      to: ethers.Wallet.createRandom().address,
+      value: 5n,
+      gasLimit: 21000n,
+      maxFeePerGas,
+      maxPriorityFeePerGas: parseUnits("1", "gwei")
+    });
+    await expect(nonceManager.waitForTransaction(tx)).to.be.rejectedWith("at the fee cap of 10.5 gwei");
+    const [result] = managed.getTransactionResults();
+    expect(result.replacements).to.equal(0);
+  });
+
+  it("Should give a nonce back when the send fails", async function () {
+    const managed = nonceManager.manage(wallet, NETWORK);
+    const to = ethers.Wallet.createRandom().address;
+
+    await expect(managed.sendTransaction({ to, value: parseEther("100") })).to.be.rejected;
+    const tx = await managed.sendTransaction({ to, value: 1n });
+    expect(tx.nonce).to.equal(0);
+    expect((await nonceManager.waitForTransaction(tx)).status).to.equal(1);
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { parseEther, parseUnits } = require("ethers");
+const nonceManager = require("../server/services/nonceManager.js");
+const pipelineExecutor = require("../server/services/pipelineExecutor.js");
+const { buildTransferCalls, estimateTransferCalls } = require("../server/utils/transfers.js");
+const { CALL_STATUS } = pipelineExecutor;
+
+describe("PipelineExecutor", function () {
+  this.timeout(60000);
+
+  const NETWORK = "hardhat";
+
+  let wallet;
+  let safeWallet;
+  let tokens;
+  let redisUrl;
+
+  before(function () {
+    redisUrl = process.env.REDIS_URL;
+    delete process.env.REDIS_URL;
+    process.env.NONCE_STUCK_TIMEOUT_SECONDS = "30";
+    process.env.NONCE_POLL_INTERVAL_MS = "50";
+  });
+
+  after(async function () {
+    if (redisUrl) process.env.REDIS_URL = redisUrl;
+    delete process.env.NONCE_STUCK_TIMEOUT_SECONDS;
+    delete process.env.NONCE_POLL_INTERVAL_MS;
+  });
+
+  beforeEach(async function () {
+    const [deployer] = await ethers.getSigners();
+    wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom().address;
+    await (await deployer.sendTransaction({ to: wallet.address, value: parseEther("1") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    tokens = [];
+    for (const symbol of ["AAA", "BBB"]) {
+      const token = await MockERC20.deploy(symbol, symbol);
+      await token.waitForDeployment();
+      await (await token.transfer(wallet.address, parseUnits("10", 18))).wait();
+      tokens.push(token);
+    }
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setIntervalMining", [0]);
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  const tokenCalls = async (token) => buildTransferCalls(
+    { address: await token.getAddress(), symbol: await token.symbol(), decimals: 18, balance: parseUnits("10", 18).toString() },
+    wallet.address,
+    safeWallet
+  );
+
+  it("Should broadcast the whole batch before waiting for any receipt", async function () {
+    const managed = nonceManager.manage(wallet, NETWORK);
+    const calls = await estimateTransferCalls(ethers.provider, [
+      { to: safeWallet, data: "0x", value: parseEther("0.5"), txType: "ethTransfer", label: "ETH" },
+      ...await tokenCalls(tokens[0]),
+      ...await tokenCalls(tokens[1])
+    ], wallet.address, NETWORK);
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const execution = pipelineExecutor.execute({ signer: managed, network: NETWORK, calls });
+    while (await ethers.provider.getTransactionCount(wallet.address, "pending") < 3) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await network.provider.send("evm_mine");
+    const { results, rounds } = await execution;
+
+    expect(rounds).to.equal(1);
+    expect(results.map(result => [result.label, result.status, result.nonce])).to.deep.equal([
+      ["ETH", CALL_STATUS.CONFIRMED, 0],
+      ["AAA", CALL_STATUS.CONFIRMED, 1],
+      ["BBB", CALL_STATUS.CONFIRMED, 2]
+    ]);
+    // All three were signed and sent up front, so they landed in the same block
+    const receipts = await Promise.all(results.map(result => ethers.provider.getTransactionReceipt(result.hash)));
+    expect(new Set(receipts.map(receipt => receipt.blockNumber)).size).to.equal(1);
+    expect(managed.getTransactionResults()).to.have.lengthOf(3);
+    expect(await tokens[1].balanceOf(safeWallet)).to.equal(parseUnits("10", 18));
+  });
+
+  it("Should re-plan the rest of the batch after a mid-batch revert", async function () {
+    const [first] = await tokenCalls(tokens[0]);
+    const [second] = await tokenCalls(tokens[1]);
+    const calls = [
+      { ...first, gasLimit: 200000n },
+      // Runs out of gas once mined, but succeeds with a fresh estimate
+      { ...second, gasLimit: 25000n },
+      // Moves more than the wallet holds, so re-planning gives up on it
+      { ...first, label: "AAA again", gasLimit: 200000n },
+      { to: safeWallet, data: "0x", value: parseEther("0.1"), gasLimit: 21000n, txType: "ethTransfer", label: "ETH" }
+    ];
+    await network.provider.send("evm_setAutomine", [false]);
+    await network.provider.send("evm_setIntervalMining", [100]);
+
+    const { results, rounds } = await pipelineExecutor.execute({ signer: wallet, network: NETWORK, calls });
+
+    expect(rounds).to.equal(2);
+    expect(results.map(result => [result.label, result.status, result.round])).to.deep.equal([
+      ["AAA", CALL_STATUS.CONFIRMED, 0],
+      ["BBB", CALL_STATUS.CONFIRMED, 1],
+      ["AAA again", CALL_STATUS.FAILED, 1],
+      ["ETH", CALL_STATUS.CONFIRMED, 0]
+    ]);
+    expect(results[1].nonce).to.equal(4);
+    expect(results[2].error).to.match(/^Would revert/);
+    expect(await tokens[1].balanceOf(safeWallet)).to.equal(parseUnits("10", 18));
+    expect(await ethers.provider.getBalance(safeWallet)).to.equal(parseEther("0.1"));
+  });
+});
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther, parseUnits } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const pricingService = require("../server/services/pricingService.js");
+const tokenStorageService = require("../server/services/tokenStorageService.js");
+const { PROFIT_ACTIONS, getProfitPolicy, evaluateProfitability } = require("../server/utils/profitability.js");
+const { getFeeOverrides } = require("../server/utils/feeStrategy.js");
+const { buildTransferCalls, estimateTransferCalls } = require("../server/utils/transfers.js");
+
+describe("Profitability filter", function () {
+  this.timeout(60000);
+
+  const NETWORK = "hardhat";
+
+  describe("Policy", function () {
+    afterEach(function () {
+      delete process.env.PROFIT_MIN_NET_VALUE_USD;
+      delete process.env.PROFIT_MAX_GAS_TO_VALUE_RATIO;
+      delete process.env.PROFIT_FILTER_ENABLED;
+    });
+
+    it("Should fill the policy from the environment", function () {
+      expect(getProfitPolicy()).to.deep.equal({ enabled: true, minNetValueUSD: 0, maxGasToValueRatio: 1 });
+
+      process.env.PROFIT_MIN_NET_VALUE_USD = "5";
+      process.env.PROFIT_MAX_GAS_TO_VALUE_RATIO = "0.25";
+      process.env.PROFIT_FILTER_ENABLED = "false";
+      expect(getProfitPolicy()).to.deep.equal({ enabled: false, minNetValueUSD: 5, maxGasToValueRatio: 0.25 });
+      expect(getProfitPolicy({ enabled: true, minNetValueUSD: 0 })).to.deep.equal({ enabled: true, minNetValueUSD: 0, maxGasToValueRatio: 0.25 });
+    });
+
+    it("Should skip, defer or transfer by net value and gas ratio", function () {
+      const policy = getProfitPolicy({ minNetValueUSD: 2, maxGasToValueRatio: 0.5 });
+
+      let decision = evaluateProfitability({ valueUSD: 0.3, gasCostUSD: 5 }, policy);
+      expect(decision.action).to.equal(PROFIT_ACTIONS.SKIP);
+      expect(decision.reason).to.equal("Gas cost $5.00 exceeds value $0.30");
+
+      decision = evaluateProfitability({ valueUSD: 3, gasCostUSD: 1.5 }, policy);
+      expect(decision.action).to.equal(PROFIT_ACTIONS.DEFER);
+      expect(decision.reason).to.equal("Net value $1.50 is below the $2.00 minimum");
+
+      decision = evaluateProfitability({ valueUSD: 10, gasCostUSD: 6 }, policy);
+      expect(decision.action).to.equal(PROFIT_ACTIONS.DEFER);
+      expect(decision.reason).to.equal("Gas cost is 60% of value, above the 50% limit");
+
+      expect(evaluateProfitability({ valueUSD: 100, gasCostUSD: 5 }, policy).action).to.equal(PROFIT_ACTIONS.TRANSFER);
+      // Unpriced assets are never held back
+      expect(evaluateProfitability({ valueUSD: null, gasCostUSD: 5 }, policy).action).to.equal(PROFIT_ACTIONS.TRANSFER);
+      expect(evaluateProfitability({ valueUSD: 0.3, gasCostUSD: 5 }, { ...policy, enabled: false }).action).to.equal(PROFIT_ACTIONS.TRANSFER);
+    });
+  });
+
+  describe("Rescue tokens", function () {
+    let service;
+    let hackedWallet;
+    let safeWallet;
+    let tokens;
+    let pricing;
+    let persistToFile;
+    let redisUrl;
+
+    before(function () {
+      redisUrl = process.env.REDIS_URL;
+      delete process.env.REDIS_URL;
+      persistToFile = tokenStorageService.persistToFile;
+      tokenStorageService.persistToFile = async () => {};
+    });
+
+    after(function () {
+      tokenStorageService.persistToFile = persistToFile;
+      tokenStorageService.savedTokens.clear();
+      if (redisUrl) process.env.REDIS_URL = redisUrl;
+    });
+
+    beforeEach(async function () {
+      const [deployer] = await ethers.getSigners();
+      hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      safeWallet = ethers.Wallet.createRandom();
+      await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      tokens = [];
+      for (const [symbol, amount] of [["DUST", "1"], ["MID", "20"], ["GOLD", "1000"]]) {
+        const token = await MockERC20.deploy(symbol, symbol);
+        await token.waitForDeployment();
+        await (await token.transfer(hackedWallet.address, parseUnits(amount, 18))).wait();
+        tokens.push({ address: await token.getAddress(), symbol, type: "ERC20", decimals: 18, balance: parseUnits(amount, 18).toString() });
+      }
+
+      service = new RecoveryService(createRecoveryStore("memory"));
+
+      // Every token is worth $1 and gas is priced so one transfer costs a few dollars at the default max fee
+      const { maxFeePerGas } = await getFeeOverrides(ethers.provider, NETWORK);
+      pricing = { ...pricingService };
+      pricingService.getTokenValueUSD = async (network, token) => Number(ethers.formatUnits(token.amount, token.decimals));
+      pricingService.getNativePriceUSD = async () => 10 / Number(ethers.formatEther(200000n * maxFeePerGas));
+    });
+
+    afterEach(function () {
+      Object.assign(pricingService, pricing);
+    });
+
+    const filter = (policy, priorityTokens = [], feeStrategy) => {
+      const context = {
+        network: NETWORK,
+        provider: ethers.provider,
+        walletAddress: hackedWallet.address,
+        safeWallet: safeWallet.address,
+        policy: getProfitPolicy(policy),
+        priorityTokens,
+        feeStrategy,
+        skippedAssets: []
+      };
+      const summary = [];
+      return service.filterProfitableTokens(tokens, context, summary).then(kept => ({ kept, context, summary }));
+    };
+
+    it("Should hold back tokens that are not worth their gas", async function () {
+      const { kept, context, summary } = await filter({ minNetValueUSD: 25, maxGasToValueRatio: 0.5 });
+
+      expect(kept.map(t => t.symbol)).to.deep.equal(["GOLD"]);
+      expect(context.skippedAssets.map(a => [a.symbol, a.action])).to.deep.equal([
+        ["DUST", PROFIT_ACTIONS.SKIP],
+        ["MID", PROFIT_ACTIONS.DEFER]
+      ]);
+      expect(context.skippedAssets[0].valueUSD).to.equal(1);
+      expect(context.skippedAssets[0].gasCostUSD).to.be.greaterThan(1);
+      expect(context.skippedAssets[1].reason).to.match(/^Net value \$\d+\.\d\d is below the \$25\.00 minimum$/);
+      expect(summary[0]).to.match(/^Skipped DUST: Gas cost \$\d+\.\d\d exceeds value \$1\.00$/);
+    });
+
+    it("Should always move priority tokens and honour a disabled policy", async function () {
+      let result = await filter({}, [{ contractAddress: tokens[0].address, priority: "normal" }]);
+      expect(result.kept.map(t => t.symbol)).to.deep.equal(["DUST", "MID", "GOLD"]);
+
+      result = await filter({ enabled: false });
+      expect(result.kept).to.have.lengthOf(3);
+      expect(result.context.skippedAssets).to.be.empty;
+    });
+
+    it("Should price gas at the fee strategy's max fee", async function () {
+      const economy = await filter({ minNetValueUSD: 1000 }, [], "economy");
+      const urgent = await filter({ minNetValueUSD: 1000 }, [], "urgent");
+
+      const [call] = await estimateTransferCalls(ethers.provider, buildTransferCalls(tokens[0], hackedWallet.address, safeWallet.address), hackedWallet.address, NETWORK);
+      const nativePriceUSD = await pricingService.getNativePriceUSD(NETWORK);
+      const expectedUSD = async (strategy) => {
+        const { maxFeePerGas } = await getFeeOverrides(ethers.provider, NETWORK, strategy);
+        return Number(ethers.formatEther(call.gasLimit * maxFeePerGas)) * nativePriceUSD;
+      };
+
+      expect(economy.context.skippedAssets[0].gasCostUSD).to.be.closeTo(await expectedUSD("economy"), 0.01);
+      expect(urgent.context.skippedAssets[0].gasCostUSD).to.be.closeTo(await expectedUSD("urgent"), 0.01);
+    });
+
+    it("Should hold back tokens that are not worth their gas in planned rescues", async function () {
+      service.getTokenBalances = async () => tokens;
+      const summary = [];
+      const plan = await service.planTokenTransfers(hackedWallet.address, NETWORK, safeWallet.address, [], summary, {
+        provider: ethers.provider,
+        profitPolicy: { minNetValueUSD: 25, maxGasToValueRatio: 0.5 }
+      });
+
+      expect(plan.tokens.map(t => t.symbol)).to.deep.equal(["GOLD"]);
+      expect(plan.calls.map(call => call.to)).to.deep.equal([tokens[2].address]);
+      expect(plan.skippedAssets.map(a => [a.symbol, a.action])).to.deep.equal([
+        ["DUST", PROFIT_ACTIONS.SKIP],
+        ["MID", PROFIT_ACTIONS.DEFER]
+      ]);
+      expect(summary).to.include("Found 1 tokens with balance");
+    });
+
+    it("Should only apply a stored policy to rescues towards the active recovery's safe wallet", async function () {
+      const profitPolicy = { minNetValueUSD: 10000 };
+      const result = await service.registerRecovery({
+        hackedWallet: hackedWallet.address,
+        safeWallet: safeWallet.address,
+        network: "mainnet",
+        profitPolicy
+      });
+      expect(result.success, result.error).to.be.true;
+
+      const { recovery } = await service.findRecoveryByWallet(hackedWallet.address);
+      expect(service.getRegisteredProfitPolicy(recovery, safeWallet.address.toLowerCase())).to.deep.equal(profitPolicy);
+      // A stranger's registration must not hold back the owner's rescue to another safe wallet
+      expect(service.getRegisteredProfitPolicy(recovery, ethers.Wallet.createRandom().address)).to.be.undefined;
+
+      await service.deactivateRecovery(hackedWallet.address, "mainnet");
+      const { recovery: inactive } = await service.findRecoveryByWallet(hackedWallet.address);
+      expect(service.getRegisteredProfitPolicy(inactive, safeWallet.address)).to.be.undefined;
+    });
+
+    it("Should keep held-back tokens in the safe wallet's saved tokens", async function () {
+      const { context } = await filter({ minNetValueUSD: 25 });
+      const summary = [];
+      await service.saveSkippedAssets(context.skippedAssets, NETWORK, safeWallet.address, summary);
+
+      expect(summary).to.deep.equal(["Saved 2 low-value assets for a later batch rescue"]);
+      const saved = await tokenStorageService.getSavedTokens(NETWORK, safeWallet.address);
+      const bySymbol = Object.fromEntries(saved.tokens.map(t => [t.symbol, t]));
+      expect(bySymbol.DUST).to.include({ skipAction: PROFIT_ACTIONS.SKIP, address: tokens[0].address.toLowerCase() });
+      expect(bySymbol.MID.skipAction).to.equal(PROFIT_ACTIONS.DEFER);
+      expect(bySymbol.MID.skipReason).to.include("below the $25.00 minimum");
+    });
+  });
+});
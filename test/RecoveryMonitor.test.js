@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const { encryptCredential, decryptCredential } = require("../server/utils/credentials.js");
+const { signOwnershipProof } = require("../server/utils/ownershipProof.js");
+
+describe("Recovery monitoring", function () {
+  this.timeout(120000);
+
+  // Sponsor keys are looked up by network name
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let sponsorWallet;
+  let hackedWallet;
+  let safeWallet;
+  let store;
+  let service;
+  let token;
+  let nft;
+
+  before(function () {
+    process.env.RECOVERY_ENCRYPTION_KEY = "test-recovery-encryption-key";
+  });
+
+  after(function () {
+    delete process.env.RECOVERY_ENCRYPTION_KEY;
+    delete process.env.RECOVERY_SIGNER_PRIVATE_KEYS;
+    delete process.env.HARDHAT_SPONSOR_PRIVATE_KEY;
+  });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    delete process.env.RECOVERY_SIGNER_PRIVATE_KEYS;
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Airdrop Token", "AIR");
+    await token.waitForDeployment();
+    await (await token.transfer(hackedWallet.address, parseEther("5"))).wait();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    nft = await MockERC721.deploy("Airdrop NFT", "ANFT");
+    await nft.waitForDeployment();
+    await (await nft.mint(hackedWallet.address, 1)).wait();
+    await (await nft.mint(hackedWallet.address, 2)).wait();
+
+    store = createRecoveryStore("memory");
+    service = new RecoveryService(store);
+  });
+
+  const detectedTokens = async () => [
+    { address: await token.getAddress(), symbol: "AIR", type: "ERC20", balance: parseEther("5").toString() },
+    { address: await nft.getAddress(), symbol: "ANFT", type: "ERC721", balance: "2", tokenIds: ["1", "2"] }
+  ];
+
+  describe("Credentials", function () {
+    it("Should round-trip an encrypted key and reject the wrong secret", function () {
+      const credential = encryptCredential(hackedWallet.privateKey);
+      expect(credential.address).to.equal(hackedWallet.address);
+      expect(JSON.stringify(credential)).to.not.include(hackedWallet.privateKey.slice(2));
+      expect(decryptCredential(credential)).to.equal(hackedWallet.privateKey);
+      expect(() => decryptCredential(credential, "another-secret")).to.throw("Failed to decrypt credential");
+    });
+
+    it("Should store the key encrypted and never return it from the registry", async function () {
+      const result = await service.registerRecovery({
+        hackedWallet: hackedWallet.address,
+        safeWallet: safeWallet.address,
+        network: "mainnet",
+        hackedWalletPrivateKey: hackedWallet.privateKey
+      });
+      expect(result.success).to.be.true;
+      expect(result.recovery.credential).to.be.undefined;
+      expect(result.recovery.hasCredential).to.be.true;
+
+      const [active] = await service.getActiveRecoveries();
+      expect(active.credential).to.be.undefined;
+
+      const stored = await store.getRecovery(result.recovery.id);
+      expect(stored.credential.ciphertext).to.be.a("string");
+      expect(service.getRecoverySigner(stored, ethers.provider).source).to.equal("credential");
+    });
+
+    it("Should refuse a key that does not control the hacked wallet", async function () {
+      const result = await service.registerRecovery({
+        hackedWallet: hackedWallet.address,
+        safeWallet: safeWallet.address,
+        network: "mainnet",
+        hackedWalletPrivateKey: ethers.Wallet.createRandom().privateKey
+      });
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal("Private key does not match the hacked wallet address");
+    });
+
+    it("Should fall back to a configured signer for proven registrations only", async function () {
+      const proof = await signOwnershipProof(hackedWallet, { safeWallet: safeWallet.address, network: "mainnet" });
+      const recovery = {
+        id: "configured",
+        hackedWallet: hackedWallet.address,
+        ownershipProof: { method: "signature", provenAt: new Date().toISOString() }
+      };
+      expect(service.getRecoverySigner(recovery, ethers.provider)).to.be.null;
+
+      process.env.RECOVERY_SIGNER_PRIVATE_KEYS = `${ethers.Wallet.createRandom().privateKey},${hackedWallet.privateKey}`;
+      let signer = service.getRecoverySigner(recovery, ethers.provider);
+      expect(signer.source).to.equal("configured");
+      expect(signer.wallet.address).to.equal(hackedWallet.address);
+
+      // Anyone can register the wallet without its key, which must not borrow the configured one
+      let result = await service.registerRecovery({
+        hackedWallet: hackedWallet.address,
+        safeWallet: ethers.Wallet.createRandom().address,
+        network: "mainnet"
+      });
+      expect(result.success).to.be.true;
+      expect(result.recovery.ownershipProof).to.be.undefined;
+      expect(service.getRecoverySigner(await store.getRecovery(result.recovery.id), ethers.provider)).to.be.null;
+
+      await service.deactivateRecovery(hackedWallet.address, "mainnet");
+      result = await service.registerRecovery({
+        hackedWallet: hackedWallet.address,
+        safeWallet: safeWallet.address,
+        network: "mainnet",
+        ownershipSignature: proof.signature,
+        ownershipDeadline: proof.deadline.toString()
+      });
+      expect(result.success, result.error).to.be.true;
+      signer = service.getRecoverySigner(await store.getRecovery(result.recovery.id), ethers.provider);
+      expect(signer.source).to.equal("configured");
+    });
+  });
+
+  describe("Rescuing detected tokens", function () {
+    it("Should move new assets from a drained wallet and report confirmed hashes", async function () {
+      const recovery = { id: "monitor-test", hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK };
+      const result = await service.rescueDetectedTokens(recovery, await detectedTokens(), hackedWallet, ethers.provider);
+
+      expect(result.failed).to.deep.equal([]);
+      expect(result.recovered.map(t => t.symbol)).to.deep.equal(["AIR", "ANFT"]);
+      expect(result.transactionHashes).to.have.lengthOf(3);
+      expect(result.sponsor).to.not.be.undefined;
+
+      for (const hash of result.transactionHashes) {
+        const receipt = await ethers.provider.getTransactionReceipt(hash);
+        expect(receipt.status).to.equal(1);
+      }
+      expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+      expect(await nft.ownerOf(1)).to.equal(safeWallet.address);
+      expect(await nft.ownerOf(2)).to.equal(safeWallet.address);
+    });
+
+    it("Should leave an asset unrecovered when any of its transfers fails", async function () {
+      const recovery = { id: "monitor-test", hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK };
+      const tokens = await detectedTokens();
+      // Token 3 does not exist, so only part of the collection can move
+      tokens[1].tokenIds = ["1", "3"];
+
+      const result = await service.rescueDetectedTokens(recovery, tokens, hackedWallet, ethers.provider);
+
+      expect(result.recovered.map(t => t.symbol)).to.deep.equal(["AIR"]);
+      expect(result.failed).to.have.lengthOf(1);
+      expect(result.failed[0].symbol).to.equal("ANFT");
+      expect(result.failed[0].transactionHashes).to.have.lengthOf(1);
+      expect(await nft.ownerOf(1)).to.equal(safeWallet.address);
+    });
+  });
+});
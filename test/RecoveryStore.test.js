@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const { RECOVERY_EVENTS, createRecoveryRecord, createHistoryEntry } = require("../server/models/recovery.js");
+
+describe("Recovery registry", function () {
+  let tmpDir;
+  let filename;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "recovery-store-"));
+    filename = path.join(tmpDir, "recoveries.db");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("SQLite store", function () {
+    it("Should apply every migration once and report the schema version", async function () {
+      const store = createRecoveryStore("sqlite", { filename });
+      await store.init();
+      expect(await store.getSchemaVersion()).to.equal(4);
+      expect(store.migrate()).to.deep.equal([]);
+      await store.close();
+
+      const reopened = createRecoveryStore("sqlite", { filename });
+      await reopened.init();
+      expect(reopened.migrate()).to.deep.equal([]);
+      expect(await reopened.getSchemaVersion()).to.equal(4);
+      await reopened.close();
+    });
+
+    it("Should keep recoveries, statuses and history across restarts", async function () {
+      const hackedWallet = ethers.Wallet.createRandom().address;
+      const safeWallet = ethers.Wallet.createRandom().address;
+      const recovery = { ...createRecoveryRecord({ hackedWallet, safeWallet, network: "mainnet", nonce: 4 }), label: "cold wallet" };
+
+      const store = createRecoveryStore("sqlite", { filename });
+      await store.saveRecovery(recovery);
+      await store.saveStatus(recovery.id, { isActive: true, recoveredTokens: ["0xabc"] });
+      await store.addHistory(createHistoryEntry(recovery.id, RECOVERY_EVENTS.REGISTERED));
+      await store.addHistory(createHistoryEntry(recovery.id, RECOVERY_EVENTS.TOKENS_DETECTED, { count: 2 }));
+      await store.saveState("safeWalletSync:mainnet:0xabc", { blockNumber: 120 });
+      await store.close();
+
+      const reopened = createRecoveryStore("sqlite", { filename });
+      const loaded = await reopened.getRecovery(recovery.id);
+      expect(loaded).to.deep.include({ hackedWallet, safeWallet, network: "mainnet", nonce: 4, isActive: true, label: "cold wallet" });
+      expect((await reopened.findRecoveryByWallet(hackedWallet.toLowerCase())).id).to.equal(recovery.id);
+      expect(await reopened.getStatus(recovery.id)).to.deep.equal({ isActive: true, recoveredTokens: ["0xabc"] });
+
+      const history = await reopened.getHistory(recovery.id);
+      expect(history.map(entry => entry.event)).to.deep.equal([RECOVERY_EVENTS.TOKENS_DETECTED, RECOVERY_EVENTS.REGISTERED]);
+      expect(history[0].details).to.deep.equal({ count: 2 });
+      expect(await reopened.getState("safeWalletSync:mainnet:0xabc")).to.deep.equal({ blockNumber: 120 });
+      expect(await reopened.getState("unknown")).to.be.null;
+      await reopened.close();
+    });
+  });
+
+  describe("RecoveryService", function () {
+    let store;
+    let service;
+    let hackedWallet;
+    let safeWallet;
+
+    beforeEach(function () {
+      store = createRecoveryStore("sqlite", { filename });
+      service = new RecoveryService(store);
+      hackedWallet = ethers.Wallet.createRandom().address;
+      safeWallet = ethers.Wallet.createRandom().address;
+    });
+
+    afterEach(async function () {
+      await store.close();
+    });
+
+    it("Should register, reject duplicates and list active recoveries", async function () {
+      const result = await service.registerRecovery({ hackedWallet, safeWallet, network: "mainnet" });
+      expect(result.success).to.be.true;
+
+      const duplicate = await service.registerRecovery({ hackedWallet, safeWallet, network: "mainnet" });
+      expect(duplicate.success).to.be.false;
+
+      const active = await service.getActiveRecoveries();
+      expect(active).to.have.lengthOf(1);
+      expect(active[0].hackedWallet).to.equal(hackedWallet);
+
+      // A fresh service on the same database sees the registration
+      const restarted = new RecoveryService(createRecoveryStore("sqlite", { filename }));
+      expect(await restarted.getActiveRecoveries()).to.have.lengthOf(1);
+      await restarted.store.close();
+    });
+
+    it("Should record deactivation and re-registration in the status history", async function () {
+      await service.registerRecovery({ hackedWallet, safeWallet, network: "mainnet" });
+      const deactivated = await service.deactivateRecovery(hackedWallet, "mainnet");
+      expect(deactivated.success).to.be.true;
+      expect(await service.getActiveRecoveries()).to.have.lengthOf(0);
+
+      const again = await service.registerRecovery({ hackedWallet, safeWallet, network: "mainnet" });
+      expect(again.success).to.be.true;
+
+      const status = await service.getRecoveryStatus(hackedWallet);
+      expect(status.isActive).to.be.true;
+      expect(status.history.map(entry => entry.event)).to.deep.equal([
+        RECOVERY_EVENTS.REGISTERED,
+        RECOVERY_EVENTS.DEACTIVATED,
+        RECOVERY_EVENTS.REGISTERED
+      ]);
+      expect(status.history[0].details.reregistered).to.be.true;
+    });
+
+    it("Should report unknown wallets as not found", async function () {
+      expect(await service.getRecoveryStatus(hackedWallet)).to.be.null;
+      const result = await service.deactivateRecovery(hackedWallet, "mainnet");
+      expect(result.success).to.be.false;
+      expect(result.error).to.include("Recovery not found");
+    });
+  });
+});
@@ -0,0 +1,364 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const RecoveryService = require("../server/services/recoveryService.js");
+const AutoRecoveryService = require("../server/services/autoRecoveryService.js");
+const { RemoteSigner, createRemoteSigner, createSigner } = require("../server/utils/ethers.js");
+const { signOwnershipProof } = require("../server/utils/ownershipProof.js");
+const { getNetworkConfig } = require("../server/config/networks.js");
+const { getRecoveryId } = require("../server/models/recovery.js");
+
+/**
+ * Minimal Web3Signer-style JSON-RPC signer holding the given wallets' keys
+ * @param {Array} wallets - Wallets the fake signer signs for
+ * @param {Object} options - { wrapRaw: answer eth_signTransaction as { raw, tx } like Clef, signWith: sign everything with this wallet instead }
+ * @returns {Promise<Object>} { url, calls, close }
+ */
+const startFakeSigner = async (wallets, options = {}) => {
+  const calls = [];
+  const walletFor = (address) => options.signWith ||
+    wallets.find(wallet => wallet.address.toLowerCase() === address.toLowerCase());
+
+  const handle = async ({ method, params }) => {
+    calls.push(method);
+
+    if (method === "eth_signTransaction") {
+      const [tx] = params;
+      const wallet = walletFor(tx.from);
+      if (!wallet) throw new Error(`Unknown account ${tx.from}`);
+
+      const raw = await wallet.signTransaction({
+        to: tx.to,
+        data: tx.data,
+        value: BigInt(tx.value || 0),
+        nonce: Number(tx.nonce),
+        gasLimit: BigInt(tx.gas),
+        chainId: BigInt(tx.chainId),
+        type: Number(tx.type),
+        maxFeePerGas: tx.maxFeePerGas && BigInt(tx.maxFeePerGas),
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas && BigInt(tx.maxPriorityFeePerGas),
+        gasPrice: tx.gasPrice && BigInt(tx.gasPrice)
+      });
+      return options.wrapRaw ? { raw, tx } : raw;
+    }
+
+    if (method === "eth_signTypedData") {
+      const [address, { domain, types, message }] = params;
+      const wallet = walletFor(address);
+      if (!wallet) throw new Error(`Unknown account ${address}`);
+
+      const { EIP712Domain, ...messageTypes } = types;
+      return wallet.signTypedData(domain, messageTypes, message);
+    }
+
+    throw new Error(`Method ${method} not supported`);
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", async () => {
+      const request = JSON.parse(body);
+      let response;
+      try {
+        response = { jsonrpc: "2.0", id: request.id, result: await handle(request) };
+      } catch (error) {
+        response = { jsonrpc: "2.0", id: request.id, error: { code: -32000, message: error.message } };
+      }
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+describe("Remote signer", function () {
+  this.timeout(120000);
+
+  // Sponsor keys are looked up by network name
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let hackedWallet;
+  let safeWallet;
+  let sponsorWallet;
+  let token;
+  let nft;
+  let fakeSigner;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    // The key lives only in the fake signer
+    hackedWallet = ethers.Wallet.createRandom();
+    safeWallet = ethers.Wallet.createRandom();
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Airdrop Token", "AIR");
+    await token.waitForDeployment();
+    await (await token.transfer(hackedWallet.address, parseEther("5"))).wait();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    nft = await MockERC721.deploy("Airdrop NFT", "ANFT");
+    await nft.waitForDeployment();
+    await (await nft.mint(hackedWallet.address, 1)).wait();
+
+    fakeSigner = await startFakeSigner([hackedWallet]);
+    process.env.REMOTE_SIGNER_URL = fakeSigner.url;
+    process.env.REMOTE_SIGNER_ADDRESSES = hackedWallet.address;
+  });
+
+  afterEach(async function () {
+    await fakeSigner.close();
+    delete process.env.REMOTE_SIGNER_URL;
+    delete process.env.REMOTE_SIGNER_ADDRESSES;
+    delete process.env.HARDHAT_SPONSOR_PRIVATE_KEY;
+  });
+
+  it("Should only create remote signers for configured addresses", function () {
+    const signer = createSigner({ signerAddress: hackedWallet.address.toLowerCase() }, ethers.provider);
+    expect(signer).to.be.instanceOf(RemoteSigner);
+    expect(signer.address).to.equal(hackedWallet.address);
+
+    expect(() => createRemoteSigner(safeWallet.address, ethers.provider))
+      .to.throw("is not listed in REMOTE_SIGNER_ADDRESSES");
+
+    delete process.env.REMOTE_SIGNER_URL;
+    expect(() => createRemoteSigner(hackedWallet.address, ethers.provider))
+      .to.throw("REMOTE_SIGNER_URL is not configured");
+  });
+
+  it("Should move detected assets with eth_signTransaction through the monitoring signer", async function () {
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    const service = new RecoveryService(createRecoveryStore("memory"));
+    const recovery = { id: "remote-test", hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: NETWORK };
+
+    // Nothing is signed for a registration the wallet never proved
+    expect(service.getRecoverySigner(recovery, ethers.provider)).to.be.null;
+
+    recovery.ownershipProof = { method: "signature", provenAt: new Date().toISOString() };
+    const signer = service.getRecoverySigner(recovery, ethers.provider);
+    expect(signer.source).to.equal("remote");
+
+    const tokens = [
+      { address: await token.getAddress(), symbol: "AIR", type: "ERC20", balance: parseEther("5").toString() },
+      { address: await nft.getAddress(), symbol: "ANFT", type: "ERC721", balance: "1", tokenIds: ["1"] }
+    ];
+    const result = await service.rescueDetectedTokens(recovery, tokens, signer.wallet, ethers.provider);
+
+    expect(result.failed).to.deep.equal([]);
+    expect(result.recovered.map(t => t.symbol)).to.deep.equal(["AIR", "ANFT"]);
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("5"));
+    expect(await nft.ownerOf(1)).to.equal(safeWallet.address);
+    // Both transfers and the sweep of unused sponsor gas
+    expect(fakeSigner.calls.filter(method => method === "eth_signTransaction")).to.have.lengthOf(3);
+  });
+
+  it("Should sign typed data remotely and accept Clef-style { raw, tx } responses", async function () {
+    await fakeSigner.close();
+    fakeSigner = await startFakeSigner([hackedWallet], { wrapRaw: true });
+    const signer = new RemoteSigner(hackedWallet.address, fakeSigner.url, ethers.provider);
+
+    const domain = { name: "AirdropRecovery", version: "1", chainId: 1337, verifyingContract: await token.getAddress() };
+    const types = { Rescue: [{ name: "safeWallet", type: "address" }, { name: "amount", type: "uint256" }] };
+    const value = { safeWallet: safeWallet.address, amount: parseEther("5") };
+    const signature = await signer.signTypedData(domain, types, value);
+    expect(ethers.verifyTypedData(domain, types, value, signature)).to.equal(hackedWallet.address);
+
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+    const tx = await token.connect(signer).transfer(safeWallet.address, parseEther("1"));
+    await tx.wait();
+    expect(tx.from).to.equal(hackedWallet.address);
+    expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("1"));
+  });
+
+  it("Should reject signatures made by another key", async function () {
+    await fakeSigner.close();
+    fakeSigner = await startFakeSigner([hackedWallet], { signWith: ethers.Wallet.createRandom() });
+    const signer = new RemoteSigner(hackedWallet.address, fakeSigner.url, ethers.provider);
+
+    await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.01") })).wait();
+    await expect(token.connect(signer).transfer(safeWallet.address, parseEther("1")))
+      .to.be.rejectedWith(`Remote signer returned a transaction not signed by ${hackedWallet.address}`);
+
+    const types = { Rescue: [{ name: "amount", type: "uint256" }] };
+    await expect(signer.signTypedData({ name: "AirdropRecovery", chainId: 1337 }, types, { amount: 1 }))
+      .to.be.rejectedWith("Remote signer returned a typed data signature not made by");
+  });
+
+  it("Should only rescue to the registered safe wallet and start remote-signing sessions", async function () {
+    const service = new RecoveryService(createRecoveryStore("memory"));
+    const attacker = ethers.Wallet.createRandom().address;
+    const autoRecoveryService = new AutoRecoveryService();
+    autoRecoveryService.recoveryService = service;
+
+    let result = await service.performAutoRescue({ signerAddress: hackedWallet.address, safeWallet: attacker, network: "mainnet" });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("Remote signing is only allowed to the safe wallet registered for this wallet");
+
+    await service.registerRecovery({ hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: "mainnet" });
+    result = await service.performAutoRescue({ signerAddress: hackedWallet.address, safeWallet: attacker, network: "mainnet" });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("Remote signing is only allowed to the safe wallet registered for this wallet");
+
+    // Anyone could have registered that binding, so even the registered safe wallet is refused
+    result = await service.performAutoRescue({ signerAddress: hackedWallet.address, safeWallet: safeWallet.address, network: "mainnet" });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("Remote signing requires a registration signed by the hacked wallet");
+    result = await autoRecoveryService.startMultiNetworkRecovery({
+      signerAddress: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      primaryNetwork: "mainnet"
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal("Remote signing requires a registration signed by the hacked wallet");
+    expect(fakeSigner.calls).to.deep.equal([]);
+
+    result = await autoRecoveryService.startMultiNetworkRecovery({
+      signerAddress: safeWallet.address,
+      safeWallet: attacker,
+      primaryNetwork: "mainnet"
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal("No remote signer is configured for this address");
+
+    // Register again with a proof the remote signer made for the hacked wallet
+    await service.deactivateRecovery(hackedWallet.address, "mainnet");
+    const remoteSigner = createRemoteSigner(hackedWallet.address, ethers.provider);
+    const forged = await signOwnershipProof(ethers.Wallet.createRandom(), { safeWallet: safeWallet.address, network: "mainnet" });
+    result = await service.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      ownershipSignature: forged.signature,
+      ownershipDeadline: forged.deadline.toString()
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal(`Ownership proof is not signed by ${hackedWallet.address}`);
+
+    const expired = await signOwnershipProof(hackedWallet, { safeWallet: safeWallet.address, network: "mainnet", deadlineSeconds: -1 });
+    result = await service.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      ownershipSignature: expired.signature,
+      ownershipDeadline: expired.deadline.toString()
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal("Ownership proof expired");
+
+    // A proof binds its safe wallet, so it cannot be reused for another one
+    const proof = await signOwnershipProof(remoteSigner, { safeWallet: safeWallet.address, network: "mainnet" });
+    result = await service.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: attacker,
+      network: "mainnet",
+      ownershipSignature: proof.signature,
+      ownershipDeadline: proof.deadline.toString()
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("Ownership proof is not signed by");
+
+    result = await service.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      ownershipSignature: proof.signature,
+      ownershipDeadline: proof.deadline.toString()
+    });
+    expect(result.success, result.error).to.be.true;
+    expect(result.recovery.ownershipProof.method).to.equal("signature");
+    expect(fakeSigner.calls).to.deep.equal(["eth_signTypedData"]);
+
+    // Sessions are only checked here, not run
+    autoRecoveryService.startRecoveryLoop = async () => {};
+    result = await autoRecoveryService.startMultiNetworkRecovery({
+      signerAddress: hackedWallet.address.toLowerCase(),
+      safeWallet: safeWallet.address,
+      primaryNetwork: "mainnet"
+    });
+    expect(result.success, result.error).to.be.true;
+    expect(result.signingMode).to.equal("remote");
+    const session = autoRecoveryService.activeRecoverySessions.get(result.sessionId);
+    expect(session.hackedWallet).to.equal(hackedWallet.address);
+    expect(session.hackedWalletPrivateKey).to.be.undefined;
+  });
+
+  it("Should let a proven registration replace an unproven one", async function () {
+    const service = new RecoveryService(createRecoveryStore("memory"));
+    const attacker = ethers.Wallet.createRandom().address;
+
+    // A stranger gets in first without proof, which must not lock the owner out
+    let result = await service.registerRecovery({ hackedWallet: hackedWallet.address, safeWallet: attacker, network: "mainnet" });
+    expect(result.success, result.error).to.be.true;
+    result = await service.registerRecovery({ hackedWallet: hackedWallet.address, safeWallet: safeWallet.address, network: "mainnet" });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal("Recovery already exists for this wallet and network");
+
+    const proof = await signOwnershipProof(hackedWallet, { safeWallet: safeWallet.address, network: "mainnet" });
+    result = await service.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      ownershipSignature: proof.signature,
+      ownershipDeadline: proof.deadline.toString()
+    });
+    expect(result.success, result.error).to.be.true;
+    expect(result.recovery.safeWallet).to.equal(safeWallet.address);
+    const history = await service.store.getHistory(getRecoveryId(hackedWallet.address, "mainnet"));
+    expect(history.some(entry => entry.details?.replacedUnproven)).to.be.true;
+
+    // The proven registration is not replaced in turn
+    result = await service.registerRecovery({ hackedWallet: hackedWallet.address, safeWallet: attacker, network: "mainnet" });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal("Recovery already exists for this wallet and network");
+    const recovery = await service.resolveRecovery(hackedWallet.address, "mainnet");
+    expect(recovery.safeWallet).to.equal(safeWallet.address);
+  });
+
+  it("Should refuse EIP-7702 rescues before the sponsor is involved", async function () {
+    const service = new RecoveryService(createRecoveryStore("memory"));
+    const remoteSigner = createRemoteSigner(hackedWallet.address, ethers.provider);
+    const proof = await signOwnershipProof(remoteSigner, { safeWallet: safeWallet.address, network: "mainnet" });
+    const registration = await service.registerRecovery({
+      hackedWallet: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      ownershipSignature: proof.signature,
+      ownershipDeadline: proof.deadline.toString()
+    });
+    expect(registration.success, registration.error).to.be.true;
+
+    // The remote signer has no RPC for authorizations, whether the mode is requested or the network's
+    let result = await service.performAutoRescue({
+      signerAddress: hackedWallet.address,
+      safeWallet: safeWallet.address,
+      network: "mainnet",
+      submissionMode: "eip7702"
+    });
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("EIP-7702 rescues cannot use the remote signer");
+
+    const mainnet = getNetworkConfig("mainnet");
+    const rescueMode = mainnet.rescueMode;
+    mainnet.rescueMode = "eip7702";
+    try {
+      result = await service.performAutoRescue({ signerAddress: hackedWallet.address, safeWallet: safeWallet.address, network: "mainnet" });
+    } finally {
+      mainnet.rescueMode = rescueMode;
+    }
+    expect(result.success).to.be.false;
+    expect(result.error).to.include("EIP-7702 rescues cannot use the remote signer");
+    expect(fakeSigner.calls).to.deep.equal(["eth_signTypedData"]);
+  });
+});
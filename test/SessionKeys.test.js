@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const util = require("util");
+const { ethers } = require("hardhat");
+const AutoRecoveryService = require("../server/services/autoRecoveryService.js");
+const { sealSessionKey, withSessionKey, destroySessionKey } = require("../server/utils/sessionKeys.js");
+
+describe("Session keys", function () {
+  this.timeout(60000);
+
+  let hackedWallet;
+  let safeWallet;
+  let service;
+  let keyHex;
+
+  beforeEach(function () {
+    process.env.SESSION_MASTER_KEY = "test-session-master-key";
+    hackedWallet = ethers.Wallet.createRandom();
+    safeWallet = ethers.Wallet.createRandom();
+    keyHex = hackedWallet.privateKey.slice(2);
+
+    service = new AutoRecoveryService();
+    // Sessions are only inspected here, not run
+    service.startRecoveryLoop = async () => {};
+  });
+
+  afterEach(function () {
+    for (const sessionId of service.sessionKeys.keys()) {
+      service.releaseSessionKey(sessionId);
+    }
+    delete process.env.SESSION_MASTER_KEY;
+    delete process.env.SESSION_KEY_TTL_SECONDS;
+  });
+
+  /**
+   * Serialize everything reachable from a value, including Buffers, as hex
+   * @param {*} value - Value to dump
+   * @returns {string} Lowercase dump
+   */
+  const dump = (value) => util.inspect(value, { depth: null, maxArrayLength: null, showHidden: true }).toLowerCase() +
+    JSON.stringify(value, (_, v) => (v && v.type === "Buffer" ? Buffer.from(v.data).toString("hex") : v)).toLowerCase();
+
+  const startSession = async () => {
+    const result = await service.startMultiNetworkRecovery({
+      hackedWalletPrivateKey: hackedWallet.privateKey,
+      safeWallet: safeWallet.address,
+      primaryNetwork: "mainnet"
+    });
+    expect(result.success, result.error).to.be.true;
+    return result.sessionId;
+  };
+
+  it("Should seal keys in an envelope that only opens with the master key", async function () {
+    const envelope = sealSessionKey(hackedWallet.privateKey);
+    expect(envelope.address).to.equal(hackedWallet.address);
+    expect(dump(envelope)).to.not.include(keyHex);
+
+    expect(await withSessionKey(envelope, async (privateKey) => privateKey)).to.equal(hackedWallet.privateKey);
+
+    process.env.SESSION_MASTER_KEY = "another-master-key";
+    await expect(withSessionKey(envelope, async () => {}))
+      .to.be.rejectedWith("Failed to open session key");
+
+    destroySessionKey(envelope);
+    expect(envelope.sealedKey.ciphertext.every(byte => byte === 0)).to.be.true;
+    expect(envelope.wrappedKey.ciphertext.every(byte => byte === 0)).to.be.true;
+    await expect(withSessionKey(envelope, async () => {}))
+      .to.be.rejectedWith("Session key has been destroyed");
+  });
+
+  it("Should keep key material out of sessions and their status", async function () {
+    const sessionId = await startSession();
+
+    const session = service.getActiveRecoverySessions().get(sessionId);
+    expect(session.hackedWallet).to.equal(hackedWallet.address);
+    expect(session.signingMode).to.equal("server");
+    expect(dump(session)).to.not.include(keyHex);
+    expect(dump(service.getSessionStatus(sessionId))).to.not.include(keyHex);
+    expect(dump(service.getAllActiveSessions())).to.not.include(keyHex);
+    expect(dump(service.sessionKeys.get(sessionId))).to.not.include(keyHex);
+
+    // The loop opens the key only for the rescue it runs
+    let rescueData;
+    service.recoveryService.performAutoRescue = async (data) => {
+      rescueData = { ...data };
+      // Stopping here also keeps the loop from scheduling another run
+      service.stopRecoverySession(sessionId);
+      return { success: true, message: "done" };
+    };
+    await AutoRecoveryService.prototype.startRecoveryLoop.call(service, sessionId);
+
+    expect(rescueData.hackedWalletPrivateKey).to.equal(hackedWallet.privateKey);
+    expect(session.successfulRecoveries).to.equal(1);
+    expect(dump(session)).to.not.include(keyHex);
+  });
+
+  it("Should destroy the key when the session stops", async function () {
+    const sessionId = await startSession();
+    const envelope = service.sessionKeys.get(sessionId);
+
+    expect(service.stopRecoverySession(sessionId).success).to.be.true;
+    expect(envelope.destroyed).to.be.true;
+    expect(envelope.sealedKey.ciphertext.every(byte => byte === 0)).to.be.true;
+    expect(service.sessionKeys.has(sessionId)).to.be.false;
+    expect(service.sessionKeyTimers.has(sessionId)).to.be.false;
+  });
+
+  it("Should destroy the key and stop the session after the TTL", async function () {
+    process.env.SESSION_KEY_TTL_SECONDS = "0.2";
+    const sessionId = await startSession();
+    const envelope = service.sessionKeys.get(sessionId);
+    expect(service.getSessionStatus(sessionId).session.keyExpiresAt).to.be.instanceOf(Date);
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    expect(envelope.destroyed).to.be.true;
+    expect(service.sessionKeys.has(sessionId)).to.be.false;
+    const { session } = service.getSessionStatus(sessionId);
+    expect(session.isActive).to.be.false;
+    expect(session.results[session.results.length - 1].message).to.equal("Session key expired");
+  });
+});
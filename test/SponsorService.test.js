@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const sponsorService = require("../server/services/sponsorService.js");
+const { createRecoveryStore } = require("../server/storage/index.js");
+const { buildTransferCallsForTokens } = require("../server/utils/transfers.js");
+
+describe("SponsorService", function () {
+  this.timeout(120000);
+
+  // The service reads keys by network name, so the tests use a dedicated one
+  const NETWORK = "hardhat";
+
+  let deployer;
+  let sponsorWallet;
+  let hackedWallet;
+  let safeWallet;
+  let token;
+  let rescueCounter = 0;
+  let rescueId;
+  let store;
+
+  before(function () {
+    store = sponsorService.store;
+    sponsorService.store = createRecoveryStore("memory");
+  });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    sponsorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    hackedWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    safeWallet = ethers.Wallet.createRandom();
+    await (await deployer.sendTransaction({ to: sponsorWallet.address, value: parseEther("1") })).wait();
+
+    process.env.HARDHAT_SPONSOR_PRIVATE_KEY = sponsorWallet.privateKey;
+    delete process.env.HARDHAT_SPONSOR_MAX_PER_RESCUE;
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Sponsored Token", "SPT");
+    await token.waitForDeployment();
+    await (await token.transfer(hackedWallet.address, parseEther("10"))).wait();
+
+    rescueId = `test_rescue_${++rescueCounter}`;
+  });
+
+  after(function () {
+    sponsorService.store = store;
+    delete process.env.HARDHAT_SPONSOR_PRIVATE_KEY;
+    delete process.env.HARDHAT_SPONSOR_MAX_PER_RESCUE;
+  });
+
+  const planTransfers = async () => {
+    const calls = buildTransferCallsForTokens([
+      { address: await token.getAddress(), symbol: "SPT", balance: parseEther("10").toString(), type: "ERC20" }
+    ], hackedWallet.address, safeWallet.address);
+    const { maxFeePerGas } = await ethers.provider.getFeeData();
+    return sponsorService.calculateGasRequirement(ethers.provider, calls, hackedWallet.address, NETWORK, maxFeePerGas);
+  };
+
+  describe("Configuration", function () {
+    it("Should prefer the per-network sponsor key over the default", function () {
+      const previous = process.env.SPONSOR_PRIVATE_KEY;
+      process.env.SPONSOR_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+
+      expect(sponsorService.hasSponsor(NETWORK)).to.be.true;
+      expect(sponsorService.getSponsorWallet(NETWORK, ethers.provider).address).to.equal(sponsorWallet.address);
+
+      if (previous === undefined) {
+        delete process.env.SPONSOR_PRIVATE_KEY;
+      } else {
+        process.env.SPONSOR_PRIVATE_KEY = previous;
+      }
+    });
+  });
+
+  describe("Funding", function () {
+    it("Should fund exactly the shortfall, then sweep the leftover back", async function () {
+      const requirement = await planTransfers();
+      expect(requirement.calls[0].gasLimit).to.be.greaterThan(0n);
+
+      const funding = await sponsorService.fundWallet({
+        rescueId,
+        network: NETWORK,
+        provider: ethers.provider,
+        targetAddress: hackedWallet.address,
+        requiredWei: requirement.requiredWei
+      });
+
+      expect(funding.success).to.be.true;
+      expect(funding.funded).to.be.true;
+      expect(funding.amountWei).to.equal(requirement.requiredWei);
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.equal(requirement.requiredWei);
+
+      const call = requirement.calls[0];
+      await (await hackedWallet.sendTransaction({ to: call.to, data: call.data, gasLimit: call.gasLimit })).wait();
+      expect(await token.balanceOf(safeWallet.address)).to.equal(parseEther("10"));
+
+      const sweep = await sponsorService.sweepBack({ rescueId, network: NETWORK, wallet: hackedWallet });
+      expect(sweep.success).to.be.true;
+      expect(sweep.returnedWei).to.be.greaterThan(0n);
+
+      const spend = await sponsorService.getRescueSpend(rescueId);
+      expect(spend.sponsor).to.equal(sponsorWallet.address);
+      expect(spend.fundedWei).to.equal(requirement.requiredWei);
+      expect(spend.returnedWei).to.equal(sweep.returnedWei);
+      expect(spend.netSpentWei).to.equal(spend.fundedWei + spend.gasWei - spend.returnedWei);
+    });
+
+    it("Should not fund a wallet that already holds enough gas", async function () {
+      const requirement = await planTransfers();
+      await (await deployer.sendTransaction({ to: hackedWallet.address, value: requirement.requiredWei })).wait();
+
+      const funding = await sponsorService.fundWallet({
+        rescueId,
+        network: NETWORK,
+        provider: ethers.provider,
+        targetAddress: hackedWallet.address,
+        requiredWei: requirement.requiredWei
+      });
+
+      expect(funding.success).to.be.true;
+      expect(funding.funded).to.be.false;
+      expect(await sponsorService.getRescueSpend(rescueId)).to.be.null;
+    });
+
+    it("Should refuse to fund beyond the per-rescue budget", async function () {
+      process.env.HARDHAT_SPONSOR_MAX_PER_RESCUE = "0.000001";
+      const requirement = await planTransfers();
+      const sponsorBalanceBefore = await ethers.provider.getBalance(sponsorWallet.address);
+
+      const funding = await sponsorService.fundWallet({
+        rescueId,
+        network: NETWORK,
+        provider: ethers.provider,
+        targetAddress: hackedWallet.address,
+        requiredWei: requirement.requiredWei
+      });
+
+      expect(funding.success).to.be.false;
+      expect(funding.error).to.include("budget exceeded");
+      expect(await ethers.provider.getBalance(sponsorWallet.address)).to.equal(sponsorBalanceBefore);
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.equal(0n);
+    });
+
+    it("Should never sweep back more than the sponsor provided", async function () {
+      // Wallet owner's own dust must stay put
+      await (await deployer.sendTransaction({ to: hackedWallet.address, value: parseEther("0.5") })).wait();
+      await sponsorService.recordSpend(rescueId, {
+        network: NETWORK,
+        sponsor: sponsorWallet.address,
+        fundedWei: parseEther("0.01")
+      });
+
+      const sweep = await sponsorService.sweepBack({ rescueId, network: NETWORK, wallet: hackedWallet });
+
+      expect(sweep.returnedWei).to.equal(parseEther("0.01"));
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.be.greaterThan(parseEther("0.48"));
+    });
+  });
+
+  describe("Spending", function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-spend-"));
+      process.env.HARDHAT_SPONSOR_MAX_PER_RESCUE = "1";
+      process.env.HARDHAT_SPONSOR_MAX_PER_WALLET = "0.2";
+    });
+
+    afterEach(async function () {
+      await sponsorService.store.close();
+      sponsorService.store = createRecoveryStore("memory");
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      delete process.env.HARDHAT_SPONSOR_MAX_PER_WALLET;
+    });
+
+    it("Should keep spending across restarts and cap each wallet over all its rescues", async function () {
+      const filename = path.join(tmpDir, "recoveries.db");
+      sponsorService.store = createRecoveryStore("sqlite", { filename });
+
+      await sponsorService.recordSpend(rescueId, {
+        network: NETWORK,
+        sponsor: sponsorWallet.address,
+        wallet: hackedWallet.address,
+        fundedWei: parseEther("0.15"),
+        gasWei: parseEther("0.01")
+      });
+      await sponsorService.recordReturn(rescueId, parseEther("0.02"));
+      await sponsorService.store.close();
+
+      // A restarted server reads the same totals back
+      sponsorService.store = createRecoveryStore("sqlite", { filename });
+      const spend = await sponsorService.getRescueSpend(rescueId);
+      expect(spend.wallet).to.equal(hackedWallet.address);
+      expect(spend.netSpentWei).to.equal(parseEther("0.14"));
+      expect((await sponsorService.getWalletSpend(NETWORK, hackedWallet.address.toLowerCase())).netSpentWei).to.equal(parseEther("0.14"));
+      expect((await sponsorService.getStats())[NETWORK]).to.include({ rescues: 1, netSpent: "0.14" });
+
+      // A new rescue of the same wallet only gets what is left of the wallet's cap
+      const check = await sponsorService.checkBudget("another_rescue", NETWORK, parseEther("0.07"), hackedWallet.address);
+      expect(check.allowed).to.be.false;
+      expect(check.remainingWei).to.equal(parseEther("0.06"));
+      expect(check.error).to.include(`for ${hackedWallet.address}`);
+
+      expect((await sponsorService.checkBudget("another_rescue", NETWORK, parseEther("0.06"), hackedWallet.address)).allowed).to.be.true;
+      expect((await sponsorService.checkBudget("another_rescue", NETWORK, parseEther("0.07"), safeWallet.address)).allowed).to.be.true;
+    });
+
+    it("Should refuse to fund a wallet past its cap", async function () {
+      process.env.HARDHAT_SPONSOR_MAX_PER_WALLET = "0.000001";
+      const requirement = await planTransfers();
+
+      const funding = await sponsorService.fundWallet({
+        rescueId,
+        network: NETWORK,
+        provider: ethers.provider,
+        targetAddress: hackedWallet.address,
+        requiredWei: requirement.requiredWei
+      });
+
+      expect(funding.success).to.be.false;
+      expect(funding.error).to.include(`for ${hackedWallet.address}`);
+      expect(await ethers.provider.getBalance(hackedWallet.address)).to.equal(0n);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 import { Hono } from 'hono'
 
 import { tokenStorageKV } from './worker_token_storage_kv.js'
+import { recoveryRegistryKV } from './worker_recovery_registry_kv.js'
+import { authKV, ROLES } from './worker_auth_kv.js'
 
 const app = new Hono()
 
@@ -20,6 +22,40 @@ app.use('*', async (c, next) => {
   await next()
 })
 
+// Sign-in nonces and sessions live in AUTH_SESSIONS when bound, otherwise alongside saved tokens
+const auth = c => authKV(c.env.AUTH_SESSIONS || c.env.TOKEN_STORAGE, c.env)
+
+const getBearerToken = c => {
+  const header = c.req.header('Authorization') || ''
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null
+}
+
+// Resolve the signed-in caller (if any), like the server's authenticate middleware;
+// the internal API token acts as an operator without an address
+app.use('/api/*', async (c, next) => {
+  const internalToken = c.req.header('x-internal-token')
+  if (c.env.INTERNAL_API_TOKEN && internalToken === c.env.INTERNAL_API_TOKEN) {
+    c.set('auth', { address: null, role: ROLES.OPERATOR, internal: true })
+  } else {
+    c.set('auth', await auth(c).getSession(getBearerToken(c)))
+  }
+  await next()
+})
+
+const requireAuth = async (c, next) => {
+  if (!c.get('auth')) return c.json({ error: 'Authentication required' }, 401)
+  await next()
+}
+
+// Operators may act for any safe wallet, everyone else only for the one they signed in as
+const ownsAddress = (c, address) => {
+  const caller = c.get('auth')
+  if (caller && caller.role === ROLES.OPERATOR) return true
+  return !!caller && !!caller.address && !!address && caller.address.toLowerCase() === String(address).toLowerCase()
+}
+
+const forbidden = c => c.json({ error: 'Not authorized for this safe wallet' }, 403)
+
 app.get('/api/health', c => c.json({ status: 'ok', timestamp: new Date().toISOString() }))
 
 app.get('/api/system-status', async c => {
@@ -47,6 +83,34 @@ app.post('/api/save-tokens', async c => {
   return c.json(res.success ? res : { success: false, error: res.error || 'Failed' }, res.success ? 200 : 400)
 })
 
+app.post('/api/auth/nonce', async c => {
+  const body = await c.req.json().catch(() => null)
+  if (!body) return c.json({ error: 'Invalid JSON' }, 400)
+  const { address, chainId, domain, uri } = body
+  if (!address) return c.json({ error: 'Missing required field: address' }, 400)
+  const result = await auth(c).createChallenge({ address, chainId, domain, uri })
+  return c.json(result, result.success ? 200 : 400)
+})
+
+app.post('/api/auth/verify', async c => {
+  const body = await c.req.json().catch(() => null)
+  if (!body) return c.json({ error: 'Invalid JSON' }, 400)
+  const { message, signature } = body
+  if (!message || !signature) return c.json({ error: 'Missing required fields: message, signature' }, 400)
+  const result = await auth(c).verifyLogin({ message, signature })
+  return c.json(result, result.success ? 200 : 401)
+})
+
+app.get('/api/auth/session', requireAuth, c => c.json({ success: true, ...c.get('auth') }))
+
+app.post('/api/auth/logout', requireAuth, async c => {
+  const token = getBearerToken(c)
+  return c.json({ success: true, loggedOut: token ? await auth(c).revokeSession(token) : false })
+})
+
+// Recoveries live in RECOVERY_REGISTRY when bound, otherwise alongside saved tokens
+const recoveryRegistry = c => recoveryRegistryKV(c.env.RECOVERY_REGISTRY || c.env.TOKEN_STORAGE)
+
 app.delete('/api/saved-tokens', async c => {
   const body = await c.req.json().catch(() => ({}))
   const { network, tokenAddress } = body || {}
@@ -57,7 +121,7 @@ app.delete('/api/saved-tokens', async c => {
 })
 
 // Register a new recovery
-app.post('/api/register-recovery', async c => {
+app.post('/api/register-recovery', requireAuth, async c => {
   try {
     const body = await c.req.json().catch(() => null)
     if (!body) return c.json({ error: 'Invalid JSON' }, 400)
@@ -70,20 +134,17 @@ app.post('/api/register-recovery', async c => {
         error: 'Missing required fields: hackedWallet, safeWallet, network'
       }, 400)
     }
+    if (!ownsAddress(c, safeWallet)) return forbidden(c)
+
+    const result = await recoveryRegistry(c).registerRecovery({ hackedWallet, safeWallet, network, nonce })
+    if (!result.success) {
+      return c.json({ error: result.error }, 400)
+    }
 
-    // For now, return a success response (in production, this would store in KV/D1)
     return c.json({
       success: true,
       message: 'Recovery registered successfully',
-      data: {
-        id: `${hackedWallet}-${network}`,
-        hackedWallet,
-        safeWallet,
-        network,
-        nonce,
-        isActive: true,
-        createdAt: new Date().toISOString()
-      }
+      data: result.recovery
     })
   } catch (error) {
     console.error('Register recovery error:', error)
@@ -94,10 +155,10 @@ app.post('/api/register-recovery', async c => {
 })
 
 // Get all active recoveries
-app.get('/api/active-recoveries', async c => {
+app.get('/api/active-recoveries', requireAuth, async c => {
   try {
-    // For now, return empty array (in production, this would read from KV/D1)
-    return c.json([])
+    const recoveries = await recoveryRegistry(c).getActiveRecoveries()
+    return c.json(recoveries.filter(recovery => ownsAddress(c, recovery.safeWallet)))
   } catch (error) {
     console.error('Get active recoveries error:', error)
     return c.json({
@@ -107,7 +168,7 @@ app.get('/api/active-recoveries', async c => {
 })
 
 // Get recovery status
-app.get('/api/recovery-status/:hackedWallet', async c => {
+app.get('/api/recovery-status/:hackedWallet', requireAuth, async c => {
   try {
     const hackedWallet = c.req.param('hackedWallet')
     
@@ -117,10 +178,17 @@ app.get('/api/recovery-status/:hackedWallet', async c => {
       }, 400)
     }
 
-    // For now, return not found (in production, this would read from KV/D1)
-    return c.json({
-      error: 'Recovery not found'
-    }, 404)
+    const found = await recoveryRegistry(c).findRecoveryByWallet(hackedWallet)
+    if (found && !ownsAddress(c, found.safeWallet)) return forbidden(c)
+
+    const status = await recoveryRegistry(c).getRecoveryStatus(hackedWallet)
+    if (!status) {
+      return c.json({
+        error: 'Recovery not found'
+      }, 404)
+    }
+
+    return c.json(status)
   } catch (error) {
     console.error('Get recovery status error:', error)
     return c.json({
@@ -130,7 +198,7 @@ app.get('/api/recovery-status/:hackedWallet', async c => {
 })
 
 // Deactivate a recovery
-app.post('/api/deactivate-recovery', async c => {
+app.post('/api/deactivate-recovery', requireAuth, async c => {
   try {
     const body = await c.req.json().catch(() => null)
     if (!body) return c.json({ error: 'Invalid JSON' }, 400)
@@ -144,7 +212,14 @@ app.post('/api/deactivate-recovery', async c => {
       }, 400)
     }
 
-    // For now, return success (in production, this would update KV/D1)
+    const recovery = await recoveryRegistry(c).getRecovery(hackedWallet, network)
+    if (recovery && !ownsAddress(c, recovery.safeWallet)) return forbidden(c)
+
+    const result = await recoveryRegistry(c).deactivateRecovery(hackedWallet, network)
+    if (!result.success) {
+      return c.json({ error: result.error }, result.error === 'Recovery not found' ? 404 : 400)
+    }
+
     return c.json({
       success: true,
       message: 'Recovery deactivated successfully'
@@ -0,0 +1,152 @@
+import { ethers } from 'ethers'
+import { formatSiweMessage, parseSiweMessage } from '../server/utils/siwe.js'
+
+// Same Sign-In With Ethereum flow as the server's authService, with nonces and
+// sessions in KV so every isolate sees them. KV expires them itself (expirationTtl).
+const DEFAULT_NONCE_TTL_SECONDS = 300
+const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60
+// KV rejects expirationTtl below a minute
+const MIN_KV_TTL_SECONDS = 60
+
+export const ROLES = {
+  USER: 'user',
+  OPERATOR: 'operator'
+}
+
+const nonceKey = (nonce) => `auth:nonce:${nonce}`
+const sessionKey = (token) => `auth:session:${ethers.sha256(ethers.toUtf8Bytes(String(token)))}`
+
+const getSeconds = (value, fallback) => {
+  const seconds = Number(value)
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : fallback
+}
+
+const getHosts = (urls) => String(urls || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+  .map(url => {
+    try {
+      return new URL(url).host
+    } catch (_) {
+      return null
+    }
+  })
+  .filter(Boolean)
+
+export const authKV = (kv, env) => ({
+  // SIWE_DOMAINS, or the CLIENT_URL and SERVER_URL hosts; never the request's Host header
+  getAllowedDomains() {
+    if (env.SIWE_DOMAINS) {
+      return env.SIWE_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean)
+    }
+    return [...new Set([...getHosts(env.CLIENT_URL), ...getHosts(env.SERVER_URL)])]
+  },
+
+  getOperatorAddresses() {
+    return String(env.OPERATOR_ADDRESSES || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(address => ethers.isAddress(address))
+      .map(address => address.toLowerCase())
+  },
+
+  async createChallenge({ address, chainId = 1, domain, uri }) {
+    try {
+      if (!ethers.isAddress(address)) throw new Error('Invalid address')
+
+      const allowedDomains = this.getAllowedDomains()
+      const messageDomain = domain || allowedDomains[0]
+      if (!messageDomain || !allowedDomains.includes(messageDomain)) {
+        throw new Error(`Sign-in is not allowed for domain ${messageDomain}`)
+      }
+
+      const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2)
+      const ttl = Math.max(getSeconds(env.SIWE_NONCE_TTL_SECONDS, DEFAULT_NONCE_TTL_SECONDS), MIN_KV_TTL_SECONDS)
+      const issuedAt = new Date()
+      const expiresAt = new Date(issuedAt.getTime() + ttl * 1000)
+
+      await kv.put(nonceKey(nonce), JSON.stringify({
+        address: ethers.getAddress(address),
+        expiresAt: expiresAt.toISOString()
+      }), { expirationTtl: ttl })
+
+      const message = formatSiweMessage({
+        domain: messageDomain,
+        address,
+        statement: 'Sign in to the Token Recovery System with your safe wallet.',
+        uri: uri || `https://${messageDomain}`,
+        chainId: Number(chainId),
+        nonce,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: expiresAt.toISOString()
+      })
+
+      return { success: true, nonce, message, expiresAt: expiresAt.toISOString() }
+    } catch (e) {
+      return { success: false, error: `Failed to create sign-in challenge: ${e.message}` }
+    }
+  },
+
+  async verifyLogin({ message, signature }) {
+    try {
+      if (!message || !signature) throw new Error('Message and signature are required')
+
+      const fields = parseSiweMessage(message)
+      if (!this.getAllowedDomains().includes(fields.domain)) {
+        throw new Error(`Sign-in is not allowed for domain ${fields.domain}`)
+      }
+
+      // Nonces are single-use, so a replayed message fails here
+      const issued = await kv.get(nonceKey(fields.nonce), 'json')
+      if (!issued) throw new Error('Unknown or already used nonce')
+      await kv.delete(nonceKey(fields.nonce))
+
+      const now = Date.now()
+      if (new Date(issued.expiresAt).getTime() <= now) throw new Error('Nonce expired, request a new one')
+      if (issued.address.toLowerCase() !== fields.address.toLowerCase()) {
+        throw new Error('Nonce was issued for another address')
+      }
+      if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) throw new Error('Sign-in message expired')
+      if (fields.notBefore && Date.parse(fields.notBefore) > now) throw new Error('Sign-in message is not valid yet')
+
+      // Only EOA signatures here; contract wallets sign in through the Express server (EIP-1271)
+      let signer = null
+      try {
+        signer = ethers.verifyMessage(message, signature)
+      } catch (_) {}
+      if (!signer || signer.toLowerCase() !== fields.address.toLowerCase()) {
+        throw new Error(`Signature is not from ${fields.address}`)
+      }
+
+      const token = ethers.hexlify(ethers.randomBytes(32)).slice(2)
+      const ttl = Math.max(getSeconds(env.AUTH_SESSION_TTL_SECONDS, DEFAULT_SESSION_TTL_SECONDS), MIN_KV_TTL_SECONDS)
+      const session = {
+        address: fields.address,
+        role: this.getOperatorAddresses().includes(fields.address.toLowerCase()) ? ROLES.OPERATOR : ROLES.USER,
+        chainId: fields.chainId,
+        issuedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl * 1000).toISOString()
+      }
+      await kv.put(sessionKey(token), JSON.stringify(session), { expirationTtl: ttl })
+
+      return { success: true, token, ...session }
+    } catch (e) {
+      return { success: false, error: `Failed to sign in: ${e.message}` }
+    }
+  },
+
+  async getSession(token) {
+    if (!token) return null
+    const session = await kv.get(sessionKey(token), 'json')
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null
+    return session
+  },
+
+  async revokeSession(token) {
+    const key = sessionKey(token)
+    const existed = !!(await kv.get(key))
+    await kv.delete(key)
+    return existed
+  }
+})
@@ -0,0 +1,112 @@
+import {
+  RECOVERY_EVENTS,
+  getRecoveryId,
+  createRecoveryRecord,
+  createStatusRecord,
+  createHistoryEntry,
+  serializeRecord,
+  deserializeRecord
+} from '../server/models/recovery.js'
+
+// Same key layout as the server's Redis store
+const MAX_HISTORY_ENTRIES = 1000
+const recoveryKey = (id) => `recovery:${id}`
+const statusKey = (id) => `recovery:status:${id}`
+const historyKey = (id) => `recovery:history:${id}`
+
+const getRecovery = async (kv, id) => deserializeRecord(await kv.get(recoveryKey(id)))
+
+// KV returns at most 1000 keys per call, so follow the cursor to the end
+const listKeys = async (kv, prefix) => {
+  const keys = []
+  let cursor
+  do {
+    const page = await kv.list({ prefix, cursor })
+    keys.push(...(page.keys || []))
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor)
+  return keys
+}
+
+const listRecoveries = async (kv) => {
+  const keys = await listKeys(kv, 'recovery:0x')
+  const items = await Promise.all(keys.map(k => kv.get(k.name)))
+  return items.map(deserializeRecord).filter(Boolean)
+}
+
+const addHistory = async (kv, entry) => {
+  const entries = deserializeRecord(await kv.get(historyKey(entry.recoveryId))) || []
+  entries.push(entry)
+  await kv.put(historyKey(entry.recoveryId), serializeRecord(entries.slice(-MAX_HISTORY_ENTRIES)))
+}
+
+export const recoveryRegistryKV = (kv) => ({
+  async registerRecovery({ hackedWallet, safeWallet, network, nonce }) {
+    try {
+      const id = getRecoveryId(hackedWallet, network)
+      const existing = await getRecovery(kv, id)
+      if (existing && existing.isActive) {
+        return { success: false, error: 'Recovery already exists for this wallet and network' }
+      }
+
+      const recovery = createRecoveryRecord({ hackedWallet, safeWallet, network, nonce })
+      const previousStatus = deserializeRecord(await kv.get(statusKey(id)))
+      await kv.put(recoveryKey(id), serializeRecord(recovery))
+      await kv.put(statusKey(id), serializeRecord(previousStatus ? { ...previousStatus, isActive: true } : createStatusRecord()))
+      await addHistory(kv, createHistoryEntry(id, RECOVERY_EVENTS.REGISTERED, { safeWallet, reregistered: !!existing }))
+      return { success: true, recovery }
+    } catch (e) {
+      return { success: false, error: e.message }
+    }
+  },
+
+  async deactivateRecovery(hackedWallet, network) {
+    try {
+      const id = getRecoveryId(hackedWallet, network)
+      const recovery = await getRecovery(kv, id)
+      if (!recovery) return { success: false, error: 'Recovery not found' }
+
+      recovery.isActive = false
+      recovery.deactivatedAt = new Date().toISOString()
+      await kv.put(recoveryKey(id), serializeRecord(recovery))
+
+      const status = deserializeRecord(await kv.get(statusKey(id)))
+      if (status) {
+        await kv.put(statusKey(id), serializeRecord({ ...status, isActive: false, lastUpdated: recovery.deactivatedAt }))
+      }
+      await addHistory(kv, createHistoryEntry(id, RECOVERY_EVENTS.DEACTIVATED, {}))
+      return { success: true }
+    } catch (e) {
+      return { success: false, error: e.message }
+    }
+  },
+
+  async getActiveRecoveries() {
+    const recoveries = await listRecoveries(kv)
+    return recoveries
+      .filter(r => r.isActive)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  },
+
+  async getRecovery(hackedWallet, network) {
+    return getRecovery(kv, getRecoveryId(hackedWallet, network))
+  },
+
+  // Prefers the active recovery, then the newest, like the server's stores
+  async findRecoveryByWallet(hackedWallet) {
+    const matches = (await listRecoveries(kv))
+      .filter(r => r.hackedWallet.toLowerCase() === hackedWallet.toLowerCase())
+      .sort((a, b) => (b.isActive - a.isActive) || b.createdAt.localeCompare(a.createdAt))
+    return matches[0] || null
+  },
+
+  async getRecoveryStatus(hackedWallet) {
+    const recovery = await this.findRecoveryByWallet(hackedWallet)
+    if (!recovery) return null
+
+    const status = deserializeRecord(await kv.get(statusKey(recovery.id)))
+    if (!status) return null
+    const history = deserializeRecord(await kv.get(historyKey(recovery.id))) || []
+    return { ...status, history: history.slice(-20).reverse() }
+  }
+})
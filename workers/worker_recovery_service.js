@@ -1,17 +1,19 @@
+import { recoveryRegistryKV } from './worker_recovery_registry_kv.js'
+
 // Minimal adapter stub to avoid errors; integrate full logic incrementally
 export class RecoveryService {
   constructor(env) {
     this.env = env
+    this.registry = recoveryRegistryKV(env.RECOVERY_REGISTRY || env.TOKEN_STORAGE)
   }
 
-  getActiveRecoveries() {
-    // TODO: read from KV/D1. For now, return empty to avoid errors.
-    return []
+  async getActiveRecoveries() {
+    return this.registry.getActiveRecoveries()
   }
 
   async monitorOnce() {
     // Iterate active recoveries and call per-network checks
-    const recoveries = this.getActiveRecoveries()
+    const recoveries = await this.getActiveRecoveries()
     let processed = 0
     for (const r of recoveries) {
       try {